@@ -0,0 +1,251 @@
+/**
+ * Local aircraft database (registration, type, operator) — Express server only (uses `fs`).
+ *
+ * Loads one file named by AIRCRAFT_DB_PATH, in any of these formats (optionally .gz):
+ *   OpenSky aircraftDatabase.csv / aircraft-database-complete-*.csv
+ *       header row; `icao24, registration, manufacturername, model, typecode, operator, owner, built, …`
+ *       (fields quoted with " or ')
+ *   tar1090-db aircraft.csv
+ *       no header; `icao;registration;typecode;flags;description;year;ownop;`
+ *   JSON array, NDJSON or `{ "<icao24>": { … } }`
+ *       keys such as icao24/icao/hex, registration/reg/r, typecode/icaotype/t,
+ *       manufacturer, model/desc, operator/ownop/owner, year/built
+ *
+ * Records are kept as compact arrays; lookups return
+ *   { icao24, registration, typecode, manufacturer, model, operator, year }.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { normalizeIcao24 } = require('./openskyApi');
+
+const RECORD_FIELDS = ['registration', 'typecode', 'manufacturer', 'model', 'operator', 'year'];
+
+/** Accepted source keys per field, in order of preference. */
+const FIELD_ALIASES = {
+    icao24: ['icao24', 'icao', 'hex'],
+    registration: ['registration', 'reg', 'r'],
+    typecode: ['typecode', 'icaotype', 'icao_type', 't'],
+    manufacturer: ['manufacturername', 'manufacturer'],
+    model: ['model', 'desc', 'description'],
+    operator: ['operator', 'ownop', 'owner'],
+    year: ['year', 'built', 'firstflightdate'],
+};
+
+/** tar1090-db aircraft.csv column order. */
+const TAR1090_COLUMNS = ['icao', 'registration', 'typecode', 'flags', 'description', 'year', 'ownop'];
+
+const clean = (value) => {
+    if (value == null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+};
+
+/** Four-digit year from `2005`, `2005-03-01` or similar; null otherwise. */
+const toYear = (value) => {
+    const match = /^(\d{4})/.exec(clean(value) || '');
+    return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Normalize one source record (any supported key naming) into
+ * `{ icao24, registration, typecode, manufacturer, model, operator, year }`, or null without a valid icao24.
+ */
+const normalizeAircraftRecord = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const lowered = {};
+    Object.keys(raw).forEach((key) => { lowered[key.toLowerCase()] = raw[key]; });
+    const pick = (field) => FIELD_ALIASES[field].map((key) => clean(lowered[key])).find((value) => value != null) ?? null;
+
+    const icao24 = normalizeIcao24(pick('icao24'));
+    if (!icao24) return null;
+    return {
+        icao24,
+        registration: pick('registration'),
+        typecode: pick('typecode')?.toUpperCase() ?? null,
+        manufacturer: pick('manufacturer'),
+        model: pick('model'),
+        operator: pick('operator'),
+        year: toYear(pick('year')),
+    };
+};
+
+/** Split one delimited line; fields may be wrapped in " or ' (doubled to escape). */
+const splitDelimitedLine = (line, delimiter) => {
+    const fields = [];
+    let i = 0;
+    while (i <= line.length) {
+        const quote = line[i] === '"' || line[i] === "'" ? line[i] : null;
+        if (!quote) {
+            const end = line.indexOf(delimiter, i);
+            const stop = end === -1 ? line.length : end;
+            fields.push(line.slice(i, stop));
+            i = stop + 1;
+            continue;
+        }
+        let value = '';
+        i++;
+        while (i < line.length) {
+            if (line[i] === quote && line[i + 1] === quote) {
+                value += quote;
+                i += 2;
+            } else if (line[i] === quote) {
+                i++;
+                break;
+            } else {
+                value += line[i++];
+            }
+        }
+        fields.push(value);
+        const end = line.indexOf(delimiter, i);
+        i = end === -1 ? line.length + 1 : end + 1;
+    }
+    return fields;
+};
+
+const openLines = (filePath) => {
+    let stream = fs.createReadStream(filePath);
+    if (/\.gz$/i.test(filePath)) {
+        // pipeline() forwards file errors (ENOENT, EACCES) to gunzip, so reading the lines rejects
+        const gunzip = zlib.createGunzip();
+        pipeline(stream, gunzip, () => {});
+        stream = gunzip;
+    }
+    return readline.createInterface({ input: stream, crlfDelay: Infinity });
+};
+
+/**
+ * Stream the records of a database file to `onRecord(raw)`; the format is
+ * detected from the file name and first line.
+ */
+const readAircraftFile = async (filePath, onRecord) => {
+    const name = filePath.replace(/\.gz$/i, '').toLowerCase();
+
+    if (name.endsWith('.json')) {
+        const text = /\.gz$/i.test(filePath)
+            ? zlib.gunzipSync(await fs.promises.readFile(filePath)).toString('utf8')
+            : await fs.promises.readFile(filePath, 'utf8');
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) parsed.forEach(onRecord);
+        else Object.entries(parsed).forEach(([icao, record]) => onRecord({ icao24: icao, ...record }));
+        return;
+    }
+
+    let columns = null;
+    let delimiter = ',';
+    for await (const line of openLines(filePath)) {
+        if (!line.trim()) continue;
+        if (line.trimStart().startsWith('{')) {
+            // NDJSON (e.g. basic-ac-db.json exports)
+            try { onRecord(JSON.parse(line)); } catch (_) { /* skip malformed lines */ }
+            continue;
+        }
+        if (!columns) {
+            delimiter = line.includes(';') && !line.includes(',') ? ';' : ',';
+            const first = splitDelimitedLine(line, delimiter);
+            if (normalizeIcao24(first[0]) && /^[0-9a-f]{6}$/i.test(first[0].trim())) {
+                columns = TAR1090_COLUMNS; // headerless tar1090-db
+            } else {
+                columns = first.map((column) => column.trim().toLowerCase());
+                continue;
+            }
+        }
+        const fields = splitDelimitedLine(line, delimiter);
+        const raw = {};
+        columns.forEach((column, i) => { raw[column] = fields[i]; });
+        onRecord(raw);
+    }
+};
+
+/**
+ * Create a database. load() reads `filePath` in the background; lookups
+ * return null until it finishes.
+ */
+const createAircraftDatabase = (filePath) => {
+    const records = new Map(); // icao24 → [registration, typecode, manufacturer, model, operator, year]
+    let byRegistration = null; // registration without dashes → [icao24], built on first use
+    let state = 'idle';
+    let error = null;
+    let loadedAt = null;
+
+    const load = async () => {
+        state = 'loading';
+        byRegistration = null;
+        const started = Date.now();
+        try {
+            await readAircraftFile(filePath, (raw) => {
+                const record = normalizeAircraftRecord(raw);
+                if (record) records.set(record.icao24, RECORD_FIELDS.map((field) => record[field]));
+            });
+            state = 'ready';
+            loadedAt = Date.now();
+            console.log(`[AircraftDB] Loaded ${records.size} aircraft from ${filePath} in ${Date.now() - started} ms`);
+        } catch (err) {
+            state = 'failed';
+            error = err.message;
+            console.error(`[AircraftDB] Failed to load ${filePath}:`, err.message);
+        }
+    };
+
+    /** Database record for an icao24, or null when unknown. */
+    const lookup = (icao24) => {
+        const icao = normalizeIcao24(icao24);
+        const values = icao ? records.get(icao) : null;
+        if (!values) return null;
+        const record = { icao24: icao };
+        RECORD_FIELDS.forEach((field, i) => { record[field] = values[i]; });
+        return record;
+    };
+
+    /** icao24s registered as `registration` (case, spaces and dashes ignored); [] when unknown. */
+    const findByRegistration = (registration) => {
+        if (state !== 'ready') return [];
+        const compact = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+        if (!byRegistration) {
+            byRegistration = new Map();
+            records.forEach((values, icao) => {
+                const key = compact(values[0]);
+                if (!key) return;
+                if (!byRegistration.has(key)) byRegistration.set(key, []);
+                byRegistration.get(key).push(icao);
+            });
+        }
+        return byRegistration.get(compact(registration)) || [];
+    };
+
+    /** Add `registration` and `typecode` to every known aircraft of a flights payload (mutates it). */
+    const enrichFlights = (data) => {
+        if (state !== 'ready' || !Array.isArray(data?.flights)) return data;
+        data.flights.forEach((flight) => {
+            const values = records.get(normalizeIcao24(flight.icao24));
+            if (!values) return;
+            flight.registration = values[0];
+            flight.typecode = values[1];
+        });
+        return data;
+    };
+
+    return {
+        load,
+        lookup,
+        findByRegistration,
+        enrichFlights,
+        isReady: () => state === 'ready',
+        status: () => ({
+            path: filePath,
+            state,
+            aircraft: records.size,
+            loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+            error,
+        }),
+    };
+};
+
+module.exports = {
+    normalizeAircraftRecord,
+    splitDelimitedLine,
+    readAircraftFile,
+    createAircraftDatabase,
+};
@@ -0,0 +1,171 @@
+/**
+ * Bundled airline table — shared by server.js and worker.js.
+ *
+ * One row per airline, keyed by ICAO three-letter designator (the callsign prefix):
+ *   [icao, iata, name, country (ISO 3166-1 alpha-2), radio callsign]
+ */
+
+const AIRLINE_ROWS = [
+    // North America
+    ['AAL', 'AA', 'American Airlines', 'US', 'AMERICAN'],
+    ['DAL', 'DL', 'Delta Air Lines', 'US', 'DELTA'],
+    ['UAL', 'UA', 'United Airlines', 'US', 'UNITED'],
+    ['SWA', 'WN', 'Southwest Airlines', 'US', 'SOUTHWEST'],
+    ['JBU', 'B6', 'JetBlue', 'US', 'JETBLUE'],
+    ['ASA', 'AS', 'Alaska Airlines', 'US', 'ALASKA'],
+    ['HAL', 'HA', 'Hawaiian Airlines', 'US', 'HAWAIIAN'],
+    ['FFT', 'F9', 'Frontier Airlines', 'US', 'FRONTIER FLIGHT'],
+    ['NKS', 'NK', 'Spirit Airlines', 'US', 'SPIRIT WINGS'],
+    ['AAY', 'G4', 'Allegiant Air', 'US', 'ALLEGIANT'],
+    ['SCX', 'SY', 'Sun Country Airlines', 'US', 'SUN COUNTRY'],
+    ['SKW', 'OO', 'SkyWest Airlines', 'US', 'SKYWEST'],
+    ['RPA', 'YX', 'Republic Airways', 'US', 'BRICKYARD'],
+    ['ENY', 'MQ', 'Envoy Air', 'US', 'ENVOY'],
+    ['EDV', '9E', 'Endeavor Air', 'US', 'ENDEAVOR'],
+    ['JIA', 'OH', 'PSA Airlines', 'US', 'BLUE STREAK'],
+    ['ASH', 'YV', 'Mesa Airlines', 'US', 'AIR SHUTTLE'],
+    ['QXE', 'QX', 'Horizon Air', 'US', 'HORIZON'],
+    ['FDX', 'FX', 'FedEx Express', 'US', 'FEDEX'],
+    ['UPS', '5X', 'UPS Airlines', 'US', 'UPS'],
+    ['GTI', '5Y', 'Atlas Air', 'US', 'GIANT'],
+    ['ABX', 'GB', 'ABX Air', 'US', 'ABEX'],
+    ['ACA', 'AC', 'Air Canada', 'CA', 'AIR CANADA'],
+    ['WJA', 'WS', 'WestJet', 'CA', 'WESTJET'],
+    ['JZA', 'QK', 'Jazz Aviation', 'CA', 'JAZZ'],
+    ['TSC', 'TS', 'Air Transat', 'CA', 'AIR TRANSAT'],
+    ['POE', 'PD', 'Porter Airlines', 'CA', 'PORTER'],
+    ['AMX', 'AM', 'Aeroméxico', 'MX', 'AEROMEXICO'],
+    ['VOI', 'Y4', 'Volaris', 'MX', 'VOLARIS'],
+    ['VIV', 'VB', 'Viva Aerobus', 'MX', 'AEROENLACES'],
+
+    // Central and South America
+    ['CMP', 'CM', 'Copa Airlines', 'PA', 'COPA'],
+    ['AVA', 'AV', 'Avianca', 'CO', 'AVIANCA'],
+    ['LAN', 'LA', 'LATAM Airlines', 'CL', 'LAN CHILE'],
+    ['TAM', 'JJ', 'LATAM Airlines Brasil', 'BR', 'TAM'],
+    ['GLO', 'G3', 'Gol Linhas Aéreas', 'BR', 'GOL TRANSPORTE'],
+    ['AZU', 'AD', 'Azul Brazilian Airlines', 'BR', 'AZUL'],
+    ['ARG', 'AR', 'Aerolíneas Argentinas', 'AR', 'ARGENTINA'],
+
+    // Europe
+    ['BAW', 'BA', 'British Airways', 'GB', 'SPEEDBIRD'],
+    ['EZY', 'U2', 'easyJet', 'GB', 'EASY'],
+    ['VIR', 'VS', 'Virgin Atlantic', 'GB', 'VIRGIN'],
+    ['EXS', 'LS', 'Jet2', 'GB', 'CHANNEX'],
+    ['TOM', 'BY', 'TUI Airways', 'GB', 'TOMSON'],
+    ['LOG', 'LM', 'Loganair', 'GB', 'LOGAN'],
+    ['DHK', 'D0', 'DHL Air', 'GB', 'WORLD EXPRESS'],
+    ['RYR', 'FR', 'Ryanair', 'IE', 'RYANAIR'],
+    ['EIN', 'EI', 'Aer Lingus', 'IE', 'SHAMROCK'],
+    ['KLM', 'KL', 'KLM Royal Dutch Airlines', 'NL', 'KLM'],
+    ['KLC', 'WA', 'KLM Cityhopper', 'NL', 'CITY'],
+    ['TRA', 'HV', 'Transavia', 'NL', 'TRANSAVIA'],
+    ['BEL', 'SN', 'Brussels Airlines', 'BE', 'BEELINE'],
+    ['CLX', 'CV', 'Cargolux', 'LU', 'CARGOLUX'],
+    ['AFR', 'AF', 'Air France', 'FR', 'AIRFRANS'],
+    ['TVF', 'TO', 'Transavia France', 'FR', 'FRANCE SOLEIL'],
+    ['HOP', 'A5', 'Air France Hop', 'FR', 'AIR HOP'],
+    ['DLH', 'LH', 'Lufthansa', 'DE', 'LUFTHANSA'],
+    ['CLH', 'CL', 'Lufthansa CityLine', 'DE', 'HANSALINE'],
+    ['GEC', 'LH', 'Lufthansa Cargo', 'DE', 'LUFTHANSA CARGO'],
+    ['EWG', 'EW', 'Eurowings', 'DE', 'EUROWINGS'],
+    ['CFG', 'DE', 'Condor', 'DE', 'CONDOR'],
+    ['TUI', 'X3', 'TUIfly', 'DE', 'TUIJET'],
+    ['BOX', '3S', 'AeroLogic', 'DE', 'GERMAN CARGO'],
+    ['BCS', 'QY', 'European Air Transport Leipzig', 'DE', 'EUROTRANS'],
+    ['SWR', 'LX', 'Swiss International Air Lines', 'CH', 'SWISS'],
+    ['EDW', 'WK', 'Edelweiss Air', 'CH', 'EDELWEISS'],
+    ['AUA', 'OS', 'Austrian Airlines', 'AT', 'AUSTRIAN'],
+    ['CSA', 'OK', 'Czech Airlines', 'CZ', 'CSA'],
+    ['LOT', 'LO', 'LOT Polish Airlines', 'PL', 'POLLOT'],
+    ['WZZ', 'W6', 'Wizz Air', 'HU', 'WIZZ AIR'],
+    ['IBE', 'IB', 'Iberia', 'ES', 'IBERIA'],
+    ['IBS', 'I2', 'Iberia Express', 'ES', 'IBEREXPRES'],
+    ['VLG', 'VY', 'Vueling', 'ES', 'VUELING'],
+    ['ANE', 'YW', 'Air Nostrum', 'ES', 'AIR NOSTRUM'],
+    ['AEA', 'UX', 'Air Europa', 'ES', 'EUROPA'],
+    ['TAP', 'TP', 'TAP Air Portugal', 'PT', 'AIR PORTUGAL'],
+    ['ITY', 'AZ', 'ITA Airways', 'IT', 'ITARROW'],
+    ['SAS', 'SK', 'Scandinavian Airlines', 'SE', 'SCANDINAVIAN'],
+    ['NAX', 'DY', 'Norwegian Air Shuttle', 'NO', 'NOR SHUTTLE'],
+    ['FIN', 'AY', 'Finnair', 'FI', 'FINNAIR'],
+    ['ICE', 'FI', 'Icelandair', 'IS', 'ICEAIR'],
+    ['BTI', 'BT', 'airBaltic', 'LV', 'AIRBALTIC'],
+    ['AEE', 'A3', 'Aegean Airlines', 'GR', 'AEGEAN'],
+    ['THY', 'TK', 'Turkish Airlines', 'TR', 'TURKISH'],
+    ['PGT', 'PC', 'Pegasus Airlines', 'TR', 'SUNTURK'],
+    ['SXS', 'XQ', 'SunExpress', 'TR', 'SUNEXPRESS'],
+    ['AFL', 'SU', 'Aeroflot', 'RU', 'AEROFLOT'],
+    ['SDM', 'FV', 'Rossiya Airlines', 'RU', 'ROSSIYA'],
+    ['SBI', 'S7', 'S7 Airlines', 'RU', 'SIBERIAN AIRLINES'],
+    ['AUI', 'PS', 'Ukraine International Airlines', 'UA', 'UKRAINE INTERNATIONAL'],
+
+    // Middle East and Africa
+    ['ELY', 'LY', 'El Al', 'IL', 'ELAL'],
+    ['RJA', 'RJ', 'Royal Jordanian', 'JO', 'JORDANIAN'],
+    ['MEA', 'ME', 'Middle East Airlines', 'LB', 'CEDAR JET'],
+    ['UAE', 'EK', 'Emirates', 'AE', 'EMIRATES'],
+    ['ETD', 'EY', 'Etihad Airways', 'AE', 'ETIHAD'],
+    ['FDB', 'FZ', 'flydubai', 'AE', 'SKYDUBAI'],
+    ['ABY', 'G9', 'Air Arabia', 'AE', 'ARABIA'],
+    ['QTR', 'QR', 'Qatar Airways', 'QA', 'QATARI'],
+    ['GFA', 'GF', 'Gulf Air', 'BH', 'GULF AIR'],
+    ['KAC', 'KU', 'Kuwait Airways', 'KW', 'KUWAITI'],
+    ['OMA', 'WY', 'Oman Air', 'OM', 'OMAN AIR'],
+    ['SVA', 'SV', 'Saudia', 'SA', 'SAUDIA'],
+    ['IRA', 'IR', 'Iran Air', 'IR', 'IRANAIR'],
+    ['MSR', 'MS', 'EgyptAir', 'EG', 'EGYPTAIR'],
+    ['RAM', 'AT', 'Royal Air Maroc', 'MA', 'ROYALAIR MAROC'],
+    ['DAH', 'AH', 'Air Algérie', 'DZ', 'AIR ALGERIE'],
+    ['TAR', 'TU', 'Tunisair', 'TN', 'TUNAIR'],
+    ['ETH', 'ET', 'Ethiopian Airlines', 'ET', 'ETHIOPIAN'],
+    ['KQA', 'KQ', 'Kenya Airways', 'KE', 'KENYA'],
+    ['RWD', 'WB', 'RwandAir', 'RW', 'RWANDAIR'],
+    ['SAA', 'SA', 'South African Airways', 'ZA', 'SPRINGBOK'],
+    ['MAU', 'MK', 'Air Mauritius', 'MU', 'AIRMAURITIUS'],
+
+    // Asia and Oceania
+    ['JAL', 'JL', 'Japan Airlines', 'JP', 'JAPANAIR'],
+    ['ANA', 'NH', 'All Nippon Airways', 'JP', 'ALL NIPPON'],
+    ['APJ', 'MM', 'Peach Aviation', 'JP', 'AIR PEACH'],
+    ['KAL', 'KE', 'Korean Air', 'KR', 'KOREANAIR'],
+    ['AAR', 'OZ', 'Asiana Airlines', 'KR', 'ASIANA'],
+    ['JJA', '7C', 'Jeju Air', 'KR', 'JEJU AIR'],
+    ['CCA', 'CA', 'Air China', 'CN', 'AIR CHINA'],
+    ['CES', 'MU', 'China Eastern Airlines', 'CN', 'CHINA EASTERN'],
+    ['CSN', 'CZ', 'China Southern Airlines', 'CN', 'CHINA SOUTHERN'],
+    ['CHH', 'HU', 'Hainan Airlines', 'CN', 'HAINAN'],
+    ['CXA', 'MF', 'Xiamen Airlines', 'CN', 'XIAMEN AIR'],
+    ['CSC', '3U', 'Sichuan Airlines', 'CN', 'SICHUAN'],
+    ['CQH', '9C', 'Spring Airlines', 'CN', 'AIR SPRING'],
+    ['CPA', 'CX', 'Cathay Pacific', 'HK', 'CATHAY'],
+    ['HKE', 'UO', 'HK Express', 'HK', 'HONGKONG SHUTTLE'],
+    ['CAL', 'CI', 'China Airlines', 'TW', 'DYNASTY'],
+    ['EVA', 'BR', 'EVA Air', 'TW', 'EVA'],
+    ['SIA', 'SQ', 'Singapore Airlines', 'SG', 'SINGAPORE'],
+    ['TGW', 'TR', 'Scoot', 'SG', 'SCOOTER'],
+    ['THA', 'TG', 'Thai Airways', 'TH', 'THAI'],
+    ['AIQ', 'FD', 'Thai AirAsia', 'TH', 'THAI ASIA'],
+    ['MAS', 'MH', 'Malaysia Airlines', 'MY', 'MALAYSIAN'],
+    ['AXM', 'AK', 'AirAsia', 'MY', 'RED CAP'],
+    ['GIA', 'GA', 'Garuda Indonesia', 'ID', 'INDONESIA'],
+    ['LNI', 'JT', 'Lion Air', 'ID', 'LION INTER'],
+    ['PAL', 'PR', 'Philippine Airlines', 'PH', 'PHILIPPINE'],
+    ['CEB', '5J', 'Cebu Pacific', 'PH', 'CEBU'],
+    ['HVN', 'VN', 'Vietnam Airlines', 'VN', 'VIET NAM AIRLINES'],
+    ['VJC', 'VJ', 'VietJet Air', 'VN', 'VIETJET'],
+    ['AIC', 'AI', 'Air India', 'IN', 'AIRINDIA'],
+    ['IGO', '6E', 'IndiGo', 'IN', 'IFLY'],
+    ['AKJ', 'QP', 'Akasa Air', 'IN', 'AKASA AIR'],
+    ['ALK', 'UL', 'SriLankan Airlines', 'LK', 'SRILANKAN'],
+    ['PIA', 'PK', 'Pakistan International Airlines', 'PK', 'PAKISTAN'],
+    ['QFA', 'QF', 'Qantas', 'AU', 'QANTAS'],
+    ['VOZ', 'VA', 'Virgin Australia', 'AU', 'VELOCITY'],
+    ['JST', 'JQ', 'Jetstar', 'AU', 'JETSTAR'],
+    ['ANZ', 'NZ', 'Air New Zealand', 'NZ', 'NEW ZEALAND'],
+    ['FJI', 'FJ', 'Fiji Airways', 'FJ', 'PACIFIC'],
+];
+
+module.exports = {
+    AIRLINE_ROWS,
+};
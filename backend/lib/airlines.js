@@ -0,0 +1,60 @@
+/**
+ * Airline lookup and callsign decoding over the bundled table (lib/airlineData.js) —
+ * shared by server.js and worker.js.
+ *
+ * Airline objects: { icao, iata, name, country, callsign }, where `callsign` is the
+ * radio telephony name (e.g. "SPEEDBIRD") and `country` an ISO 3166-1 alpha-2 code.
+ */
+
+const { AIRLINE_ROWS } = require('./airlineData');
+
+const AIRLINES = AIRLINE_ROWS.map(([icao, iata, name, country, callsign]) => ({ icao, iata, name, country, callsign }));
+
+const AIRLINES_BY_ICAO = new Map(AIRLINES.map((airline) => [airline.icao, airline]));
+
+const AIRLINES_BY_IATA = new Map();
+AIRLINES.forEach((airline) => {
+    if (!airline.iata) return;
+    if (!AIRLINES_BY_IATA.has(airline.iata)) AIRLINES_BY_IATA.set(airline.iata, []);
+    AIRLINES_BY_IATA.get(airline.iata).push(airline);
+});
+
+/**
+ * Airline callsigns are the ICAO designator followed by a flight identifier that
+ * starts with a digit ("DLH4AB", "BAW123"). Registrations used as callsigns
+ * ("DAIBC", "N123AB") never match.
+ */
+const AIRLINE_CALLSIGN_PATTERN = /^([A-Z]{3})(\d[0-9A-Z]{0,3})$/;
+
+/** Airline for an ICAO three-letter designator (case-insensitive), or null. */
+const findAirline = (designator) => {
+    if (typeof designator !== 'string') return null;
+    return AIRLINES_BY_ICAO.get(designator.trim().toUpperCase()) || null;
+};
+
+/** Airlines using an IATA two-character code (case-insensitive); codes can be shared. */
+const findAirlinesByIata = (code) => {
+    if (typeof code !== 'string') return [];
+    return AIRLINES_BY_IATA.get(code.trim().toUpperCase()) || [];
+};
+
+/**
+ * Decode a callsign into `{ airline, flightNumber }`, or null when it is not a
+ * known airline's. `flightNumber` is IATA-style ("BA123" for BAW0123) and only
+ * derivable when the flight identifier is all digits and the airline has an
+ * IATA code; alphanumeric identifiers ("DLH4AB") give null.
+ */
+const decodeCallsign = (callsign) => {
+    const match = AIRLINE_CALLSIGN_PATTERN.exec(String(callsign || '').trim().toUpperCase());
+    const airline = match ? findAirline(match[1]) : null;
+    if (!airline) return null;
+    const flightNumber = airline.iata && /^\d+$/.test(match[2]) ? `${airline.iata}${parseInt(match[2], 10)}` : null;
+    return { airline, flightNumber };
+};
+
+module.exports = {
+    AIRLINES,
+    findAirline,
+    findAirlinesByIata,
+    decodeCallsign,
+};
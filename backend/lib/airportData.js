@@ -0,0 +1,262 @@
+/**
+ * Bundled airport dataset — shared by server.js and worker.js (no file access needed).
+ *
+ * Major passenger airports worldwide, one row per airport:
+ *   [icao, iata, name, city, country (ISO 3166-1 alpha-2), latitude, longitude, elevation (ft)]
+ * Coordinates and elevations follow the OurAirports dataset (public domain).
+ */
+
+const AIRPORT_ROWS = [
+    // Europe
+    ['EGLL', 'LHR', 'London Heathrow Airport', 'London', 'GB', 51.4706, -0.4619, 83],
+    ['EGKK', 'LGW', 'London Gatwick Airport', 'London', 'GB', 51.1481, -0.1903, 202],
+    ['EGSS', 'STN', 'London Stansted Airport', 'London', 'GB', 51.8850, 0.2350, 348],
+    ['EGGW', 'LTN', 'London Luton Airport', 'London', 'GB', 51.8747, -0.3683, 526],
+    ['EGLC', 'LCY', 'London City Airport', 'London', 'GB', 51.5053, 0.0553, 19],
+    ['EGCC', 'MAN', 'Manchester Airport', 'Manchester', 'GB', 53.3537, -2.2750, 257],
+    ['EGBB', 'BHX', 'Birmingham Airport', 'Birmingham', 'GB', 52.4539, -1.7480, 327],
+    ['EGPH', 'EDI', 'Edinburgh Airport', 'Edinburgh', 'GB', 55.9500, -3.3725, 135],
+    ['EGPF', 'GLA', 'Glasgow Airport', 'Glasgow', 'GB', 55.8719, -4.4331, 26],
+    ['EGAA', 'BFS', 'Belfast International Airport', 'Belfast', 'GB', 54.6575, -6.2158, 268],
+    ['EIDW', 'DUB', 'Dublin Airport', 'Dublin', 'IE', 53.4213, -6.2701, 242],
+    ['BIKF', 'KEF', 'Keflavík International Airport', 'Reykjavík', 'IS', 63.9850, -22.6056, 171],
+    ['EHAM', 'AMS', 'Amsterdam Airport Schiphol', 'Amsterdam', 'NL', 52.3086, 4.7639, -11],
+    ['EBBR', 'BRU', 'Brussels Airport', 'Brussels', 'BE', 50.9014, 4.4844, 184],
+    ['ELLX', 'LUX', 'Luxembourg Airport', 'Luxembourg', 'LU', 49.6233, 6.2044, 1234],
+    ['LFPG', 'CDG', 'Paris Charles de Gaulle Airport', 'Paris', 'FR', 49.0097, 2.5479, 392],
+    ['LFPO', 'ORY', 'Paris Orly Airport', 'Paris', 'FR', 48.7233, 2.3794, 291],
+    ['LFMN', 'NCE', 'Nice Côte d\'Azur Airport', 'Nice', 'FR', 43.6584, 7.2159, 12],
+    ['LFLL', 'LYS', 'Lyon–Saint-Exupéry Airport', 'Lyon', 'FR', 45.7256, 5.0811, 821],
+    ['LFML', 'MRS', 'Marseille Provence Airport', 'Marseille', 'FR', 43.4393, 5.2214, 74],
+    ['LFBO', 'TLS', 'Toulouse–Blagnac Airport', 'Toulouse', 'FR', 43.6291, 1.3638, 499],
+    ['EDDF', 'FRA', 'Frankfurt am Main Airport', 'Frankfurt', 'DE', 50.0333, 8.5706, 364],
+    ['EDDM', 'MUC', 'Munich Airport', 'Munich', 'DE', 48.3538, 11.7861, 1487],
+    ['EDDB', 'BER', 'Berlin Brandenburg Airport', 'Berlin', 'DE', 52.3667, 13.5033, 157],
+    ['EDDH', 'HAM', 'Hamburg Airport', 'Hamburg', 'DE', 53.6304, 9.9882, 53],
+    ['EDDL', 'DUS', 'Düsseldorf Airport', 'Düsseldorf', 'DE', 51.2895, 6.7668, 147],
+    ['EDDK', 'CGN', 'Cologne Bonn Airport', 'Cologne', 'DE', 50.8659, 7.1427, 302],
+    ['EDDS', 'STR', 'Stuttgart Airport', 'Stuttgart', 'DE', 48.6899, 9.2220, 1276],
+    ['EDDN', 'NUE', 'Nuremberg Airport', 'Nuremberg', 'DE', 49.4987, 11.0669, 1046],
+    ['EDDP', 'LEJ', 'Leipzig/Halle Airport', 'Leipzig', 'DE', 51.4324, 12.2416, 465],
+    ['LSZH', 'ZRH', 'Zurich Airport', 'Zurich', 'CH', 47.4647, 8.5492, 1416],
+    ['LSGG', 'GVA', 'Geneva Airport', 'Geneva', 'CH', 46.2381, 6.1090, 1411],
+    ['LOWW', 'VIE', 'Vienna International Airport', 'Vienna', 'AT', 48.1103, 16.5697, 600],
+    ['LKPR', 'PRG', 'Václav Havel Airport Prague', 'Prague', 'CZ', 50.1008, 14.2600, 1247],
+    ['LHBP', 'BUD', 'Budapest Ferenc Liszt International Airport', 'Budapest', 'HU', 47.4298, 19.2611, 495],
+    ['EPWA', 'WAW', 'Warsaw Chopin Airport', 'Warsaw', 'PL', 52.1657, 20.9671, 362],
+    ['LROP', 'OTP', 'Henri Coandă International Airport', 'Bucharest', 'RO', 44.5711, 26.0850, 314],
+    ['LBSF', 'SOF', 'Sofia Airport', 'Sofia', 'BG', 42.6967, 23.4114, 1742],
+    ['LYBE', 'BEG', 'Belgrade Nikola Tesla Airport', 'Belgrade', 'RS', 44.8184, 20.3091, 335],
+    ['LDZA', 'ZAG', 'Zagreb Franjo Tuđman Airport', 'Zagreb', 'HR', 45.7429, 16.0688, 353],
+    ['LEMD', 'MAD', 'Adolfo Suárez Madrid–Barajas Airport', 'Madrid', 'ES', 40.4719, -3.5626, 1998],
+    ['LEBL', 'BCN', 'Josep Tarradellas Barcelona–El Prat Airport', 'Barcelona', 'ES', 41.2971, 2.0785, 14],
+    ['LEPA', 'PMI', 'Palma de Mallorca Airport', 'Palma de Mallorca', 'ES', 39.5517, 2.7388, 27],
+    ['LEMG', 'AGP', 'Málaga–Costa del Sol Airport', 'Málaga', 'ES', 36.6749, -4.4991, 53],
+    ['LEAL', 'ALC', 'Alicante–Elche Airport', 'Alicante', 'ES', 38.2822, -0.5582, 142],
+    ['LEVC', 'VLC', 'Valencia Airport', 'Valencia', 'ES', 39.4893, -0.4816, 240],
+    ['LEZL', 'SVQ', 'Seville Airport', 'Seville', 'ES', 37.4180, -5.8931, 112],
+    ['GCLP', 'LPA', 'Gran Canaria Airport', 'Las Palmas', 'ES', 27.9319, -15.3866, 78],
+    ['GCTS', 'TFS', 'Tenerife South Airport', 'Tenerife', 'ES', 28.0445, -16.5725, 209],
+    ['LPPT', 'LIS', 'Humberto Delgado Airport', 'Lisbon', 'PT', 38.7813, -9.1359, 374],
+    ['LPPR', 'OPO', 'Francisco Sá Carneiro Airport', 'Porto', 'PT', 41.2481, -8.6814, 228],
+    ['LIRF', 'FCO', 'Rome Fiumicino Airport', 'Rome', 'IT', 41.8003, 12.2389, 13],
+    ['LIMC', 'MXP', 'Milan Malpensa Airport', 'Milan', 'IT', 45.6306, 8.7281, 768],
+    ['LIME', 'BGY', 'Milan Bergamo Airport', 'Bergamo', 'IT', 45.6739, 9.7042, 782],
+    ['LIPZ', 'VCE', 'Venice Marco Polo Airport', 'Venice', 'IT', 45.5053, 12.3519, 7],
+    ['LIPE', 'BLQ', 'Bologna Guglielmo Marconi Airport', 'Bologna', 'IT', 44.5354, 11.2887, 123],
+    ['LIRN', 'NAP', 'Naples International Airport', 'Naples', 'IT', 40.8860, 14.2908, 294],
+    ['LICC', 'CTA', 'Catania–Fontanarossa Airport', 'Catania', 'IT', 37.4668, 15.0664, 39],
+    ['LMML', 'MLA', 'Malta International Airport', 'Valletta', 'MT', 35.8575, 14.4775, 300],
+    ['EKCH', 'CPH', 'Copenhagen Airport', 'Copenhagen', 'DK', 55.6180, 12.6508, 17],
+    ['EKBI', 'BLL', 'Billund Airport', 'Billund', 'DK', 55.7403, 9.1518, 247],
+    ['ESSA', 'ARN', 'Stockholm Arlanda Airport', 'Stockholm', 'SE', 59.6519, 17.9186, 137],
+    ['ESGG', 'GOT', 'Göteborg Landvetter Airport', 'Gothenburg', 'SE', 57.6628, 12.2798, 506],
+    ['ENGM', 'OSL', 'Oslo Gardermoen Airport', 'Oslo', 'NO', 60.1939, 11.1004, 681],
+    ['ENBR', 'BGO', 'Bergen Flesland Airport', 'Bergen', 'NO', 60.2934, 5.2181, 170],
+    ['EFHK', 'HEL', 'Helsinki Airport', 'Helsinki', 'FI', 60.3172, 24.9633, 179],
+    ['EETN', 'TLL', 'Tallinn Airport', 'Tallinn', 'EE', 59.4133, 24.8328, 131],
+    ['EVRA', 'RIX', 'Riga International Airport', 'Riga', 'LV', 56.9236, 23.9711, 36],
+    ['EYVI', 'VNO', 'Vilnius International Airport', 'Vilnius', 'LT', 54.6341, 25.2858, 646],
+    ['LGAV', 'ATH', 'Athens International Airport', 'Athens', 'GR', 37.9364, 23.9445, 308],
+    ['LCLK', 'LCA', 'Larnaca International Airport', 'Larnaca', 'CY', 34.8751, 33.6249, 8],
+    ['LTFM', 'IST', 'Istanbul Airport', 'Istanbul', 'TR', 41.2753, 28.7519, 325],
+    ['LTFJ', 'SAW', 'Istanbul Sabiha Gökçen International Airport', 'Istanbul', 'TR', 40.8986, 29.3092, 312],
+    ['LTAC', 'ESB', 'Ankara Esenboğa Airport', 'Ankara', 'TR', 40.1281, 32.9951, 3125],
+    ['LTAI', 'AYT', 'Antalya Airport', 'Antalya', 'TR', 36.8987, 30.8005, 177],
+    ['UUEE', 'SVO', 'Sheremetyevo International Airport', 'Moscow', 'RU', 55.9726, 37.4146, 630],
+    ['UUDD', 'DME', 'Domodedovo International Airport', 'Moscow', 'RU', 55.4088, 37.9063, 588],
+    ['ULLI', 'LED', 'Pulkovo Airport', 'Saint Petersburg', 'RU', 59.8003, 30.2625, 78],
+    ['UKBB', 'KBP', 'Boryspil International Airport', 'Kyiv', 'UA', 50.3450, 30.8947, 427],
+
+    // Middle East
+    ['LLBG', 'TLV', 'Ben Gurion Airport', 'Tel Aviv', 'IL', 32.0114, 34.8867, 135],
+    ['OJAI', 'AMM', 'Queen Alia International Airport', 'Amman', 'JO', 31.7226, 35.9932, 2395],
+    ['OLBA', 'BEY', 'Beirut–Rafic Hariri International Airport', 'Beirut', 'LB', 33.8209, 35.4884, 87],
+    ['OMDB', 'DXB', 'Dubai International Airport', 'Dubai', 'AE', 25.2528, 55.3644, 62],
+    ['OMAA', 'AUH', 'Zayed International Airport', 'Abu Dhabi', 'AE', 24.4330, 54.6511, 88],
+    ['OTHH', 'DOH', 'Hamad International Airport', 'Doha', 'QA', 25.2731, 51.6081, 13],
+    ['OBBI', 'BAH', 'Bahrain International Airport', 'Manama', 'BH', 26.2708, 50.6336, 6],
+    ['OKBK', 'KWI', 'Kuwait International Airport', 'Kuwait City', 'KW', 29.2266, 47.9689, 206],
+    ['OOMS', 'MCT', 'Muscat International Airport', 'Muscat', 'OM', 23.5933, 58.2844, 48],
+    ['OEJN', 'JED', 'King Abdulaziz International Airport', 'Jeddah', 'SA', 21.6796, 39.1565, 48],
+    ['OERK', 'RUH', 'King Khalid International Airport', 'Riyadh', 'SA', 24.9576, 46.6988, 2049],
+    ['OEDF', 'DMM', 'King Fahd International Airport', 'Dammam', 'SA', 26.4712, 49.7979, 72],
+    ['ORBI', 'BGW', 'Baghdad International Airport', 'Baghdad', 'IQ', 33.2625, 44.2346, 114],
+    ['OIIE', 'IKA', 'Tehran Imam Khomeini International Airport', 'Tehran', 'IR', 35.4161, 51.1522, 3305],
+
+    // Africa
+    ['HECA', 'CAI', 'Cairo International Airport', 'Cairo', 'EG', 30.1219, 31.4056, 382],
+    ['GMMN', 'CMN', 'Mohammed V International Airport', 'Casablanca', 'MA', 33.3675, -7.5899, 656],
+    ['DAAG', 'ALG', 'Houari Boumediene Airport', 'Algiers', 'DZ', 36.6910, 3.2154, 82],
+    ['DTTA', 'TUN', 'Tunis–Carthage International Airport', 'Tunis', 'TN', 36.8510, 10.2272, 22],
+    ['GOBD', 'DSS', 'Blaise Diagne International Airport', 'Dakar', 'SN', 14.6700, -17.0733, 290],
+    ['DNMM', 'LOS', 'Murtala Muhammed International Airport', 'Lagos', 'NG', 6.5774, 3.3212, 135],
+    ['DGAA', 'ACC', 'Kotoka International Airport', 'Accra', 'GH', 5.6052, -0.1668, 205],
+    ['HAAB', 'ADD', 'Addis Ababa Bole International Airport', 'Addis Ababa', 'ET', 8.9779, 38.7993, 7625],
+    ['HKJK', 'NBO', 'Jomo Kenyatta International Airport', 'Nairobi', 'KE', -1.3192, 36.9278, 5330],
+    ['HTDA', 'DAR', 'Julius Nyerere International Airport', 'Dar es Salaam', 'TZ', -6.8781, 39.2026, 182],
+    ['FAOR', 'JNB', 'O. R. Tambo International Airport', 'Johannesburg', 'ZA', -26.1392, 28.2460, 5558],
+    ['FACT', 'CPT', 'Cape Town International Airport', 'Cape Town', 'ZA', -33.9715, 18.6021, 151],
+    ['FALE', 'DUR', 'King Shaka International Airport', 'Durban', 'ZA', -29.6144, 31.1197, 295],
+    ['FIMP', 'MRU', 'Sir Seewoosagur Ramgoolam International Airport', 'Port Louis', 'MU', -20.4302, 57.6836, 186],
+    ['FMMI', 'TNR', 'Ivato International Airport', 'Antananarivo', 'MG', -18.7969, 47.4788, 4198],
+
+    // North America
+    ['KATL', 'ATL', 'Hartsfield–Jackson Atlanta International Airport', 'Atlanta', 'US', 33.6407, -84.4277, 1026],
+    ['KORD', 'ORD', 'Chicago O\'Hare International Airport', 'Chicago', 'US', 41.9742, -87.9073, 672],
+    ['KMDW', 'MDW', 'Chicago Midway International Airport', 'Chicago', 'US', 41.7868, -87.7522, 620],
+    ['KDFW', 'DFW', 'Dallas/Fort Worth International Airport', 'Dallas', 'US', 32.8998, -97.0403, 607],
+    ['KDEN', 'DEN', 'Denver International Airport', 'Denver', 'US', 39.8561, -104.6737, 5434],
+    ['KLAX', 'LAX', 'Los Angeles International Airport', 'Los Angeles', 'US', 33.9416, -118.4085, 128],
+    ['KSFO', 'SFO', 'San Francisco International Airport', 'San Francisco', 'US', 37.6213, -122.3790, 13],
+    ['KOAK', 'OAK', 'Oakland International Airport', 'Oakland', 'US', 37.7213, -122.2208, 9],
+    ['KSJC', 'SJC', 'San José Mineta International Airport', 'San Jose', 'US', 37.3626, -121.9291, 62],
+    ['KSAN', 'SAN', 'San Diego International Airport', 'San Diego', 'US', 32.7336, -117.1897, 17],
+    ['KSEA', 'SEA', 'Seattle–Tacoma International Airport', 'Seattle', 'US', 47.4502, -122.3088, 433],
+    ['KPDX', 'PDX', 'Portland International Airport', 'Portland', 'US', 45.5887, -122.5975, 31],
+    ['KSLC', 'SLC', 'Salt Lake City International Airport', 'Salt Lake City', 'US', 40.7884, -111.9778, 4227],
+    ['KPHX', 'PHX', 'Phoenix Sky Harbor International Airport', 'Phoenix', 'US', 33.4342, -112.0116, 1135],
+    ['KLAS', 'LAS', 'Harry Reid International Airport', 'Las Vegas', 'US', 36.0840, -115.1537, 2181],
+    ['KJFK', 'JFK', 'John F. Kennedy International Airport', 'New York', 'US', 40.6413, -73.7781, 13],
+    ['KLGA', 'LGA', 'LaGuardia Airport', 'New York', 'US', 40.7769, -73.8740, 21],
+    ['KEWR', 'EWR', 'Newark Liberty International Airport', 'Newark', 'US', 40.6895, -74.1745, 18],
+    ['KBOS', 'BOS', 'Boston Logan International Airport', 'Boston', 'US', 42.3656, -71.0096, 20],
+    ['KPHL', 'PHL', 'Philadelphia International Airport', 'Philadelphia', 'US', 39.8719, -75.2411, 36],
+    ['KBWI', 'BWI', 'Baltimore/Washington International Airport', 'Baltimore', 'US', 39.1754, -76.6683, 146],
+    ['KIAD', 'IAD', 'Washington Dulles International Airport', 'Washington', 'US', 38.9531, -77.4565, 313],
+    ['KDCA', 'DCA', 'Ronald Reagan Washington National Airport', 'Washington', 'US', 38.8512, -77.0402, 15],
+    ['KCLT', 'CLT', 'Charlotte Douglas International Airport', 'Charlotte', 'US', 35.2144, -80.9473, 748],
+    ['KRDU', 'RDU', 'Raleigh–Durham International Airport', 'Raleigh', 'US', 35.8776, -78.7875, 435],
+    ['KMIA', 'MIA', 'Miami International Airport', 'Miami', 'US', 25.7959, -80.2870, 8],
+    ['KFLL', 'FLL', 'Fort Lauderdale–Hollywood International Airport', 'Fort Lauderdale', 'US', 26.0726, -80.1527, 9],
+    ['KMCO', 'MCO', 'Orlando International Airport', 'Orlando', 'US', 28.4312, -81.3081, 96],
+    ['KTPA', 'TPA', 'Tampa International Airport', 'Tampa', 'US', 27.9755, -82.5332, 26],
+    ['KIAH', 'IAH', 'George Bush Intercontinental Airport', 'Houston', 'US', 29.9902, -95.3368, 97],
+    ['KHOU', 'HOU', 'William P. Hobby Airport', 'Houston', 'US', 29.6454, -95.2789, 46],
+    ['KAUS', 'AUS', 'Austin–Bergstrom International Airport', 'Austin', 'US', 30.1975, -97.6664, 542],
+    ['KMSY', 'MSY', 'Louis Armstrong New Orleans International Airport', 'New Orleans', 'US', 29.9934, -90.2580, 4],
+    ['KBNA', 'BNA', 'Nashville International Airport', 'Nashville', 'US', 36.1263, -86.6774, 599],
+    ['KSTL', 'STL', 'St. Louis Lambert International Airport', 'St. Louis', 'US', 38.7487, -90.3700, 618],
+    ['KMCI', 'MCI', 'Kansas City International Airport', 'Kansas City', 'US', 39.2976, -94.7139, 1026],
+    ['KMSP', 'MSP', 'Minneapolis–Saint Paul International Airport', 'Minneapolis', 'US', 44.8848, -93.2223, 841],
+    ['KDTW', 'DTW', 'Detroit Metropolitan Wayne County Airport', 'Detroit', 'US', 42.2162, -83.3554, 645],
+    ['KCLE', 'CLE', 'Cleveland Hopkins International Airport', 'Cleveland', 'US', 41.4117, -81.8498, 791],
+    ['KPIT', 'PIT', 'Pittsburgh International Airport', 'Pittsburgh', 'US', 40.4915, -80.2329, 1203],
+    ['KCVG', 'CVG', 'Cincinnati/Northern Kentucky International Airport', 'Cincinnati', 'US', 39.0488, -84.6678, 896],
+    ['PHNL', 'HNL', 'Daniel K. Inouye International Airport', 'Honolulu', 'US', 21.3187, -157.9225, 13],
+    ['PHOG', 'OGG', 'Kahului Airport', 'Kahului', 'US', 20.8986, -156.4305, 54],
+    ['PANC', 'ANC', 'Ted Stevens Anchorage International Airport', 'Anchorage', 'US', 61.1743, -149.9963, 152],
+    ['PAFA', 'FAI', 'Fairbanks International Airport', 'Fairbanks', 'US', 64.8151, -147.8561, 439],
+    ['CYYZ', 'YYZ', 'Toronto Pearson International Airport', 'Toronto', 'CA', 43.6777, -79.6248, 569],
+    ['CYVR', 'YVR', 'Vancouver International Airport', 'Vancouver', 'CA', 49.1967, -123.1815, 14],
+    ['CYUL', 'YUL', 'Montréal–Trudeau International Airport', 'Montreal', 'CA', 45.4706, -73.7408, 118],
+    ['CYYC', 'YYC', 'Calgary International Airport', 'Calgary', 'CA', 51.1215, -114.0076, 3557],
+    ['CYEG', 'YEG', 'Edmonton International Airport', 'Edmonton', 'CA', 53.3097, -113.5800, 2373],
+    ['CYOW', 'YOW', 'Ottawa Macdonald–Cartier International Airport', 'Ottawa', 'CA', 45.3225, -75.6692, 374],
+    ['CYHZ', 'YHZ', 'Halifax Stanfield International Airport', 'Halifax', 'CA', 44.8808, -63.5086, 477],
+    ['MMMX', 'MEX', 'Mexico City International Airport', 'Mexico City', 'MX', 19.4361, -99.0719, 7316],
+    ['MMUN', 'CUN', 'Cancún International Airport', 'Cancún', 'MX', 21.0365, -86.8771, 22],
+    ['MMGL', 'GDL', 'Guadalajara International Airport', 'Guadalajara', 'MX', 20.5218, -103.3112, 5016],
+    ['MMMY', 'MTY', 'Monterrey International Airport', 'Monterrey', 'MX', 25.7785, -100.1069, 1278],
+
+    // Central America and the Caribbean
+    ['MPTO', 'PTY', 'Tocumen International Airport', 'Panama City', 'PA', 9.0714, -79.3835, 135],
+    ['MROC', 'SJO', 'Juan Santamaría International Airport', 'San José', 'CR', 9.9939, -84.2088, 3021],
+    ['MKJP', 'KIN', 'Norman Manley International Airport', 'Kingston', 'JM', 17.9357, -76.7875, 10],
+    ['MDPC', 'PUJ', 'Punta Cana International Airport', 'Punta Cana', 'DO', 18.5674, -68.3634, 47],
+    ['TJSJ', 'SJU', 'Luis Muñoz Marín International Airport', 'San Juan', 'PR', 18.4394, -66.0018, 9],
+
+    // South America
+    ['SBGR', 'GRU', 'São Paulo/Guarulhos International Airport', 'São Paulo', 'BR', -23.4356, -46.4731, 2459],
+    ['SBKP', 'VCP', 'Viracopos International Airport', 'Campinas', 'BR', -23.0074, -47.1345, 2170],
+    ['SBGL', 'GIG', 'Rio de Janeiro/Galeão International Airport', 'Rio de Janeiro', 'BR', -22.8100, -43.2506, 28],
+    ['SBBR', 'BSB', 'Brasília International Airport', 'Brasília', 'BR', -15.8692, -47.9208, 3497],
+    ['SAEZ', 'EZE', 'Ministro Pistarini International Airport', 'Buenos Aires', 'AR', -34.8222, -58.5358, 67],
+    ['SUMU', 'MVD', 'Carrasco International Airport', 'Montevideo', 'UY', -34.8384, -56.0308, 105],
+    ['SCEL', 'SCL', 'Arturo Merino Benítez International Airport', 'Santiago', 'CL', -33.3930, -70.7858, 1555],
+    ['SPJC', 'LIM', 'Jorge Chávez International Airport', 'Lima', 'PE', -12.0219, -77.1143, 113],
+    ['SEQM', 'UIO', 'Mariscal Sucre International Airport', 'Quito', 'EC', -0.1292, -78.3575, 7841],
+    ['SKBO', 'BOG', 'El Dorado International Airport', 'Bogotá', 'CO', 4.7016, -74.1469, 8361],
+
+    // Asia
+    ['UAAA', 'ALA', 'Almaty International Airport', 'Almaty', 'KZ', 43.3521, 77.0405, 2234],
+    ['UTTT', 'TAS', 'Tashkent International Airport', 'Tashkent', 'UZ', 41.2579, 69.2812, 1417],
+    ['OPKC', 'KHI', 'Jinnah International Airport', 'Karachi', 'PK', 24.9065, 67.1608, 100],
+    ['VIDP', 'DEL', 'Indira Gandhi International Airport', 'Delhi', 'IN', 28.5562, 77.1000, 777],
+    ['VABB', 'BOM', 'Chhatrapati Shivaji Maharaj International Airport', 'Mumbai', 'IN', 19.0896, 72.8656, 39],
+    ['VOBL', 'BLR', 'Kempegowda International Airport', 'Bengaluru', 'IN', 13.1986, 77.7066, 3000],
+    ['VOMM', 'MAA', 'Chennai International Airport', 'Chennai', 'IN', 12.9941, 80.1709, 52],
+    ['VOHS', 'HYD', 'Rajiv Gandhi International Airport', 'Hyderabad', 'IN', 17.2403, 78.4294, 2024],
+    ['VOCI', 'COK', 'Cochin International Airport', 'Kochi', 'IN', 10.1520, 76.4019, 30],
+    ['VECC', 'CCU', 'Netaji Subhas Chandra Bose International Airport', 'Kolkata', 'IN', 22.6547, 88.4467, 16],
+    ['VCBI', 'CMB', 'Bandaranaike International Airport', 'Colombo', 'LK', 7.1808, 79.8841, 26],
+    ['VRMM', 'MLE', 'Velana International Airport', 'Malé', 'MV', 4.1918, 73.5291, 6],
+    ['VNKT', 'KTM', 'Tribhuvan International Airport', 'Kathmandu', 'NP', 27.6966, 85.3591, 4390],
+    ['VGHS', 'DAC', 'Hazrat Shahjalal International Airport', 'Dhaka', 'BD', 23.8433, 90.3978, 30],
+    ['VTBS', 'BKK', 'Suvarnabhumi Airport', 'Bangkok', 'TH', 13.6900, 100.7501, 5],
+    ['VTSP', 'HKT', 'Phuket International Airport', 'Phuket', 'TH', 8.1132, 98.3169, 82],
+    ['VVTS', 'SGN', 'Tan Son Nhat International Airport', 'Ho Chi Minh City', 'VN', 10.8188, 106.6520, 33],
+    ['VVNB', 'HAN', 'Noi Bai International Airport', 'Hanoi', 'VN', 21.2212, 105.8072, 39],
+    ['WSSS', 'SIN', 'Singapore Changi Airport', 'Singapore', 'SG', 1.3644, 103.9915, 22],
+    ['WMKK', 'KUL', 'Kuala Lumpur International Airport', 'Kuala Lumpur', 'MY', 2.7456, 101.7099, 69],
+    ['WBKK', 'BKI', 'Kota Kinabalu International Airport', 'Kota Kinabalu', 'MY', 5.9372, 116.0510, 10],
+    ['WIII', 'CGK', 'Soekarno–Hatta International Airport', 'Jakarta', 'ID', -6.1256, 106.6559, 34],
+    ['WADD', 'DPS', 'I Gusti Ngurah Rai International Airport', 'Denpasar', 'ID', -8.7482, 115.1672, 14],
+    ['RPLL', 'MNL', 'Ninoy Aquino International Airport', 'Manila', 'PH', 14.5086, 121.0194, 75],
+    ['VHHH', 'HKG', 'Hong Kong International Airport', 'Hong Kong', 'HK', 22.3080, 113.9185, 28],
+    ['VMMC', 'MFM', 'Macau International Airport', 'Macau', 'MO', 22.1496, 113.5920, 20],
+    ['RCTP', 'TPE', 'Taiwan Taoyuan International Airport', 'Taipei', 'TW', 25.0777, 121.2328, 106],
+    ['ZBAA', 'PEK', 'Beijing Capital International Airport', 'Beijing', 'CN', 40.0799, 116.6031, 116],
+    ['ZSPD', 'PVG', 'Shanghai Pudong International Airport', 'Shanghai', 'CN', 31.1443, 121.8083, 13],
+    ['ZSSS', 'SHA', 'Shanghai Hongqiao International Airport', 'Shanghai', 'CN', 31.1979, 121.3363, 10],
+    ['ZGGG', 'CAN', 'Guangzhou Baiyun International Airport', 'Guangzhou', 'CN', 23.3924, 113.2988, 50],
+    ['ZGSZ', 'SZX', 'Shenzhen Bao\'an International Airport', 'Shenzhen', 'CN', 22.6393, 113.8107, 13],
+    ['ZUUU', 'CTU', 'Chengdu Shuangliu International Airport', 'Chengdu', 'CN', 30.5785, 103.9471, 1625],
+    ['ZUCK', 'CKG', 'Chongqing Jiangbei International Airport', 'Chongqing', 'CN', 29.7192, 106.6417, 1365],
+    ['ZLXY', 'XIY', 'Xi\'an Xianyang International Airport', 'Xi\'an', 'CN', 34.4471, 108.7516, 1572],
+    ['RKSI', 'ICN', 'Incheon International Airport', 'Seoul', 'KR', 37.4602, 126.4407, 23],
+    ['RKPC', 'CJU', 'Jeju International Airport', 'Jeju', 'KR', 33.5113, 126.4930, 118],
+    ['RJTT', 'HND', 'Tokyo Haneda Airport', 'Tokyo', 'JP', 35.5494, 139.7798, 35],
+    ['RJAA', 'NRT', 'Narita International Airport', 'Tokyo', 'JP', 35.7720, 140.3929, 141],
+    ['RJBB', 'KIX', 'Kansai International Airport', 'Osaka', 'JP', 34.4320, 135.2304, 26],
+    ['RJCC', 'CTS', 'New Chitose Airport', 'Sapporo', 'JP', 42.7752, 141.6923, 82],
+    ['RJFF', 'FUK', 'Fukuoka Airport', 'Fukuoka', 'JP', 33.5859, 130.4511, 32],
+    ['ROAH', 'OKA', 'Naha Airport', 'Naha', 'JP', 26.1958, 127.6459, 12],
+
+    // Oceania
+    ['YSSY', 'SYD', 'Sydney Kingsford Smith Airport', 'Sydney', 'AU', -33.9399, 151.1753, 21],
+    ['YMML', 'MEL', 'Melbourne Airport', 'Melbourne', 'AU', -37.6690, 144.8410, 434],
+    ['YBBN', 'BNE', 'Brisbane Airport', 'Brisbane', 'AU', -27.3842, 153.1175, 13],
+    ['YPPH', 'PER', 'Perth Airport', 'Perth', 'AU', -31.9385, 115.9672, 67],
+    ['YPAD', 'ADL', 'Adelaide Airport', 'Adelaide', 'AU', -34.9450, 138.5306, 20],
+    ['YBCS', 'CNS', 'Cairns Airport', 'Cairns', 'AU', -16.8858, 145.7553, 10],
+    ['NZAA', 'AKL', 'Auckland Airport', 'Auckland', 'NZ', -37.0082, 174.7850, 23],
+    ['NZCH', 'CHC', 'Christchurch Airport', 'Christchurch', 'NZ', -43.4894, 172.5322, 123],
+    ['NFFN', 'NAN', 'Nadi International Airport', 'Nadi', 'FJ', -17.7554, 177.4431, 59],
+    ['NTAA', 'PPT', 'Faa\'a International Airport', 'Papeete', 'PF', -17.5537, -149.6065, 5],
+    ['PGUM', 'GUM', 'Antonio B. Won Pat International Airport', 'Guam', 'GU', 13.4834, 144.7960, 298],
+];
+
+module.exports = {
+    AIRPORT_ROWS,
+};
@@ -0,0 +1,125 @@
+/**
+ * Airport lookup and search over the bundled dataset (lib/airportData.js) —
+ * shared by server.js and worker.js.
+ *
+ * Airport objects: { icao, iata, name, city, country, latitude, longitude, elevation_ft },
+ * where `country` is an ISO 3166-1 alpha-2 code.
+ */
+
+const { AIRPORT_ROWS } = require('./airportData');
+const { isInBbox, normalizeBbox } = require('./flightUtils');
+
+const AIRPORTS_DEFAULT_LIMIT = 250;
+const AIRPORTS_MAX_LIMIT = 1_000;
+
+const AIRPORTS = AIRPORT_ROWS.map(([icao, iata, name, city, country, latitude, longitude, elevation_ft]) => ({
+    icao, iata, name, city, country, latitude, longitude, elevation_ft,
+}));
+
+/** ICAO and IATA code → airport. */
+const AIRPORTS_BY_CODE = new Map();
+AIRPORTS.forEach((airport) => {
+    AIRPORTS_BY_CODE.set(airport.icao, airport);
+    if (airport.iata) AIRPORTS_BY_CODE.set(airport.iata, airport);
+});
+
+/** Lower-case, accent-free text for matching ("Zürich" and "zurich" compare equal). */
+const foldText = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const SEARCH_TEXT = new Map(AIRPORTS.map((airport) => [airport, foldText(`${airport.name} ${airport.city}`)]));
+
+/** Airport for an ICAO or IATA code (case-insensitive), or null. */
+const findAirport = (code) => {
+    if (typeof code !== 'string') return null;
+    return AIRPORTS_BY_CODE.get(code.trim().toUpperCase()) || null;
+};
+
+/**
+ * How well `airport` matches a folded query: 0 exact code, 1 name/city prefix,
+ * 2 word prefix, 3 substring; null when it does not match.
+ */
+const matchRank = (airport, query) => {
+    if (airport.icao.toLowerCase() === query || airport.iata?.toLowerCase() === query) return 0;
+    const text = SEARCH_TEXT.get(airport);
+    if (text.startsWith(query) || foldText(airport.city).startsWith(query)) return 1;
+    if (text.includes(` ${query}`)) return 2;
+    if (text.includes(query)) return 3;
+    return null;
+};
+
+/**
+ * Airports inside `bbox` (optional, antimeridian-aware) matching the text `q`
+ * (optional; ICAO/IATA code, name or city), best matches first.
+ * @returns {{ airports: object[], total: number }}
+ */
+const searchAirports = ({ bbox = null, q = '', limit = AIRPORTS_DEFAULT_LIMIT } = {}) => {
+    const query = foldText(q);
+    const matches = [];
+    AIRPORTS.forEach((airport, index) => {
+        if (bbox && !isInBbox(airport.latitude, airport.longitude, bbox)) return;
+        const rank = query ? matchRank(airport, query) : 0;
+        if (rank != null) matches.push({ airport, rank, index });
+    });
+    matches.sort((a, b) => a.rank - b.rank || a.index - b.index);
+    return { airports: matches.slice(0, limit).map(({ airport }) => airport), total: matches.length };
+};
+
+/**
+ * Parse /api/airports query parameters (`lat_min`, `lon_min`, `lat_max`, `lon_max`, `q`, `limit`).
+ * The bbox is optional but must be complete when given.
+ * Returns `{ query: { bbox, q, limit } }`, or `{ status, body }` describing the error response.
+ */
+const parseAirportsQuery = ({ lat_min, lon_min, lat_max, lon_max, q, limit } = {}) => {
+    const bounds = [lat_min, lon_min, lat_max, lon_max];
+    const given = bounds.filter((value) => value != null && value !== '');
+    let bbox = null;
+    if (given.length > 0) {
+        const [minLat, minLon, maxLat, maxLon] = bounds.map((value) => parseFloat(value));
+        if (given.length < 4 || ![minLat, minLon, maxLat, maxLon].every(Number.isFinite)) {
+            return { status: 400, body: { message: 'Invalid bbox — pass all of lat_min, lon_min, lat_max, lon_max as finite numbers.' } };
+        }
+        bbox = normalizeBbox({ minLat, maxLat, minLon, maxLon });
+    }
+
+    const parsedLimit = limit == null || limit === '' ? AIRPORTS_DEFAULT_LIMIT : parseInt(limit, 10);
+    if (!Number.isFinite(parsedLimit) || parsedLimit < 1) {
+        return { status: 400, body: { message: 'limit must be a positive integer.' } };
+    }
+
+    return { query: { bbox, q: String(q || '').slice(0, 100), limit: Math.min(parsedLimit, AIRPORTS_MAX_LIMIT) } };
+};
+
+/** /api/airports response body for a parsed query. */
+const buildAirportsResponse = (query) => {
+    const { airports, total } = searchAirports(query);
+    return {
+        count: airports.length,
+        total,
+        airports,
+        _meta: { bbox: query.bbox, q: query.q || null, limit: query.limit, dataset: AIRPORTS.length },
+    };
+};
+
+/**
+ * Add `departureAirport` / `arrivalAirport` objects (or null when unknown) to an
+ * OpenSky /flights/aircraft record; null records pass through.
+ */
+const withFlightInfoAirports = (info) => {
+    if (!info) return info;
+    return {
+        ...info,
+        departureAirport: findAirport(info.estDepartureAirport),
+        arrivalAirport: findAirport(info.estArrivalAirport),
+    };
+};
+
+module.exports = {
+    AIRPORTS,
+    AIRPORTS_DEFAULT_LIMIT,
+    AIRPORTS_MAX_LIMIT,
+    findAirport,
+    searchAirports,
+    parseAirportsQuery,
+    buildAirportsResponse,
+    withFlightInfoAirports,
+};
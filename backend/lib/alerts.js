@@ -0,0 +1,201 @@
+/**
+ * Emergency and SPI alerts — shared by server.js and worker.js.
+ *
+ * A flight is in an emergency when it squawks 7500/7600/7700 or its feed reports
+ * an emergency state (adsb.lol `emergency` or the SBS emergency flag, carried in
+ * state-vector slot 18); transformState puts the result in `flight.emergency`.
+ * SPI (the pilot pressing IDENT) is tracked too, as an informational alert.
+ *
+ * Every flights payload the backend serves is fed to an alert tracker, which
+ * records when each alert started and ended for /api/alerts. Like the track
+ * history it only sees aircraft in payloads this backend served, and in a
+ * Worker it is isolate-local.
+ */
+
+const { normalizeIcao24 } = require('./openskyApi');
+
+/** Emergency squawk code → emergency type. */
+const EMERGENCY_SQUAWKS = { 7500: 'unlawful', 7600: 'nordo', 7700: 'general' };
+
+/** Emergency types (readsb / adsb.lol naming) → label. */
+const EMERGENCY_TYPES = {
+    general: 'General emergency',
+    lifeguard: 'Lifeguard / medical',
+    minfuel: 'Minimum fuel',
+    nordo: 'Radio failure',
+    unlawful: 'Unlawful interference',
+    downed: 'Downed aircraft',
+};
+
+const SPI_ALERT = 'spi';
+const SPI_LABEL = 'Ident (SPI)';
+
+const ALERTS_DEFAULT_RETENTION_MINUTES = 60;
+/** Active alerts of an aircraft not seen for this long are ended (same as MAX_POSITION_AGE_S). */
+const ALERT_STALE_S = 300;
+/** Most ended alerts kept. */
+const ALERTS_MAX_ENDED = 1_000;
+
+/**
+ * Emergency type for a squawk and an optional feed-reported state, or null.
+ * A reported state ("general", "minfuel", …) wins over the squawk; "none" and
+ * unknown states fall back to it.
+ */
+const classifyEmergency = (squawk, reported = null) => {
+    const state = typeof reported === 'string' ? reported.trim().toLowerCase() : '';
+    if (EMERGENCY_TYPES[state]) return state;
+    return EMERGENCY_SQUAWKS[String(squawk ?? '').trim()] ?? null;
+};
+
+/** Alert types a flight currently raises. */
+const flightAlertTypes = (flight) => {
+    const types = [];
+    const emergency = flight.emergency ?? classifyEmergency(flight.squawk);
+    if (emergency) types.push(emergency);
+    if (flight.spi === true) types.push(SPI_ALERT);
+    return types;
+};
+
+/** Emergencies before SPI, then most recently started first. */
+const compareAlerts = (a, b) =>
+    (a.severity === b.severity ? 0 : a.severity === 'emergency' ? -1 : 1) || b.startedAt - a.startedAt;
+
+/**
+ * Create an alert tracker. Ended alerts are kept for `retentionS` seconds.
+ */
+const createAlertTracker = ({ retentionS = ALERTS_DEFAULT_RETENTION_MINUTES * 60 } = {}) => {
+    const active = new Map(); // icao24 → Map(type → alert)
+    let ended = [];
+
+    const endAlert = (alertsByType, type, endedAt) => {
+        const alert = alertsByType.get(type);
+        alertsByType.delete(type);
+        alert.endedAt = endedAt;
+        ended.unshift(alert);
+    };
+
+    /** Update alerts from a processed flights payload (`flights`, `_source`, `timestamp`). */
+    const recordPayload = (data) => {
+        if (!Array.isArray(data?.flights)) return;
+        const source = data._source || 'unknown';
+        const nowS = Math.floor((data.timestamp || Date.now()) / 1000);
+
+        data.flights.forEach((flight) => {
+            const icao = normalizeIcao24(flight.icao24);
+            if (!icao) return;
+            const time = flight.last_contact ?? flight.time_position ?? nowS;
+            const types = flightAlertTypes(flight);
+            const alertsByType = active.get(icao) ?? new Map();
+
+            // Alerts the aircraft no longer raises end now (e.g. 7600 changed to 7700)
+            [...alertsByType.keys()].forEach((type) => {
+                if (!types.includes(type)) endAlert(alertsByType, type, time);
+            });
+
+            types.forEach((type) => {
+                let alert = alertsByType.get(type);
+                if (!alert) {
+                    alert = {
+                        id: `${icao}-${type}-${time}`,
+                        icao24: icao,
+                        type,
+                        label: type === SPI_ALERT ? SPI_LABEL : EMERGENCY_TYPES[type],
+                        severity: type === SPI_ALERT ? 'info' : 'emergency',
+                        startedAt: time,
+                        endedAt: null,
+                    };
+                    alertsByType.set(type, alert);
+                }
+                if (time < alert.lastSeen) return;
+                Object.assign(alert, {
+                    lastSeen: time,
+                    callsign: flight.callsign?.trim() || alert.callsign || null,
+                    squawk: flight.squawk ?? null,
+                    latitude: flight.latitude ?? null,
+                    longitude: flight.longitude ?? null,
+                    altitude_ft: flight.altitude_ft ?? null,
+                    origin_country: flight.origin_country ?? null,
+                    source,
+                });
+            });
+
+            if (alertsByType.size > 0) active.set(icao, alertsByType);
+            else active.delete(icao);
+        });
+
+        // Aircraft that dropped out of every payload: end their alerts when last seen
+        active.forEach((alertsByType, icao) => {
+            [...alertsByType.entries()].forEach(([type, alert]) => {
+                if (nowS - alert.lastSeen > ALERT_STALE_S) endAlert(alertsByType, type, alert.lastSeen);
+            });
+            if (alertsByType.size === 0) active.delete(icao);
+        });
+
+        const cutoff = nowS - retentionS;
+        ended = ended.filter((alert) => alert.endedAt >= cutoff).slice(0, ALERTS_MAX_ENDED);
+    };
+
+    /**
+     * Alerts as `{ active, ended }`: active ones emergencies first, ended ones most recent first.
+     * `severity: 'emergency'` leaves out SPI; `includeEnded: false` leaves out ended alerts.
+     */
+    const list = ({ severity = null, includeEnded = true } = {}) => {
+        const keep = (alert) => !severity || alert.severity === severity;
+        const withDuration = (alert) => ({ ...alert, durationS: (alert.endedAt ?? alert.lastSeen) - alert.startedAt });
+        const current = [];
+        active.forEach((alertsByType) => alertsByType.forEach((alert) => {
+            if (keep(alert)) current.push(withDuration(alert));
+        }));
+        return {
+            active: current.sort(compareAlerts),
+            ended: includeEnded ? ended.filter(keep).sort((a, b) => b.endedAt - a.endedAt).map(withDuration) : [],
+        };
+    };
+
+    return {
+        recordPayload,
+        list,
+        status: () => {
+            let activeCount = 0;
+            active.forEach((alertsByType) => { activeCount += alertsByType.size; });
+            return { active: activeCount, ended: ended.length, retentionMinutes: Math.round(retentionS / 60) };
+        },
+    };
+};
+
+/**
+ * Parse /api/alerts query parameters: `severity` (emergency|info) and `active`
+ * (true leaves out ended alerts). Returns `{ query }`, or `{ status, body }`
+ * describing the error response.
+ */
+const parseAlertsQuery = ({ severity, active } = {}) => {
+    const level = severity == null || severity === '' ? null : String(severity).trim().toLowerCase();
+    if (level && level !== 'emergency' && level !== 'info') {
+        return { status: 400, body: { message: 'severity must be "emergency" or "info".' } };
+    }
+    const activeOnly = String(active ?? '').trim().toLowerCase();
+    return { query: { severity: level, includeEnded: !(activeOnly === 'true' || activeOnly === '1') } };
+};
+
+/** /api/alerts response body for a parsed query. */
+const buildAlertsResponse = (tracker, query) => {
+    const { active, ended } = tracker.list(query);
+    return {
+        count: active.length,
+        active,
+        ended,
+        types: { ...EMERGENCY_TYPES, [SPI_ALERT]: SPI_LABEL },
+        _meta: { ...tracker.status(), severity: query.severity, staleAfterS: ALERT_STALE_S },
+        timestamp: Date.now(),
+    };
+};
+
+module.exports = {
+    EMERGENCY_SQUAWKS,
+    EMERGENCY_TYPES,
+    ALERTS_DEFAULT_RETENTION_MINUTES,
+    classifyEmergency,
+    createAlertTracker,
+    parseAlertsQuery,
+    buildAlertsResponse,
+};
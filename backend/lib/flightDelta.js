@@ -0,0 +1,112 @@
+/**
+ * Versioned /api/flights responses — shared by server.js and worker.js.
+ *
+ * Every full response carries a `version` token. A client that sends it back
+ * as `?since=<version>` gets only what changed since then:
+ *   { delta: true, since, version, added: [flight], changed: [{ icao24, ...changedFields }],
+ *     removed: [icao24], _fallback, _source, _message, _meta, timestamp }
+ * Unknown or expired versions (server restart, another Worker isolate, panned
+ * to a bbox we never served) simply get a full response with a new version.
+ */
+
+const DELTA_MAX_VERSIONS = 200;
+const DELTA_MAX_AGE_MS = 5 * 60_000;
+
+/**
+ * Whether two field values are equal. Arrays and objects (`sensors`, enrichment
+ * objects) are rebuilt for every payload, so they are compared by value.
+ */
+const sameValue = (a, b) => {
+    if (a === b) return true;
+    if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every((key) => Object.hasOwn(b, key) && sameValue(a[key], b[key]));
+};
+
+/** Fields of `next` that differ from `previous` (removed fields become null), or null when equal. */
+const diffFlightFields = (previous, next) => {
+    let changed = null;
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    keys.forEach((key) => {
+        if (sameValue(previous[key], next[key])) return;
+        if (!changed) changed = { icao24: next.icao24 };
+        changed[key] = next[key] === undefined ? null : next[key];
+    });
+    return changed;
+};
+
+/**
+ * Diff two flight lists keyed by icao24.
+ * @returns {{ added: object[], changed: object[], removed: string[] }}
+ */
+const diffFlightLists = (previousById, flights) => {
+    const added = [];
+    const changed = [];
+    const seen = new Set();
+
+    flights.forEach((flight) => {
+        seen.add(flight.icao24);
+        const previous = previousById.get(flight.icao24);
+        if (!previous) {
+            added.push(flight);
+            return;
+        }
+        const fields = diffFlightFields(previous, flight);
+        if (fields) changed.push(fields);
+    });
+
+    const removed = [...previousById.keys()].filter((icao) => !seen.has(icao));
+    return { added, changed, removed };
+};
+
+/**
+ * In-memory store of recently served flight sets, keyed by version token.
+ * The oldest versions are evicted first (Map insertion order).
+ */
+const createDeltaStore = ({ maxVersions = DELTA_MAX_VERSIONS, maxAgeMs = DELTA_MAX_AGE_MS } = {}) => {
+    const versions = new Map(); // version → { flightsById, storedAt }
+    let sequence = 0;
+
+    const nextVersion = () =>
+        `${Date.now().toString(36)}.${(++sequence).toString(36)}.${Math.random().toString(36).slice(2, 8)}`;
+
+    const evict = (now) => {
+        for (const [version, entry] of versions) {
+            if (versions.size <= maxVersions && now - entry.storedAt <= maxAgeMs) break;
+            versions.delete(version);
+        }
+    };
+
+    /**
+     * Turn a full /api/flights payload into the response for `since`:
+     * a delta when `since` is a known version, otherwise the payload plus `version`.
+     */
+    const respond = (data, since) => {
+        // Density overviews (flightTiles) carry cells, not flights — nothing to version.
+        if (!Array.isArray(data.flights)) return data;
+
+        const now = Date.now();
+        const flights = data.flights || [];
+        const version = nextVersion();
+        const base = since ? versions.get(since) : null;
+
+        versions.set(version, { flightsById: new Map(flights.map((f) => [f.icao24, f])), storedAt: now });
+        evict(now);
+
+        if (!base || now - base.storedAt > maxAgeMs) return { ...data, version };
+
+        const meta = { ...data };
+        delete meta.flights;
+        return { delta: true, since, version, ...diffFlightLists(base.flightsById, flights), ...meta };
+    };
+
+    return { respond, size: () => versions.size };
+};
+
+module.exports = {
+    diffFlightFields,
+    diffFlightLists,
+    createDeltaStore,
+};
@@ -0,0 +1,207 @@
+/**
+ * Compact encodings of /api/flights responses — shared by server.js and worker.js.
+ * Both encode the `flights` produced by processFlightStates; the frontend decoder
+ * (frontend/src/utils/flightFormats.js) rebuilds the same flight objects.
+ *
+ * Negotiated with `?format=json|columnar|binary` or the Accept header:
+ *   application/vnd.flight-tracker.columnar+json   arrays per field
+ *   application/vnd.flight-tracker.binary          typed-array layout below
+ * Delta responses (`since=`) and density overviews are always plain JSON — they are already small.
+ *
+ * Derived fields (heading, altitude_ft, speed_kts, speed_mph, aircraft_type) and
+ * `sensors` are not sent; decoders recompute them. `dictionaries.aircraft_type`
+ * maps the category codes present to their names. Optional string fields
+ * (OPTIONAL_FIELDS: airline/flight_number decoded from the callsign,
+ * registration/typecode from the aircraft database, country_code/address_type
+ * from the ICAO address block, emergency, phase from the phase tracker, and
+ * filter_reason from include_ground requests) are sent only when at least one
+ * flight has them.
+ *
+ * Binary layout, version 1 (all integers little-endian):
+ *   0   4 bytes   magic "FLTS"
+ *   4   uint8     layout version (1)
+ *   5   3 bytes   reserved (0)
+ *   8   uint32    aircraft count N
+ *   12  uint32    header length H
+ *   16  H bytes   UTF-8 JSON header: { strings, dictionaries, optionalColumns, version,
+ *                 _fallback, _source, _message, _meta, timestamp }
+ *                 optionalColumns: { field: [index into strings, or null] } (present fields only)
+ *       0–3 bytes zero padding to a multiple of 4
+ *   then one column of N values per field, in this order:
+ *       float32   longitude, latitude, baro_altitude, velocity, true_track,
+ *                 vertical_rate, geo_altitude                    (NaN = null)
+ *       uint32    time_position, last_contact                    (0 = null)
+ *       uint32    icao24, callsign, origin_country, squawk       (index into header.strings, 0xFFFFFFFF = null)
+ *       uint8     flags (bit 0 on_ground, bit 1 spi), position_source, category
+ */
+
+const { getAircraftType } = require('./flightUtils');
+
+const FLIGHT_FORMATS = ['json', 'columnar', 'binary'];
+const COLUMNAR_MEDIA_TYPE = 'application/vnd.flight-tracker.columnar+json';
+const BINARY_MEDIA_TYPE = 'application/vnd.flight-tracker.binary';
+const BINARY_MAGIC = 'FLTS';
+const BINARY_LAYOUT_VERSION = 1;
+const NULL_STRING_INDEX = 0xffffffff;
+
+/** Fields sent by the columnar format, in order. */
+const COLUMNAR_FIELDS = [
+    'icao24', 'callsign', 'origin_country', 'time_position', 'last_contact',
+    'longitude', 'latitude', 'baro_altitude', 'on_ground', 'velocity', 'true_track',
+    'vertical_rate', 'geo_altitude', 'squawk', 'spi', 'position_source', 'category',
+];
+
+const BINARY_FLOAT_FIELDS = ['longitude', 'latitude', 'baro_altitude', 'velocity', 'true_track', 'vertical_rate', 'geo_altitude'];
+const BINARY_TIME_FIELDS = ['time_position', 'last_contact'];
+const BINARY_STRING_FIELDS = ['icao24', 'callsign', 'origin_country', 'squawk'];
+
+/** String fields only some payloads carry; encoded only when present. */
+const OPTIONAL_FIELDS = ['airline', 'flight_number', 'registration', 'typecode', 'country_code', 'address_type', 'emergency', 'phase', 'filter_reason'];
+
+/**
+ * Pick the response format from `?format=` (wins) or the Accept header.
+ * @returns {'json'|'columnar'|'binary'}
+ */
+const negotiateFlightsFormat = (formatParam, acceptHeader) => {
+    const requested = String(formatParam || '').toLowerCase();
+    if (FLIGHT_FORMATS.includes(requested)) return requested;
+
+    const accept = String(acceptHeader || '').toLowerCase();
+    if (accept.includes(BINARY_MEDIA_TYPE)) return 'binary';
+    if (accept.includes(COLUMNAR_MEDIA_TYPE)) return 'columnar';
+    return 'json';
+};
+
+/** Everything in a payload except `flights` (metadata carried by every format). */
+const payloadMeta = (data) => {
+    const meta = { ...data };
+    delete meta.flights;
+    return meta;
+};
+
+const aircraftTypeDictionary = (flights) => {
+    const dictionary = {};
+    flights.forEach(({ category }) => {
+        if (!(category in dictionary)) dictionary[category] = getAircraftType(category);
+    });
+    return dictionary;
+};
+
+const presentOptionalFields = (flights) =>
+    OPTIONAL_FIELDS.filter((field) => flights.some((flight) => flight[field] != null));
+
+/** Columnar JSON: `{ format, formatVersion, count, columns: { field: [...] }, dictionaries, ...meta }`. */
+const encodeColumnar = (data) => {
+    const flights = data.flights || [];
+    const columns = {};
+    [...COLUMNAR_FIELDS, ...presentOptionalFields(flights)].forEach((field) => {
+        columns[field] = flights.map((flight) => flight[field] ?? null);
+    });
+
+    return {
+        format: 'columnar',
+        formatVersion: 1,
+        count: flights.length,
+        columns,
+        dictionaries: { aircraft_type: aircraftTypeDictionary(flights) },
+        ...payloadMeta(data),
+    };
+};
+
+/** Binary typed-array layout (see the table at the top of this file). */
+const encodeBinary = (data) => {
+    const flights = data.flights || [];
+    const count = flights.length;
+
+    const strings = [];
+    const stringIndex = new Map();
+    const internString = (value) => {
+        if (value == null || value === '') return NULL_STRING_INDEX;
+        let index = stringIndex.get(value);
+        if (index === undefined) {
+            index = strings.length;
+            strings.push(value);
+            stringIndex.set(value, index);
+        }
+        return index;
+    };
+    const stringColumns = BINARY_STRING_FIELDS.map((field) => flights.map((flight) => internString(flight[field])));
+    const optionalColumns = {};
+    presentOptionalFields(flights).forEach((field) => {
+        optionalColumns[field] = flights.map((flight) => {
+            const index = internString(flight[field]);
+            return index === NULL_STRING_INDEX ? null : index;
+        });
+    });
+
+    const header = new TextEncoder().encode(JSON.stringify({
+        strings,
+        dictionaries: { aircraft_type: aircraftTypeDictionary(flights) },
+        ...(Object.keys(optionalColumns).length > 0 ? { optionalColumns } : {}),
+        ...payloadMeta(data),
+    }));
+    const columnsOffset = Math.ceil((16 + header.length) / 4) * 4;
+    const fourByteColumns = BINARY_FLOAT_FIELDS.length + BINARY_TIME_FIELDS.length + BINARY_STRING_FIELDS.length;
+    const buffer = new ArrayBuffer(columnsOffset + count * (fourByteColumns * 4 + 3));
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < BINARY_MAGIC.length; i++) bytes[i] = BINARY_MAGIC.charCodeAt(i);
+    view.setUint8(4, BINARY_LAYOUT_VERSION);
+    view.setUint32(8, count, true);
+    view.setUint32(12, header.length, true);
+    bytes.set(header, 16);
+
+    let offset = columnsOffset;
+    BINARY_FLOAT_FIELDS.forEach((field) => {
+        flights.forEach((flight) => {
+            const value = flight[field];
+            view.setFloat32(offset, Number.isFinite(value) ? value : NaN, true);
+            offset += 4;
+        });
+    });
+    BINARY_TIME_FIELDS.forEach((field) => {
+        flights.forEach((flight) => {
+            const value = flight[field];
+            view.setUint32(offset, Number.isFinite(value) && value > 0 ? value : 0, true);
+            offset += 4;
+        });
+    });
+    stringColumns.forEach((column) => {
+        column.forEach((index) => {
+            view.setUint32(offset, index, true);
+            offset += 4;
+        });
+    });
+    flights.forEach((flight) => { bytes[offset++] = (flight.on_ground ? 1 : 0) | (flight.spi ? 2 : 0); });
+    flights.forEach((flight) => { bytes[offset++] = flight.position_source || 0; });
+    flights.forEach((flight) => { bytes[offset++] = flight.category || 0; });
+
+    return bytes;
+};
+
+/**
+ * Encode a /api/flights payload for the negotiated format.
+ * Deltas, density overviews and plain JSON requests pass through unchanged.
+ * @returns {{ contentType: string, body: string|Uint8Array }}
+ */
+const encodeFlightsResponse = (data, format) => {
+    const encodable = !data.delta && Array.isArray(data.flights);
+    if (format === 'binary' && encodable) {
+        return { contentType: BINARY_MEDIA_TYPE, body: encodeBinary(data) };
+    }
+    if (format === 'columnar' && encodable) {
+        return { contentType: COLUMNAR_MEDIA_TYPE, body: JSON.stringify(encodeColumnar(data)) };
+    }
+    return { contentType: 'application/json', body: JSON.stringify(data) };
+};
+
+module.exports = {
+    FLIGHT_FORMATS,
+    COLUMNAR_MEDIA_TYPE,
+    BINARY_MEDIA_TYPE,
+    negotiateFlightsFormat,
+    encodeColumnar,
+    encodeBinary,
+    encodeFlightsResponse,
+};
@@ -0,0 +1,217 @@
+/**
+ * Flight phase classification — shared by server.js and worker.js.
+ *
+ * Every flights payload the backend serves passes through a phase tracker, which
+ * keeps a few minutes of altitude, vertical rate and track samples per aircraft and
+ * sets each flight's `phase`: taxi, takeoff, climb, cruise, descent, approach,
+ * landing or holding (null until the aircraft has an altitude or is on the ground).
+ *
+ * The vertical rate is averaged over the last minute, and holding means turning
+ * through a full circle within five minutes without climbing or descending much.
+ * A new phase replaces the current one only once it has been seen in several
+ * samples over PHASE_CONFIRM_S, so an aircraft does not flap between polls; the
+ * first classification and ground/air transitions apply at once. Altitudes are
+ * barometric (above sea level), so the takeoff, landing and approach bands are
+ * approximate at high airports. In a Worker the tracker is isolate-local, like
+ * the other caches.
+ */
+
+const FLIGHT_PHASES = ['taxi', 'takeoff', 'climb', 'cruise', 'descent', 'approach', 'landing', 'holding'];
+
+const FT_PER_M = 3.28084;
+const FPM_PER_MPS = 196.85;
+const KTS_PER_MPS = 1.94384;
+
+/** Vertical rate (ft/min) beyond which an aircraft is climbing or descending. */
+const LEVEL_FPM = 300;
+/** Ground speed (knots) below which an aircraft on the ground is taxiing. */
+const TAXI_MAX_KTS = 50;
+const TAKEOFF_MAX_FT = 1_500;
+const LANDING_MAX_FT = 1_000;
+const APPROACH_MAX_FT = 6_000;
+/** Level flight below this altitude right after a descent is a step-down, not cruise. */
+const CRUISE_MIN_FT = 10_000;
+const HOLDING_TURN_DEG = 360;
+const HOLDING_WINDOW_S = 300;
+const HOLDING_MIN_SPAN_S = 120;
+const HOLDING_MAX_FPM = 1_000;
+/** Holding also needs some turning this recently, so it ends soon after the last turn. */
+const HOLDING_RECENT_S = 90;
+const HOLDING_RECENT_TURN_DEG = 30;
+const VERTICAL_RATE_WINDOW_S = 60;
+
+const PHASE_CONFIRM_S = 30;
+const PHASE_CONFIRM_SAMPLES = 2;
+const PHASE_HISTORY_S = HOLDING_WINDOW_S;
+const PHASE_MAX_SAMPLES = 60;
+/** A gap this long means a new flight: the old samples and phase are dropped. */
+const PHASE_MAX_GAP_S = 1_800;
+const PHASE_DEFAULT_TTL_S = 900;
+const PHASE_DEFAULT_MAX_AIRCRAFT = 100_000;
+const PRUNE_INTERVAL_S = 60;
+
+/** Phases that can continue through level flight while the aircraft is within their altitude band. */
+const LEVEL_PHASE_CEILINGS_FT = {
+    takeoff: TAKEOFF_MAX_FT,
+    landing: LANDING_MAX_FT,
+    approach: APPROACH_MAX_FT,
+    descent: CRUISE_MIN_FT,
+};
+
+const ARRIVING_PHASES = ['descent', 'approach', 'landing', 'holding'];
+
+const angleDelta = (from, to) => {
+    const delta = Math.abs(to - from) % 360;
+    return delta > 180 ? 360 - delta : delta;
+};
+
+// Samples: [time, altitude_ft, vertical_rate_fpm, true_track, on_ground]
+
+/** Mean reported vertical rate over the last minute, or the altitude change over it when none is reported. */
+const averageVerticalRate = (samples, time) => {
+    const recent = samples.filter(([t]) => time - t <= VERTICAL_RATE_WINDOW_S);
+    const reported = recent.map((sample) => sample[2]).filter((rate) => rate != null);
+    if (reported.length > 0) return reported.reduce((sum, rate) => sum + rate, 0) / reported.length;
+    const withAltitude = recent.filter((sample) => sample[1] != null);
+    if (withAltitude.length < 2) return null;
+    const first = withAltitude[0];
+    const last = withAltitude[withAltitude.length - 1];
+    return last[0] > first[0] ? ((last[1] - first[1]) / (last[0] - first[0])) * 60 : null;
+};
+
+/** Degrees turned through in the last `windowS` seconds, or 0 when the samples span less than `minSpanS`. */
+const turnWithin = (samples, time, windowS, minSpanS = 0) => {
+    const airborne = samples.filter(([t, , , track, onGround]) => time - t <= windowS && track != null && !onGround);
+    if (airborne.length < 2 || airborne[airborne.length - 1][0] - airborne[0][0] < minSpanS) return 0;
+    let turn = 0;
+    for (let i = 1; i < airborne.length; i += 1) turn += angleDelta(airborne[i - 1][3], airborne[i][3]);
+    return turn;
+};
+
+/** Degrees turned through over the holding window, or 0 when the aircraft has stopped turning. */
+const holdingTurn = (samples, time) =>
+    (turnWithin(samples, time, HOLDING_RECENT_S) >= HOLDING_RECENT_TURN_DEG
+        ? turnWithin(samples, time, HOLDING_WINDOW_S, HOLDING_MIN_SPAN_S)
+        : 0);
+
+/**
+ * Phase for one observation, given the confirmed `previous` phase:
+ * `{ onGround, altitudeFt, speedKts, verticalRateFpm, turnDeg }`. Returns null
+ * when an airborne aircraft has no altitude.
+ */
+const classifyPhase = ({ onGround, altitudeFt, speedKts, verticalRateFpm, turnDeg = 0 }, previous = null) => {
+    if (onGround) {
+        if (speedKts == null || speedKts < TAXI_MAX_KTS) return 'taxi';
+        return ARRIVING_PHASES.includes(previous) ? 'landing' : 'takeoff';
+    }
+    if (altitudeFt == null) return null;
+    const rate = verticalRateFpm ?? 0;
+    if (turnDeg >= HOLDING_TURN_DEG && Math.abs(rate) < HOLDING_MAX_FPM) return 'holding';
+    if (rate >= LEVEL_FPM) {
+        // A climb out of an approach is a go-around, not a takeoff
+        return altitudeFt < TAKEOFF_MAX_FT && !['approach', 'landing'].includes(previous) ? 'takeoff' : 'climb';
+    }
+    if (rate <= -LEVEL_FPM) {
+        if (altitudeFt < LANDING_MAX_FT) return 'landing';
+        return altitudeFt < APPROACH_MAX_FT ? 'approach' : 'descent';
+    }
+    if (altitudeFt < (LEVEL_PHASE_CEILINGS_FT[previous] ?? -Infinity)) return previous;
+    if (altitudeFt < APPROACH_MAX_FT && previous === 'descent') return 'approach';
+    return 'cruise';
+};
+
+/**
+ * Create a phase tracker. `ttlS` drops aircraft not seen for that long;
+ * `maxAircraft` bounds how many are kept (least recently updated go first).
+ */
+const createPhaseTracker = ({ ttlS = PHASE_DEFAULT_TTL_S, maxAircraft = PHASE_DEFAULT_MAX_AIRCRAFT } = {}) => {
+    const aircraft = new Map(); // icao24 → { phase, candidate, candidateSince, candidateCount, samples }, least recently updated first
+    let lastPrune = 0;
+
+    const prune = (nowS) => {
+        lastPrune = nowS;
+        aircraft.forEach((entry, icao) => {
+            if (nowS - entry.samples[entry.samples.length - 1][0] > ttlS) aircraft.delete(icao);
+        });
+    };
+
+    /** Record a flight's latest sample and return its confirmed phase. */
+    const update = (flight, nowS) => {
+        const icao = String(flight.icao24).toLowerCase();
+        const time = flight.time_position ?? flight.last_contact ?? nowS;
+        let entry = aircraft.get(icao);
+        const last = entry?.samples[entry.samples.length - 1];
+        // The same position again (another payload built from the same states)
+        if (last && time <= last[0]) return entry.phase;
+        if (!last || time - last[0] > PHASE_MAX_GAP_S) {
+            entry = { phase: null, candidate: null, candidateSince: 0, candidateCount: 0, samples: [] };
+        }
+        aircraft.delete(icao);
+        aircraft.set(icao, entry);
+
+        const altitudeM = flight.baro_altitude ?? flight.geo_altitude;
+        const onGround = flight.on_ground === true;
+        entry.samples.push([
+            time,
+            altitudeM != null ? altitudeM * FT_PER_M : null,
+            flight.vertical_rate != null ? flight.vertical_rate * FPM_PER_MPS : null,
+            flight.true_track ?? null,
+            onGround,
+        ]);
+        const keepFrom = entry.samples.findIndex(([t]) => time - t <= PHASE_HISTORY_S);
+        entry.samples.splice(0, Math.max(keepFrom, entry.samples.length - PHASE_MAX_SAMPLES));
+
+        const observed = classifyPhase({
+            onGround,
+            altitudeFt: altitudeM != null ? altitudeM * FT_PER_M : null,
+            speedKts: flight.velocity != null ? flight.velocity * KTS_PER_MPS : null,
+            verticalRateFpm: averageVerticalRate(entry.samples, time),
+            turnDeg: holdingTurn(entry.samples, time),
+        }, entry.phase);
+        if (observed == null || observed === entry.phase) {
+            entry.candidate = null;
+            return entry.phase;
+        }
+
+        const groundChanged = last != null && last[4] !== onGround;
+        if (entry.phase == null || groundChanged) {
+            entry.phase = observed;
+            entry.candidate = null;
+            return entry.phase;
+        }
+        if (entry.candidate !== observed) {
+            entry.candidate = observed;
+            entry.candidateSince = time;
+            entry.candidateCount = 0;
+        }
+        entry.candidateCount += 1;
+        if (entry.candidateCount >= PHASE_CONFIRM_SAMPLES && time - entry.candidateSince >= PHASE_CONFIRM_S) {
+            entry.phase = observed;
+            entry.candidate = null;
+        }
+        return entry.phase;
+    };
+
+    /** Set `phase` on every flight of a flights payload (mutates and returns it). */
+    const annotate = (data) => {
+        if (!Array.isArray(data?.flights)) return data;
+        const nowS = Math.floor(Date.now() / 1000);
+        data.flights.forEach((flight) => {
+            flight.phase = flight.icao24 ? update(flight, nowS) : null;
+        });
+        while (aircraft.size > maxAircraft) aircraft.delete(aircraft.keys().next().value);
+        if (nowS - lastPrune >= PRUNE_INTERVAL_S) prune(nowS);
+        return data;
+    };
+
+    return {
+        annotate,
+        status: () => ({ aircraft: aircraft.size, ttlS, maxAircraft }),
+    };
+};
+
+module.exports = {
+    FLIGHT_PHASES,
+    classifyPhase,
+    createPhaseTracker,
+};
@@ -0,0 +1,293 @@
+/**
+ * Snapshot recorder for /api/flights?at= and /api/replay — Express server only (uses `fs`).
+ *
+ * Every processed flights payload the server fetches is appended to hourly NDJSON
+ * segments in RECORD_DIR:
+ *   flights-20261018T13.ndjson       one line per snapshot: { t, bbox, data }
+ *   flights-20261018T13.idx.ndjson   one line per snapshot: { t, bbox, offset, length }
+ * `t` is the recording time (epoch ms) and `data` the payload as served (flights + _meta).
+ * Only the small index files are read at startup; snapshots are read back by offset.
+ * Segments older than the retention window, or beyond the size cap, are deleted oldest first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitAntimeridian, isInBbox } = require('./flightUtils');
+const { normalizeIcao24 } = require('./openskyApi');
+
+const RECORD_DEFAULT_RETENTION_HOURS = 24;
+const RECORD_DEFAULT_MAX_MB = 1024;
+/** Repeats of the same bbox within this window are not recorded again. */
+const RECORD_DEFAULT_MIN_INTERVAL_MS = 10_000;
+/** `at` lookups use snapshots recorded up to this long before the requested time. */
+const RECORD_LOOKBACK_MS = 120_000;
+/** At most this many snapshots are merged to answer one `at` lookup. */
+const RECORD_MAX_MERGED_SNAPSHOTS = 50;
+const SEGMENT_MS = 3_600_000;
+const PRUNE_INTERVAL_MS = 600_000;
+
+const SEGMENT_PATTERN = /^flights-(\d{4})(\d{2})(\d{2})T(\d{2})\.ndjson$/;
+
+const segmentName = (t) => {
+    const iso = new Date(t).toISOString(); // 2026-10-18T13:05:00.000Z
+    return `flights-${iso.slice(0, 10).replace(/-/g, '')}T${iso.slice(11, 13)}.ndjson`;
+};
+
+const indexName = (name) => name.replace(/\.ndjson$/, '.idx.ndjson');
+
+/**
+ * Parse an `at` / `from` / `to` value: unix seconds, epoch milliseconds or an ISO 8601 string.
+ * Returns epoch ms, or null when unparseable.
+ */
+const parseTimestamp = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const n = parseFloat(text);
+        return Math.round(n < 1e12 ? n * 1000 : n);
+    }
+    const parsed = Date.parse(text);
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+const halvesOverlap = (a, b) =>
+    a.minLat <= b.maxLat && a.maxLat >= b.minLat && a.minLon <= b.maxLon && a.maxLon >= b.minLon;
+
+const halfContains = (outer, inner) =>
+    inner.minLat >= outer.minLat && inner.maxLat <= outer.maxLat &&
+    inner.minLon >= outer.minLon && inner.maxLon <= outer.maxLon;
+
+/** True when two bboxes overlap (antimeridian-aware). */
+const bboxesIntersect = (a, b) =>
+    splitAntimeridian(a).some((half) => splitAntimeridian(b).some((other) => halvesOverlap(half, other)));
+
+/** True when `outer` fully covers `inner` (antimeridian-aware). */
+const bboxCovers = (outer, inner) =>
+    splitAntimeridian(inner).every((half) => splitAntimeridian(outer).some((other) => halfContains(other, half)));
+
+/** Keep only the flights inside `bbox` and describe where the payload came from. */
+const clipPayload = (data, flights, bbox, replay) => ({
+    ...data,
+    flights: flights.filter((flight) => isInBbox(flight.latitude, flight.longitude, bbox)),
+    _meta: { ...data._meta, bbox, replay },
+});
+
+/**
+ * Create a recorder writing to `dir`. Call init() once before use; record()
+ * queues writes so callers never wait on the disk.
+ */
+const createFlightRecorder = ({
+    dir,
+    retentionMs = RECORD_DEFAULT_RETENTION_HOURS * 3_600_000,
+    maxBytes = RECORD_DEFAULT_MAX_MB * 1024 * 1024,
+    minIntervalMs = RECORD_DEFAULT_MIN_INTERVAL_MS,
+}) => {
+    const segments = new Map(); // name → { name, start, bytes, entries: [{ t, bbox, offset, length }] }
+    const lastRecorded = new Map(); // bbox key → t
+    let writeChain = Promise.resolve();
+    let pruneTimer = null;
+    let lastError = null;
+
+    const filePath = (name) => path.join(dir, name);
+
+    const loadSegment = async (name, match) => {
+        const [, year, month, day, hour] = match;
+        const start = Date.UTC(+year, +month - 1, +day, +hour);
+        const { size } = await fs.promises.stat(filePath(name));
+        const entries = [];
+        const indexText = await fs.promises.readFile(filePath(indexName(name)), 'utf8').catch(() => '');
+        indexText.split('\n').forEach((line) => {
+            if (!line) return;
+            try {
+                const entry = JSON.parse(line);
+                // An entry past the end of the data file was never fully written
+                if (entry.offset + entry.length <= size) entries.push(entry);
+            } catch (_) { /* torn last line after a crash */ }
+        });
+        segments.set(name, { name, start, bytes: size, entries });
+    };
+
+    /** Load existing segments; snapshots recorded meanwhile are written afterwards. */
+    const init = () => {
+        writeChain = writeChain.then(async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            for (const name of await fs.promises.readdir(dir)) {
+                const match = SEGMENT_PATTERN.exec(name);
+                if (match) await loadSegment(name, match);
+            }
+            await prune();
+            pruneTimer = setInterval(() => prune().catch((error) => { lastError = error.message; }), PRUNE_INTERVAL_MS);
+            pruneTimer.unref?.();
+        });
+        return writeChain;
+    };
+
+    const deleteSegment = async (segment) => {
+        segments.delete(segment.name);
+        await fs.promises.rm(filePath(segment.name), { force: true });
+        await fs.promises.rm(filePath(indexName(segment.name)), { force: true });
+    };
+
+    /** Apply the retention policy: drop expired segments, then the oldest until under maxBytes. */
+    const prune = async () => {
+        const now = Date.now();
+        const ordered = [...segments.values()].sort((a, b) => a.start - b.start);
+        let total = ordered.reduce((sum, segment) => sum + segment.bytes, 0);
+        for (const segment of ordered) {
+            const expired = segment.start + SEGMENT_MS < now - retentionMs;
+            const current = segment.name === segmentName(now);
+            if (!expired && (total <= maxBytes || current)) continue;
+            total -= segment.bytes;
+            await deleteSegment(segment);
+        }
+    };
+
+    const append = async (t, bbox, data) => {
+        const name = segmentName(t);
+        let segment = segments.get(name);
+        if (!segment) {
+            segment = { name, start: t - (t % SEGMENT_MS), bytes: 0, entries: [] };
+            segments.set(name, segment);
+            await prune();
+        }
+
+        const line = Buffer.from(`${JSON.stringify({ t, bbox, data })}\n`);
+        const entry = { t, bbox, offset: segment.bytes, length: line.length };
+        await fs.promises.appendFile(filePath(name), line);
+        segment.bytes += line.length;
+        await fs.promises.appendFile(filePath(indexName(name)), `${JSON.stringify(entry)}\n`);
+        segment.entries.push(entry);
+    };
+
+    /** Queue a processed payload `{ flights, _meta, ... }` for recording. */
+    const record = (data) => {
+        if (!Array.isArray(data?.flights) || !data._meta?.bbox) return;
+        const t = Date.now();
+        const { minLat, maxLat, minLon, maxLon } = data._meta.bbox;
+        const bbox = { minLat, maxLat, minLon, maxLon };
+        const key = `${minLat},${minLon},${maxLat},${maxLon}`;
+        if (t - (lastRecorded.get(key) ?? -Infinity) < minIntervalMs) return;
+        if (lastRecorded.size > 1_000) lastRecorded.clear();
+        lastRecorded.set(key, t);
+
+        writeChain = writeChain
+            .then(() => append(t, bbox, data))
+            .catch((error) => {
+                lastError = error.message;
+                console.warn('[Recorder] Failed to record snapshot:', error.message);
+            });
+    };
+
+    const readSnapshot = async (name, { offset, length }) => {
+        const handle = await fs.promises.open(filePath(name), 'r');
+        try {
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, offset);
+            return JSON.parse(buffer.toString('utf8')).data;
+        } finally {
+            await handle.close();
+        }
+    };
+
+    /** Index entries with `from <= t <= to` overlapping `bbox`, oldest first. */
+    const entriesBetween = (bbox, from, to) => {
+        const found = [];
+        segments.forEach((segment) => {
+            if (segment.start > to || segment.start + SEGMENT_MS < from) return;
+            segment.entries.forEach((entry) => {
+                if (entry.t >= from && entry.t <= to && bboxesIntersect(entry.bbox, bbox)) {
+                    found.push({ segment: segment.name, entry });
+                }
+            });
+        });
+        return found.sort((a, b) => a.entry.t - b.entry.t);
+    };
+
+    /**
+     * The traffic in `bbox` as recorded at or shortly before `at` (epoch ms), or
+     * null when nothing was recorded there. Partial snapshots are merged newest
+     * first until one covers the whole bbox.
+     */
+    const at = async (bbox, atMs) => {
+        await writeChain;
+        const candidates = entriesBetween(bbox, atMs - RECORD_LOOKBACK_MS, atMs).reverse();
+        if (candidates.length === 0) return null;
+
+        let newest = null;
+        const byIcao = new Map();
+        const unkeyed = [];
+        let merged = 0;
+        for (const { segment, entry } of candidates.slice(0, RECORD_MAX_MERGED_SNAPSHOTS)) {
+            const data = await readSnapshot(segment, entry);
+            newest = newest || { data, t: entry.t };
+            merged++;
+            data.flights.forEach((flight) => {
+                const icao = normalizeIcao24(flight.icao24);
+                if (!icao) unkeyed.push(flight);
+                else if (!byIcao.has(icao)) byIcao.set(icao, flight);
+            });
+            if (bboxCovers(entry.bbox, bbox)) break;
+        }
+
+        return clipPayload(newest.data, [...byIcao.values(), ...unkeyed], bbox, {
+            at: new Date(atMs).toISOString(),
+            recordedAt: new Date(newest.t).toISOString(),
+            snapshots: merged,
+        });
+    };
+
+    /**
+     * Recorded snapshots overlapping `bbox` between `from` and `to` (epoch ms), in
+     * time order and clipped to the bbox. `stepMs` keeps at most one per step.
+     */
+    async function* replay(bbox, fromMs, toMs, { stepMs = 0 } = {}) {
+        await writeChain;
+        let lastYielded = -Infinity;
+        for (const { segment, entry } of entriesBetween(bbox, fromMs, toMs)) {
+            if (entry.t - lastYielded < stepMs) continue;
+            lastYielded = entry.t;
+            const data = await readSnapshot(segment, entry);
+            yield clipPayload(data, data.flights, bbox, { recordedAt: new Date(entry.t).toISOString() });
+        }
+    }
+
+    const status = () => {
+        // Entries are appended in time order, so the ends of the oldest/newest segments bound the range
+        const all = [...segments.values()].filter((segment) => segment.entries.length > 0)
+            .sort((a, b) => a.start - b.start);
+        const oldest = all[0]?.entries[0];
+        const newest = all[all.length - 1]?.entries.at(-1);
+        return {
+            dir,
+            segments: segments.size,
+            snapshots: all.reduce((sum, segment) => sum + segment.entries.length, 0),
+            bytes: [...segments.values()].reduce((sum, segment) => sum + segment.bytes, 0),
+            oldest: oldest ? new Date(oldest.t).toISOString() : null,
+            newest: newest ? new Date(newest.t).toISOString() : null,
+            retentionHours: retentionMs / 3_600_000,
+            lastError,
+        };
+    };
+
+    return {
+        init,
+        record,
+        at,
+        replay,
+        prune,
+        status,
+        close: async () => {
+            clearInterval(pruneTimer);
+            await writeChain;
+        },
+    };
+};
+
+module.exports = {
+    RECORD_DEFAULT_RETENTION_HOURS,
+    RECORD_DEFAULT_MAX_MB,
+    RECORD_DEFAULT_MIN_INTERVAL_MS,
+    RECORD_LOOKBACK_MS,
+    parseTimestamp,
+    createFlightRecorder,
+};
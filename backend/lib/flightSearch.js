@@ -0,0 +1,218 @@
+/**
+ * Backend-wide aircraft search for GET /api/search — shared by server.js and worker.js.
+ *
+ * A search index keeps the latest position of every aircraft in the payloads the
+ * backend fetches (fed like the other payload observers, so a `global` snapshot
+ * region makes it worldwide). Queries match icao24, callsign, IATA flight number
+ * ("BA123" is looked up as BAW123), registration and airline name: exact matches
+ * first, then prefixes, then airline names. When nothing matches exactly, the
+ * identifiers in the query are looked up live through the flight sources that
+ * support it (flightSources.searchStatesFromSources), so aircraft outside every
+ * viewed bbox are found too. Suggestions (`suggest`) only read the index.
+ * In a Worker the index is isolate-local, like the other caches.
+ */
+
+const flightUtils = require('./flightUtils');
+const flightSources = require('./flightSources');
+const { findAirlinesByIata } = require('./airlines');
+const { normalizeIcao24 } = require('./openskyApi');
+
+const SEARCH_INDEX_TTL_S = 1_800;
+const SEARCH_INDEX_MAX_AIRCRAFT = 100_000;
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_MAX_LENGTH = 40;
+const PRUNE_INTERVAL_S = 60;
+
+/** Live lookups keep grounded aircraft, so a parked aircraft can be found too. */
+const SEARCH_THRESHOLDS = { ...flightUtils.DEFAULT_FLIGHT_THRESHOLDS, includeGround: true };
+
+/** Registration without dashes or spaces, upper-case ("D-AIBC" → "DAIBC"). */
+const compactRegistration = (registration) => String(registration || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Parse `q`. Returns `{ query: { text, compact, terms } }`, where `terms`
+ * (`{ icao24s, callsigns, registrations }`) are the identifiers the query could be,
+ * or `{ status, body }` describing the error response.
+ */
+const parseSearchQuery = (q) => {
+    const text = String(q ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+    if (text.length < SEARCH_MIN_LENGTH || text.length > SEARCH_MAX_LENGTH) {
+        return { status: 400, body: { message: `q must be ${SEARCH_MIN_LENGTH}–${SEARCH_MAX_LENGTH} characters.` } };
+    }
+    const compact = text.replace(/[\s-]/g, '');
+    const terms = { icao24s: [], callsigns: [], registrations: [] };
+
+    if (/^[0-9A-F]{6}$/.test(compact)) terms.icao24s.push(compact.toLowerCase());
+    if (/^[A-Z0-9]{2,8}$/.test(compact) && !text.includes('-')) terms.callsigns.push(compact);
+    const flightNumber = /^([A-Z0-9]{2})(\d{1,4})$/.exec(compact);
+    if (flightNumber) {
+        findAirlinesByIata(flightNumber[1]).forEach((airline) => {
+            terms.callsigns.push(`${airline.icao}${parseInt(flightNumber[2], 10)}`);
+        });
+    }
+    // Dashed registrations ("G-EUUA") and US N-numbers
+    if (text.includes('-') || /^N\d[0-9A-Z]{0,4}$/.test(compact)) terms.registrations.push(text.replace(/\s/g, ''));
+
+    return { query: { text, compact, terms } };
+};
+
+/** True when the query names at least one identifier worth a live lookup. */
+const hasSearchTerms = ({ icao24s, callsigns, registrations }) =>
+    icao24s.length > 0 || callsigns.length > 0 || registrations.length > 0;
+
+/**
+ * How an index entry matches the query: `{ match, exact, rank }` (lower rank
+ * first), or null. Exact identifiers beat prefixes, which beat airline names.
+ */
+const matchEntry = (entry, { text, compact, terms }) => {
+    const identifiers = [
+        ['icao24', entry.icao24.toUpperCase()],
+        ['callsign', entry.callsign],
+        ['flight_number', entry.flight_number],
+        ['registration', compactRegistration(entry.registration) || null],
+    ];
+    for (const [field, value] of identifiers) {
+        if (value && (value === compact || (field === 'callsign' && terms.callsigns.includes(value)))) {
+            return { match: field, exact: true, rank: 0 };
+        }
+    }
+    for (const [field, value] of identifiers.slice(1)) {
+        if (value?.startsWith(compact)) return { match: field, exact: false, rank: 1 };
+    }
+    // Two hex digits would match a 256th of all aircraft
+    if (compact.length >= 4 && identifiers[0][1].startsWith(compact)) return { match: 'icao24', exact: false, rank: 2 };
+    if (text.length >= 3 && entry.airline?.toUpperCase().includes(text)) return { match: 'airline', exact: false, rank: 3 };
+    return null;
+};
+
+/**
+ * Create a search index. `lookupAircraft(icao24)` may return `{ registration,
+ * typecode }` for aircraft whose payloads lack them (the aircraft database).
+ */
+const createSearchIndex = ({
+    ttlS = SEARCH_INDEX_TTL_S,
+    maxAircraft = SEARCH_INDEX_MAX_AIRCRAFT,
+    lookupAircraft = null,
+} = {}) => {
+    const entries = new Map(); // icao24 → latest summary, least recently seen first
+    let lastPrune = 0;
+
+    const prune = (nowS) => {
+        lastPrune = nowS;
+        entries.forEach((entry, icao) => {
+            if (nowS - entry.last_seen > ttlS) entries.delete(icao);
+        });
+    };
+
+    const record = (flight, source, nowS) => {
+        const icao = normalizeIcao24(flight.icao24);
+        if (!icao || !Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude)) return;
+        const previous = entries.get(icao);
+        const known = flight.registration || flight.typecode ? null : lookupAircraft?.(icao);
+        entries.delete(icao);
+        entries.set(icao, {
+            icao24: icao,
+            callsign: flight.callsign || previous?.callsign || null,
+            registration: flight.registration || known?.registration || previous?.registration || null,
+            typecode: flight.typecode || known?.typecode || previous?.typecode || null,
+            airline: flight.airline ?? previous?.airline ?? null,
+            flight_number: flight.flight_number ?? previous?.flight_number ?? null,
+            origin_country: flight.origin_country || null,
+            country_code: flight.country_code || null,
+            latitude: flight.latitude,
+            longitude: flight.longitude,
+            altitude_ft: flight.altitude_ft ?? null,
+            true_track: flight.true_track ?? null,
+            on_ground: flight.on_ground === true,
+            last_seen: flight.time_position ?? flight.last_contact ?? nowS,
+            source,
+        });
+    };
+
+    /** Record every aircraft of a flights payload. */
+    const recordPayload = (data) => {
+        if (!Array.isArray(data?.flights)) return;
+        const nowS = Math.floor(Date.now() / 1000);
+        data.flights.forEach((flight) => record(flight, data._source || null, nowS));
+        while (entries.size > maxAircraft) entries.delete(entries.keys().next().value);
+        if (nowS - lastPrune >= PRUNE_INTERVAL_S) prune(nowS);
+    };
+
+    /** Matches for a parsed query, best first, with `match`, `exact` and `age_s`. */
+    const search = (query, { limit = SEARCH_DEFAULT_LIMIT } = {}) => {
+        const nowS = Math.floor(Date.now() / 1000);
+        const matches = [];
+        entries.forEach((entry) => {
+            if (nowS - entry.last_seen > ttlS) return;
+            const matched = matchEntry(entry, query);
+            if (matched) matches.push({ entry, ...matched });
+        });
+        return matches
+            .sort((a, b) => a.rank - b.rank || b.entry.last_seen - a.entry.last_seen)
+            .slice(0, limit)
+            .map(({ entry, match, exact }) => ({ ...entry, age_s: Math.max(0, nowS - entry.last_seen), match, exact }));
+    };
+
+    return {
+        recordPayload,
+        search,
+        status: () => ({ aircraft: entries.size, ttlS, maxAircraft }),
+    };
+};
+
+/**
+ * Search over `index`, with live lookups through `registry` when nothing matches
+ * exactly. `findRegistration(registration)` may resolve registrations to icao24s
+ * (the aircraft database); `enrich(data)` adds fields to looked-up payloads.
+ * `search(q, { limit, suggest })` resolves with `{ body }`, or `{ status, body }`
+ * describing the error response.
+ */
+const createFlightSearch = ({ registry, client, index, findRegistration = null, enrich = (data) => data }) => {
+    const lookUp = async (terms) => {
+        const registered = terms.registrations.flatMap((registration) => findRegistration?.(registration) || []);
+        const expanded = { ...terms, icao24s: [...new Set([...terms.icao24s, ...registered])] };
+        const found = await flightSources.searchStatesFromSources(registry, expanded, client);
+        if (found.states.length > 0) {
+            const data = flightUtils.buildFlightsResponse(found.states, flightSources.GLOBE_BBOX, {
+                source: found.sources.join(',') || null,
+                thresholds: SEARCH_THRESHOLDS,
+            });
+            index.recordPayload(enrich(data));
+        }
+        return { sources: found.sources, found: found.states.length, errors: found.errors };
+    };
+
+    const search = async (q, { limit = SEARCH_DEFAULT_LIMIT, suggest = false } = {}) => {
+        const parsed = parseSearchQuery(q);
+        if (parsed.status) return parsed;
+        const { query } = parsed;
+        const max = Math.min(Math.max(parseInt(limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+
+        let results = index.search(query, { limit: max });
+        let live = null;
+        if (!suggest && !results.some((result) => result.exact) && hasSearchTerms(query.terms)) {
+            live = await lookUp(query.terms);
+            if (live.found > 0) results = index.search(query, { limit: max });
+        }
+
+        return {
+            body: {
+                query: query.text,
+                results,
+                _meta: { indexedAircraft: index.status().aircraft, suggest, live },
+            },
+        };
+    };
+
+    return { search };
+};
+
+module.exports = {
+    SEARCH_DEFAULT_LIMIT,
+    SEARCH_MAX_LIMIT,
+    parseSearchQuery,
+    createSearchIndex,
+    createFlightSearch,
+};
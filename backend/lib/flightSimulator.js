@@ -0,0 +1,459 @@
+/**
+ * Deterministic demo traffic for the `simulated` flight source — shared by
+ * server.js and worker.js.
+ *
+ * A seeded fleet of aircraft flies fixed hub rotations (base → A → base → B → base)
+ * along great circles between real airports: each leg climbs, cruises and descends
+ * at speeds and rates typical of the aircraft category, followed by a turnaround
+ * on the ground. Positions are a pure function of (seed, fleet size, time), so
+ * repeated and overlapping bbox queries — in every process and Worker isolate —
+ * see the same aircraft, moving consistently between polls.
+ *
+ *   SIMULATOR_SEED=demo          any string; a different seed gives different traffic
+ *   SIMULATOR_FLEET_SIZE=1500    aircraft worldwide (roughly three quarters airborne at a time)
+ */
+
+const { isInBbox } = require('./flightUtils');
+const { findAirport } = require('./airports');
+const { lookupIcaoAddress } = require('./icaoAddresses');
+
+const DEFAULT_SIMULATOR_SEED = 'flight-tracker';
+const DEFAULT_FLEET_SIZE = 1500;
+const MAX_FLEET_SIZE = 20_000;
+const EARTH_RADIUS_M = 6_371_000;
+
+// ---------------------------------------------------------------------------
+// Reference data
+// ---------------------------------------------------------------------------
+
+/**
+ * Countries used by the fleet: ICAO 24-bit address block, registration prefix,
+ * and mainline/regional airline ICAO designators.
+ */
+const COUNTRIES = {
+    US: { name: 'United States', block: 0xa00000, blockSize: 0x100000, reg: 'N', airlines: ['AAL', 'DAL', 'UAL', 'SWA', 'JBU', 'ASA'], regional: ['SKW', 'RPA', 'ENY'] },
+    CA: { name: 'Canada', block: 0xc00000, blockSize: 0x40000, reg: 'C', airlines: ['ACA', 'WJA'], regional: ['JZA'] },
+    MX: { name: 'Mexico', block: 0x0d0000, blockSize: 0x8000, reg: 'XA', airlines: ['AMX', 'VOI'] },
+    GB: { name: 'United Kingdom', block: 0x400000, blockSize: 0x40000, reg: 'G', airlines: ['BAW', 'EZY', 'VIR'], regional: ['LOG'] },
+    IE: { name: 'Ireland', block: 0x4ca000, blockSize: 0x400, reg: 'EI', airlines: ['RYR', 'EIN'] },
+    NL: { name: 'Netherlands', block: 0x480000, blockSize: 0x8000, reg: 'PH', airlines: ['KLM', 'TRA'], regional: ['KLC'] },
+    BE: { name: 'Belgium', block: 0x448000, blockSize: 0x8000, reg: 'OO', airlines: ['BEL'] },
+    FR: { name: 'France', block: 0x380000, blockSize: 0x40000, reg: 'F', airlines: ['AFR', 'TVF'], regional: ['HOP'] },
+    DE: { name: 'Germany', block: 0x3c0000, blockSize: 0x40000, reg: 'D', airlines: ['DLH', 'EWG', 'CFG'], regional: ['CLH'] },
+    CH: { name: 'Switzerland', block: 0x4b0000, blockSize: 0x8000, reg: 'HB', airlines: ['SWR', 'EDW'] },
+    AT: { name: 'Austria', block: 0x440000, blockSize: 0x8000, reg: 'OE', airlines: ['AUA'] },
+    CZ: { name: 'Czech Republic', block: 0x498000, blockSize: 0x8000, reg: 'OK', airlines: ['CSA'] },
+    ES: { name: 'Spain', block: 0x340000, blockSize: 0x40000, reg: 'EC', airlines: ['IBE', 'VLG'], regional: ['ANE'] },
+    PT: { name: 'Portugal', block: 0x490000, blockSize: 0x8000, reg: 'CS', airlines: ['TAP'] },
+    IT: { name: 'Italy', block: 0x300000, blockSize: 0x40000, reg: 'I', airlines: ['ITY'] },
+    DK: { name: 'Denmark', block: 0x458000, blockSize: 0x8000, reg: 'OY', airlines: ['SAS'] },
+    SE: { name: 'Sweden', block: 0x4a8000, blockSize: 0x8000, reg: 'SE', airlines: ['SAS'] },
+    NO: { name: 'Norway', block: 0x478000, blockSize: 0x8000, reg: 'LN', airlines: ['NAX', 'SAS'] },
+    FI: { name: 'Finland', block: 0x460000, blockSize: 0x8000, reg: 'OH', airlines: ['FIN'] },
+    PL: { name: 'Poland', block: 0x488000, blockSize: 0x8000, reg: 'SP', airlines: ['LOT'] },
+    GR: { name: 'Greece', block: 0x468000, blockSize: 0x8000, reg: 'SX', airlines: ['AEE'] },
+    TR: { name: 'Turkey', block: 0x4b8000, blockSize: 0x8000, reg: 'TC', airlines: ['THY', 'PGT'] },
+    AE: { name: 'United Arab Emirates', block: 0x896000, blockSize: 0x1000, reg: 'A6', airlines: ['UAE', 'ETD'] },
+    QA: { name: 'Qatar', block: 0x06a000, blockSize: 0x400, reg: 'A7', airlines: ['QTR'] },
+    SA: { name: 'Saudi Arabia', block: 0x710000, blockSize: 0x8000, reg: 'HZ', airlines: ['SVA'] },
+    EG: { name: 'Egypt', block: 0x010000, blockSize: 0x8000, reg: 'SU', airlines: ['MSR'] },
+    MA: { name: 'Morocco', block: 0x020000, blockSize: 0x400, reg: 'CN', airlines: ['RAM'] },
+    ET: { name: 'Ethiopia', block: 0x040000, blockSize: 0x1000, reg: 'ET', airlines: ['ETH'] },
+    KE: { name: 'Kenya', block: 0x04c000, blockSize: 0x1000, reg: '5Y', airlines: ['KQA'] },
+    ZA: { name: 'South Africa', block: 0x008000, blockSize: 0x8000, reg: 'ZS', airlines: ['SAA'] },
+    BR: { name: 'Brazil', block: 0xe40000, blockSize: 0x40000, reg: 'PR', airlines: ['TAM', 'GLO'] },
+    AR: { name: 'Argentina', block: 0xe00000, blockSize: 0x40000, reg: 'LV', airlines: ['ARG'] },
+    CL: { name: 'Chile', block: 0xe80000, blockSize: 0x1000, reg: 'CC', airlines: ['LAN'] },
+    CO: { name: 'Colombia', block: 0x0ac000, blockSize: 0x1000, reg: 'HK', airlines: ['AVA'] },
+    JP: { name: 'Japan', block: 0x840000, blockSize: 0x40000, reg: 'JA', airlines: ['JAL', 'ANA'] },
+    KR: { name: 'Republic of Korea', block: 0x718000, blockSize: 0x8000, reg: 'HL', airlines: ['KAL', 'AAR'] },
+    CN: { name: 'China', block: 0x780000, blockSize: 0x40000, reg: 'B', airlines: ['CCA', 'CES', 'CSN', 'CPA'] },
+    SG: { name: 'Singapore', block: 0x768000, blockSize: 0x8000, reg: '9V', airlines: ['SIA'] },
+    TH: { name: 'Thailand', block: 0x880000, blockSize: 0x8000, reg: 'HS', airlines: ['THA'] },
+    IN: { name: 'India', block: 0x800000, blockSize: 0x40000, reg: 'VT', airlines: ['AIC', 'IGO'] },
+    AU: { name: 'Australia', block: 0x7c0000, blockSize: 0x40000, reg: 'VH', airlines: ['QFA', 'VOZ'] },
+    NZ: { name: 'New Zealand', block: 0xc80000, blockSize: 0x8000, reg: 'ZK', airlines: ['ANZ'] },
+};
+
+/**
+ * Airports aircraft are based at and fly between: [icao, fleet country, weight].
+ * Positions come from the bundled airport dataset (lib/airportData.js).
+ */
+const AIRPORTS = [
+    ['EGLL', 'GB', 5], ['EGKK', 'GB', 3], ['EGCC', 'GB', 3], ['EGPH', 'GB', 2], ['EIDW', 'IE', 3], ['EHAM', 'NL', 5],
+    ['EBBR', 'BE', 3], ['LFPG', 'FR', 5], ['LFPO', 'FR', 3], ['LFMN', 'FR', 2], ['LFLL', 'FR', 2], ['EDDF', 'DE', 5],
+    ['EDDM', 'DE', 4], ['EDDB', 'DE', 3], ['EDDH', 'DE', 2], ['EDDL', 'DE', 3], ['EDDS', 'DE', 2], ['LSZH', 'CH', 3],
+    ['LSGG', 'CH', 2], ['LOWW', 'AT', 3], ['LKPR', 'CZ', 2], ['LEMD', 'ES', 4], ['LEBL', 'ES', 4], ['LEPA', 'ES', 2],
+    ['LPPT', 'PT', 3], ['LIRF', 'IT', 4], ['LIMC', 'IT', 3], ['EKCH', 'DK', 3], ['ESSA', 'SE', 3], ['ENGM', 'NO', 3],
+    ['EFHK', 'FI', 2], ['EPWA', 'PL', 3], ['LGAV', 'GR', 2], ['LTFM', 'TR', 4],
+    ['OMDB', 'AE', 5], ['OTHH', 'QA', 4], ['OEJN', 'SA', 2], ['OERK', 'SA', 2], ['HECA', 'EG', 2], ['GMMN', 'MA', 2],
+    ['HAAB', 'ET', 2], ['HKJK', 'KE', 2], ['FAOR', 'ZA', 3], ['FACT', 'ZA', 2],
+    ['KATL', 'US', 5], ['KORD', 'US', 5], ['KDFW', 'US', 4], ['KDEN', 'US', 4], ['KLAX', 'US', 5], ['KSFO', 'US', 4],
+    ['KSEA', 'US', 3], ['KJFK', 'US', 5], ['KEWR', 'US', 3], ['KBOS', 'US', 3], ['KMIA', 'US', 3], ['KIAH', 'US', 3],
+    ['KPHX', 'US', 3], ['KLAS', 'US', 3], ['KMSP', 'US', 3], ['KDTW', 'US', 3], ['KCLT', 'US', 3], ['KIAD', 'US', 3],
+    ['KMCO', 'US', 3], ['PHNL', 'US', 2], ['PANC', 'US', 2], ['CYYZ', 'CA', 4], ['CYVR', 'CA', 3], ['CYUL', 'CA', 3],
+    ['CYYC', 'CA', 2], ['MMMX', 'MX', 3], ['MMUN', 'MX', 2], ['SBGR', 'BR', 4], ['SBGL', 'BR', 2], ['SAEZ', 'AR', 2],
+    ['SCEL', 'CL', 2], ['SKBO', 'CO', 2],
+    ['RJTT', 'JP', 5], ['RJAA', 'JP', 3], ['RJBB', 'JP', 3], ['RKSI', 'KR', 4], ['ZBAA', 'CN', 5], ['ZSPD', 'CN', 5],
+    ['ZGGG', 'CN', 4], ['VHHH', 'CN', 4], ['WSSS', 'SG', 4], ['VTBS', 'TH', 4], ['VIDP', 'IN', 4], ['VABB', 'IN', 3],
+    ['YSSY', 'AU', 4], ['YMML', 'AU', 3], ['YBBN', 'AU', 2], ['YPPH', 'AU', 2], ['NZAA', 'NZ', 2],
+].map(([icao, country, weight]) => {
+    const { latitude, longitude } = findAirport(icao);
+    return { icao, lat: latitude, lon: longitude, country, weight };
+});
+
+/**
+ * Flight profile per OpenSky category: cruise speed (m/s), cruise altitude (m),
+ * climb/descent rates (m/s), takeoff/landing speed (m/s), leg length (km),
+ * turnaround (min), share of the fleet, and whether it flies airline callsigns.
+ */
+const CATEGORY_PROFILES = [
+    { category: 2, share: 0.10, cruise: [55, 70], altitude: [1_500, 3_000], climb: 3.5, descent: 3, approach: 30, rangeKm: [80, 600], turnaroundMin: [20, 45], callsign: 'registration' },
+    { category: 3, share: 0.25, cruise: [120, 190], altitude: [6_000, 10_000], climb: 9, descent: 7, approach: 60, rangeKm: [200, 1_800], turnaroundMin: [25, 45], callsign: 'regional' },
+    { category: 4, share: 0.45, cruise: [220, 240], altitude: [10_000, 11_600], climb: 11, descent: 8, approach: 75, rangeKm: [400, 5_000], turnaroundMin: [40, 70], callsign: 'airline' },
+    { category: 5, share: 0.03, cruise: [225, 240], altitude: [10_500, 12_000], climb: 12, descent: 8, approach: 75, rangeKm: [800, 6_500], turnaroundMin: [45, 75], callsign: 'airline' },
+    { category: 6, share: 0.17, cruise: [240, 255], altitude: [10_700, 12_500], climb: 9, descent: 8, approach: 80, rangeKm: [3_000, 14_000], turnaroundMin: [90, 150], callsign: 'airline' },
+];
+
+// ---------------------------------------------------------------------------
+// Seeded randomness
+// ---------------------------------------------------------------------------
+
+/** 32-bit FNV-1a hash of a string. */
+const hashString = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/** mulberry32 PRNG: returns a function yielding floats in [0, 1). */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const between = (random, [min, max]) => min + random() * (max - min);
+
+const pickWeighted = (random, items, weightOf) => {
+    const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+    let target = random() * total;
+    for (const item of items) {
+        target -= weightOf(item);
+        if (target < 0) return item;
+    }
+    return items[items.length - 1];
+};
+
+// ---------------------------------------------------------------------------
+// Great-circle geometry
+// ---------------------------------------------------------------------------
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/** Central angle between two points, in radians. */
+const centralAngle = (a, b) => {
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const distanceM = (a, b) => centralAngle(a, b) * EARTH_RADIUS_M;
+
+/** Initial true bearing from a to b, in degrees [0, 360). */
+const bearingDeg = (a, b) => {
+    const lat1 = toRad(a.lat);
+    const lat2 = toRad(b.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+};
+
+/** Point at `fraction` of the great circle from a to b; longitude in [-180, 180]. */
+const interpolateGreatCircle = (a, b, angle, fraction) => {
+    if (angle === 0) return { lat: a.lat, lon: a.lon };
+    const lat1 = toRad(a.lat);
+    const lon1 = toRad(a.lon);
+    const lat2 = toRad(b.lat);
+    const lon2 = toRad(b.lon);
+    const wa = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    const wb = Math.sin(fraction * angle) / Math.sin(angle);
+    const x = wa * Math.cos(lat1) * Math.cos(lon1) + wb * Math.cos(lat2) * Math.cos(lon2);
+    const y = wa * Math.cos(lat1) * Math.sin(lon1) + wb * Math.cos(lat2) * Math.sin(lon2);
+    const z = wa * Math.sin(lat1) + wb * Math.sin(lat2);
+    return { lat: toDeg(Math.atan2(z, Math.hypot(x, y))), lon: toDeg(Math.atan2(y, x)) };
+};
+
+// ---------------------------------------------------------------------------
+// Fleet
+// ---------------------------------------------------------------------------
+
+/**
+ * Vertical profile of one leg. Legs too short to reach cruise altitude
+ * level off lower, keeping at least a short cruise segment.
+ */
+const planLeg = (from, to, profile, performance, turnaroundS) => {
+    const angle = centralAngle(from, to);
+    const distance = angle * EARTH_RADIUS_M;
+    const { cruiseSpeed, approach } = performance;
+    let altitude = performance.altitude;
+
+    const climbDistance = (alt) => ((approach + cruiseSpeed) / 2) * (alt / profile.climb);
+    const descentDistance = (alt) => ((approach + cruiseSpeed) / 2) * (alt / profile.descent);
+    const needed = climbDistance(altitude) + descentDistance(altitude);
+    if (needed > distance * 0.9) altitude *= (distance * 0.9) / needed;
+
+    const climbS = altitude / profile.climb;
+    const descentS = altitude / profile.descent;
+    const cruiseM = distance - climbDistance(altitude) - descentDistance(altitude);
+    const cruiseS = cruiseM / cruiseSpeed;
+
+    return {
+        from,
+        to,
+        angle,
+        distance,
+        altitude,
+        climbS,
+        cruiseS,
+        descentS,
+        flightS: climbS + cruiseS + descentS,
+        turnaroundS,
+    };
+};
+
+/** Airports within a leg-length range of each airport, nearest first; built once per range. */
+const destinationCache = new Map();
+const destinationsFrom = (from, rangeKm) => {
+    const key = `${from.icao}:${rangeKm.join('-')}`;
+    let entry = destinationCache.get(key);
+    if (!entry) {
+        const [minM, maxM] = rangeKm.map((km) => km * 1000);
+        const byDistance = AIRPORTS
+            .filter((airport) => airport !== from)
+            .map((airport) => ({ airport, distance: distanceM(from, airport) }))
+            .sort((a, b) => a.distance - b.distance);
+        entry = {
+            inRange: byDistance.filter(({ distance }) => distance >= minM && distance <= maxM).map(({ airport }) => airport),
+            nearest: byDistance.map(({ airport }) => airport),
+        };
+        destinationCache.set(key, entry);
+    }
+    return entry;
+};
+
+/** Pick the next destination from `from` within the category's range. */
+const pickDestination = (random, from, exclude, rangeKm) => {
+    const { inRange, nearest } = destinationsFrom(from, rangeKm);
+    const candidates = inRange.filter((airport) => !exclude.includes(airport));
+    if (candidates.length > 0) return pickWeighted(random, candidates, (airport) => airport.weight);
+
+    // Nothing in range (e.g. a remote base): fly to the nearest other airport
+    return nearest.find((airport) => !exclude.includes(airport));
+};
+
+const REGISTRATION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/** Registration-style callsign such as N482KT, GABCD or DEFKL. */
+const makeRegistration = (random, prefix) => {
+    const letter = () => REGISTRATION_LETTERS[Math.floor(random() * REGISTRATION_LETTERS.length)];
+    if (prefix === 'N' || prefix === 'JA') {
+        return `${prefix}${100 + Math.floor(random() * 900)}${letter()}${letter()}`.slice(0, 8);
+    }
+    let registration = prefix;
+    while (registration.length < 5) registration += letter();
+    return registration;
+};
+
+/**
+ * Build the fleet for a seed. Every aircraft gets a unique civil icao24 from its
+ * country's address block and a four-leg rotation around its base airport.
+ */
+const buildFleet = (seed, size) => {
+    const random = createRandom(hashString(seed));
+    const addressCounters = {};
+    const fleet = [];
+
+    for (let i = 0; i < size; i++) {
+        const profile = pickWeighted(random, CATEGORY_PROFILES, (p) => p.share);
+        const base = pickWeighted(random, AIRPORTS, (airport) => airport.weight);
+        const country = COUNTRIES[base.country];
+
+        // Step through the address block with an odd stride so addresses look spread out but never repeat;
+        // skip military sub-blocks so airliners are not flagged as military
+        let icao24;
+        do {
+            const n = addressCounters[base.country] = (addressCounters[base.country] ?? -1) + 1;
+            icao24 = (country.block + ((0x100 + n * 0x61) % country.blockSize)).toString(16).padStart(6, '0');
+        } while (lookupIcaoAddress(icao24).type !== 'civil');
+
+        const performance = {
+            cruiseSpeed: between(random, profile.cruise),
+            altitude: Math.round(between(random, profile.altitude) / 300) * 300,
+            approach: profile.approach,
+        };
+
+        let callsignFor;
+        if (profile.callsign === 'registration') {
+            const registration = makeRegistration(random, country.reg);
+            callsignFor = () => registration;
+        } else {
+            const designators = profile.callsign === 'regional' && country.regional ? country.regional : country.airlines;
+            const airline = designators[Math.floor(random() * designators.length)];
+            const flightNumber = 2 * (50 + Math.floor(random() * 2400));
+            callsignFor = (leg) => `${airline}${flightNumber + leg}`;
+        }
+
+        const outA = pickDestination(random, base, [base], profile.rangeKm);
+        const outB = pickDestination(random, base, [base, outA], profile.rangeKm);
+        const turnaround = () => between(random, profile.turnaroundMin) * 60;
+        const legs = [[base, outA], [outA, base], [base, outB], [outB, base]]
+            .map(([from, to]) => planLeg(from, to, profile, performance, turnaround()));
+        const cycleS = legs.reduce((sum, leg) => sum + leg.flightS + leg.turnaroundS, 0);
+
+        fleet.push({
+            icao24,
+            country: country.name,
+            category: profile.category,
+            profile,
+            performance,
+            callsignFor,
+            // Squawk stays clear of 7500/7600/7700 (first digit 0–6)
+            squawk: [6, 8, 8, 8].map((radix) => Math.floor(random() * radix)).join(''),
+            geoOffsetM: Math.round(between(random, [20, 140])),
+            legs,
+            cycleS,
+            phaseS: random() * cycleS,
+        });
+    }
+    return fleet;
+};
+
+/**
+ * OpenSky-style state vector for one aircraft at `now` (unix seconds).
+ * Aircraft in a turnaround are reported on the ground at the arrival airport.
+ */
+const aircraftState = (aircraft, now) => {
+    let elapsed = (now + aircraft.phaseS) % aircraft.cycleS;
+    let legIndex = 0;
+    while (elapsed >= aircraft.legs[legIndex].flightS + aircraft.legs[legIndex].turnaroundS) {
+        elapsed -= aircraft.legs[legIndex].flightS + aircraft.legs[legIndex].turnaroundS;
+        legIndex++;
+    }
+    const leg = aircraft.legs[legIndex];
+    const { cruiseSpeed, approach } = aircraft.performance;
+    const { climb, descent } = aircraft.profile;
+    const callsign = aircraft.callsignFor(legIndex);
+
+    if (elapsed >= leg.flightS) {
+        return buildState(aircraft, callsign, now, leg.to, {
+            baroAltitude: null,
+            onGround: true,
+            velocity: 0,
+            track: bearingDeg(leg.from, leg.to),
+            verticalRate: 0,
+        });
+    }
+
+    let travelled;
+    let altitude;
+    let velocity;
+    let verticalRate;
+    if (elapsed < leg.climbS) {
+        const accel = (cruiseSpeed - approach) / leg.climbS;
+        travelled = approach * elapsed + (accel * elapsed * elapsed) / 2;
+        altitude = climb * elapsed;
+        velocity = approach + accel * elapsed;
+        verticalRate = climb;
+    } else if (elapsed < leg.climbS + leg.cruiseS) {
+        travelled = ((approach + cruiseSpeed) / 2) * leg.climbS + cruiseSpeed * (elapsed - leg.climbS);
+        altitude = leg.altitude;
+        velocity = cruiseSpeed;
+        verticalRate = 0;
+    } else {
+        const t = elapsed - leg.climbS - leg.cruiseS;
+        const decel = (cruiseSpeed - approach) / leg.descentS;
+        travelled = ((approach + cruiseSpeed) / 2) * leg.climbS + cruiseSpeed * leg.cruiseS
+            + cruiseSpeed * t - (decel * t * t) / 2;
+        altitude = leg.altitude - descent * t;
+        velocity = cruiseSpeed - decel * t;
+        verticalRate = -descent;
+    }
+
+    const fraction = Math.min(1, Math.max(0, travelled / leg.distance));
+    const position = interpolateGreatCircle(leg.from, leg.to, leg.angle, fraction);
+    return buildState(aircraft, callsign, now, position, {
+        baroAltitude: altitude,
+        onGround: false,
+        velocity,
+        track: bearingDeg(position, leg.to),
+        verticalRate,
+    });
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const buildState = (aircraft, callsign, now, position, { baroAltitude, onGround, velocity, track, verticalRate }) => [
+    aircraft.icao24,
+    callsign,
+    aircraft.country,
+    now,
+    now,
+    round(position.lon, 5),
+    round(position.lat, 5),
+    baroAltitude == null ? null : round(baroAltitude, 1),
+    onGround,
+    round(velocity, 2),
+    round(track, 1),
+    round(verticalRate, 2),
+    [],
+    baroAltitude == null ? null : round(baroAltitude + aircraft.geoOffsetM, 1),
+    aircraft.squawk,
+    false,
+    0,
+    aircraft.category,
+];
+
+/**
+ * Create a simulator. Fleet construction is lazy and positions are memoized
+ * per second, so tiled requests for the same moment share one computation.
+ */
+const createFlightSimulator = ({ seed = DEFAULT_SIMULATOR_SEED, fleetSize = DEFAULT_FLEET_SIZE } = {}) => {
+    const size = Math.max(1, Math.min(MAX_FLEET_SIZE, Math.floor(fleetSize) || DEFAULT_FLEET_SIZE));
+    let fleet = null;
+    let memo = { now: null, states: [] };
+
+    /** All simulated state vectors at `now` (unix seconds). */
+    const statesAt = (now) => {
+        if (memo.now === now) return memo.states;
+        fleet = fleet || buildFleet(String(seed), size);
+        memo = { now, states: fleet.map((aircraft) => aircraftState(aircraft, now)) };
+        return memo.states;
+    };
+
+    return {
+        seed: String(seed),
+        fleetSize: size,
+        statesAt,
+        /** Simulated state vectors inside a bbox (antimeridian-aware). */
+        statesInBbox: (bbox, now = Math.floor(Date.now() / 1000)) =>
+            statesAt(now).filter((state) => isInBbox(state[6], state[5], bbox)),
+    };
+};
+
+module.exports = {
+    DEFAULT_SIMULATOR_SEED,
+    DEFAULT_FLEET_SIZE,
+    createFlightSimulator,
+};
@@ -0,0 +1,659 @@
+/**
+ * Pluggable flight-source providers for /api/flights.
+ * Used by both server.js (Node.js/Express) and worker.js (Cloudflare Workers) so
+ * source selection, ordering and timeouts behave identically in both runtimes.
+ *
+ * A provider is a plain object:
+ *   {
+ *     id:        'opensky',            // config key
+ *     source:    'opensky',            // value reported as `_source` (defaults to id)
+ *     label:     'OpenSky Network',
+ *     fallback:  false,                // true → only used once every live source failed
+ *     timeoutMs: 8000,                 // default, overridable via config
+ *     fetchStates: async (bbox, { client, timeoutMs, now }) =>
+ *         ({ states, sourceTimestamp?, authUsed?, message?, coverage? }),
+ *     searchStates: async ({ icao24s, callsigns, registrations }, { client, timeoutMs, now }) =>
+ *         ({ states })                  // optional: worldwide lookup for /api/search
+ *   }
+ *
+ * `coverage` (0–1) is the share of the bbox the provider could actually query, when
+ * less than all of it; it is reported as `_meta.coverage`.
+ *
+ * `client` is the runtime's HTTP adapter: { fetchJson(url, headers, timeoutMs), getAuthHeaders(), invalidateAuth?(), readJsonFile?(path) }.
+ * `fetchJson` must reject with an Error carrying `status` for HTTP failures (same contract as openskyApi.js).
+ */
+
+const flightUtils = require('./flightUtils');
+const { createFlightSimulator } = require('./flightSimulator');
+const { OPENSKY_API_BASE, normalizeIcao24 } = require('./openskyApi');
+const { NON_ICAO_PREFIX, isNonIcaoAddress } = require('./icaoAddresses');
+
+const ADSB_LOL_API_BASE = 'https://api.adsb.lol/v2';
+
+const DEFAULT_SOURCE_ORDER = ['opensky', 'adsb_lol', 'simulated'];
+const DEFAULT_SOURCE_TIMEOUT_MS = 10_000;
+
+/**
+ * `race`: query live sources in parallel, first success wins.
+ * `priority`: try them one by one in order.
+ * `merge`: query every live source and join their aircraft by icao24.
+ */
+const SOURCE_STRATEGIES = ['race', 'priority', 'merge'];
+const DEFAULT_SOURCE_STRATEGY = 'race';
+
+// ---------------------------------------------------------------------------
+// Built-in providers
+// ---------------------------------------------------------------------------
+
+/** Whole-globe bbox, for providers that can filter worldwide data themselves. */
+const GLOBE_BBOX = { minLat: -90, maxLat: 90, minLon: -180, maxLon: 180 };
+
+/** GET an OpenSky /states/all URL, retrying once with a fresh token after a 401. */
+const fetchOpenSkyStates = async (url, client, timeoutMs) => {
+    let headers = (await client.getAuthHeaders()) || {};
+
+    let data;
+    try {
+        data = await client.fetchJson(url, headers, timeoutMs);
+    } catch (error) {
+        if (error?.status !== 401 || !client.invalidateAuth) throw error;
+        // Stale token — drop it and retry once with a fresh one.
+        await client.invalidateAuth();
+        headers = (await client.getAuthHeaders()) || {};
+        data = await client.fetchJson(url, headers, timeoutMs);
+    }
+
+    return {
+        states: data?.states ?? [],
+        sourceTimestamp: data?.time ?? null,
+        authUsed: !!headers.Authorization,
+    };
+};
+
+/** State vectors whose icao24 or callsign is one of the search terms. */
+const filterStatesByTerms = (states, { icao24s, callsigns }) => states.filter((state) =>
+    icao24s.includes(normalizeIcao24(state[0])) || callsigns.includes(String(state[1] || '').trim().toUpperCase()));
+
+const openskyProvider = {
+    id: 'opensky',
+    label: 'OpenSky Network',
+    fallback: false,
+    timeoutMs: 8_000,
+    fetchStates: async ({ minLat, maxLat, minLon, maxLon }, { client, timeoutMs }) =>
+        fetchOpenSkyStates(
+            `${OPENSKY_API_BASE}/states/all?lamin=${minLat}&lomin=${minLon}&lamax=${maxLat}&lomax=${maxLon}&extended=1`,
+            client,
+            timeoutMs
+        ),
+    // OpenSky filters by icao24 only; callsigns would need the whole /states/all
+    searchStates: async ({ icao24s }, { client, timeoutMs }) => {
+        if (icao24s.length === 0) return { states: [] };
+        const query = icao24s.map((icao) => `icao24=${icao}`).join('&');
+        return fetchOpenSkyStates(`${OPENSKY_API_BASE}/states/all?${query}&extended=1`, client, timeoutMs);
+    },
+};
+
+/** readsb aircraft from several adsb.lol responses, one record per hex. */
+const collectAdsbLolAircraft = (payloads) => {
+    const byHex = new Map();
+    const unkeyed = [];
+    payloads.forEach((payload) => (payload?.ac || []).forEach((ac) => {
+        if (ac?.hex) byHex.set(ac.hex, ac);
+        else unkeyed.push(ac);
+    }));
+    return [...byHex.values(), ...unkeyed];
+};
+
+/** Fetch adsb.lol URLs in parallel; rejects only when every one failed. */
+const fetchAdsbLolPayloads = async (urls, client, timeoutMs) => {
+    const results = await Promise.allSettled(urls.map((url) => client.fetchJson(url, {}, timeoutMs)));
+    const payloads = results.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+    if (payloads.length === 0 && results.length > 0) throw results[0].reason;
+    return payloads;
+};
+
+const adsbLolProvider = {
+    id: 'adsb_lol',
+    label: 'adsb.lol',
+    fallback: false,
+    timeoutMs: 10_000,
+    fetchStates: async ({ minLat, maxLat, minLon, maxLon }, { client, timeoutMs, now }) => {
+        // Large bboxes are covered by several circles (see bboxCirclesNm), fetched in parallel.
+        const circles = flightUtils.bboxCirclesNm(minLat, maxLat, minLon, maxLon);
+        const payloads = await fetchAdsbLolPayloads(circles.map(({ centerLat, centerLon, radiusNm }) =>
+            `${ADSB_LOL_API_BASE}/lat/${centerLat.toFixed(4)}/lon/${centerLon.toFixed(4)}/dist/${radiusNm}`
+        ), client, timeoutMs);
+
+        // Circles overlap — keep one record per hex. Past ADSB_LOL_MAX_CIRCLES they also leave gaps.
+        const coverage = flightUtils.bboxCircleCoverage(minLat, maxLat, minLon, maxLon);
+        return {
+            states: flightUtils.adsbLolAircraftToStates(collectAdsbLolAircraft(payloads), minLat, maxLat, minLon, maxLon, now),
+            ...(coverage < 1 ? { coverage } : {}),
+        };
+    },
+    searchStates: async ({ icao24s, callsigns, registrations }, { client, timeoutMs, now }) => {
+        const payloads = await fetchAdsbLolPayloads([
+            ...icao24s.map((icao) => `${ADSB_LOL_API_BASE}/hex/${icao}`),
+            ...callsigns.map((callsign) => `${ADSB_LOL_API_BASE}/callsign/${encodeURIComponent(callsign)}`),
+            ...registrations.map((registration) => `${ADSB_LOL_API_BASE}/reg/${encodeURIComponent(registration)}`),
+        ], client, timeoutMs);
+        const { minLat, maxLat, minLon, maxLon } = GLOBE_BBOX;
+        return {
+            states: flightUtils.adsbLolAircraftToStates(collectAdsbLolAircraft(payloads), minLat, maxLat, minLon, maxLon, now),
+        };
+    },
+};
+
+/**
+ * Seeded, time-based demo traffic (see flightSimulator.js). Configure with
+ * SIMULATOR_SEED / SIMULATOR_FLEET_SIZE via createProviders().
+ */
+const createSimulatedProvider = (simulator = createFlightSimulator()) => ({
+    id: 'simulated',
+    source: 'enhanced_sample',
+    label: 'Simulated demo traffic',
+    fallback: true,
+    timeoutMs: 1_000,
+    fetchStates: async (bbox, { now }) => ({
+        states: simulator.statesInBbox(bbox, now),
+        message: flightUtils.FALLBACK_MESSAGE,
+    }),
+    searchStates: async (terms, { now }) => ({
+        states: filterStatesByTerms(simulator.statesInBbox(GLOBE_BBOX, now), terms),
+    }),
+});
+
+const simulatedProvider = createSimulatedProvider();
+
+const BUILTIN_PROVIDERS = [openskyProvider, adsbLolProvider, simulatedProvider];
+
+const isHttpUrl = (location) => /^https?:\/\//i.test(location);
+
+/**
+ * Provider for a local dump1090/readsb receiver. `location` is either the
+ * receiver's aircraft.json URL (e.g. http://raspberrypi/tar1090/data/aircraft.json)
+ * or a file path; file paths need a runtime with `client.readJsonFile` (Express only).
+ */
+const createLocalReceiverProvider = (location) => {
+    const fetchStates = async ({ minLat, maxLat, minLon, maxLon }, { client, timeoutMs, now }) => {
+        let payload;
+        if (isHttpUrl(location)) {
+            payload = await client.fetchJson(location, {}, timeoutMs);
+        } else if (typeof client.readJsonFile === 'function') {
+            payload = await client.readJsonFile(location.replace(/^file:\/\//i, ''));
+        } else {
+            throw new Error('Local receiver file paths are not supported in this runtime; use an http(s) URL');
+        }
+
+        // readsb `seen_pos` is relative to the file's own `now`, not to our clock.
+        const receiverNow = Number.isFinite(payload?.now) ? Math.floor(payload.now) : now;
+        const aircraft = payload?.aircraft ?? payload?.ac ?? [];
+
+        return {
+            states: flightUtils.adsbLolAircraftToStates(aircraft, minLat, maxLat, minLon, maxLon, receiverNow),
+            sourceTimestamp: receiverNow,
+        };
+    };
+
+    return {
+        id: 'local_receiver',
+        label: `Local receiver (${location})`,
+        fallback: false,
+        timeoutMs: 3_000,
+        fetchStates,
+        // The receiver only covers its own range, so search reads all of it
+        searchStates: async (terms, ctx) => ({
+            states: filterStatesByTerms((await fetchStates(GLOBE_BBOX, ctx)).states, terms),
+        }),
+    };
+};
+
+/**
+ * Built-in providers plus any configured by env (LOCAL_RECEIVER_URL).
+ * SIMULATOR_SEED / SIMULATOR_FLEET_SIZE replace the default simulated fleet.
+ */
+const createProviders = (env = {}) => {
+    const providers = [...BUILTIN_PROVIDERS];
+    if (env.SIMULATOR_SEED || env.SIMULATOR_FLEET_SIZE) {
+        const simulator = createFlightSimulator({
+            seed: String(env.SIMULATOR_SEED || '').trim() || undefined,
+            fleetSize: parseInt(env.SIMULATOR_FLEET_SIZE, 10) || undefined,
+        });
+        providers[providers.indexOf(simulatedProvider)] = createSimulatedProvider(simulator);
+    }
+    const receiver = String(env.LOCAL_RECEIVER_URL || '').trim();
+    if (receiver) providers.push(createLocalReceiverProvider(receiver));
+    return providers;
+};
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+const parseList = (value) =>
+    String(value || '')
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+
+/** Parse `id:ms,id:ms` into { id: ms }. Invalid entries are ignored. */
+const parseTimeouts = (value) => {
+    const timeouts = {};
+    for (const entry of parseList(value)) {
+        const [id, ms] = entry.split(':');
+        const parsed = parseInt(ms, 10);
+        if (id && Number.isFinite(parsed) && parsed > 0) timeouts[id] = parsed;
+    }
+    return timeouts;
+};
+
+/**
+ * Read source configuration from an env-like object.
+ *
+ *   FLIGHT_SOURCES=opensky,adsb_lol,simulated      priority order (unlisted providers are disabled)
+ *   FLIGHT_SOURCES_DISABLED=adsb_lol               providers to switch off without reordering
+ *   FLIGHT_SOURCE_TIMEOUTS=opensky:8000,adsb_lol:10000
+ *   FLIGHT_SOURCE_STRATEGY=race|priority|merge
+ *   LOCAL_RECEIVER_URL=http://receiver/data/aircraft.json   adds `local_receiver` ahead of the default order
+ *
+ * `defaults` supplies per-runtime values used when a variable is unset.
+ */
+const loadSourceConfig = (env = {}, defaults = {}) => {
+    const order = parseList(env.FLIGHT_SOURCES);
+    const strategy = String(env.FLIGHT_SOURCE_STRATEGY || '').trim().toLowerCase();
+    let defaultOrder = defaults.order || DEFAULT_SOURCE_ORDER;
+    if (String(env.LOCAL_RECEIVER_URL || '').trim()) {
+        defaultOrder = ['local_receiver', ...defaultOrder.filter((id) => id !== 'local_receiver')];
+    }
+
+    return {
+        order: order.length > 0 ? order : defaultOrder,
+        disabled: [...(defaults.disabled || []), ...parseList(env.FLIGHT_SOURCES_DISABLED)],
+        timeouts: { ...(defaults.timeouts || {}), ...parseTimeouts(env.FLIGHT_SOURCE_TIMEOUTS) },
+        strategy: SOURCE_STRATEGIES.includes(strategy) ? strategy : (defaults.strategy || DEFAULT_SOURCE_STRATEGY),
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a provider registry. `config.order` is both the priority order and the
+ * enabled set — a registered provider that is not listed there is never queried.
+ */
+const createSourceRegistry = (providers = BUILTIN_PROVIDERS, config = {}) => {
+    const byId = new Map();
+    const order = config.order || DEFAULT_SOURCE_ORDER;
+    const disabled = new Set(config.disabled || []);
+    const timeouts = config.timeouts || {};
+    const strategy = config.strategy || DEFAULT_SOURCE_STRATEGY;
+
+    const register = (provider) => {
+        if (!provider?.id || typeof provider.fetchStates !== 'function') {
+            throw new Error('Flight source provider needs an id and a fetchStates() function');
+        }
+        byId.set(provider.id, provider);
+        return provider;
+    };
+
+    providers.forEach(register);
+
+    const isEnabled = (id) => byId.has(id) && !disabled.has(id) && order.includes(id);
+
+    /** Enabled providers in priority order, with their effective timeouts. */
+    const active = () =>
+        order
+            .filter(isEnabled)
+            .map((id) => {
+                const provider = byId.get(id);
+                return {
+                    provider,
+                    timeoutMs: timeouts[id] ?? provider.timeoutMs ?? DEFAULT_SOURCE_TIMEOUT_MS,
+                };
+            });
+
+    const describe = () => ({
+        strategy,
+        sources: active().map(({ provider, timeoutMs }) => ({
+            id: provider.id,
+            label: provider.label || provider.id,
+            fallback: !!provider.fallback,
+            timeoutMs,
+        })),
+        disabled: [...byId.keys()].filter((id) => !isEnabled(id)),
+    });
+
+    return {
+        strategy,
+        register,
+        get: (id) => byId.get(id) || null,
+        isEnabled,
+        active,
+        describe,
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Fetching
+// ---------------------------------------------------------------------------
+
+/** Reject after `ms` so a provider that ignores its timeout cannot hang the request. */
+const withTimeout = (promise, ms, id) => {
+    let timeoutId;
+    const timer = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`${id} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timer]).finally(() => clearTimeout(timeoutId));
+};
+
+const runProvider = async ({ provider, timeoutMs }, bbox, client, now) => {
+    const result = await withTimeout(
+        Promise.resolve().then(() => provider.fetchStates(bbox, { client, timeoutMs, now })),
+        timeoutMs,
+        provider.id
+    );
+    return { provider, result };
+};
+
+// State-vector slots filled from another source when the freshest record lacks them.
+const MERGE_FILL_SLOTS = {
+    callsign: 1,
+    origin_country: 2,
+    squawk: 14,
+    emergency: 18,
+};
+const TIME_POSITION_SLOT = 3;
+
+const isMissing = (value) => value == null || value === '';
+
+/**
+ * Join state vectors from several sources by normalized icao24.
+ * The record with the newest `time_position` supplies the position; gaps in
+ * callsign / origin_country / squawk / emergency are filled from the other sources.
+ *
+ * @param {Array<{ id: string, states: unknown[][] }>} sourceStates in priority order
+ * @returns {{ states: unknown[][], contributions: Object<string, { received: number, primary: number, unique: number, fieldsFilled: number }> }}
+ */
+const mergeSourceStates = (sourceStates) => {
+    const byIcao = new Map();
+    const unkeyed = [];
+    const contributions = {};
+
+    for (const { id, states } of sourceStates) {
+        contributions[id] = { received: states.length, primary: 0, unique: 0, fieldsFilled: 0 };
+        for (const state of states) {
+            // Non-ICAO addresses keep their "~" so they never join a real aircraft of the same hex.
+            const hex = normalizeIcao24(state?.[0]);
+            const icao = hex && isNonIcaoAddress(state[0]) ? `${NON_ICAO_PREFIX}${hex}` : hex;
+            if (!icao) {
+                unkeyed.push({ id, state });
+                continue;
+            }
+            const candidates = byIcao.get(icao) ?? [];
+            candidates.push({ id, state });
+            byIcao.set(icao, candidates);
+        }
+    }
+
+    const merged = [];
+    byIcao.forEach((candidates, icao) => {
+        // Newest position first; ties keep source priority order (sort is stable).
+        const ranked = [...candidates].sort(
+            (a, b) => (b.state[TIME_POSITION_SLOT] ?? -Infinity) - (a.state[TIME_POSITION_SLOT] ?? -Infinity)
+        );
+        const best = ranked[0];
+        const state = [...best.state];
+        state[0] = icao;
+
+        for (const slot of Object.values(MERGE_FILL_SLOTS)) {
+            if (!isMissing(state[slot])) continue;
+            const donor = ranked.find((c) => !isMissing(c.state[slot]));
+            if (donor) {
+                state[slot] = donor.state[slot];
+                contributions[donor.id].fieldsFilled++;
+            }
+        }
+
+        contributions[best.id].primary++;
+        if (new Set(candidates.map((c) => c.id)).size === 1) contributions[best.id].unique++;
+        merged.push(state);
+    });
+
+    unkeyed.forEach(({ id, state }) => {
+        contributions[id].primary++;
+        contributions[id].unique++;
+        merged.push(state);
+    });
+
+    return { states: merged, contributions };
+};
+
+const MERGED_PROVIDER = { id: 'merged', label: 'Merged live sources', fallback: false };
+
+/** Query every live source in parallel and merge what came back; null when all failed. */
+const runMerged = async (entries, bbox, client, now, recordError) => {
+    const settled = await Promise.all(entries.map((entry) =>
+        runProvider(entry, bbox, client, now).catch((error) => {
+            recordError(entry, error);
+            return null;
+        })
+    ));
+    const succeeded = settled.filter(Boolean);
+    if (succeeded.length === 0) return null;
+
+    const { states, contributions } = mergeSourceStates(
+        succeeded.map(({ provider, result }) => ({ id: provider.id, states: result.states || [] }))
+    );
+    const timestamps = succeeded.map(({ result }) => result.sourceTimestamp).filter(Number.isFinite);
+    // The merged sources cover at least what the most complete one does
+    const coverage = Math.max(...succeeded.map(({ result }) => result.coverage ?? 1));
+
+    return {
+        provider: MERGED_PROVIDER,
+        result: {
+            states,
+            contributions,
+            authUsed: succeeded.some(({ result }) => result.authUsed),
+            sourceTimestamp: timestamps.length > 0 ? Math.max(...timestamps) : null,
+            ...(coverage < 1 ? { coverage } : {}),
+        },
+    };
+};
+
+/**
+ * Build the /api/flights payload from a fetchStatesFromSources() result, optionally
+ * with per-request `thresholds` (one fetch can serve payloads at several thresholds).
+ */
+const buildSourcesResponse = ({ provider, result, errors = [], now }, bbox, { thresholds = null } = {}) => {
+    const data = flightUtils.buildFlightsResponse(result.states || [], bbox, {
+        source: provider.source || provider.id,
+        fallback: !!provider.fallback,
+        message: result.message || null,
+        authUsed: !!result.authUsed,
+        sourceTimestamp: result.sourceTimestamp ?? null,
+        now,
+        thresholds,
+    });
+    if (result.contributions) data._meta.sourceContributions = result.contributions;
+    if (result.coverage < 1) data._meta.coverage = result.coverage;
+    if (errors.length > 0) data._meta.sourceErrors = errors;
+    return data;
+};
+
+/**
+ * Fetch raw state vectors for a bbox from the registry's enabled providers.
+ * Resolves with `{ provider, result, errors, now }` where `provider` is the
+ * answering provider (or the synthetic `merged` one) and `result` is what its
+ * fetchStates() returned. Rejects with an AggregateError when every provider
+ * (including fallbacks) failed. `live: false` skips the live providers and
+ * `fallback: false` the fallback ones.
+ *
+ * Antimeridian-crossing bboxes are fetched as two halves, so providers only
+ * ever see minLon <= maxLon. Fallback states are never mixed with live ones:
+ * the halves are fetched live, a half no live source answered is left out
+ * (coverage 0), and fallbacks only run when neither half was answered live.
+ */
+const fetchStatesFromSources = async (registry, bbox, client, { live = true, fallback = true } = {}) => {
+    const halves = flightUtils.splitAntimeridian(bbox);
+    if (halves.length === 1) return fetchStatesForBbox(registry, bbox, client, { live, fallback });
+
+    const fetchHalves = (options) =>
+        Promise.allSettled(halves.map((half) => fetchStatesForBbox(registry, half, client, options)));
+    const halfError = (reason) => ({ source: 'antimeridian_half', error: reason?.message || String(reason) });
+
+    let settled = live ? await fetchHalves({ fallback: false }) : [];
+    const liveErrors = [];
+    if (fallback && settled.every((r) => r.status === 'rejected')) {
+        settled.forEach(({ reason }) => liveErrors.push(halfError(reason)));
+        settled = await fetchHalves({ live: false });
+    }
+    const answered = settled.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+    if (answered.length === 0) {
+        throw new AggregateError(settled.flatMap((r) => r.reason?.errors || [r.reason]), 'All flight sources failed');
+    }
+
+    const [primary] = answered;
+    const timestamps = answered.map(({ result }) => result.sourceTimestamp).filter(Number.isFinite);
+    const errors = [...liveErrors, ...answered.flatMap((value) => value.errors)];
+    settled.filter((r) => r.status === 'rejected').forEach(({ reason }) => errors.push(halfError(reason)));
+    const coverage = flightUtils.combineCoverage(settled.map((r, i) => ({
+        bbox: halves[i],
+        coverage: r.status === 'fulfilled' ? r.value.result.coverage : 0,
+    })));
+
+    return {
+        provider: primary.provider,
+        result: {
+            states: answered.flatMap(({ result }) => result.states || []),
+            sourceTimestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+            authUsed: answered.some(({ result }) => result.authUsed),
+            message: answered.map(({ result }) => result.message).find(Boolean) || null,
+            ...(coverage < 1 ? { coverage } : {}),
+        },
+        errors,
+        now: primary.now,
+    };
+};
+
+const fetchStatesForBbox = async (registry, bbox, client, { live: useLive = true, fallback: useFallback = true } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const entries = registry.active();
+    const live = useLive ? entries.filter(({ provider }) => !provider.fallback) : [];
+    const fallbacks = useFallback ? entries.filter(({ provider }) => provider.fallback) : [];
+    const errors = [];
+
+    const recordError = (entry, error) => {
+        errors.push({ source: entry.provider.id, error: error?.message || String(error) });
+        console.warn(`[Sources] ${entry.provider.id} failed:`, error?.message || error);
+    };
+
+    const trySequentially = async (list) => {
+        for (const entry of list) {
+            try {
+                return await runProvider(entry, bbox, client, now);
+            } catch (error) {
+                recordError(entry, error);
+            }
+        }
+        return null;
+    };
+
+    let winner = null;
+    if (registry.strategy === 'merge') {
+        winner = await runMerged(live, bbox, client, now, recordError);
+    } else if (registry.strategy === 'race' && live.length > 1) {
+        try {
+            winner = await Promise.any(live.map((entry) =>
+                runProvider(entry, bbox, client, now).catch((error) => {
+                    recordError(entry, error);
+                    throw error;
+                })
+            ));
+        } catch (_) {
+            winner = null;
+        }
+    } else {
+        winner = await trySequentially(live);
+    }
+
+    if (!winner) winner = await trySequentially(fallbacks);
+
+    if (!winner) {
+        throw new AggregateError(
+            errors.map(({ source, error }) => new Error(`${source}: ${error}`)),
+            'All flight sources failed'
+        );
+    }
+
+    // Copy now: race losers may still fail after the winner has resolved.
+    return { ...winner, errors: errors.slice(), now };
+};
+
+/**
+ * Fetch flights for a bbox from the registry's enabled providers and build
+ * the standard /api/flights payload. Rejects like fetchStatesFromSources().
+ */
+const fetchFlightsFromSources = async (registry, bbox, client) => {
+    const { provider, result, errors, now } = await fetchStatesFromSources(registry, bbox, client);
+    return buildSourcesResponse({ provider, result, errors, now }, bbox);
+};
+
+/**
+ * Look aircraft up worldwide by `{ icao24s, callsigns, registrations }` through the
+ * enabled providers that implement searchStates(). Live providers are queried in
+ * parallel and their answers merged; fallbacks only run when every live one failed.
+ * Resolves with `{ states, sources, errors }`.
+ */
+const searchStatesFromSources = async (registry, terms, client) => {
+    const now = Math.floor(Date.now() / 1000);
+    const searchable = registry.active().filter(({ provider }) => typeof provider.searchStates === 'function');
+    const errors = [];
+
+    const runAll = async (entries) => {
+        const settled = await Promise.all(entries.map(({ provider, timeoutMs }) => withTimeout(
+            Promise.resolve().then(() => provider.searchStates(terms, { client, timeoutMs, now })),
+            timeoutMs,
+            provider.id
+        ).then(
+            (result) => ({ id: provider.id, states: result?.states || [] }),
+            (error) => {
+                errors.push({ source: provider.id, error: error?.message || String(error) });
+                return null;
+            }
+        )));
+        return settled.filter(Boolean);
+    };
+
+    let answered = await runAll(searchable.filter(({ provider }) => !provider.fallback));
+    if (answered.length === 0) answered = await runAll(searchable.filter(({ provider }) => provider.fallback));
+
+    return {
+        states: mergeSourceStates(answered).states,
+        sources: answered.map(({ id }) => id),
+        errors,
+    };
+};
+
+module.exports = {
+    ADSB_LOL_API_BASE,
+    GLOBE_BBOX,
+    DEFAULT_SOURCE_ORDER,
+    DEFAULT_SOURCE_TIMEOUT_MS,
+    DEFAULT_SOURCE_STRATEGY,
+    SOURCE_STRATEGIES,
+    openskyProvider,
+    adsbLolProvider,
+    simulatedProvider,
+    createSimulatedProvider,
+    BUILTIN_PROVIDERS,
+    createLocalReceiverProvider,
+    createProviders,
+    mergeSourceStates,
+    loadSourceConfig,
+    createSourceRegistry,
+    fetchStatesFromSources,
+    fetchFlightsFromSources,
+    buildSourcesResponse,
+    searchStatesFromSources,
+};
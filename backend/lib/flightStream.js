@@ -0,0 +1,161 @@
+/**
+ * Server-Sent Events hub for GET /api/stream — Express server only.
+ *
+ * A client opens `GET /api/stream?lat_min=…` and receives:
+ *   event: hello     { id, intervalMs }                      subscription id for bbox changes
+ *   event: snapshot  { flights, _meta, ... }                  full /api/flights payload
+ *   event: delta     { added: [], changed: [], removed: [], _meta }   same shape as /api/flights?since=
+ *   event: failure   { message }                            every flight source failed this tick
+ * The bbox is changed on the same subscription with `PUT /api/stream/:id`
+ * (JSON body with lat_min, lon_min, lat_max, lon_max), which triggers a new snapshot.
+ * View options — query filters and thresholds (flightUtils.parseFlightFilters and
+ * parseFlightThresholds) — are given on subscribe and replaced by each PUT.
+ * Subscribers with the same bbox and options share one fetch per tick.
+ */
+
+const crypto = require('crypto');
+const { diffFlightLists } = require('./flightDelta');
+
+const STREAM_DEFAULT_INTERVAL_MS = 15_000;
+const STREAM_HEARTBEAT_MS = 20_000;
+
+const bboxKey = ({ minLat, maxLat, minLon, maxLon }) => [minLat, minLon, maxLat, maxLon].join(',');
+
+/** Subscribers with equal keys see the same payload. */
+const viewKey = ({ bbox, options }) => `${bboxKey(bbox)}|${options ? JSON.stringify(options) : ''}`;
+
+const indexFlights = (flights) => new Map(flights.map((flight) => [flight.icao24, flight]));
+
+/**
+ * Create the hub. `getFlights(bbox, options)` resolves with an /api/flights payload;
+ * `options` is null or `{ filters, thresholds }`.
+ */
+const createStreamHub = ({ getFlights, intervalMs = STREAM_DEFAULT_INTERVAL_MS }) => {
+    const subscribers = new Map(); // id → { id, res, bbox, options, sent: Map<icao24, flight>, snapshotSeq }
+    let timer = null;
+    let heartbeat = null;
+    let ticking = false;
+
+    const send = (res, event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const sendFailure = (res, error) => send(res, 'failure', { message: error.message || 'All flight sources failed.' });
+
+    const sendSnapshot = async (subscriber) => {
+        // Only the latest snapshot request may answer (bbox changes can overlap).
+        const seq = ++subscriber.snapshotSeq;
+        try {
+            const data = await getFlights(subscriber.bbox, subscriber.options);
+            if (seq !== subscriber.snapshotSeq || !subscribers.has(subscriber.id)) return;
+            subscriber.sent = indexFlights(data.flights || []);
+            send(subscriber.res, 'snapshot', data);
+        } catch (error) {
+            if (seq === subscriber.snapshotSeq && subscribers.has(subscriber.id)) sendFailure(subscriber.res, error);
+        }
+    };
+
+    const tick = async () => {
+        if (ticking || subscribers.size === 0) return;
+        ticking = true;
+        try {
+            const groups = new Map();
+            subscribers.forEach((subscriber) => {
+                const key = viewKey(subscriber);
+                if (!groups.has(key)) groups.set(key, { key, bbox: subscriber.bbox, options: subscriber.options, members: [] });
+                groups.get(key).members.push(subscriber);
+            });
+
+            for (const { key, bbox, options, members } of groups.values()) {
+                let data;
+                try {
+                    data = await getFlights(bbox, options);
+                } catch (error) {
+                    members.forEach((member) => sendFailure(member.res, error));
+                    continue;
+                }
+                const flights = data.flights || [];
+                members.forEach((member) => {
+                    // A bbox or options change while we were fetching already produced a fresh snapshot.
+                    if (viewKey(member) !== key || !subscribers.has(member.id)) return;
+                    const { added, changed, removed } = diffFlightLists(member.sent, flights);
+                    member.sent = indexFlights(flights);
+                    send(member.res, 'delta', {
+                        added,
+                        changed,
+                        removed,
+                        _fallback: data._fallback,
+                        _source: data._source,
+                        _message: data._message,
+                        _meta: data._meta,
+                    });
+                });
+            }
+        } finally {
+            ticking = false;
+        }
+    };
+
+    const ensureTimers = () => {
+        if (!timer) timer = setInterval(tick, intervalMs);
+        if (!heartbeat) {
+            heartbeat = setInterval(() => {
+                subscribers.forEach(({ res }) => res.write(': ping\n\n'));
+            }, STREAM_HEARTBEAT_MS);
+        }
+    };
+
+    const stopTimersIfIdle = () => {
+        if (subscribers.size > 0) return;
+        clearInterval(timer);
+        clearInterval(heartbeat);
+        timer = null;
+        heartbeat = null;
+    };
+
+    /** Attach an SSE response for `bbox`, with optional view `options`. */
+    const subscribe = (req, res, bbox, options = null) => {
+        const id = crypto.randomUUID();
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.write(`retry: ${Math.min(intervalMs, 10_000)}\n\n`);
+
+        const subscriber = { id, res, bbox, options, sent: new Map(), snapshotSeq: 0 };
+        subscribers.set(id, subscriber);
+        ensureTimers();
+
+        req.on('close', () => {
+            subscribers.delete(id);
+            stopTimersIfIdle();
+        });
+
+        send(res, 'hello', { id, intervalMs });
+        sendSnapshot(subscriber);
+        return id;
+    };
+
+    /** Change a subscriber's bbox and view options; returns false for an unknown id. */
+    const updateBbox = (id, bbox, options = null) => {
+        const subscriber = subscribers.get(id);
+        if (!subscriber) return false;
+        subscriber.bbox = bbox;
+        subscriber.options = options;
+        sendSnapshot(subscriber);
+        return true;
+    };
+
+    return {
+        subscribe,
+        updateBbox,
+        status: () => ({ subscribers: subscribers.size, intervalMs }),
+    };
+};
+
+module.exports = {
+    STREAM_DEFAULT_INTERVAL_MS,
+    createStreamHub,
+};
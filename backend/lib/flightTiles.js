@@ -0,0 +1,288 @@
+/**
+ * Tiled fetching and density aggregation for bboxes wider than MAX_BBOX_DEGREES —
+ * shared by server.js and worker.js.
+ *
+ * A large bbox is split into tiles on a fixed grid (so neighbouring and repeated
+ * views reuse the same tiles), each tile is fetched through the flight sources
+ * and cached briefly, and the results are merged by icao24. At that zoom the
+ * response defaults to density cells rather than individual aircraft:
+ *   { mode: 'density', cellDegrees, cells: [{ lat, lon, count, avgAltitudeM, partial? }],
+ *     totalAircraft, complete, _fallback, _source, _message, _meta: { ..., tiles, coverage? }, timestamp }
+ * `mode=aircraft` forces individual aircraft, `mode=density` forces cells.
+ *
+ * Sources may only cover part of a tile (adsb.lol queries a few circles of at most
+ * 250 nm, see flightUtils.bboxCircleCoverage). Such tiles are listed in
+ * `_meta.tiles.partial` with their coverage, `_meta.coverage` is the share of the
+ * bbox covered, and density cells overlapping them are `partial`: their counts
+ * and `totalAircraft` are lower bounds, and `complete` is false.
+ */
+
+const flightUtils = require('./flightUtils');
+const flightSources = require('./flightSources');
+const { normalizeIcao24 } = require('./openskyApi');
+
+const TILE_DEFAULT_DEGREES = 45;
+const TILE_CACHE_TTL_MS = 30_000;
+const TILE_FETCH_CONCURRENCY = 4;
+const VIEW_MODES = ['auto', 'aircraft', 'density'];
+
+/** True when a bbox is wider or taller than a single fetch allows. */
+const needsTiling = (bbox, maxDegrees = flightUtils.MAX_BBOX_DEGREES) =>
+    flightUtils.bboxWidthDegrees(bbox) > maxDegrees || Math.abs(bbox.maxLat - bbox.minLat) > maxDegrees;
+
+/**
+ * Grid-aligned tiles covering a bbox, clamped to the valid coordinate range.
+ * Antimeridian-crossing bboxes are tiled half by half.
+ */
+const tileBbox = (bbox, tileDegrees = TILE_DEFAULT_DEGREES) =>
+    flightUtils.splitAntimeridian(bbox).flatMap((half) => tileHalf(half, tileDegrees));
+
+const tileHalf = ({ minLat, maxLat, minLon, maxLon }, tileDegrees) => {
+    const tiles = [];
+    const latStart = Math.floor((Math.max(-90, minLat) + 90) / tileDegrees) * tileDegrees - 90;
+    const lonStart = Math.floor((Math.max(-180, minLon) + 180) / tileDegrees) * tileDegrees - 180;
+    const latEnd = Math.min(90, maxLat);
+    const lonEnd = Math.min(180, maxLon);
+
+    for (let lat = latStart; lat < latEnd; lat += tileDegrees) {
+        for (let lon = lonStart; lon < lonEnd; lon += tileDegrees) {
+            tiles.push({
+                key: `${tileDegrees}:${lat}:${lon}`,
+                minLat: lat,
+                maxLat: Math.min(90, lat + tileDegrees),
+                minLon: lon,
+                maxLon: Math.min(180, lon + tileDegrees),
+            });
+        }
+    }
+    return tiles;
+};
+
+/**
+ * Short-lived cache of tile results `{ provider, result, errors }`, shared by all
+ * requests in the process (or Worker isolate). Oldest entries are evicted first.
+ */
+const createTileCache = ({ ttlMs = TILE_CACHE_TTL_MS, maxTiles = 128 } = {}) => {
+    const entries = new Map();
+
+    return {
+        get: (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (Date.now() - entry.storedAt > ttlMs) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        set: (key, value) => {
+            entries.delete(key);
+            entries.set(key, { value, storedAt: Date.now() });
+            while (entries.size > maxTiles) entries.delete(entries.keys().next().value);
+        },
+        size: () => entries.size,
+    };
+};
+
+/** Run `task` over `items` with at most `limit` in flight; returns settled results in order. */
+const mapWithConcurrency = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await task(items[index]) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+/**
+ * Fetch and merge raw states for a large bbox, tile by tile.
+ * Tiles are fetched from live sources only, and only live results are cached.
+ * A tile no live source answered is left out (listed in `tiles.partial` with
+ * coverage 0); fallback sources run only when no tile was answered live, so
+ * simulated aircraft are never merged with real ones.
+ * Rejects with an AggregateError when every tile failed.
+ */
+const fetchTiledStates = async (registry, bbox, client, {
+    cache = null,
+    tileDegrees = TILE_DEFAULT_DEGREES,
+    concurrency = TILE_FETCH_CONCURRENCY,
+} = {}) => {
+    const tiles = tileBbox(bbox, tileDegrees);
+    let cached = 0;
+
+    let settled = await mapWithConcurrency(tiles, concurrency, async (tile) => {
+        const hit = cache?.get(tile.key);
+        if (hit) {
+            cached++;
+            return hit;
+        }
+        const value = await flightSources.fetchStatesFromSources(registry, tile, client, { fallback: false });
+        cache?.set(tile.key, value);
+        return value;
+    });
+    const liveErrors = [];
+    if (settled.every((r) => r.status === 'rejected')) {
+        settled.forEach(({ reason }) => liveErrors.push({ source: 'tile', error: reason?.message || String(reason) }));
+        settled = await mapWithConcurrency(tiles, concurrency, (tile) =>
+            flightSources.fetchStatesFromSources(registry, tile, client, { live: false }));
+    }
+
+    const succeeded = settled.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+    const failed = settled.filter((r) => r.status === 'rejected');
+    if (succeeded.length === 0) {
+        throw new AggregateError(failed.map((r) => r.reason), 'All flight sources failed');
+    }
+
+    // Tiles don't overlap, but keep the newest position per aircraft just in case.
+    const byIcao = new Map();
+    const unkeyed = [];
+    succeeded.forEach(({ result }) => (result.states || []).forEach((state) => {
+        if (!flightUtils.isInBbox(state?.[6], state?.[5], bbox)) return;
+        const icao = normalizeIcao24(state[0]);
+        if (!icao) {
+            unkeyed.push(state);
+            return;
+        }
+        const existing = byIcao.get(icao);
+        if (!existing || (state[3] ?? -Infinity) > (existing[3] ?? -Infinity)) byIcao.set(icao, state);
+    }));
+
+    // Failed tiles count as uncovered
+    const partial = [];
+    const coverage = flightUtils.combineCoverage(settled.map((r, i) => {
+        const tileCoverage = r.status === 'fulfilled' ? r.value.result.coverage ?? 1 : 0;
+        if (tileCoverage < 1) {
+            const { key, minLat, maxLat, minLon, maxLon } = tiles[i];
+            partial.push({ key, minLat, maxLat, minLon, maxLon, coverage: tileCoverage });
+        }
+        return { bbox: tiles[i], coverage: tileCoverage };
+    }));
+
+    const sources = [...new Set(succeeded.map(({ provider }) => provider.source || provider.id))];
+    const timestamps = succeeded.map(({ result }) => result.sourceTimestamp).filter(Number.isFinite);
+    const errors = [...liveErrors, ...succeeded.flatMap((value) => value.errors || [])];
+    failed.forEach(({ reason }) => errors.push({ source: 'tile', error: reason?.message || String(reason) }));
+
+    return {
+        states: [...byIcao.values(), ...unkeyed],
+        source: sources.length === 1 ? sources[0] : 'tiled',
+        fallback: succeeded.every(({ provider }) => provider.fallback),
+        message: succeeded.map(({ result }) => result.message).find(Boolean) || null,
+        authUsed: succeeded.some(({ result }) => result.authUsed),
+        sourceTimestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+        errors,
+        coverage,
+        tiles: { tileDegrees, count: tiles.length, cached, fetched: succeeded.length - cached, failed: failed.length, partial },
+    };
+};
+
+/** Build the /api/flights payload from a fetchTiledStates() result; adds `_meta.tiles` and `_meta.coverage`. */
+const buildTiledResponse = (tiled, bbox, { thresholds = null } = {}) => {
+    const data = flightUtils.buildFlightsResponse(tiled.states, bbox, {
+        source: tiled.source,
+        fallback: tiled.fallback,
+        message: tiled.message,
+        authUsed: tiled.authUsed,
+        sourceTimestamp: tiled.sourceTimestamp,
+        thresholds,
+    });
+    data._meta.tiles = tiled.tiles;
+    if (tiled.coverage < 1) data._meta.coverage = tiled.coverage;
+    if (tiled.errors.length > 0) data._meta.sourceErrors = tiled.errors;
+    return data;
+};
+
+/** Tiled equivalent of flightSources.fetchFlightsFromSources(). */
+const fetchTiledFlights = async (registry, bbox, client, options) =>
+    buildTiledResponse(await fetchTiledStates(registry, bbox, client, options), bbox);
+
+/** Density cell size for a bbox: coarser as the view widens (at most ~1,000 cells). */
+const densityCellDegrees = (bbox) => {
+    const span = Math.max(flightUtils.bboxWidthDegrees(bbox), Math.abs(bbox.maxLat - bbox.minLat));
+    if (span <= 120) return 2;
+    if (span <= 240) return 5;
+    return 10;
+};
+
+/** Aggregate flights into grid cells of `cellDegrees`, centred on each cell. */
+const aggregateDensity = (flights, cellDegrees) => {
+    const cells = new Map();
+    flights.forEach(({ latitude, longitude, baro_altitude, geo_altitude }) => {
+        const latIdx = Math.floor(latitude / cellDegrees);
+        const lonIdx = Math.floor(longitude / cellDegrees);
+        const key = `${latIdx}:${lonIdx}`;
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = { lat: (latIdx + 0.5) * cellDegrees, lon: (lonIdx + 0.5) * cellDegrees, count: 0, altitudeSum: 0, altitudeCount: 0 };
+            cells.set(key, cell);
+        }
+        cell.count++;
+        const altitude = baro_altitude ?? geo_altitude;
+        if (Number.isFinite(altitude)) {
+            cell.altitudeSum += altitude;
+            cell.altitudeCount++;
+        }
+    });
+
+    return [...cells.values()].map(({ lat, lon, count, altitudeSum, altitudeCount }) => ({
+        lat,
+        lon,
+        count,
+        avgAltitudeM: altitudeCount > 0 ? Math.round(altitudeSum / altitudeCount) : null,
+    }));
+};
+
+/** Resolve `?mode=` — auto means density for bboxes that need tiling. */
+const resolveViewMode = (mode, bbox) => {
+    const requested = VIEW_MODES.includes(mode) ? mode : 'auto';
+    if (requested !== 'auto') return requested;
+    return needsTiling(bbox) ? 'density' : 'aircraft';
+};
+
+/** Whether a density cell centred on `lat`/`lon` overlaps a partially covered tile. */
+const overlapsPartialTile = ({ lat, lon }, cellDegrees, partialTiles) => partialTiles.some((tile) =>
+    lat + cellDegrees / 2 > tile.minLat && lat - cellDegrees / 2 < tile.maxLat &&
+    lon + cellDegrees / 2 > tile.minLon && lon - cellDegrees / 2 < tile.maxLon);
+
+/**
+ * Replace the flights of a payload with density cells. Cells from partially
+ * covered tiles (or a partially covered single fetch) are marked `partial`.
+ */
+const toDensityResponse = (data, bbox) => {
+    const cellDegrees = densityCellDegrees(bbox);
+    const { flights = [], ...rest } = data;
+    const partialTiles = data._meta?.tiles?.partial
+        ?? (data._meta?.coverage < 1 ? flightUtils.splitAntimeridian(bbox) : []);
+    const cells = aggregateDensity(flights, cellDegrees).map((cell) =>
+        (overlapsPartialTile(cell, cellDegrees, partialTiles) ? { ...cell, partial: true } : cell));
+    return {
+        mode: 'density',
+        cellDegrees,
+        cells,
+        totalAircraft: flights.length,
+        complete: !(data._meta?.coverage < 1),
+        ...rest,
+    };
+};
+
+module.exports = {
+    TILE_DEFAULT_DEGREES,
+    TILE_CACHE_TTL_MS,
+    needsTiling,
+    tileBbox,
+    createTileCache,
+    fetchTiledStates,
+    buildTiledResponse,
+    fetchTiledFlights,
+    aggregateDensity,
+    resolveViewMode,
+    toDensityResponse,
+};
@@ -1,9 +1,15 @@
 /**
  * Shared utility library for Flight Tracker backend.
- * Unifies constants, data transformation, validation, filtering, and simulated fallbacks.
+ * Unifies constants, data transformation, validation and filtering.
+ * Simulated fallback traffic lives in flightSimulator.js.
  * Used by both server.js (Node.js/Express) and worker.js (Cloudflare Workers).
  */
 
+const { decodeCallsign } = require('./airlines');
+const { lookupIcaoAddress } = require('./icaoAddresses');
+const { classifyEmergency } = require('./alerts');
+const { FLIGHT_PHASES } = require('./flightPhases');
+
 const MIN_ALTITUDE_M = 100;
 const MIN_SPEED_MPS = 20;        // 20 m/s ≈ 39 knots
 const MAX_POSITION_AGE_S = 300;  // 5 minutes
@@ -47,19 +53,71 @@ const isValidCoord = (lon, lat) =>
     lat >= -90 && lat <= 90 &&
     lon >= -180 && lon <= 180;
 
+// ---------------------------------------------------------------------------
+// Bounding boxes — a bbox with minLon > maxLon crosses the antimeridian (±180°),
+// e.g. { minLon: 170, maxLon: -170 } is the 20°-wide Pacific strip.
+// ---------------------------------------------------------------------------
+
+/** Wrap a longitude into [-180, 180]. */
+const normalizeLon = (lon) => {
+    if (lon >= -180 && lon <= 180) return lon;
+    return ((((lon + 180) % 360) + 360) % 360) - 180;
+};
+
+/** True when the bbox wraps across ±180°. */
+const crossesAntimeridian = ({ minLon, maxLon }) => minLon > maxLon;
+
+/**
+ * Normalize a bbox from map bounds: clamp latitudes and wrap longitudes, so a
+ * view spanning e.g. 170…190 becomes 170…-170. Spans of 360° or more cover the globe.
+ */
+const normalizeBbox = ({ minLat, maxLat, minLon, maxLon }) => {
+    const clampLat = (lat) => Math.max(-90, Math.min(90, lat));
+    if (maxLon - minLon >= 360) {
+        return { minLat: clampLat(minLat), maxLat: clampLat(maxLat), minLon: -180, maxLon: 180 };
+    }
+    return { minLat: clampLat(minLat), maxLat: clampLat(maxLat), minLon: normalizeLon(minLon), maxLon: normalizeLon(maxLon) };
+};
+
+/** East-west extent of a bbox in degrees, across the antimeridian when it wraps. */
+const bboxWidthDegrees = (bbox) =>
+    crossesAntimeridian(bbox) ? (180 - bbox.minLon) + (bbox.maxLon + 180) : bbox.maxLon - bbox.minLon;
+
+/** Split a wrapping bbox into its two halves; other bboxes are returned as-is. */
+const splitAntimeridian = (bbox) => {
+    if (!crossesAntimeridian(bbox)) return [bbox];
+    return [
+        { ...bbox, maxLon: 180 },
+        { ...bbox, minLon: -180 },
+    ];
+};
+
+/** Point-in-bbox test that understands wrapping bboxes. */
+const isInBbox = (lat, lon, { minLat, maxLat, minLon, maxLon }) => {
+    if (!(lat >= minLat && lat <= maxLat)) return false;
+    return minLon > maxLon ? (lon >= minLon || lon <= maxLon) : (lon >= minLon && lon <= maxLon);
+};
+
 /**
  * Transforms a raw OpenSky state vector array into a named, structured object.
+ * `airline` and `flight_number` are decoded from the callsign (lib/airlines.js);
+ * `country_code` and `address_type` come from the ICAO address block
+ * (lib/icaoAddresses.js), which also fills `origin_country` when the feed omits it.
+ * `emergency` comes from the squawk or a feed-reported state in slot 18, which is
+ * not part of OpenSky's layout (lib/alerts.js).
  */
 const transformState = (state) => {
     const lon = state[5] != null ? parseFloat(state[5]) : null;
     const lat = state[6] != null ? parseFloat(state[6]) : null;
     const baroAlt = state[7] != null ? parseFloat(state[7]) : null;
     const speed = state[9] != null ? parseFloat(state[9]) : null;
+    const decoded = decodeCallsign(state[1]);
+    const address = lookupIcaoAddress(state[0]);
 
     return {
         icao24:          state[0],
         callsign:        state[1] ? state[1].trim() : null,
-        origin_country:  state[2],
+        origin_country:  state[2] || address?.country || null,
         time_position:   state[3] != null ? parseInt(state[3], 10) : null,
         last_contact:    state[4] != null ? parseInt(state[4], 10) : null,
         longitude:       lon,
@@ -81,56 +139,262 @@ const transformState = (state) => {
         speed_kts:       speed != null ? Math.round(speed * 1.94384) : null,
         speed_mph:       speed != null ? Math.round(speed * 2.23694) : null,
         aircraft_type:   getAircraftType(state[17] ?? 0),
+        airline:         decoded?.airline.name ?? null,
+        flight_number:   decoded?.flightNumber ?? null,
+        country_code:    address?.countryCode ?? null,
+        address_type:    address && address.type !== 'civil' ? address.type : null,
+        emergency:       classifyEmergency(state[14], state[18]),
     };
 };
 
+// ---------------------------------------------------------------------------
+// Thresholds — which aircraft processFlightStates keeps. Requests may override
+// the defaults within FLIGHT_THRESHOLD_LIMITS (min_altitude_m, min_speed_mps,
+// max_age_s) and ask for grounded, low and slow traffic to be kept and tagged
+// with a `filter_reason` instead of dropped (include_ground=true).
+// ---------------------------------------------------------------------------
+
+const DEFAULT_FLIGHT_THRESHOLDS = {
+    minAltitudeM: MIN_ALTITUDE_M,
+    minSpeedMps: MIN_SPEED_MPS,
+    maxPositionAgeS: MAX_POSITION_AGE_S,
+    includeGround: false,
+};
+
+/** Query parameter and allowed range of each numeric threshold. */
+const FLIGHT_THRESHOLD_LIMITS = {
+    minAltitudeM:    { param: 'min_altitude_m', min: 0, max: 1000 },
+    minSpeedMps:     { param: 'min_speed_mps', min: 0, max: 100 },
+    maxPositionAgeS: { param: 'max_age_s', min: 10, max: 600 },
+};
+
+/** `filter_reason` values, with the rejections counter each one feeds when dropped. */
+const FILTER_REASON_STATS = { on_ground: 'onGround', low_altitude: 'altitudeTooLow', low_speed: 'speedTooLow' };
+
+const BOOLEAN_PARAMS = { true: true, 1: true, false: false, 0: false };
+
+/**
+ * Parse threshold overrides from /api/flights (or /api/stream) params. Returns
+ * `{ thresholds }` — complete thresholds, or null when the request keeps the
+ * defaults — or `{ status, body }` describing the error response.
+ */
+const parseFlightThresholds = (query = {}) => {
+    const thresholds = { ...DEFAULT_FLIGHT_THRESHOLDS };
+    for (const [key, { param, min, max }] of Object.entries(FLIGHT_THRESHOLD_LIMITS)) {
+        const value = query[param];
+        if (value == null || value === '') continue;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < min || number > max) {
+            return { status: 400, body: { message: `${param} must be a number from ${min} to ${max}.` } };
+        }
+        thresholds[key] = number;
+    }
+    if (query.include_ground != null && query.include_ground !== '') {
+        const includeGround = BOOLEAN_PARAMS[String(query.include_ground).toLowerCase()];
+        if (includeGround == null) return { status: 400, body: { message: 'include_ground must be true or false.' } };
+        thresholds.includeGround = includeGround;
+    }
+    const isDefault = Object.keys(DEFAULT_FLIGHT_THRESHOLDS).every((key) => thresholds[key] === DEFAULT_FLIGHT_THRESHOLDS[key]);
+    return { thresholds: isDefault ? null : thresholds };
+};
+
 /**
  * Filters and transforms a list of raw state vectors.
- * Returns both the filtered flights and rejections statistics.
+ * Returns both the filtered flights and rejections statistics. With
+ * `thresholds.includeGround`, grounded, low and slow aircraft are kept with a
+ * `filter_reason` (on_ground, low_altitude, low_speed) and counted in `tagged`;
+ * invalid coordinates and stale positions are always dropped.
  */
-const processFlightStates = (rawStates, now) => {
-    let invalidCoordCount   = 0;
-    let groundedCount       = 0;
-    let altitudeTooLowCount = 0;
-    let stalePosCount       = 0;
-    let speedTooLowCount    = 0;
-
-    const flights = rawStates
-        .map(transformState)
-        .filter(flight => {
-            if (!isValidCoord(flight.longitude, flight.latitude)) {
-                invalidCoordCount++;
-                return false;
-            }
-            if (flight.on_ground === true) {
-                groundedCount++;
-                return false;
-            }
-            const alt = flight.baro_altitude ?? flight.geo_altitude ?? 0;
-            if (alt < MIN_ALTITUDE_M) {
-                altitudeTooLowCount++;
-                return false;
-            }
-            if (flight.time_position != null && (now - flight.time_position) > MAX_POSITION_AGE_S) {
-                stalePosCount++;
-                return false;
-            }
-            if (flight.velocity !== null && flight.velocity < MIN_SPEED_MPS) {
-                speedTooLowCount++;
-                return false;
+const processFlightStates = (rawStates, now, thresholds = DEFAULT_FLIGHT_THRESHOLDS) => {
+    const { minAltitudeM, minSpeedMps, maxPositionAgeS, includeGround } = thresholds;
+    const stats = { invalidCoord: 0, onGround: 0, altitudeTooLow: 0, stalePosition: 0, speedTooLow: 0 };
+    const tagged = { onGround: 0, altitudeTooLow: 0, speedTooLow: 0 };
+    const flights = [];
+
+    rawStates.forEach((state) => {
+        const flight = transformState(state);
+        if (!isValidCoord(flight.longitude, flight.latitude)) {
+            stats.invalidCoord++;
+            return;
+        }
+        let reason = null;
+        if (flight.on_ground === true) {
+            reason = 'on_ground';
+        } else if ((flight.baro_altitude ?? flight.geo_altitude ?? 0) < minAltitudeM) {
+            reason = 'low_altitude';
+        }
+        if (reason && !includeGround) {
+            stats[FILTER_REASON_STATS[reason]]++;
+            return;
+        }
+        if (flight.time_position != null && (now - flight.time_position) > maxPositionAgeS) {
+            stats.stalePosition++;
+            return;
+        }
+        if (!reason && flight.velocity !== null && flight.velocity < minSpeedMps) {
+            reason = 'low_speed';
+            if (!includeGround) {
+                stats.speedTooLow++;
+                return;
             }
-            return true;
-        });
+        }
+        if (reason) tagged[FILTER_REASON_STATS[reason]]++;
+        flights.push(reason ? { ...flight, filter_reason: reason } : flight);
+    });
+
+    return { flights, stats, tagged };
+};
+
+// ---------------------------------------------------------------------------
+// Query filters — optional /api/flights parameters narrowing a payload
+// ---------------------------------------------------------------------------
+
+/** Position sources by `source=` name (OpenSky position_source values). */
+const POSITION_SOURCES = { adsb: 0, asterix: 1, mlat: 2, flarm: 3 };
+
+const FLIGHT_FILTER_MAX_VALUES = 100;
+
+/** Comma-separated (or repeated) query values, trimmed and non-empty. */
+const splitQueryList = (value) =>
+    [].concat(value).join(',').split(',').map((item) => item.trim()).filter(Boolean).slice(0, FLIGHT_FILTER_MAX_VALUES);
+
+/** `{ min, max }` from two optional numeric params, `null` when neither is set, or `{ error }`. */
+const parseRange = (minValue, maxValue, label) => {
+    const parse = (value) => (value == null || value === '' ? null : Number(value));
+    const min = parse(minValue);
+    const max = parse(maxValue);
+    if ((min != null && !Number.isFinite(min)) || (max != null && !Number.isFinite(max))) {
+        return { error: `${label}_min and ${label}_max must be numbers.` };
+    }
+    if (min != null && max != null && min > max) return { error: `${label}_min must not exceed ${label}_max.` };
+    return { range: min == null && max == null ? null : { min, max } };
+};
+
+/** Whole feet from an optional value: `{ value }` (null when unset), or `{ error }`. */
+const parseOptionalFeet = (value, label) => {
+    if (value == null || value === '') return { value: null };
+    const feet = Number(value);
+    return Number.isFinite(feet) ? { value: Math.round(feet) } : { error: `${label} must be a number of feet` };
+};
+
+/**
+ * `floor_ft` / `ceiling_ft` of a geofence or watch rule: `{ floor, ceiling }`
+ * in whole feet (null when unset), or `{ error }` for a non-number or an empty band.
+ */
+const parseAltitudeBand = (floorValue, ceilingValue) => {
+    const floor = parseOptionalFeet(floorValue, 'floor_ft');
+    const ceiling = parseOptionalFeet(ceilingValue, 'ceiling_ft');
+    if (floor.error || ceiling.error) return { error: floor.error || ceiling.error };
+    if (floor.value != null && ceiling.value != null && floor.value >= ceiling.value) {
+        return { error: 'floor_ft must be below ceiling_ft' };
+    }
+    return { floor: floor.value, ceiling: ceiling.value };
+};
+
+/**
+ * Parse optional flight filters from /api/flights (or /api/stream) params:
+ * `alt_min`/`alt_max` (feet), `speed_min`/`speed_max` (knots), `category`
+ * (emitter category numbers), `callsign` (prefixes), `airline` (part of the
+ * airline name), `country` (ISO code or origin country name), `squawk`,
+ * `source` (adsb, asterix, mlat, flarm) and `phase` (lib/flightPhases.js).
+ * Lists are comma-separated and match any entry; different params must all match. Returns `{ filters }` (null when none
+ * is set), or `{ status, body }` describing the error response.
+ */
+const parseFlightFilters = (query = {}) => {
+    const invalid = (message) => ({ status: 400, body: { message } });
+    const filters = {};
+
+    const altitude = parseRange(query.alt_min, query.alt_max, 'alt');
+    const speed = parseRange(query.speed_min, query.speed_max, 'speed');
+    const rangeError = altitude.error || speed.error;
+    if (rangeError) return invalid(rangeError);
+    if (altitude.range) filters.altitudeFt = altitude.range;
+    if (speed.range) filters.speedKts = speed.range;
+
+    const categories = splitQueryList(query.category ?? []);
+    if (categories.length > 0) {
+        const numbers = categories.map(Number);
+        if (numbers.some((n) => !Number.isInteger(n) || n < 0 || n > 20)) {
+            return invalid('category must list emitter category numbers 0–20 (e.g. 6 for heavy).');
+        }
+        filters.categories = numbers;
+    }
+
+    const callsigns = splitQueryList(query.callsign ?? []).map((prefix) => prefix.toUpperCase());
+    if (callsigns.length > 0) filters.callsignPrefixes = callsigns;
+
+    const airline = String(query.airline ?? '').trim();
+    if (airline) filters.airline = airline.toUpperCase();
+
+    const countries = splitQueryList(query.country ?? []).map((country) => country.toUpperCase());
+    if (countries.length > 0) filters.countries = countries;
+
+    const squawks = splitQueryList(query.squawk ?? []);
+    if (squawks.length > 0) {
+        if (squawks.some((squawk) => !/^[0-7]{4}$/.test(squawk))) return invalid('squawk must list four-digit octal codes.');
+        filters.squawks = squawks;
+    }
+
+    const sources = splitQueryList(query.source ?? []).map((source) => source.toLowerCase());
+    if (sources.length > 0) {
+        const values = sources.map((source) => POSITION_SOURCES[source] ?? (/^[0-3]$/.test(source) ? Number(source) : null));
+        if (values.includes(null)) return invalid(`source must list ${Object.keys(POSITION_SOURCES).join(', ')}.`);
+        filters.positionSources = [...new Set(values)];
+    }
+
+    const phases = splitQueryList(query.phase ?? []).map((phase) => phase.toLowerCase());
+    if (phases.length > 0) {
+        if (phases.some((phase) => !FLIGHT_PHASES.includes(phase))) return invalid(`phase must list ${FLIGHT_PHASES.join(', ')}.`);
+        filters.phases = [...new Set(phases)];
+    }
 
+    return { filters: Object.keys(filters).length > 0 ? filters : null };
+};
+
+const inRange = (value, range) =>
+    value != null && (range.min == null || value >= range.min) && (range.max == null || value <= range.max);
+
+/** True when a transformed flight passes every parsed filter. */
+const matchesFlightFilters = (flight, filters) => {
+    if (filters.altitudeFt && !inRange(flight.altitude_ft, filters.altitudeFt)) return false;
+    if (filters.speedKts && !inRange(flight.speed_kts, filters.speedKts)) return false;
+    if (filters.categories && !filters.categories.includes(flight.category)) return false;
+    if (filters.callsignPrefixes) {
+        const callsign = flight.callsign?.toUpperCase();
+        if (!callsign || !filters.callsignPrefixes.some((prefix) => callsign.startsWith(prefix))) return false;
+    }
+    if (filters.airline && !flight.airline?.toUpperCase().includes(filters.airline)) return false;
+    if (filters.countries) {
+        const code = flight.country_code?.toUpperCase();
+        const name = flight.origin_country?.toUpperCase();
+        if (!filters.countries.some((country) => country === code || country === name)) return false;
+    }
+    if (filters.squawks && !filters.squawks.includes(flight.squawk)) return false;
+    if (filters.positionSources && !filters.positionSources.includes(flight.position_source)) return false;
+    if (filters.phases && !filters.phases.includes(flight.phase)) return false;
+    return true;
+};
+
+/**
+ * Narrow a processed flights payload to `filters` (from parseFlightFilters). The
+ * filters run on processFlightStates' output rather than inside it, because the
+ * same payload also feeds track history, alerts, geofences, watches and the
+ * recorder, which must keep seeing every aircraft. Rejected flights are counted
+ * in `_meta.rejections.queryFilter`; returns `data` unchanged when there are no filters.
+ */
+const applyFlightFilters = (data, filters) => {
+    if (!filters || !Array.isArray(data?.flights)) return data;
+    const flights = data.flights.filter((flight) => matchesFlightFilters(flight, filters));
+    const meta = data._meta || {};
     return {
+        ...data,
         flights,
-        stats: {
-            invalidCoord:   invalidCoordCount,
-            onGround:       groundedCount,
-            altitudeTooLow: altitudeTooLowCount,
-            stalePosition:  stalePosCount,
-            speedTooLow:    speedTooLowCount,
-        }
+        _meta: {
+            ...meta,
+            filteredCount: flights.length,
+            rejections: { ...meta.rejections, queryFilter: data.flights.length - flights.length },
+            filters,
+        },
     };
 };
 
@@ -141,17 +405,124 @@ const ADSB_LOL_MAX_RADIUS_NM = 250;
  * Compute center point and search radius (nm) for an adsb.lol query that covers a bbox.
  */
 const bboxCenterAndRadiusNm = (minLat, maxLat, minLon, maxLon) => {
+    // Unwrap an antimeridian-crossing bbox (minLon > maxLon) before measuring it.
+    const eastLon = minLon > maxLon ? maxLon + 360 : maxLon;
     const centerLat = (minLat + maxLat) / 2;
-    const centerLon = (minLon + maxLon) / 2;
+    const centerLon = normalizeLon((minLon + eastLon) / 2);
     const latNm = (Math.abs(maxLat - minLat) / 2) * 60;
-    const lonNm = (Math.abs(maxLon - minLon) / 2) * 60 * Math.cos((centerLat * Math.PI) / 180);
+    const lonNm = (Math.abs(eastLon - minLon) / 2) * 60 * Math.cos((centerLat * Math.PI) / 180);
     const radiusNm = Math.min(ADSB_LOL_MAX_RADIUS_NM, Math.max(25, Math.ceil(Math.sqrt(latNm * latNm + lonNm * lonNm))));
     return { centerLat, centerLon, radiusNm };
 };
 
+/** Most circles one adsb.lol bbox query is split into (keeps Worker subrequests bounded). */
+const ADSB_LOL_MAX_CIRCLES = 4;
+
+/**
+ * Grid of cells that up to `maxCircles` adsb.lol query circles cover a bbox with:
+ * splits the longer side until each cell fits in ADSB_LOL_MAX_RADIUS_NM or the
+ * cap is reached. `latNm`/`lonNm` are a cell's half-sides, `radius` its half-diagonal.
+ */
+const circleGrid = (minLat, maxLat, minLon, maxLon, maxCircles) => {
+    let rows = 1;
+    let cols = 1;
+    const cell = () => {
+        const latNm = (Math.abs(maxLat - minLat) / rows / 2) * 60;
+        const midLat = (minLat + maxLat) / 2;
+        const lonNm = (Math.abs(maxLon - minLon) / cols / 2) * 60 * Math.cos((midLat * Math.PI) / 180);
+        return { rows, cols, latNm, lonNm, radius: Math.sqrt(latNm * latNm + lonNm * lonNm) };
+    };
+
+    for (;;) {
+        const { latNm, lonNm, radius } = cell();
+        if (radius <= ADSB_LOL_MAX_RADIUS_NM) break;
+        // Split the longer side, as long as the cap allows it.
+        const nextRows = latNm >= lonNm ? rows + 1 : rows;
+        const nextCols = latNm >= lonNm ? cols : cols + 1;
+        if (nextRows * nextCols > maxCircles) break;
+        rows = nextRows;
+        cols = nextCols;
+    }
+    return cell();
+};
+
+/**
+ * Cover a bbox with up to `maxCircles` adsb.lol query circles.
+ * Splits the bbox into a grid until each cell fits in ADSB_LOL_MAX_RADIUS_NM;
+ * when the cap is reached the circles are clamped, as with a single query, and
+ * only part of the bbox is covered (see bboxCircleCoverage).
+ */
+const bboxCirclesNm = (minLat, maxLat, minLon, rawMaxLon, maxCircles = ADSB_LOL_MAX_CIRCLES) => {
+    const maxLon = minLon > rawMaxLon ? rawMaxLon + 360 : rawMaxLon; // unwrap across ±180°
+    const { rows, cols } = circleGrid(minLat, maxLat, minLon, maxLon, maxCircles);
+
+    const circles = [];
+    const latStep = (maxLat - minLat) / rows;
+    const lonStep = (maxLon - minLon) / cols;
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            circles.push(bboxCenterAndRadiusNm(
+                minLat + r * latStep, minLat + (r + 1) * latStep,
+                normalizeLon(minLon + c * lonStep), normalizeLon(minLon + (c + 1) * lonStep)
+            ));
+        }
+    }
+    return circles;
+};
+
+/** Area of the part of a `halfWidth` × `halfHeight` quarter-rectangle inside a circle of `radius` around its corner. */
+const quarterCircleOverlap = (halfWidth, halfHeight, radius) => {
+    const arc = (x) => (x * Math.sqrt(radius * radius - x * x) + radius * radius * Math.asin(x / radius)) / 2;
+    const flatUntil = Math.min(halfWidth, Math.sqrt(Math.max(0, radius * radius - halfHeight * halfHeight)));
+    return halfHeight * flatUntil + arc(Math.min(halfWidth, radius)) - arc(flatUntil);
+};
+
+/**
+ * Share of a bbox (0–1, approximate) that bboxCirclesNm's circles cover:
+ * 1 unless the circle cap was reached, in which case each cell only gets the
+ * ADSB_LOL_MAX_RADIUS_NM circle around its centre.
+ */
+const bboxCircleCoverage = (minLat, maxLat, minLon, rawMaxLon, maxCircles = ADSB_LOL_MAX_CIRCLES) => {
+    const maxLon = minLon > rawMaxLon ? rawMaxLon + 360 : rawMaxLon;
+    const { latNm, lonNm, radius } = circleGrid(minLat, maxLat, minLon, maxLon, maxCircles);
+    if (radius <= ADSB_LOL_MAX_RADIUS_NM || latNm * lonNm <= 0) return 1;
+    const covered = quarterCircleOverlap(lonNm, latNm, ADSB_LOL_MAX_RADIUS_NM) / (lonNm * latNm);
+    return Math.round(Math.min(1, covered) * 1000) / 1000;
+};
+
+/**
+ * Coverage of several areas together, weighted by their size:
+ * `parts` are `{ bbox, coverage }` with coverage 1 when omitted.
+ */
+const combineCoverage = (parts) => {
+    let area = 0;
+    let covered = 0;
+    parts.forEach(({ bbox, coverage = 1 }) => {
+        const midLat = (bbox.minLat + bbox.maxLat) / 2;
+        const size = Math.abs(bbox.maxLat - bbox.minLat) * bboxWidthDegrees(bbox) * Math.cos((midLat * Math.PI) / 180);
+        area += size;
+        covered += size * coverage;
+    });
+    return area > 0 ? Math.round((covered / area) * 1000) / 1000 : 1;
+};
+
+/** readsb emitter category ("A3", "B6", …) → OpenSky `category` code, as modeS.emitterCategory maps TC/CA. */
+const READSB_CATEGORY_CODES = {
+    A: [1, 2, 3, 4, 5, 6, 7, 8],
+    B: [1, 9, 10, 11, 12, 13, 14, 15],
+    C: [1, 16, 0, 17, 18, 19, 20, 0],
+};
+
+const readsbCategoryCode = (category) => {
+    const match = /^([ABC])([0-7])$/.exec(typeof category === 'string' ? category : '');
+    return match ? READSB_CATEGORY_CODES[match[1]][Number(match[2])] : 0;
+};
+
 /**
  * Convert one adsb.lol aircraft record into an OpenSky-style state vector array
- * so we can reuse processFlightStates().
+ * so we can reuse processFlightStates(). Position source and category come from
+ * readsb's `type` (mlat or not) and emitter `category`; slot 18 carries adsb.lol's
+ * `emergency` state.
  */
 const adsbLolToOpenSkyState = (ac, now) => {
     const lat = ac?.lat;
@@ -186,149 +557,108 @@ const adsbLolToOpenSkyState = (ac, now) => {
         geoAltM,
         ac.squawk || null,
         ac.spi === 1,
-        0,
-        0,
+        ac.type === 'mlat' ? POSITION_SOURCES.mlat : POSITION_SOURCES.adsb,
+        readsbCategoryCode(ac.category),
+        typeof ac.emergency === 'string' ? ac.emergency : null,
     ];
 };
 
 /**
- * Build a flights API payload from adsb.lol data filtered to the requested bbox.
+ * Filter adsb.lol aircraft records to a bbox and convert them to OpenSky-style state vectors.
  */
-const buildAdsbLolResponse = (aircraft, minLat, maxLat, minLon, maxLon) => {
-    const now = Math.floor(Date.now() / 1000);
+const adsbLolAircraftToStates = (aircraft, minLat, maxLat, minLon, maxLon, now) => {
     const inBbox = (ac) =>
         Number.isFinite(ac?.lat) && Number.isFinite(ac?.lon) &&
-        ac.lat >= minLat && ac.lat <= maxLat &&
-        ac.lon >= minLon && ac.lon <= maxLon;
+        isInBbox(ac.lat, ac.lon, { minLat, maxLat, minLon, maxLon });
 
-    const rawStates = (aircraft || [])
+    return (aircraft || [])
         .filter(inBbox)
         .map((ac) => adsbLolToOpenSkyState(ac, now))
         .filter(Boolean);
+};
 
-    const { flights, stats } = processFlightStates(rawStates, now);
+/**
+ * Build the standard /api/flights payload from raw state vectors.
+ * Every flight source goes through here so both runtimes emit the same shape.
+ * `thresholds` (parseFlightThresholds) replace the defaults; `_meta.thresholds`
+ * reports the ones applied.
+ */
+const buildFlightsResponse = (rawStates, { minLat, maxLat, minLon, maxLon }, {
+    source = null,
+    fallback = false,
+    message = null,
+    authUsed = false,
+    sourceTimestamp = null,
+    now = Math.floor(Date.now() / 1000),
+    thresholds = null,
+} = {}) => {
+    const { flights, stats, tagged } = processFlightStates(rawStates, now, thresholds || DEFAULT_FLIGHT_THRESHOLDS);
 
     return {
         flights,
-        _fallback: false,
-        _source: 'adsb_lol',
-        _message: null,
+        _fallback: fallback,
+        _source: source,
+        _message: message,
         _meta: {
             rawStateCount: rawStates.length,
             validCoordinateCount: rawStates.length - stats.invalidCoord,
             filteredCount: flights.length,
             rejections: stats,
             bbox: { minLat, minLon, maxLat, maxLon },
-            authUsed: false,
-            sourceTimestamp: now,
+            authUsed,
+            sourceTimestamp: sourceTimestamp ?? now,
             serverTimestamp: Date.now(),
+            thresholds: thresholds || DEFAULT_FLIGHT_THRESHOLDS,
+            ...(thresholds?.includeGround ? { tagged } : {}),
         },
         timestamp: Date.now(),
     };
 };
 
 /**
- * Generates structured fallback flight response containing simulated flight states.
+ * Build a flights API payload from adsb.lol data filtered to the requested bbox.
  */
-const generateFallbackFlights = (minLat, maxLat, minLon, maxLon) => {
-    const sampleFlights = [];
-    // 15 to 50 flights
-    const numFlights = Math.min(25, Math.floor(Math.random() * 35) + 15);
-
-    const aircraftTypes = [
-        { category: 2, type: 'Light Aircraft', callsigns: ['N1234', 'G-ABCD', 'F-ABCD'] },
-        { category: 3, type: 'Small Aircraft', callsigns: ['C-GABC', 'N5678', 'G-EFGH'] },
-        { category: 4, type: 'Large Aircraft', callsigns: ['BA123', 'AA456', 'DL789'] },
-        { category: 6, type: 'Heavy Aircraft', callsigns: ['LH123', 'AF456', 'EK789'] }
-    ];
-
-    const countries = ['United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'Netherlands', 'Spain', 'Italy'];
-
-    for (let i = 0; i < numFlights; i++) {
-        const lat = minLat + Math.random() * (maxLat - minLat);
-        const lon = minLon + Math.random() * (maxLon - minLon);
-
-        const aircraftType = aircraftTypes[Math.floor(Math.random() * aircraftTypes.length)];
-        const callsign = aircraftType.callsigns[Math.floor(Math.random() * aircraftType.callsigns.length)] + 
-                        Math.floor(Math.random() * 999).toString().padStart(3, '0');
-
-        let altitude;
-        if (aircraftType.category === 2) {
-            altitude = Math.floor(Math.random() * 3000) + 500;
-        } else if (aircraftType.category === 3) {
-            altitude = Math.floor(Math.random() * 6000) + 1000;
-        } else {
-            altitude = Math.floor(Math.random() * 12000) + 8000;
-        }
-
-        let speed;
-        if (aircraftType.category === 2) {
-            speed = Math.floor(Math.random() * 80) + 40;
-        } else if (aircraftType.category === 3) {
-            speed = Math.floor(Math.random() * 120) + 80;
-        } else {
-            speed = Math.floor(Math.random() * 200) + 150;
-        }
-
-        const heading = Math.floor(Math.random() * 360);
-        const verticalRate = Math.floor(Math.random() * 15) - 7;
-        // Higher altitude means less likely on ground
-        const onGround = aircraftType.category >= 4 ? Math.random() > 0.95 : Math.random() > 0.7;
-
-        sampleFlights.push([
-            `SAMPLE${i.toString().padStart(3, '0')}`,
-            callsign,
-            countries[Math.floor(Math.random() * countries.length)],
-            Math.floor(Date.now() / 1000),
-            Math.floor(Date.now() / 1000),
-            lon,
-            lat,
-            altitude,
-            onGround,
-            speed,
-            heading,
-            verticalRate,
-            [],
-            altitude + Math.floor(Math.random() * 100) - 50,
-            Math.floor(Math.random() * 9999).toString().padStart(4, '0'),
-            false,
-            0,
-            aircraftType.category
-        ]);
-    }
-
-    const { flights, stats } = processFlightStates(sampleFlights, Math.floor(Date.now() / 1000));
-
-    return {
-        flights,
-        _fallback: true,
-        _source: 'enhanced_sample',
-        _message: 'OpenSky API unavailable. Showing enhanced sample data for demonstration.',
-        _meta: {
-            rawStateCount: sampleFlights.length,
-            validCoordinateCount: sampleFlights.length - stats.invalidCoord,
-            filteredCount: flights.length,
-            rejections: stats,
-            bbox: { minLat, minLon, maxLat, maxLon },
-            authUsed: false,
-            sourceTimestamp: Math.floor(Date.now() / 1000),
-            serverTimestamp: Date.now(),
-        }
-    };
+const buildAdsbLolResponse = (aircraft, minLat, maxLat, minLon, maxLon) => {
+    const now = Math.floor(Date.now() / 1000);
+    const rawStates = adsbLolAircraftToStates(aircraft, minLat, maxLat, minLon, maxLon, now);
+    return buildFlightsResponse(rawStates, { minLat, maxLat, minLon, maxLon }, { source: 'adsb_lol', now });
 };
 
+/** Message shown to clients whenever simulated data is served. */
+const FALLBACK_MESSAGE = 'OpenSky API unavailable. Showing enhanced sample data for demonstration.';
+
 module.exports = {
     MIN_ALTITUDE_M,
     MIN_SPEED_MPS,
     MAX_POSITION_AGE_S,
     MAX_BBOX_DEGREES,
     ADSB_LOL_MAX_RADIUS_NM,
+    FALLBACK_MESSAGE,
     getAircraftType,
     isValidCoord,
+    normalizeLon,
+    crossesAntimeridian,
+    normalizeBbox,
+    bboxWidthDegrees,
+    splitAntimeridian,
+    isInBbox,
     transformState,
+    DEFAULT_FLIGHT_THRESHOLDS,
+    FLIGHT_THRESHOLD_LIMITS,
+    parseFlightThresholds,
     processFlightStates,
+    POSITION_SOURCES,
+    parseFlightFilters,
+    parseAltitudeBand,
+    matchesFlightFilters,
+    applyFlightFilters,
+    ADSB_LOL_MAX_CIRCLES,
     bboxCenterAndRadiusNm,
+    bboxCirclesNm,
+    bboxCircleCoverage,
+    combineCoverage,
     adsbLolToOpenSkyState,
+    adsbLolAircraftToStates,
+    buildFlightsResponse,
     buildAdsbLolResponse,
-    generateFallbackFlights
 };
@@ -0,0 +1,304 @@
+/**
+ * Geofence monitoring — polygons (GeoJSON Polygon / MultiPolygon) with optional
+ * altitude floor and ceiling, evaluated against every flights payload the
+ * backend serves. An aircraft entering or leaving a fence produces an event,
+ * kept in a per-fence log for /api/geofences/:id/events and passed to `onEvent`.
+ *
+ * Only aircraft in served payloads are seen: a fence is monitored while clients
+ * view it or a snapshot-poller region (SNAPSHOT_REGIONS) covers it. Coordinates
+ * are [longitude, latitude] in -180…180; fences may not cross the antimeridian.
+ * No runtime dependencies; server.js owns persistence (GEOFENCES_FILE).
+ */
+
+const { normalizeIcao24 } = require('./openskyApi');
+const { parseAltitudeBand } = require('./flightUtils');
+
+const GEOFENCES_MAX = 100;
+const GEOFENCE_MAX_VERTICES = 5_000;
+const GEOFENCE_MAX_EVENTS = 1_000;
+const GEOFENCE_EVENTS_DEFAULT_LIMIT = 100;
+/** An aircraft inside a fence that has not been seen for this long exits with reason "lost". */
+const GEOFENCE_LOST_S = 300;
+const GEOFENCE_NAME_MAX_LENGTH = 100;
+
+// ---------------------------------------------------------------------------
+// Geometry
+// ---------------------------------------------------------------------------
+
+/** Ray casting: true when [lon, lat] lies inside the closed ring. */
+const pointInRing = (lon, lat, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+/** Inside the outer ring and outside every hole. */
+const pointInPolygon = (lon, lat, rings) =>
+    pointInRing(lon, lat, rings[0]) && !rings.slice(1).some((hole) => pointInRing(lon, lat, hole));
+
+/** Point-in-geometry test for a Polygon or MultiPolygon. */
+const pointInGeometry = (lon, lat, geometry) => {
+    if (geometry.type === 'Polygon') return pointInPolygon(lon, lat, geometry.coordinates);
+    return geometry.coordinates.some((polygon) => pointInPolygon(lon, lat, polygon));
+};
+
+const geometryPolygons = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+
+/** Bounding box of a geometry's outer rings, `{ minLat, maxLat, minLon, maxLon }`. */
+const geometryBbox = (geometry) => {
+    const bbox = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+    geometryPolygons(geometry).forEach(([outer]) => outer.forEach(([lon, lat]) => {
+        bbox.minLat = Math.min(bbox.minLat, lat);
+        bbox.maxLat = Math.max(bbox.maxLat, lat);
+        bbox.minLon = Math.min(bbox.minLon, lon);
+        bbox.maxLon = Math.max(bbox.maxLon, lon);
+    }));
+    return bbox;
+};
+
+/**
+ * True when the flight is inside the fence, altitude limits included. With a
+ * floor or ceiling set, aircraft without a known altitude never count as inside.
+ */
+const isFlightInFence = (flight, fence, bbox = geometryBbox(fence.geometry)) => {
+    const { latitude: lat, longitude: lon } = flight;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+    if (lat < bbox.minLat || lat > bbox.maxLat || lon < bbox.minLon || lon > bbox.maxLon) return false;
+    if (fence.floor_ft != null || fence.ceiling_ft != null) {
+        const altitudeFt = flight.altitude_ft ?? (Number.isFinite(flight.geo_altitude) ? flight.geo_altitude * 3.28084 : null);
+        if (altitudeFt == null) return false;
+        if (fence.floor_ft != null && altitudeFt < fence.floor_ft) return false;
+        if (fence.ceiling_ft != null && altitudeFt > fence.ceiling_ft) return false;
+    }
+    return pointInGeometry(lon, lat, fence.geometry);
+};
+
+// ---------------------------------------------------------------------------
+// Input parsing — GeoJSON Feature / FeatureCollection / geometry, or { name, geometry, floor_ft, ceiling_ft }
+// ---------------------------------------------------------------------------
+
+/** Closed copy of a ring of [lon, lat] positions, or an error message. */
+const normalizeRing = (ring) => {
+    if (!Array.isArray(ring)) return { error: 'every ring must be an array of [longitude, latitude] positions' };
+    const positions = [];
+    for (const position of ring) {
+        const [lon, lat] = Array.isArray(position) ? position.map(Number) : [];
+        if (!Number.isFinite(lon) || !Number.isFinite(lat) || lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+            return { error: 'positions must be [longitude, latitude] within -180…180 / -90…90' };
+        }
+        positions.push([lon, lat]);
+    }
+    const [first] = positions;
+    const last = positions[positions.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) positions.push([first[0], first[1]]);
+    if (positions.length < 4) return { error: 'rings need at least three distinct positions' };
+    // Edges are straight in -180…180, so a jump of over 180° would be read as the long way round
+    if (positions.some(([lon], i) => i > 0 && Math.abs(lon - positions[i - 1][0]) > 180)) {
+        return { error: 'rings may not cross the antimeridian; split the fence at ±180° into a MultiPolygon' };
+    }
+    return { ring: positions };
+};
+
+/** Validated Polygon / MultiPolygon geometry, or an error message. */
+const normalizeGeometry = (geometry) => {
+    if (geometry?.type !== 'Polygon' && geometry?.type !== 'MultiPolygon') {
+        return { error: 'geometry must be a GeoJSON Polygon or MultiPolygon' };
+    }
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0) return { error: 'geometry has no coordinates' };
+
+    const normalized = [];
+    let vertices = 0;
+    for (const rings of polygons) {
+        if (!Array.isArray(rings) || rings.length === 0) return { error: 'every polygon needs an outer ring' };
+        const normalizedRings = [];
+        for (const ring of rings) {
+            const result = normalizeRing(ring);
+            if (result.error) return result;
+            vertices += result.ring.length;
+            normalizedRings.push(result.ring);
+        }
+        normalized.push(normalizedRings);
+    }
+    if (vertices > GEOFENCE_MAX_VERTICES) return { error: `geometry has more than ${GEOFENCE_MAX_VERTICES} positions` };
+    return { geometry: geometry.type === 'Polygon' ? { type: 'Polygon', coordinates: normalized[0] } : { type: 'MultiPolygon', coordinates: normalized } };
+};
+
+/** One fence definition from a Feature, geometry or plain object; `{ fence }` or `{ error }`. */
+const normalizeFenceInput = (input, index) => {
+    const isFeature = input?.type === 'Feature';
+    const properties = (isFeature ? input.properties : input) || {};
+    const rawGeometry = isFeature || input?.geometry ? input.geometry : input;
+
+    const { geometry, error } = normalizeGeometry(rawGeometry);
+    if (error) return { error };
+    const band = parseAltitudeBand(properties.floor_ft, properties.ceiling_ft);
+    if (band.error) return { error: band.error };
+
+    const name = String(properties.name ?? '').trim().slice(0, GEOFENCE_NAME_MAX_LENGTH) || `Geofence ${index + 1}`;
+    return { fence: { name, geometry, floor_ft: band.floor, ceiling_ft: band.ceiling } };
+};
+
+/**
+ * Parse a POST /api/geofences body into fence definitions. Accepts a GeoJSON
+ * FeatureCollection, Feature or Polygon/MultiPolygon geometry, or
+ * `{ name, geometry, floor_ft, ceiling_ft }`; names and limits come from
+ * feature properties. Gives `{ fences }`, or a 400 `{ status, body }` naming the first bad feature.
+ */
+const parseGeofenceInput = (body) => {
+    const inputs = body?.type === 'FeatureCollection' ? body.features : [body];
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+        return { status: 400, body: { message: 'Body must be a GeoJSON Feature, FeatureCollection or Polygon/MultiPolygon geometry.' } };
+    }
+    const fences = [];
+    for (let i = 0; i < inputs.length; i++) {
+        const { fence, error } = normalizeFenceInput(inputs[i], i);
+        if (error) {
+            return { status: 400, body: { message: inputs.length > 1 ? `Feature ${i}: ${error}.` : `Invalid geofence: ${error}.` } };
+        }
+        fences.push(fence);
+    }
+    return { fences };
+};
+
+// ---------------------------------------------------------------------------
+// Monitor
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a geofence monitor. `onEvent(event, fence)` is called for every enter/exit.
+ * Events: { id, geofenceId, type: 'enter' | 'exit', reason, icao24, callsign,
+ * time, latitude, longitude, altitude_ft }, where exits have reason 'left' or
+ * 'lost' (not seen for GEOFENCE_LOST_S) and enters have reason null.
+ */
+const createGeofenceMonitor = ({
+    maxFences = GEOFENCES_MAX,
+    maxEvents = GEOFENCE_MAX_EVENTS,
+    onEvent = null,
+} = {}) => {
+    const entries = new Map(); // id → { fence, bbox, inside: Map(icao24 → { since, lastSeen, callsign }), events: [] }
+    let nextFenceNumber = 1;
+    let nextEventId = 1;
+
+    const summary = ({ fence, inside }) => ({ ...fence, insideCount: inside.size });
+
+    const emit = (entry, event) => {
+        const logged = { id: nextEventId++, geofenceId: entry.fence.id, ...event };
+        entry.events.push(logged);
+        if (entry.events.length > maxEvents) entry.events.splice(0, entry.events.length - maxEvents);
+        onEvent?.(logged, entry.fence);
+    };
+
+    const positionOf = (flight) => ({
+        callsign: flight.callsign?.trim() || null,
+        latitude: flight.latitude,
+        longitude: flight.longitude,
+        altitude_ft: flight.altitude_ft ?? null,
+    });
+
+    /**
+     * Add a parsed fence; fences restored from GEOFENCES_FILE pass their saved `id` and `createdAt`.
+     * Returns the fence, or null when the monitor is full.
+     */
+    const add = ({ id = null, createdAt = null, name, geometry, floor_ft = null, ceiling_ft = null }) => {
+        if (entries.size >= maxFences) return null;
+        const fenceId = id || `gf${Date.now().toString(36)}${(nextFenceNumber++).toString(36)}`;
+        const fence = { id: fenceId, name, geometry, floor_ft, ceiling_ft, createdAt: createdAt ?? Date.now() };
+        entries.set(fenceId, { fence, bbox: geometryBbox(geometry), inside: new Map(), events: [] });
+        return fence;
+    };
+
+    /** Feed a processed flights payload (`flights`, `timestamp`); simulated (`_fallback`) payloads are ignored. */
+    const recordPayload = (data) => {
+        if (!Array.isArray(data?.flights) || data._fallback || entries.size === 0) return;
+        const nowS = Math.floor((data.timestamp || Date.now()) / 1000);
+
+        entries.forEach((entry) => {
+            data.flights.forEach((flight) => {
+                const icao = normalizeIcao24(flight.icao24);
+                if (!icao) return;
+                const time = flight.last_contact ?? flight.time_position ?? nowS;
+                const state = entry.inside.get(icao);
+                if (isFlightInFence(flight, entry.fence, entry.bbox)) {
+                    if (!state) {
+                        entry.inside.set(icao, { since: time, lastSeen: time, callsign: flight.callsign?.trim() || null });
+                        emit(entry, { type: 'enter', reason: null, icao24: icao, time, ...positionOf(flight) });
+                    } else if (time >= state.lastSeen) {
+                        state.lastSeen = time;
+                        state.callsign = flight.callsign?.trim() || state.callsign;
+                    }
+                } else if (state && time >= state.lastSeen) {
+                    entry.inside.delete(icao);
+                    emit(entry, { type: 'exit', reason: 'left', icao24: icao, time, ...positionOf(flight) });
+                }
+            });
+
+            entry.inside.forEach((state, icao) => {
+                if (nowS - state.lastSeen <= GEOFENCE_LOST_S) return;
+                entry.inside.delete(icao);
+                emit(entry, {
+                    type: 'exit', reason: 'lost', icao24: icao, time: state.lastSeen,
+                    callsign: state.callsign, latitude: null, longitude: null, altitude_ft: null,
+                });
+            });
+        });
+    };
+
+    /** Fence with the aircraft currently inside, or null. */
+    const get = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return null;
+        const inside = [...entry.inside.entries()].map(([icao24, { since, lastSeen, callsign }]) => ({ icao24, callsign, since, lastSeen }));
+        return { ...summary(entry), inside };
+    };
+
+    /** Logged events of a fence with id > `since`, oldest first, at most `limit`; null for an unknown fence. */
+    const events = (id, { since = 0, limit = GEOFENCE_EVENTS_DEFAULT_LIMIT } = {}) => {
+        const entry = entries.get(id);
+        if (!entry) return null;
+        const newer = entry.events.filter((event) => event.id > since);
+        return newer.slice(Math.max(0, newer.length - limit));
+    };
+
+    return {
+        add,
+        remove: (id) => entries.delete(id),
+        get,
+        list: () => [...entries.values()].map(summary),
+        events,
+        recordPayload,
+        /** Fence definitions for saving (no runtime state). */
+        exportFences: () => [...entries.values()].map(({ fence }) => fence),
+        status: () => ({ geofences: entries.size, maxGeofences: maxFences }),
+    };
+};
+
+/**
+ * Parse /api/geofences/:id/events query parameters (`since` event id, `limit`).
+ * Returns `{ query }`, or `{ status, body }` describing the error response.
+ */
+const parseGeofenceEventsQuery = ({ since, limit } = {}) => {
+    const parsedSince = since == null || since === '' ? 0 : parseInt(since, 10);
+    const parsedLimit = limit == null || limit === '' ? GEOFENCE_EVENTS_DEFAULT_LIMIT : parseInt(limit, 10);
+    if (!Number.isFinite(parsedSince) || parsedSince < 0) {
+        return { status: 400, body: { message: 'since must be a non-negative event id.' } };
+    }
+    if (!Number.isFinite(parsedLimit) || parsedLimit < 1) {
+        return { status: 400, body: { message: 'limit must be a positive integer.' } };
+    }
+    return { query: { since: parsedSince, limit: Math.min(parsedLimit, GEOFENCE_MAX_EVENTS) } };
+};
+
+module.exports = {
+    GEOFENCES_MAX,
+    GEOFENCE_LOST_S,
+    pointInGeometry,
+    isFlightInFence,
+    parseGeofenceInput,
+    parseGeofenceEventsQuery,
+    createGeofenceMonitor,
+};
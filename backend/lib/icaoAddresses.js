@@ -0,0 +1,71 @@
+/**
+ * Country of registration from ICAO 24-bit address allocation blocks
+ * (lib/icaoAddressData.js) — shared by server.js and worker.js.
+ *
+ * Lookups return { country, countryCode, type }, where `countryCode` is an
+ * ISO 3166-1 alpha-2 code (the frontend turns it into a flag) and `type` is
+ *   'civil'      an address in a state's block
+ *   'military'   inside a sub-block that state uses for military aircraft
+ *   'anonymous'  a non-ICAO address (adsb.lol/readsb prefix these with "~", e.g.
+ *                TIS-B targets) or one from the ICAO temporary/special-use blocks
+ * Unallocated addresses are 'civil' with a null country.
+ */
+
+const {
+    ICAO_ADDRESS_BLOCK_ROWS,
+    MILITARY_ADDRESS_BLOCK_ROWS,
+    ICAO_RESERVED_BLOCK_ROWS,
+} = require('./icaoAddressData');
+
+const NON_ICAO_PREFIX = '~';
+
+const ADDRESS_BLOCKS = ICAO_ADDRESS_BLOCK_ROWS.map(([start, end, countryCode, country]) => ({ start, end, countryCode, country }));
+
+const inRange = (address) => ([start, end]) => address >= start && address <= end;
+
+/** Allocation block containing `address` (a number), or null. Binary search over the sorted table. */
+const findAddressBlock = (address) => {
+    let lo = 0;
+    let hi = ADDRESS_BLOCKS.length - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        const block = ADDRESS_BLOCKS[mid];
+        if (address < block.start) hi = mid - 1;
+        else if (address > block.end) lo = mid + 1;
+        else return block;
+    }
+    return null;
+};
+
+/** True for addresses feeds mark as not being ICAO-assigned ("~" prefix). */
+const isNonIcaoAddress = (icao24) => typeof icao24 === 'string' && icao24.trim().startsWith(NON_ICAO_PREFIX);
+
+/**
+ * Look up an icao24 hex string ("3c6444", "~2f1a0b"); null when it is not a
+ * 24-bit hex address.
+ */
+const lookupIcaoAddress = (icao24) => {
+    if (typeof icao24 !== 'string') return null;
+    const nonIcao = isNonIcaoAddress(icao24);
+    const hex = icao24.trim().slice(nonIcao ? NON_ICAO_PREFIX.length : 0);
+    if (!/^[0-9a-f]{1,6}$/i.test(hex)) return null;
+    if (nonIcao) return { country: null, countryCode: null, type: 'anonymous' };
+
+    const address = parseInt(hex, 16);
+    if (ICAO_RESERVED_BLOCK_ROWS.some(inRange(address))) {
+        return { country: null, countryCode: null, type: 'anonymous' };
+    }
+    const block = findAddressBlock(address);
+    const military = MILITARY_ADDRESS_BLOCK_ROWS.some(inRange(address));
+    return {
+        country: block?.country ?? null,
+        countryCode: block?.countryCode ?? null,
+        type: military ? 'military' : 'civil',
+    };
+};
+
+module.exports = {
+    NON_ICAO_PREFIX,
+    isNonIcaoAddress,
+    lookupIcaoAddress,
+};
@@ -0,0 +1,621 @@
+/**
+ * Raw Mode-S / ADS-B decoder — Beast binary and AVR hex framing.
+ * Decodes DF17/DF18 extended squitter (identification, airborne position with
+ * CPR global/local decoding, airborne velocity) and DF4/5/20/21 altitude and
+ * identity replies, and assembles OpenSky-style state vectors for transformState().
+ * Used by server.js as the `modes` flight source (TCP connection uses `net`).
+ *
+ * Reference: "The 1090 Megahertz Riddle" (Junzi Sun), https://mode-s.org/decode/
+ */
+
+const net = require('net');
+const { MAX_POSITION_AGE_S } = require('./flightUtils');
+
+const MODES_BEAST_PORT = 30005;
+const MODES_AVR_PORT = 30002;
+
+const MODES_SHORT_BYTES = 7;
+const MODES_LONG_BYTES = 14;
+
+/** Even/odd CPR frames further apart than this cannot be combined globally. */
+const CPR_PAIR_MAX_AGE_S = 10;
+/** Local CPR decoding is only trusted within this distance of the reference (nm). */
+const CPR_LOCAL_MAX_RANGE_NM = 180;
+const MODES_MAX_AIRCRAFT = 5_000;
+
+const FT_TO_M = 0.3048;
+const KTS_TO_MPS = 0.514444;
+const FPM_TO_MPS = 0.00508;
+
+// ---------------------------------------------------------------------------
+// CRC-24 (generator 0x1FFF409)
+// ---------------------------------------------------------------------------
+
+const CRC24_POLY = 0xFFF409;
+
+const CRC24_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i << 16;
+        for (let bit = 0; bit < 8; bit++) {
+            c = (c & 0x800000) ? ((c << 1) ^ CRC24_POLY) : (c << 1);
+        }
+        table[i] = c & 0xFFFFFF;
+    }
+    return table;
+})();
+
+/** CRC-24 over all bytes except the trailing 3-byte parity field. */
+const modesChecksum = (bytes) => {
+    let crc = 0;
+    for (let i = 0; i < bytes.length - 3; i++) {
+        crc = ((crc << 8) ^ CRC24_TABLE[((crc >> 16) ^ bytes[i]) & 0xFF]) & 0xFFFFFF;
+    }
+    return crc;
+};
+
+/** Parity field XOR computed CRC: 0 for a clean DF17/18, the ICAO address for address/parity replies. */
+const modesSyndrome = (bytes) => {
+    const n = bytes.length;
+    const parity = (bytes[n - 3] << 16) | (bytes[n - 2] << 8) | bytes[n - 1];
+    return (modesChecksum(bytes) ^ parity) >>> 0;
+};
+
+// ---------------------------------------------------------------------------
+// Framing
+// ---------------------------------------------------------------------------
+
+const hexToBytes = (hex) => {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(hex)) return null;
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+};
+
+const bytesToHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Parse one AVR line: `*8D4840D6202CC371C32CE0576098;` or the MLAT variant
+ * `@<12 hex timestamp><message>;`. Returns the message bytes or null.
+ */
+const parseAvrLine = (line) => {
+    if (typeof line !== 'string') return null;
+    const text = line.trim();
+    let hex;
+    if (text.startsWith('*')) hex = text.slice(1);
+    else if (text.startsWith('@')) hex = text.slice(13);
+    else return null;
+    hex = hex.replace(/;$/, '');
+    if (hex.length !== MODES_SHORT_BYTES * 2 && hex.length !== MODES_LONG_BYTES * 2) return null;
+    return hexToBytes(hex);
+};
+
+/**
+ * Streaming Beast binary parser. Frames are `0x1a <type> <6-byte timestamp>
+ * <signal> <message>` with any 0x1a inside the frame doubled. Only Mode-S
+ * short ('2') and long ('3') frames are returned; Mode-AC ('1') is skipped.
+ */
+const createBeastParser = () => {
+    let pending = Buffer.alloc(0);
+
+    const FRAME_LENGTHS = { 0x31: 2, 0x32: MODES_SHORT_BYTES, 0x33: MODES_LONG_BYTES };
+
+    /** @returns {Array<{ bytes: Uint8Array, timestamp: number, signal: number }>} */
+    const push = (chunk) => {
+        const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : Buffer.from(chunk);
+        const frames = [];
+        let i = 0;
+
+        while (i < data.length) {
+            if (data[i] !== 0x1a) { i++; continue; }
+            const type = data[i + 1];
+            if (type === undefined) break;
+            const msgLen = FRAME_LENGTHS[type];
+            if (!msgLen) { i++; continue; }
+
+            // Unescape 6 timestamp + 1 signal + message bytes.
+            const need = 7 + msgLen;
+            const out = new Uint8Array(need);
+            let j = i + 2;
+            let k = 0;
+            let complete = true;
+            while (k < need) {
+                if (j >= data.length) { complete = false; break; }
+                if (data[j] === 0x1a) {
+                    if (j + 1 >= data.length) { complete = false; break; }
+                    if (data[j + 1] !== 0x1a) break; // lone 0x1a — frame start, this frame is corrupt
+                    j++;
+                }
+                out[k++] = data[j++];
+            }
+            if (!complete) break;
+            if (k < need) { i = j; continue; }
+
+            if (type !== 0x31) {
+                let timestamp = 0;
+                for (let t = 0; t < 6; t++) timestamp = timestamp * 256 + out[t];
+                frames.push({ bytes: out.slice(7), timestamp, signal: out[6] });
+            }
+            i = j;
+        }
+
+        pending = data.subarray(i);
+        return frames;
+    };
+
+    return { push };
+};
+
+// ---------------------------------------------------------------------------
+// Field decoding
+// ---------------------------------------------------------------------------
+
+/** Gillham-coded 13-bit field → Mode A style 0xABCD nibble layout (dump1090 decodeID13Field). */
+const decodeId13Field = (id13) => {
+    let hex = 0;
+    if (id13 & 0x1000) hex |= 0x0010; // C1
+    if (id13 & 0x0800) hex |= 0x1000; // A1
+    if (id13 & 0x0400) hex |= 0x0020; // C2
+    if (id13 & 0x0200) hex |= 0x2000; // A2
+    if (id13 & 0x0100) hex |= 0x0040; // C4
+    if (id13 & 0x0080) hex |= 0x4000; // A4
+    if (id13 & 0x0020) hex |= 0x0100; // B1
+    if (id13 & 0x0010) hex |= 0x0001; // D1
+    if (id13 & 0x0008) hex |= 0x0200; // B2
+    if (id13 & 0x0004) hex |= 0x0002; // D2
+    if (id13 & 0x0002) hex |= 0x0400; // B4
+    if (id13 & 0x0001) hex |= 0x0004; // D4
+    return hex;
+};
+
+/** Gillham Mode C → altitude in 100 ft units, or null for an illegal code. */
+const gillhamToHundredsFt = (modeA) => {
+    if ((modeA & 0xFFFF8889) || (modeA & 0x00F0) === 0) return null;
+
+    let oneHundreds = 0;
+    let fiveHundreds = 0;
+    if (modeA & 0x0010) oneHundreds ^= 0x007; // C1
+    if (modeA & 0x0020) oneHundreds ^= 0x003; // C2
+    if (modeA & 0x0040) oneHundreds ^= 0x001; // C4
+    if ((oneHundreds & 5) === 5) oneHundreds ^= 2;
+    if (oneHundreds > 5) return null;
+
+    if (modeA & 0x0002) fiveHundreds ^= 0x0FF; // D2
+    if (modeA & 0x0004) fiveHundreds ^= 0x07F; // D4
+    if (modeA & 0x1000) fiveHundreds ^= 0x03F; // A1
+    if (modeA & 0x2000) fiveHundreds ^= 0x01F; // A2
+    if (modeA & 0x4000) fiveHundreds ^= 0x00F; // A4
+    if (modeA & 0x0100) fiveHundreds ^= 0x007; // B1
+    if (modeA & 0x0200) fiveHundreds ^= 0x003; // B2
+    if (modeA & 0x0400) fiveHundreds ^= 0x001; // B4
+
+    if (fiveHundreds & 1) oneHundreds = 6 - oneHundreds;
+    return fiveHundreds * 5 + oneHundreds - 13;
+};
+
+/** 13-bit AC altitude field (DF4/20) → feet, or null when unavailable / metric. */
+const decodeAc13 = (ac13) => {
+    if (!ac13) return null;
+    if (ac13 & 0x0040) return null; // M bit: metric altitude, not used in practice
+    if (ac13 & 0x0010) {
+        const n = ((ac13 & 0x1F80) >> 2) | ((ac13 & 0x0020) >> 1) | (ac13 & 0x000F);
+        return n * 25 - 1000;
+    }
+    const hundreds = gillhamToHundredsFt(decodeId13Field(ac13));
+    return hundreds != null ? hundreds * 100 : null;
+};
+
+/** 12-bit ADS-B altitude field → feet (insert the missing M bit, then decode as AC13). */
+const decodeAc12 = (ac12) => decodeAc13(((ac12 & 0x0FC0) << 1) | (ac12 & 0x003F));
+
+/** 13-bit identity field (DF5/21) → 4-digit squawk string. */
+const decodeSquawk = (id13) => decodeId13Field(id13).toString(16).padStart(4, '0');
+
+const CALLSIGN_CHARSET = '#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######';
+
+/** ADS-B emitter category (TC, CA) → OpenSky `category` code (see flightUtils.getAircraftType). */
+const emitterCategory = (tc, ca) => {
+    if (ca === 0) return 1;
+    if (tc === 4) return [0, 2, 3, 4, 5, 6, 7, 8][ca];
+    if (tc === 3) return [0, 9, 10, 11, 12, 13, 14, 15][ca];
+    if (tc === 2) return [0, 16, 0, 17, 18, 19, 20, 0][ca];
+    return 0;
+};
+
+/** Read `len` bits starting at bit `start` (0 = MSB of byte 0). */
+const bits = (bytes, start, len) => {
+    let value = 0;
+    for (let i = start; i < start + len; i++) {
+        value = value * 2 + ((bytes[i >> 3] >> (7 - (i & 7))) & 1);
+    }
+    return value;
+};
+
+// ---------------------------------------------------------------------------
+// CPR position decoding
+// ---------------------------------------------------------------------------
+
+const CPR_MAX = 131072; // 2^17
+
+/** Number of longitude zones at a latitude (NL function, 15 latitude zones per hemisphere quadrant). */
+const cprNL = (lat) => {
+    const abs = Math.abs(lat);
+    if (abs === 0) return 59;
+    if (abs === 87) return 2;
+    if (abs > 87) return 1;
+    const a = 1 - Math.cos(Math.PI / (2 * 15));
+    const b = Math.cos((Math.PI / 180) * abs) ** 2;
+    return Math.floor((2 * Math.PI) / Math.acos(1 - a / b));
+};
+
+const mod = (a, b) => ((a % b) + b) % b;
+
+/**
+ * Global airborne CPR decoding from an even/odd pair.
+ * `latestIsOdd` selects which frame's position is returned.
+ */
+const cprGlobalDecode = (even, odd, latestIsOdd) => {
+    const latE = even.lat / CPR_MAX;
+    const lonE = even.lon / CPR_MAX;
+    const latO = odd.lat / CPR_MAX;
+    const lonO = odd.lon / CPR_MAX;
+
+    const j = Math.floor(59 * latE - 60 * latO + 0.5);
+    let latEven = (360 / 60) * (mod(j, 60) + latE);
+    let latOdd = (360 / 59) * (mod(j, 59) + latO);
+    if (latEven >= 270) latEven -= 360;
+    if (latOdd >= 270) latOdd -= 360;
+    if (cprNL(latEven) !== cprNL(latOdd)) return null;
+
+    const lat = latestIsOdd ? latOdd : latEven;
+    const nl = cprNL(lat);
+    const ni = Math.max(nl - (latestIsOdd ? 1 : 0), 1);
+    const m = Math.floor(lonE * (nl - 1) - lonO * nl + 0.5);
+    let lon = (360 / ni) * (mod(m, ni) + (latestIsOdd ? lonO : lonE));
+    if (lon >= 180) lon -= 360;
+
+    if (Math.abs(lat) > 90) return null;
+    return { lat, lon };
+};
+
+/** Local airborne CPR decoding of a single frame against a nearby reference position. */
+const cprLocalDecode = (frame, ref) => {
+    const i = frame.odd ? 1 : 0;
+    const latCpr = frame.lat / CPR_MAX;
+    const lonCpr = frame.lon / CPR_MAX;
+
+    const dLat = 360 / (60 - i);
+    const j = Math.floor(ref.lat / dLat) + Math.floor(mod(ref.lat, dLat) / dLat - latCpr + 0.5);
+    const lat = dLat * (j + latCpr);
+    if (Math.abs(lat) > 90) return null;
+
+    const dLon = 360 / Math.max(cprNL(lat) - i, 1);
+    const m = Math.floor(ref.lon / dLon) + Math.floor(mod(ref.lon, dLon) / dLon - lonCpr + 0.5);
+    let lon = dLon * (m + lonCpr);
+    if (lon >= 180) lon -= 360;
+    if (lon < -180) lon += 360;
+
+    return { lat, lon };
+};
+
+/** Rough great-circle distance in nautical miles. */
+const distanceNm = (a, b) => {
+    const toRad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * toRad;
+    const dLon = (b.lon - a.lon) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * 3440.065 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// ---------------------------------------------------------------------------
+// Message decoding
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode one Mode-S message. Returns null when the frame fails CRC or is a
+ * format we do not use. Address/parity replies (DF4/5/20/21) come back with
+ * `icao24` recovered from the syndrome — callers must check it is a known aircraft.
+ */
+const decodeModeS = (bytes) => {
+    if (!bytes || (bytes.length !== MODES_SHORT_BYTES && bytes.length !== MODES_LONG_BYTES)) return null;
+
+    const df = bytes[0] >> 3;
+    const expectedLength = df >= 16 ? MODES_LONG_BYTES : MODES_SHORT_BYTES;
+    if (bytes.length !== expectedLength) return null;
+
+    const syndrome = modesSyndrome(bytes);
+
+    if (df === 4 || df === 20 || df === 5 || df === 21) {
+        const icao24 = syndrome.toString(16).padStart(6, '0');
+        const field13 = bits(bytes, 19, 13);
+        return df === 4 || df === 20
+            ? { df, icao24, addressFromParity: true, altitudeFt: decodeAc13(field13) }
+            : { df, icao24, addressFromParity: true, squawk: decodeSquawk(field13) };
+    }
+
+    // DF17 ADS-B, DF18 CF=0 (non-transponder ADS-B with ICAO address)
+    if (!(df === 17 || (df === 18 && (bytes[0] & 0x07) === 0))) return null;
+    if (syndrome !== 0) return null;
+
+    const icao24 = bytesToHex(bytes.slice(1, 4));
+    const me = bytes.slice(4, 11);
+    const tc = bits(me, 0, 5);
+    const msg = { df, icao24, tc };
+
+    if (tc >= 1 && tc <= 4) {
+        let callsign = '';
+        for (let c = 0; c < 8; c++) callsign += CALLSIGN_CHARSET[bits(me, 8 + c * 6, 6)];
+        msg.callsign = callsign.replace(/#/g, '').trim() || null;
+        msg.category = emitterCategory(tc, bits(me, 5, 3));
+        return msg;
+    }
+
+    if ((tc >= 9 && tc <= 18) || (tc >= 20 && tc <= 22)) {
+        const alt = bits(me, 8, 12);
+        if (tc <= 18) msg.altitudeFt = decodeAc12(alt);
+        else msg.geoAltitudeM = alt || null; // TC 20-22 carry GNSS height in metres
+        msg.cpr = { odd: bits(me, 21, 1) === 1, lat: bits(me, 22, 17), lon: bits(me, 39, 17) };
+        return msg;
+    }
+
+    if (tc === 19) {
+        const subtype = bits(me, 5, 3);
+        const vrRaw = bits(me, 37, 9);
+        if (vrRaw) msg.verticalRateFpm = (bits(me, 36, 1) ? -1 : 1) * (vrRaw - 1) * 64;
+
+        if (subtype === 1 || subtype === 2) {
+            const scale = subtype === 2 ? 4 : 1;
+            const vewRaw = bits(me, 14, 10);
+            const vnsRaw = bits(me, 25, 10);
+            if (vewRaw && vnsRaw) {
+                const vx = (bits(me, 13, 1) ? -1 : 1) * (vewRaw - 1) * scale;
+                const vy = (bits(me, 24, 1) ? -1 : 1) * (vnsRaw - 1) * scale;
+                msg.groundSpeedKts = Math.sqrt(vx * vx + vy * vy);
+                msg.track = mod((Math.atan2(vx, vy) * 180) / Math.PI, 360);
+            }
+        } else if (subtype === 3 || subtype === 4) {
+            if (bits(me, 13, 1)) msg.heading = (bits(me, 14, 10) * 360) / 1024;
+            const asRaw = bits(me, 25, 10);
+            if (asRaw) msg.airspeedKts = (asRaw - 1) * (subtype === 4 ? 4 : 1);
+        }
+        return msg;
+    }
+
+    return null;
+};
+
+// ---------------------------------------------------------------------------
+// Aircraft tracker
+// ---------------------------------------------------------------------------
+
+/**
+ * Assemble decoded messages into per-aircraft state. `reference` ({ lat, lon },
+ * usually the receiver location) enables local CPR decoding of the first frame.
+ */
+const createModeSTracker = ({ reference = null, maxAgeS = MAX_POSITION_AGE_S, maxAircraft = MODES_MAX_AIRCRAFT } = {}) => {
+    const aircraft = new Map();
+    let frameCount = 0;
+    let decodedCount = 0;
+
+    const prune = (nowS = Date.now() / 1000) => {
+        aircraft.forEach((entry, icao) => {
+            if (nowS - entry.lastContact > maxAgeS) aircraft.delete(icao);
+        });
+    };
+
+    const updatePosition = (entry, cpr, nowS) => {
+        const frame = { ...cpr, time: nowS };
+        if (cpr.odd) entry.cprOdd = frame;
+        else entry.cprEven = frame;
+
+        let position = null;
+        const { cprEven, cprOdd } = entry;
+        if (cprEven && cprOdd && Math.abs(cprEven.time - cprOdd.time) <= CPR_PAIR_MAX_AGE_S) {
+            position = cprGlobalDecode(cprEven, cprOdd, cpr.odd);
+        }
+
+        const lastFix = entry.lat != null && nowS - entry.timePosition <= CPR_PAIR_MAX_AGE_S
+            ? { lat: entry.lat, lon: entry.lon }
+            : null;
+        const localRef = lastFix || reference;
+        if (!position && localRef) {
+            const local = cprLocalDecode(cpr, localRef);
+            if (local && distanceNm(local, localRef) <= CPR_LOCAL_MAX_RANGE_NM) position = local;
+        }
+
+        // Reject a global solution that jumps implausibly far from the last fix.
+        if (position && lastFix && distanceNm(position, lastFix) > CPR_LOCAL_MAX_RANGE_NM) return;
+        if (!position) return;
+
+        entry.lat = position.lat;
+        entry.lon = position.lon;
+        entry.timePosition = nowS;
+    };
+
+    /** Decode and apply one frame (Uint8Array). Returns the decoded message or null. */
+    const handleFrame = (bytes, nowS = Date.now() / 1000) => {
+        frameCount++;
+        const msg = decodeModeS(bytes);
+        if (!msg) return null;
+
+        let entry = aircraft.get(msg.icao24);
+        if (!entry) {
+            // Address/parity replies can only be trusted for aircraft already seen in a clean squitter.
+            if (msg.addressFromParity) return null;
+            if (aircraft.size >= maxAircraft) prune(nowS);
+            if (aircraft.size >= maxAircraft) return null;
+            entry = { icao24: msg.icao24 };
+            aircraft.set(msg.icao24, entry);
+        }
+
+        decodedCount++;
+        entry.lastContact = nowS;
+        if (msg.callsign) entry.callsign = msg.callsign;
+        if (msg.category != null) entry.category = msg.category;
+        if (msg.altitudeFt != null) entry.altitudeFt = msg.altitudeFt;
+        if (msg.geoAltitudeM != null) entry.geoAltitudeM = msg.geoAltitudeM;
+        if (msg.squawk) entry.squawk = msg.squawk;
+        if (msg.verticalRateFpm != null) entry.verticalRateFpm = msg.verticalRateFpm;
+        if (msg.groundSpeedKts != null) {
+            entry.groundSpeedKts = msg.groundSpeedKts;
+            entry.track = msg.track;
+        } else if (msg.airspeedKts != null && entry.groundSpeedKts == null) {
+            // Airspeed/heading only: better than nothing until a ground-speed message arrives.
+            entry.groundSpeedKts = msg.airspeedKts;
+            if (msg.heading != null) entry.track = msg.heading;
+        }
+        if (msg.cpr) updatePosition(entry, msg.cpr, nowS);
+
+        return msg;
+    };
+
+    const toState = (entry) => [
+        entry.icao24,
+        entry.callsign ?? null,
+        null,
+        entry.timePosition != null ? Math.floor(entry.timePosition) : null,
+        Math.floor(entry.lastContact),
+        entry.lon,
+        entry.lat,
+        entry.altitudeFt != null ? entry.altitudeFt * FT_TO_M : null,
+        false,
+        entry.groundSpeedKts != null ? entry.groundSpeedKts * KTS_TO_MPS : null,
+        entry.track ?? null,
+        entry.verticalRateFpm != null ? entry.verticalRateFpm * FPM_TO_MPS : null,
+        [],
+        entry.geoAltitudeM ?? null,
+        entry.squawk ?? null,
+        false,
+        0,
+        entry.category ?? 0,
+    ];
+
+    /** OpenSky-style state vectors for aircraft with a decoded position inside the bbox. */
+    const statesInBbox = ({ minLat, maxLat, minLon, maxLon }, nowS = Date.now() / 1000) => {
+        prune(nowS);
+        const states = [];
+        aircraft.forEach((entry) => {
+            if (entry.lat == null || entry.lon == null) return;
+            if (entry.lat < minLat || entry.lat > maxLat || entry.lon < minLon || entry.lon > maxLon) return;
+            states.push(toState(entry));
+        });
+        return states;
+    };
+
+    return {
+        handleFrame,
+        prune,
+        statesInBbox,
+        stats: () => ({ frames: frameCount, decoded: decodedCount, aircraft: aircraft.size }),
+        get size() { return aircraft.size; },
+    };
+};
+
+// ---------------------------------------------------------------------------
+// TCP feed + flight source
+// ---------------------------------------------------------------------------
+
+/**
+ * Connect to a Beast (port 30005) or AVR (port 30002) TCP feed and feed every
+ * frame into `tracker`. Reconnects with exponential backoff; call `close()` to stop.
+ */
+const connectModeSFeed = ({ host, port, format = 'beast', tracker }) => {
+    const targetPort = port || (format === 'avr' ? MODES_AVR_PORT : MODES_BEAST_PORT);
+    let socket = null;
+    let closed = false;
+    let connected = false;
+    let reconnectDelay = 1_000;
+    let reconnectTimer = null;
+    let lastError = null;
+
+    const scheduleReconnect = () => {
+        if (closed || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, 30_000);
+    };
+
+    const connect = () => {
+        const beast = createBeastParser();
+        let text = '';
+        socket = net.createConnection({ host, port: targetPort });
+
+        socket.on('connect', () => {
+            connected = true;
+            reconnectDelay = 1_000;
+            console.log(`[Mode-S] Connected to ${host}:${targetPort} (${format})`);
+        });
+
+        socket.on('data', (chunk) => {
+            const nowS = Date.now() / 1000;
+            if (format === 'avr') {
+                text += chunk.toString('latin1');
+                const lines = text.split(/[\r\n]+/);
+                text = lines.pop();
+                lines.forEach((line) => {
+                    const bytes = parseAvrLine(line);
+                    if (bytes) tracker.handleFrame(bytes, nowS);
+                });
+            } else {
+                beast.push(chunk).forEach(({ bytes }) => tracker.handleFrame(bytes, nowS));
+            }
+        });
+
+        socket.on('error', (error) => {
+            lastError = error.message;
+            console.warn(`[Mode-S] ${host}:${targetPort} error:`, error.message);
+        });
+
+        socket.on('close', () => {
+            if (connected) console.warn(`[Mode-S] Disconnected from ${host}:${targetPort}`);
+            connected = false;
+            scheduleReconnect();
+        });
+    };
+
+    connect();
+
+    return {
+        close: () => {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            socket?.destroy();
+        },
+        status: () => ({ host, port: targetPort, format, connected, lastError, ...tracker.stats() }),
+    };
+};
+
+/** Flight-source provider answering bbox queries from the Mode-S tracker. */
+const createModeSProvider = (tracker) => ({
+    id: 'modes',
+    label: 'Raw Mode-S decoder',
+    fallback: false,
+    timeoutMs: 1_000,
+    fetchStates: async (bbox, { now }) => ({
+        states: tracker.statesInBbox(bbox, now),
+        sourceTimestamp: now,
+    }),
+});
+
+module.exports = {
+    MODES_BEAST_PORT,
+    MODES_AVR_PORT,
+    modesChecksum,
+    modesSyndrome,
+    hexToBytes,
+    parseAvrLine,
+    createBeastParser,
+    decodeAc13,
+    decodeAc12,
+    decodeSquawk,
+    cprNL,
+    cprGlobalDecode,
+    cprLocalDecode,
+    decodeModeS,
+    createModeSTracker,
+    connectModeSFeed,
+    createModeSProvider,
+};
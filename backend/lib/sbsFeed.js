@@ -0,0 +1,250 @@
+/**
+ * SBS-1 / BaseStation (port 30003) feed ingestion — Express server only (uses `net`).
+ * Parses MSG,1..8 CSV records, keeps per-aircraft state in memory and serves it
+ * to /api/flights as the `sbs` flight source.
+ *
+ * Record layout (0-based fields):
+ *   0 MSG, 1 transmission type, 4 hex ident, 6/7 date/time generated, 10 callsign,
+ *   11 altitude (ft), 12 ground speed (kts), 13 track, 14 lat, 15 lon,
+ *   16 vertical rate (ft/min), 17 squawk, 18 alert, 19 emergency, 20 SPI, 21 on ground
+ * Flags are "-1" for true and "0" for false. The emergency flag carries no type,
+ * so state vectors report it in slot 18 as the squawk's emergency or "general".
+ */
+
+const net = require('net');
+const { MAX_POSITION_AGE_S } = require('./flightUtils');
+const { normalizeIcao24 } = require('./openskyApi');
+const { classifyEmergency } = require('./alerts');
+
+const SBS_DEFAULT_PORT = 30003;
+const SBS_RECONNECT_MIN_MS = 1_000;
+const SBS_RECONNECT_MAX_MS = 30_000;
+const SBS_MAX_AIRCRAFT = 5_000;
+
+const FT_TO_M = 0.3048;
+const KTS_TO_MPS = 0.514444;
+const FPM_TO_MPS = 0.00508;
+
+const toNumber = (value) => {
+    if (value == null || value === '') return null;
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+const toFlag = (value) => {
+    if (value == null || value === '') return null;
+    return value === '-1' || value === '1';
+};
+
+/**
+ * Parse one BaseStation line. Returns null for anything that is not a usable MSG record.
+ */
+const parseSbsLine = (line) => {
+    if (typeof line !== 'string') return null;
+    const fields = line.trim().split(',');
+    if (fields[0] !== 'MSG' || fields.length < 11) return null;
+
+    const icao24 = normalizeIcao24(fields[4]);
+    const type = parseInt(fields[1], 10);
+    if (!icao24 || !(type >= 1 && type <= 8)) return null;
+
+    const callsign = (fields[10] || '').trim();
+
+    return {
+        type,
+        icao24,
+        callsign: callsign || null,
+        altitudeFt: toNumber(fields[11]),
+        groundSpeedKts: toNumber(fields[12]),
+        track: toNumber(fields[13]),
+        lat: toNumber(fields[14]),
+        lon: toNumber(fields[15]),
+        verticalRateFpm: toNumber(fields[16]),
+        squawk: (fields[17] || '').trim() || null,
+        alert: toFlag(fields[18]),
+        emergency: toFlag(fields[19]),
+        spi: toFlag(fields[20]),
+        onGround: toFlag(fields[21]),
+    };
+};
+
+/**
+ * In-memory per-aircraft state assembled from MSG records.
+ * Aircraft with no message for `maxAgeS` seconds are dropped.
+ */
+const createSbsStore = ({ maxAgeS = MAX_POSITION_AGE_S, maxAircraft = SBS_MAX_AIRCRAFT } = {}) => {
+    const aircraft = new Map();
+
+    const apply = (msg, nowS = Math.floor(Date.now() / 1000)) => {
+        if (!msg) return;
+        let entry = aircraft.get(msg.icao24);
+        if (!entry) {
+            if (aircraft.size >= maxAircraft) prune(nowS);
+            if (aircraft.size >= maxAircraft) return;
+            entry = { icao24: msg.icao24 };
+            aircraft.set(msg.icao24, entry);
+        }
+
+        entry.lastContact = nowS;
+        if (msg.callsign) entry.callsign = msg.callsign;
+        if (msg.altitudeFt != null) entry.altitudeFt = msg.altitudeFt;
+        if (msg.groundSpeedKts != null) entry.groundSpeedKts = msg.groundSpeedKts;
+        if (msg.track != null) entry.track = msg.track;
+        if (msg.verticalRateFpm != null) entry.verticalRateFpm = msg.verticalRateFpm;
+        if (msg.squawk) entry.squawk = msg.squawk;
+        if (msg.emergency != null) entry.emergency = msg.emergency;
+        if (msg.spi != null) entry.spi = msg.spi;
+        if (msg.onGround != null) entry.onGround = msg.onGround;
+        if (msg.lat != null && msg.lon != null) {
+            entry.lat = msg.lat;
+            entry.lon = msg.lon;
+            entry.timePosition = nowS;
+        }
+    };
+
+    const prune = (nowS = Math.floor(Date.now() / 1000)) => {
+        aircraft.forEach((entry, icao) => {
+            if (nowS - entry.lastContact > maxAgeS) aircraft.delete(icao);
+        });
+    };
+
+    const toState = (entry) => [
+        entry.icao24,
+        entry.callsign ?? null,
+        null,
+        entry.timePosition ?? null,
+        entry.lastContact,
+        entry.lon,
+        entry.lat,
+        entry.altitudeFt != null ? entry.altitudeFt * FT_TO_M : null,
+        entry.onGround === true,
+        entry.groundSpeedKts != null ? entry.groundSpeedKts * KTS_TO_MPS : null,
+        entry.track ?? null,
+        entry.verticalRateFpm != null ? entry.verticalRateFpm * FPM_TO_MPS : null,
+        [],
+        null,
+        entry.squawk ?? null,
+        entry.spi === true,
+        0,
+        0,
+        entry.emergency === true ? classifyEmergency(entry.squawk) ?? 'general' : null,
+    ];
+
+    /** OpenSky-style state vectors for aircraft with a known position inside the bbox. */
+    const statesInBbox = ({ minLat, maxLat, minLon, maxLon }, nowS = Math.floor(Date.now() / 1000)) => {
+        prune(nowS);
+        const states = [];
+        aircraft.forEach((entry) => {
+            if (entry.lat == null || entry.lon == null) return;
+            if (entry.lat < minLat || entry.lat > maxLat || entry.lon < minLon || entry.lon > maxLon) return;
+            states.push(toState(entry));
+        });
+        return states;
+    };
+
+    return {
+        apply,
+        prune,
+        statesInBbox,
+        get size() { return aircraft.size; },
+    };
+};
+
+/**
+ * Connect to a BaseStation TCP feed and feed every line into `store`.
+ * Reconnects with exponential backoff; call `close()` to stop.
+ */
+const connectSbsFeed = ({ host, port = SBS_DEFAULT_PORT, store }) => {
+    let socket = null;
+    let buffer = '';
+    let closed = false;
+    let connected = false;
+    let reconnectDelay = SBS_RECONNECT_MIN_MS;
+    let reconnectTimer = null;
+    let messageCount = 0;
+    let lastError = null;
+
+    const scheduleReconnect = () => {
+        if (closed || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, SBS_RECONNECT_MAX_MS);
+    };
+
+    const connect = () => {
+        buffer = '';
+        socket = net.createConnection({ host, port });
+        socket.setEncoding('utf8');
+
+        socket.on('connect', () => {
+            connected = true;
+            reconnectDelay = SBS_RECONNECT_MIN_MS;
+            console.log(`[SBS] Connected to ${host}:${port}`);
+        });
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            const nowS = Math.floor(Date.now() / 1000);
+            for (const line of lines) {
+                const msg = parseSbsLine(line);
+                if (msg) {
+                    store.apply(msg, nowS);
+                    messageCount++;
+                }
+            }
+        });
+
+        socket.on('error', (error) => {
+            lastError = error.message;
+            console.warn(`[SBS] ${host}:${port} error:`, error.message);
+        });
+
+        socket.on('close', () => {
+            if (connected) console.warn(`[SBS] Disconnected from ${host}:${port}`);
+            connected = false;
+            scheduleReconnect();
+        });
+    };
+
+    connect();
+
+    return {
+        close: () => {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            socket?.destroy();
+        },
+        status: () => ({
+            host,
+            port,
+            connected,
+            messageCount,
+            aircraft: store.size,
+            lastError,
+        }),
+    };
+};
+
+/** Flight-source provider answering bbox queries from the live SBS store. */
+const createSbsProvider = (store) => ({
+    id: 'sbs',
+    label: 'SBS-1 BaseStation feed',
+    fallback: false,
+    timeoutMs: 1_000,
+    fetchStates: async (bbox, { now }) => ({
+        states: store.statesInBbox(bbox, now),
+        sourceTimestamp: now,
+    }),
+});
+
+module.exports = {
+    SBS_DEFAULT_PORT,
+    parseSbsLine,
+    createSbsStore,
+    connectSbsFeed,
+    createSbsProvider,
+};
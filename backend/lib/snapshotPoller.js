@@ -0,0 +1,211 @@
+/**
+ * Background snapshot poller — Express server only.
+ * Refreshes configured regions on a schedule and keeps the merged raw state
+ * vectors in a grid index, so any number of clients can be answered from one
+ * upstream fetch per region per interval.
+ */
+
+const { normalizeIcao24 } = require('./openskyApi');
+const { splitAntimeridian } = require('./flightUtils');
+
+const SNAPSHOT_DEFAULT_INTERVAL_MS = 30_000;
+/** Snapshots older than this many intervals are not served (live fetch instead). */
+const SNAPSHOT_MAX_AGE_INTERVALS = 3;
+const SNAPSHOT_CELL_DEGREES = 5;
+
+const GLOBAL_REGION = { name: 'global', minLat: -90, minLon: -180, maxLat: 90, maxLon: 180 };
+
+/**
+ * Parse SNAPSHOT_REGIONS: `global`, or `name:latMin,lonMin,latMax,lonMax` entries
+ * separated by `;` (e.g. `europe:35,-15,72,45;us:24,-125,50,-66`).
+ */
+const parseSnapshotRegions = (value) => {
+    const text = String(value || '').trim();
+    if (!text) return [];
+
+    const regions = [];
+    text.split(';').map((entry) => entry.trim()).filter(Boolean).forEach((entry, index) => {
+        if (entry.toLowerCase() === 'global') {
+            regions.push({ ...GLOBAL_REGION });
+            return;
+        }
+        const [name, coords] = entry.includes(':') ? entry.split(':') : [`region${index + 1}`, entry];
+        const [minLat, minLon, maxLat, maxLon] = coords.split(',').map((n) => parseFloat(n));
+        if ([minLat, minLon, maxLat, maxLon].every(Number.isFinite) && minLat < maxLat && minLon < maxLon) {
+            regions.push({ name: name.trim(), minLat, minLon, maxLat, maxLon });
+        } else {
+            console.warn(`[Snapshot] Ignoring invalid region "${entry}"`);
+        }
+    });
+    return regions;
+};
+
+const containsBbox = (outer, inner) =>
+    inner.minLat >= outer.minLat && inner.maxLat <= outer.maxLat &&
+    inner.minLon >= outer.minLon && inner.maxLon <= outer.maxLon;
+
+/**
+ * Grid index over OpenSky-style state vectors (slot 5 = lon, slot 6 = lat).
+ */
+const createSpatialIndex = (states = [], cellDegrees = SNAPSHOT_CELL_DEGREES) => {
+    const cells = new Map();
+    const cellKey = (latIdx, lonIdx) => `${latIdx}:${lonIdx}`;
+    const latIndex = (lat) => Math.floor(lat / cellDegrees);
+    const lonIndex = (lon) => Math.floor(lon / cellDegrees);
+
+    states.forEach((state) => {
+        const lon = state[5];
+        const lat = state[6];
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+        const key = cellKey(latIndex(lat), lonIndex(lon));
+        const bucket = cells.get(key);
+        if (bucket) bucket.push(state);
+        else cells.set(key, [state]);
+    });
+
+    /** States inside a bbox; antimeridian-crossing bboxes are queried half by half. */
+    const query = (bbox) => splitAntimeridian(bbox).flatMap(queryHalf);
+
+    const queryHalf = ({ minLat, maxLat, minLon, maxLon }) => {
+        const result = [];
+        for (let latIdx = latIndex(minLat); latIdx <= latIndex(maxLat); latIdx++) {
+            for (let lonIdx = lonIndex(minLon); lonIdx <= lonIndex(maxLon); lonIdx++) {
+                const bucket = cells.get(cellKey(latIdx, lonIdx));
+                if (!bucket) continue;
+                bucket.forEach((state) => {
+                    const lon = state[5];
+                    const lat = state[6];
+                    if (lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon) result.push(state);
+                });
+            }
+        }
+        return result;
+    };
+
+    return { query, size: states.length };
+};
+
+/**
+ * Create a poller. `fetchRegion(bbox)` must resolve with
+ * `{ provider, result: { states, authUsed?, message?, coverage? } }` (see flightSources.fetchStatesFromSources).
+ * Results from fallback providers are treated as failed refreshes.
+ */
+const createSnapshotPoller = ({ regions, intervalMs = SNAPSHOT_DEFAULT_INTERVAL_MS, fetchRegion }) => {
+    const regionResults = new Map(); // name → { provider, result, fetchedAt }
+    let snapshot = null;
+    let timer = null;
+    let polling = false;
+    let lastError = null;
+    const maxAgeMs = intervalMs * SNAPSHOT_MAX_AGE_INTERVALS;
+
+    const rebuild = () => {
+        // Overlapping regions: keep the newest position per aircraft.
+        const byIcao = new Map();
+        const unkeyed = [];
+        regionResults.forEach(({ result }) => {
+            (result.states || []).forEach((state) => {
+                const icao = normalizeIcao24(state?.[0]);
+                if (!icao) {
+                    unkeyed.push(state);
+                    return;
+                }
+                const existing = byIcao.get(icao);
+                if (!existing || (state[3] ?? -Infinity) > (existing[3] ?? -Infinity)) byIcao.set(icao, state);
+            });
+        });
+
+        const entries = [...regionResults.values()];
+        const timestamps = entries.map((entry) => entry.result.sourceTimestamp).filter(Number.isFinite);
+        const sources = [...new Set(entries.map((entry) => entry.provider.source || entry.provider.id))];
+
+        snapshot = {
+            index: createSpatialIndex([...byIcao.values(), ...unkeyed]),
+            createdAt: Date.now(),
+            source: sources.length === 1 ? sources[0] : 'snapshot',
+            message: entries.map((entry) => entry.result.message).find(Boolean) || null,
+            authUsed: entries.some((entry) => entry.result.authUsed),
+            sourceTimestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+        };
+    };
+
+    const poll = async () => {
+        if (polling) return;
+        polling = true;
+        try {
+            for (const region of regions) {
+                try {
+                    const { provider, result } = await fetchRegion(region);
+                    // Simulated states never enter the index: the region counts as not
+                    // refreshed, so requests fetch live instead of mixing fake aircraft in.
+                    if (provider.fallback) throw new Error(`only the fallback source ${provider.id} answered`);
+                    regionResults.set(region.name, { provider, result, fetchedAt: Date.now() });
+                } catch (error) {
+                    lastError = `${region.name}: ${error.message}`;
+                    console.warn(`[Snapshot] Region ${region.name} refresh failed:`, error.message);
+                }
+            }
+            // Regions that kept failing drop out rather than serving stale aircraft.
+            regionResults.forEach((entry, name) => {
+                if (Date.now() - entry.fetchedAt > maxAgeMs) regionResults.delete(name);
+            });
+            if (regionResults.size > 0) rebuild();
+            else snapshot = null;
+        } finally {
+            polling = false;
+        }
+    };
+
+    /**
+     * Raw states for a bbox plus snapshot metadata, or null when the bbox is not
+     * fully covered by one configured region with a recent enough refresh.
+     */
+    const query = (bbox) => {
+        if (!snapshot) return null;
+        const covering = regions
+            .map((region) => ({ region, entry: regionResults.get(region.name) }))
+            .filter(({ region, entry }) => entry && Date.now() - entry.fetchedAt <= maxAgeMs &&
+                splitAntimeridian(bbox).every((half) => containsBbox(region, half)))
+            .sort((a, b) => b.entry.fetchedAt - a.entry.fetchedAt)[0];
+        if (!covering) return null;
+
+        return {
+            states: snapshot.index.query(bbox),
+            source: snapshot.source,
+            fallback: false,
+            message: snapshot.message,
+            authUsed: snapshot.authUsed,
+            sourceTimestamp: snapshot.sourceTimestamp,
+            snapshotAge: Math.round((Date.now() - covering.entry.fetchedAt) / 1000),
+            coverage: covering.entry.result.coverage ?? 1,
+        };
+    };
+
+    return {
+        start: () => {
+            if (timer) return;
+            poll();
+            timer = setInterval(poll, intervalMs);
+        },
+        stop: () => {
+            clearInterval(timer);
+            timer = null;
+        },
+        poll,
+        query,
+        status: () => ({
+            regions: regions.map((region) => region.name),
+            intervalMs,
+            aircraft: snapshot ? snapshot.index.size : 0,
+            snapshotAge: snapshot ? Math.round((Date.now() - snapshot.createdAt) / 1000) : null,
+            lastError,
+        }),
+    };
+};
+
+module.exports = {
+    SNAPSHOT_DEFAULT_INTERVAL_MS,
+    GLOBAL_REGION,
+    parseSnapshotRegions,
+    createSpatialIndex,
+    createSnapshotPoller,
+};
@@ -0,0 +1,168 @@
+/**
+ * Self-built track history — shared by server.js and worker.js.
+ *
+ * Every flights payload the backend serves is fed in, so per-aircraft position
+ * histories accumulate from whichever source answered (OpenSky, adsb.lol,
+ * local feeds, simulated). /api/flight-track merges them with OpenSky's
+ * /tracks path, so trails work when OpenSky times out or has no track.
+ *
+ * Points use the OpenSky waypoint layout [time, latitude, longitude, baro_altitude,
+ * true_track, on_ground], with the reporting `_source` kept alongside. Memory is
+ * bounded by a TTL, a per-aircraft point cap and a global point cap (least
+ * recently updated aircraft are evicted first). In a Worker the history is
+ * isolate-local, like the other caches.
+ */
+
+const { normalizeIcao24 } = require('./openskyApi');
+
+const TRACK_HISTORY_DEFAULT_MINUTES = 60;
+const TRACK_HISTORY_MAX_POINTS_PER_AIRCRAFT = 360;
+const TRACK_HISTORY_DEFAULT_MAX_POINTS = 500_000;
+/** A gap this long means a new flight: the old points are dropped. */
+const TRACK_HISTORY_MAX_GAP_S = 1_800;
+/** Points closer than this (degrees) and within MIN_INTERVAL_S of the last one are skipped. */
+const MIN_MOVE_DEGREES = 0.0005;
+const MIN_INTERVAL_S = 30;
+const PRUNE_INTERVAL_S = 60;
+
+/**
+ * Create a history store. `ttlS` bounds how far back a track reaches;
+ * `maxPoints` bounds the total number of points kept across all aircraft.
+ */
+const createTrackHistory = ({
+    ttlS = TRACK_HISTORY_DEFAULT_MINUTES * 60,
+    maxPointsPerAircraft = TRACK_HISTORY_MAX_POINTS_PER_AIRCRAFT,
+    maxPoints = TRACK_HISTORY_DEFAULT_MAX_POINTS,
+} = {}) => {
+    const tracks = new Map(); // icao24 → { callsign, path: [waypoint], sources: [string] }, least recently updated first
+    let totalPoints = 0;
+    let lastPrune = 0;
+
+    const dropOldest = (track, count) => {
+        track.path.splice(0, count);
+        track.sources.splice(0, count);
+        totalPoints -= count;
+    };
+
+    const deleteTrack = (icao) => {
+        totalPoints -= tracks.get(icao)?.path.length || 0;
+        tracks.delete(icao);
+    };
+
+    const prune = (nowS) => {
+        lastPrune = nowS;
+        const cutoff = nowS - ttlS;
+        tracks.forEach((track, icao) => {
+            const keepFrom = track.path.findIndex((point) => point[0] >= cutoff);
+            if (keepFrom === -1) deleteTrack(icao);
+            else if (keepFrom > 0) dropOldest(track, keepFrom);
+        });
+    };
+
+    const addPoint = (icao, callsign, point, source) => {
+        let track = tracks.get(icao);
+        if (track) {
+            const last = track.path[track.path.length - 1];
+            if (point[0] <= last[0]) return;
+            if (point[0] - last[0] > TRACK_HISTORY_MAX_GAP_S) dropOldest(track, track.path.length);
+            else if (point[0] - last[0] < MIN_INTERVAL_S &&
+                Math.abs(point[1] - last[1]) < MIN_MOVE_DEGREES && Math.abs(point[2] - last[2]) < MIN_MOVE_DEGREES) return;
+            tracks.delete(icao); // re-insert below: Map order doubles as recency
+        } else {
+            track = { callsign: null, path: [], sources: [] };
+        }
+
+        if (callsign) track.callsign = callsign;
+        track.path.push(point);
+        track.sources.push(source);
+        totalPoints++;
+        if (track.path.length > maxPointsPerAircraft) dropOldest(track, track.path.length - maxPointsPerAircraft);
+        tracks.set(icao, track);
+    };
+
+    /** Add the positions of a processed flights payload (`flights`, `_source`, `timestamp`). */
+    const recordPayload = (data) => {
+        if (!Array.isArray(data?.flights)) return;
+        const source = data._source || 'unknown';
+        const nowS = Math.floor((data.timestamp || Date.now()) / 1000);
+
+        data.flights.forEach((flight) => {
+            const icao = normalizeIcao24(flight.icao24);
+            const time = flight.time_position ?? flight.last_contact ?? nowS;
+            if (!icao || !Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude) || !Number.isFinite(time)) return;
+            addPoint(icao, flight.callsign?.trim() || null, [
+                time,
+                flight.latitude,
+                flight.longitude,
+                flight.baro_altitude ?? null,
+                flight.true_track ?? null,
+                !!flight.on_ground,
+            ], source);
+        });
+
+        while (totalPoints > maxPoints && tracks.size > 0) deleteTrack(tracks.keys().next().value);
+        if (nowS - lastPrune >= PRUNE_INTERVAL_S) prune(nowS);
+    };
+
+    /** `{ callsign, path, sources }` for an aircraft, or null when none is recorded. */
+    const get = (icao24) => {
+        const track = tracks.get(normalizeIcao24(icao24));
+        if (!track) return null;
+        const cutoff = Math.floor(Date.now() / 1000) - ttlS;
+        const keepFrom = track.path.findIndex((point) => point[0] >= cutoff);
+        if (keepFrom === -1) return null;
+        return { callsign: track.callsign, path: track.path.slice(keepFrom), sources: track.sources.slice(keepFrom) };
+    };
+
+    return {
+        recordPayload,
+        get,
+        status: () => ({ aircraft: tracks.size, points: totalPoints, ttlMinutes: Math.round(ttlS / 60) }),
+    };
+};
+
+/**
+ * Merge an OpenSky track (`{ icao24, callsign, startTime, endTime, path }`, possibly
+ * empty) with the recorded history for the same aircraft. OpenSky's path wins
+ * where both cover the same time span. Adds `segments`: consecutive runs of
+ * waypoints from the same source, `{ source, startTime, endTime, startIndex, points }`.
+ */
+const mergeTrackWithHistory = (track, trackSource, history) => {
+    const openskyPath = Array.isArray(track?.path) ? track.path.filter((point) => Number.isFinite(point?.[0])) : [];
+    const openskyStart = openskyPath.length > 0 ? openskyPath[0][0] : Infinity;
+    const openskyEnd = openskyPath.length > 0 ? openskyPath[openskyPath.length - 1][0] : -Infinity;
+
+    const labelled = openskyPath.map((point) => ({ point, source: trackSource || 'opensky' }));
+    (history?.path || []).forEach((point, i) => {
+        if (point[0] < openskyStart || point[0] > openskyEnd) labelled.push({ point, source: history.sources[i] });
+    });
+    labelled.sort((a, b) => a.point[0] - b.point[0]);
+
+    const segments = [];
+    labelled.forEach(({ point, source }, index) => {
+        const current = segments[segments.length - 1];
+        if (current && current.source === source) {
+            current.endTime = point[0];
+            current.points++;
+        } else {
+            segments.push({ source, startTime: point[0], endTime: point[0], startIndex: index, points: 1 });
+        }
+    });
+
+    const path = labelled.map(({ point }) => point);
+    return {
+        icao24: track?.icao24,
+        callsign: track?.callsign || history?.callsign || null,
+        startTime: path.length > 0 ? path[0][0] : null,
+        endTime: path.length > 0 ? path[path.length - 1][0] : null,
+        path,
+        segments,
+    };
+};
+
+module.exports = {
+    TRACK_HISTORY_DEFAULT_MINUTES,
+    TRACK_HISTORY_DEFAULT_MAX_POINTS,
+    createTrackHistory,
+    mergeTrackWithHistory,
+};
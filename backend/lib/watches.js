@@ -0,0 +1,324 @@
+/**
+ * Watch rules — server-side filters (icao24 list, callsign / type code patterns,
+ * altitude band, region) evaluated against every flights payload the backend
+ * serves. A matching aircraft appearing, disappearing, taking off or landing
+ * produces an event for `onEvent`; server.js posts those to the rule's webhooks
+ * (see webhooks.js) and owns persistence (WATCHES_FILE).
+ *
+ * Ground aircraft are filtered out of flights payloads, so take-offs and landings
+ * are usually inferred: an aircraft first seen low and climbing has taken off,
+ * one lost low and descending has landed (events carry `inferred: true`). When a
+ * payload does carry `on_ground`, its transitions are used directly.
+ */
+
+const { normalizeIcao24 } = require('./openskyApi');
+const { parseAltitudeBand } = require('./flightUtils');
+const { webhookHostError, redactWebhookUrl } = require('./webhooks');
+
+const WATCHES_MAX = 100;
+const WATCH_EVENT_TYPES = ['appear', 'disappear', 'takeoff', 'land'];
+/** A tracked aircraft not seen for this long disappears with reason "lost". */
+const WATCH_LOST_S = 300;
+/** Below this altitude, climbing on first sight / descending when lost counts as take-off / landing. */
+const WATCH_LOW_ALTITUDE_FT = 3_000;
+/** Vertical rate (m/s) that counts as climbing or descending, about 200 ft/min. */
+const WATCH_VERTICAL_RATE_MPS = 1;
+const WATCH_MAX_LIST_ENTRIES = 500;
+const WATCH_MAX_WEBHOOKS = 5;
+const WATCH_RECENT_EVENTS = 50;
+const WATCH_NAME_MAX_LENGTH = 100;
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+/** Case-insensitive anchored regex for a `*` / `?` glob such as "DLH*" or "B74?". */
+const globToRegExp = (pattern) =>
+    new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+
+const inRegion = (lat, lon, region) => {
+    if (lat < region.lat_min || lat > region.lat_max) return false;
+    // lon_min > lon_max: the region crosses the antimeridian
+    return region.lon_min <= region.lon_max
+        ? lon >= region.lon_min && lon <= region.lon_max
+        : lon >= region.lon_min || lon <= region.lon_max;
+};
+
+/**
+ * True when the flight meets every criterion of the compiled rule. `lookupTypecode`
+ * fills in the type code for payloads the aircraft database has not enriched.
+ */
+const matchesWatch = (flight, compiled, lookupTypecode = null) => {
+    const { rule } = compiled;
+    if (compiled.icao24 && !compiled.icao24.has(normalizeIcao24(flight.icao24))) return false;
+    if (compiled.callsign) {
+        const callsign = flight.callsign?.trim();
+        if (!callsign || !compiled.callsign.some((re) => re.test(callsign))) return false;
+    }
+    if (compiled.typecode) {
+        const typecode = flight.typecode || lookupTypecode?.(flight.icao24);
+        if (!typecode || !compiled.typecode.some((re) => re.test(typecode))) return false;
+    }
+    if (rule.floor_ft != null || rule.ceiling_ft != null) {
+        if (flight.altitude_ft == null) return false;
+        if (rule.floor_ft != null && flight.altitude_ft < rule.floor_ft) return false;
+        if (rule.ceiling_ft != null && flight.altitude_ft > rule.ceiling_ft) return false;
+    }
+    if (rule.region) {
+        if (!Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude)) return false;
+        if (!inRegion(flight.latitude, flight.longitude, rule.region)) return false;
+    }
+    return true;
+};
+
+/** Rule with its patterns compiled once for matching. */
+const compileWatch = (rule) => ({
+    rule,
+    icao24: rule.icao24 ? new Set(rule.icao24) : null,
+    callsign: rule.callsign ? rule.callsign.map(globToRegExp) : null,
+    typecode: rule.typecode ? rule.typecode.map(globToRegExp) : null,
+    events: new Set(rule.events),
+});
+
+// ---------------------------------------------------------------------------
+// Input parsing — POST / PUT /api/watches bodies
+// ---------------------------------------------------------------------------
+
+const invalid = (message) => ({ status: 400, body: { message } });
+
+/** Optional list of strings (a single string is accepted); `{ value }` or `{ error }`. */
+const parseStringList = (value, label, normalize) => {
+    if (value == null || value === '') return { value: null };
+    const items = (Array.isArray(value) ? value : [value]).map((item) => String(item ?? '').trim());
+    const list = items.map(normalize);
+    const bad = list.findIndex((item) => !item);
+    if (bad !== -1) return { error: `invalid ${label} entry: "${items[bad]}"` };
+    if (list.length > WATCH_MAX_LIST_ENTRIES) return { error: `${label} has more than ${WATCH_MAX_LIST_ENTRIES} entries` };
+    return { value: list.length > 0 ? [...new Set(list)] : null };
+};
+
+const parseRegion = (region) => {
+    if (region == null) return { value: null };
+    const bounds = ['lat_min', 'lon_min', 'lat_max', 'lon_max'].map((key) => Number(region[key]));
+    if (bounds.some((n) => !Number.isFinite(n))) return { error: 'region needs numeric lat_min, lon_min, lat_max and lon_max' };
+    const [latMin, lonMin, latMax, lonMax] = bounds;
+    if (latMin < -90 || latMax > 90 || latMin >= latMax || Math.abs(lonMin) > 180 || Math.abs(lonMax) > 180) {
+        return { error: 'region must have -90 ≤ lat_min < lat_max ≤ 90 and longitudes within -180…180' };
+    }
+    return { value: { lat_min: latMin, lon_min: lonMin, lat_max: latMax, lon_max: lonMax } };
+};
+
+const parseWebhooks = (webhooks, allowedHosts) => {
+    const list = Array.isArray(webhooks) ? webhooks : [webhooks].filter(Boolean);
+    if (list.length === 0) return { error: 'webhooks must list at least one URL' };
+    if (list.length > WATCH_MAX_WEBHOOKS) return { error: `at most ${WATCH_MAX_WEBHOOKS} webhooks per watch` };
+    for (const url of list) {
+        let parsed;
+        try {
+            parsed = new URL(String(url));
+        } catch (_) {
+            return { error: `invalid webhook URL: ${url}` };
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return { error: `webhook URLs must be http or https: ${url}` };
+        const hostError = webhookHostError(parsed.href, allowedHosts);
+        if (hostError) return { error: hostError };
+    }
+    return { value: list.map(String) };
+};
+
+/**
+ * Parse a watch rule: `{ name, icao24, callsign, typecode, floor_ft, ceiling_ft,
+ * region, events, webhooks, enabled }`. At least one criterion is required;
+ * criteria combine with AND, list entries with OR. Webhook hosts must pass
+ * webhookHostError for `allowedHosts`. Invalid rules get a 400 `{ status, body }`;
+ * valid ones come back as `{ rule }`.
+ */
+const parseWatchInput = (body, { allowedHosts } = {}) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return invalid('Body must be a JSON watch rule.');
+
+    const icao24 = parseStringList(body.icao24, 'icao24', (v) => normalizeIcao24(v) || '');
+    const callsign = parseStringList(body.callsign, 'callsign', (v) => v.toUpperCase());
+    const typecode = parseStringList(body.typecode, 'typecode', (v) => v.toUpperCase());
+    const band = parseAltitudeBand(body.floor_ft, body.ceiling_ft);
+    const region = parseRegion(body.region);
+    const webhooks = parseWebhooks(body.webhooks, allowedHosts);
+    const error = [icao24, callsign, typecode, band, region, webhooks].find((result) => result.error)?.error;
+    if (error) return invalid(error);
+
+    const criteria = [icao24.value, callsign.value, typecode.value, band.floor, band.ceiling, region.value];
+    if (criteria.every((value) => value == null)) {
+        return invalid('A watch needs at least one of icao24, callsign, typecode, floor_ft, ceiling_ft or region.');
+    }
+
+    const events = body.events == null ? WATCH_EVENT_TYPES : (Array.isArray(body.events) ? body.events : [body.events]);
+    const unknown = events.find((type) => !WATCH_EVENT_TYPES.includes(type));
+    if (unknown !== undefined || events.length === 0) {
+        return invalid(`events must list one or more of ${WATCH_EVENT_TYPES.join(', ')}.`);
+    }
+
+    return {
+        rule: {
+            name: String(body.name ?? '').trim().slice(0, WATCH_NAME_MAX_LENGTH) || null,
+            icao24: icao24.value,
+            callsign: callsign.value,
+            typecode: typecode.value,
+            floor_ft: band.floor,
+            ceiling_ft: band.ceiling,
+            region: region.value,
+            events: WATCH_EVENT_TYPES.filter((type) => events.includes(type)),
+            webhooks: webhooks.value,
+            enabled: body.enabled !== false,
+        },
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Monitor
+// ---------------------------------------------------------------------------
+
+/** Aircraft fields carried by watch events. */
+const aircraftOf = (flight, icao24, lookupTypecode) => ({
+    icao24,
+    callsign: flight.callsign?.trim() || null,
+    registration: flight.registration ?? null,
+    typecode: flight.typecode || lookupTypecode?.(icao24) || null,
+    latitude: flight.latitude ?? null,
+    longitude: flight.longitude ?? null,
+    altitude_ft: flight.altitude_ft ?? null,
+    vertical_rate: flight.vertical_rate ?? null,
+    on_ground: flight.on_ground ?? null,
+});
+
+const isLow = (aircraft) => aircraft.altitude_ft != null && aircraft.altitude_ft <= WATCH_LOW_ALTITUDE_FT;
+
+/**
+ * Watch monitor. Events passed to `onEvent(event, rule)` are `{ id, watchId, type,
+ * reason, inferred, time, aircraft }`: `disappear` has reason 'lost' (not seen for
+ * WATCH_LOST_S) or 'unmatched' (seen, but no longer matching); the others have
+ * reason null. Event types a rule does not list are tracked but not emitted.
+ */
+const createWatchMonitor = ({ maxWatches = WATCHES_MAX, lookupTypecode = null, onEvent = null } = {}) => {
+    const entries = new Map(); // id → { compiled, tracked: Map(icao24 → { since, lastSeen, aircraft }), recent: [] }
+    let nextWatchNumber = 1;
+    let nextEventId = 1;
+
+    // Webhook URLs often embed secrets, so rules are only listed with redacted URLs
+    const summary = ({ compiled, tracked }) => ({
+        ...compiled.rule,
+        webhooks: compiled.rule.webhooks.map(redactWebhookUrl),
+        trackedCount: tracked.size,
+    });
+
+    const emit = (entry, type, { reason = null, inferred = false, time, aircraft }) => {
+        if (!entry.compiled.events.has(type)) return;
+        const event = { id: nextEventId++, watchId: entry.compiled.rule.id, type, reason, inferred, time, aircraft };
+        entry.recent.push(event);
+        if (entry.recent.length > WATCH_RECENT_EVENTS) entry.recent.shift();
+        onEvent?.(event, entry.compiled.rule);
+    };
+
+    /**
+     * Add a parsed rule. replace() and WATCHES_FILE restores pass an existing
+     * `id` and `createdAt`, which overwrite that rule in place.
+     * Returns the rule, or null when the monitor is full.
+     */
+    const add = ({ id = null, createdAt = null, ...rule }) => {
+        if (!entries.has(id) && entries.size >= maxWatches) return null;
+        const watchId = id || `w${Date.now().toString(36)}${(nextWatchNumber++).toString(36)}`;
+        const full = { id: watchId, ...rule, createdAt: createdAt ?? Date.now() };
+        entries.set(watchId, { compiled: compileWatch(full), tracked: new Map(), recent: [] });
+        return full;
+    };
+
+    /** Replace a rule's definition, keeping its id and creation time; null for an unknown id. */
+    const replace = (id, rule) => {
+        const entry = entries.get(id);
+        if (!entry) return null;
+        return add({ ...rule, id, createdAt: entry.compiled.rule.createdAt });
+    };
+
+    const observe = (entry, flight, nowS) => {
+        const icao = normalizeIcao24(flight.icao24);
+        if (!icao) return;
+        const time = flight.last_contact ?? flight.time_position ?? nowS;
+        const state = entry.tracked.get(icao);
+        if (state && time < state.lastSeen) return; // older than what we have
+
+        if (!matchesWatch(flight, entry.compiled, lookupTypecode)) {
+            if (!state) return;
+            entry.tracked.delete(icao);
+            emit(entry, 'disappear', { reason: 'unmatched', time, aircraft: aircraftOf(flight, icao, lookupTypecode) });
+            return;
+        }
+
+        const aircraft = aircraftOf(flight, icao, lookupTypecode);
+        if (!state) {
+            entry.tracked.set(icao, { since: time, lastSeen: time, aircraft });
+            emit(entry, 'appear', { time, aircraft });
+            if (aircraft.on_ground === false && isLow(aircraft) && aircraft.vertical_rate > WATCH_VERTICAL_RATE_MPS) {
+                emit(entry, 'takeoff', { inferred: true, time, aircraft });
+            }
+            return;
+        }
+
+        const wasOnGround = state.aircraft.on_ground;
+        state.lastSeen = time;
+        state.aircraft = { ...aircraft, callsign: aircraft.callsign || state.aircraft.callsign };
+        if (wasOnGround === true && aircraft.on_ground === false) emit(entry, 'takeoff', { time, aircraft });
+        if (wasOnGround === false && aircraft.on_ground === true) emit(entry, 'land', { time, aircraft });
+    };
+
+    /** Feed a processed flights payload (`flights`, `timestamp`); simulated (`_fallback`) payloads are ignored. */
+    const recordPayload = (data) => {
+        if (!Array.isArray(data?.flights) || data._fallback || entries.size === 0) return;
+        const nowS = Math.floor((data.timestamp || Date.now()) / 1000);
+
+        entries.forEach((entry) => {
+            if (!entry.compiled.rule.enabled) return;
+            data.flights.forEach((flight) => observe(entry, flight, nowS));
+
+            entry.tracked.forEach((state, icao) => {
+                if (nowS - state.lastSeen <= WATCH_LOST_S) return;
+                entry.tracked.delete(icao);
+                const { aircraft } = state;
+                if (aircraft.on_ground === false && isLow(aircraft) && aircraft.vertical_rate < -WATCH_VERTICAL_RATE_MPS) {
+                    emit(entry, 'land', { inferred: true, time: state.lastSeen, aircraft });
+                }
+                emit(entry, 'disappear', { reason: 'lost', time: state.lastSeen, aircraft });
+            });
+        });
+    };
+
+    /** Rule with the aircraft it currently tracks and its recent events, or null. */
+    const get = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return null;
+        const tracked = [...entry.tracked.entries()].map(([icao24, { since, lastSeen, aircraft }]) => ({
+            ...aircraft, icao24, since, lastSeen,
+        }));
+        return { ...summary(entry), tracked, recentEvents: [...entry.recent].reverse() };
+    };
+
+    return {
+        add,
+        replace,
+        remove: (id) => entries.delete(id),
+        get,
+        list: () => [...entries.values()].map(summary),
+        recordPayload,
+        /** Rule definitions for saving (no runtime state). */
+        exportWatches: () => [...entries.values()].map(({ compiled }) => compiled.rule),
+        status: () => ({ watches: entries.size, maxWatches }),
+    };
+};
+
+module.exports = {
+    WATCHES_MAX,
+    WATCH_EVENT_TYPES,
+    WATCH_LOST_S,
+    globToRegExp,
+    matchesWatch,
+    compileWatch,
+    parseWatchInput,
+    createWatchMonitor,
+};
@@ -0,0 +1,188 @@
+/**
+ * Webhook delivery — JSON POSTs with retry, exponential backoff and de-duplication.
+ * The HTTP call is injected (`send(url, body, headers)` resolving to the response
+ * status), so this module has no runtime dependencies; server.js passes an axios
+ * sender.
+ *
+ * Network errors, 408, 429 and 5xx responses are retried after 1 s, 2 s, 4 s, …
+ * (capped at `maxDelayMs`, ±20% jitter) up to `maxAttempts`; other 4xx responses are final.
+ * A delivery whose `dedupKey` was delivered or queued within `dedupS` is dropped,
+ * and every body carries an `id` (also sent as X-Webhook-Id) that receivers can
+ * use to discard repeats of a retried delivery.
+ */
+
+const WEBHOOK_DEFAULT_MAX_ATTEMPTS = 5;
+const WEBHOOK_BASE_DELAY_MS = 1_000;
+const WEBHOOK_MAX_DELAY_MS = 60_000;
+const WEBHOOK_DEFAULT_DEDUP_S = 600;
+/** Deliveries waiting or in flight beyond this are dropped (a receiver that is down should not grow memory). */
+const WEBHOOK_MAX_PENDING = 1_000;
+const WEBHOOK_USER_AGENT = 'global-real-time-flight-tracker-webhooks';
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// ---------------------------------------------------------------------------
+// Destinations
+// ---------------------------------------------------------------------------
+
+/** WEBHOOK_ALLOWED_HOSTS: comma-separated host names, compared case-insensitively. */
+const parseAllowedHosts = (value) =>
+    new Set(String(value || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean));
+
+const isPrivateIPv4 = (address) => {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(address);
+    if (!match) return false;
+    const [a, b] = [Number(match[1]), Number(match[2])];
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+        (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+};
+
+/**
+ * True for loopback, private, link-local, shared (100.64/10), multicast and
+ * unspecified addresses, IPv4-mapped IPv6 included. Host names are never private.
+ */
+const isPrivateAddress = (address) => {
+    const ip = String(address || '').toLowerCase().replace(/^\[|\]$/g, '');
+    if (isPrivateIPv4(ip)) return true;
+    if (!ip.includes(':')) return false;
+    const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/.exec(ip);
+    if (mapped) {
+        if (mapped[1]) return isPrivateIPv4(mapped[1]);
+        const [high, low] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+        return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+};
+
+/**
+ * Why a webhook may not be sent to `url`, or null. With `allowedHosts` set only
+ * those hosts are accepted, private ones included; otherwise any host except
+ * localhost and private addresses. Pass the host's resolved `addresses` at
+ * delivery time so names pointing at private addresses are refused too.
+ */
+const webhookHostError = (url, allowedHosts = new Set(), addresses = []) => {
+    const host = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (allowedHosts.size > 0) return allowedHosts.has(host) ? null : `webhook host ${host} is not in WEBHOOK_ALLOWED_HOSTS`;
+    const isLocal = host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host) ||
+        addresses.some(isPrivateAddress);
+    return isLocal ? `webhook host ${host} is a private or loopback address` : null;
+};
+
+/** Origin of a webhook URL with its path and query masked, for API responses and status. */
+const redactWebhookUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return parsed.pathname === '/' && !parsed.search ? parsed.origin : `${parsed.origin}/…`;
+    } catch (_) {
+        return '…';
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Delivery
+// ---------------------------------------------------------------------------
+
+/** Delay before retry number `attempt` (1-based), with ±20% jitter so receivers are not hit in lockstep. */
+const backoffDelayMs = (attempt, baseDelayMs = WEBHOOK_BASE_DELAY_MS, maxDelayMs = WEBHOOK_MAX_DELAY_MS) =>
+    Math.round(Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)) * (0.8 + Math.random() * 0.4));
+
+const sleep = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    timer.unref?.();
+});
+
+/**
+ * Dispatcher. `checkUrl(url)` may resolve to a reason the URL is refused (see
+ * webhookHostError); refused deliveries are not sent or retried and count as failed.
+ */
+const createWebhookDispatcher = ({
+    send,
+    checkUrl = null,
+    maxAttempts = WEBHOOK_DEFAULT_MAX_ATTEMPTS,
+    baseDelayMs = WEBHOOK_BASE_DELAY_MS,
+    maxDelayMs = WEBHOOK_MAX_DELAY_MS,
+    dedupS = WEBHOOK_DEFAULT_DEDUP_S,
+    maxPending = WEBHOOK_MAX_PENDING,
+} = {}) => {
+    const recentKeys = new Map(); // dedupKey → epoch ms queued
+    const stats = { delivered: 0, failed: 0, retries: 0, deduplicated: 0, dropped: 0 };
+    let pending = 0;
+    let lastError = null;
+
+    const isDuplicate = (dedupKey, now) => {
+        if (!dedupKey) return false;
+        recentKeys.forEach((queuedAt, key) => {
+            if (now - queuedAt > dedupS * 1000) recentKeys.delete(key);
+        });
+        if (recentKeys.has(dedupKey)) return true;
+        recentKeys.set(dedupKey, now);
+        return false;
+    };
+
+    const deliver = async (url, body) => {
+        const headers = { 'Content-Type': 'application/json', 'User-Agent': WEBHOOK_USER_AGENT, 'X-Webhook-Id': body.id };
+        const refused = await Promise.resolve(checkUrl?.(url)).catch((error) => error.message);
+        if (refused) {
+            stats.failed++;
+            lastError = { url: redactWebhookUrl(url), message: refused, time: Date.now() };
+            console.warn(`[Webhooks] Refusing ${url} for ${body.id}: ${refused}`);
+            return;
+        }
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let retryable = true;
+            try {
+                const status = await send(url, body, headers);
+                if (status >= 200 && status < 300) {
+                    stats.delivered++;
+                    return;
+                }
+                retryable = isRetryableStatus(status);
+                lastError = { url: redactWebhookUrl(url), message: `HTTP ${status}`, time: Date.now() };
+            } catch (error) {
+                lastError = { url: redactWebhookUrl(url), message: error.message, time: Date.now() };
+            }
+            if (!retryable || attempt === maxAttempts) break;
+            stats.retries++;
+            await sleep(backoffDelayMs(attempt, baseDelayMs, maxDelayMs));
+        }
+        stats.failed++;
+        console.warn(`[Webhooks] Giving up on ${url} for ${body.id}: ${lastError?.message}`);
+    };
+
+    /**
+     * Queue `body` (which must have an `id`) for each URL. Returns false when it
+     * was dropped as a duplicate of `dedupKey` or because too much is pending.
+     */
+    const dispatch = (urls, body, { dedupKey = null } = {}) => {
+        if (pending + urls.length > maxPending) {
+            stats.dropped += urls.length;
+            return false;
+        }
+        if (isDuplicate(dedupKey, Date.now())) {
+            stats.deduplicated++;
+            return false;
+        }
+        urls.forEach((url) => {
+            pending++;
+            deliver(url, body).finally(() => { pending--; });
+        });
+        return true;
+    };
+
+    return {
+        dispatch,
+        status: () => ({ ...stats, pending, lastError }),
+    };
+};
+
+module.exports = {
+    WEBHOOK_DEFAULT_MAX_ATTEMPTS,
+    WEBHOOK_DEFAULT_DEDUP_S,
+    backoffDelayMs,
+    parseAllowedHosts,
+    isPrivateAddress,
+    webhookHostError,
+    redactWebhookUrl,
+    createWebhookDispatcher,
+};
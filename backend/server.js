@@ -1,21 +1,204 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
 const flightUtils = require('./lib/flightUtils');
 const openskyApi = require('./lib/openskyApi');
-const { MAX_BBOX_DEGREES } = flightUtils;
+const flightSources = require('./lib/flightSources');
+const sbsFeed = require('./lib/sbsFeed');
+const modeS = require('./lib/modeS');
+const snapshotPoller = require('./lib/snapshotPoller');
+const flightStream = require('./lib/flightStream');
+const flightDelta = require('./lib/flightDelta');
+const flightFormats = require('./lib/flightFormats');
+const flightTiles = require('./lib/flightTiles');
+const flightRecorder = require('./lib/flightRecorder');
+const trackHistory = require('./lib/trackHistory');
+const aircraftDb = require('./lib/aircraftDb');
+const airports = require('./lib/airports');
+const alerts = require('./lib/alerts');
+const geofences = require('./lib/geofences');
+const watches = require('./lib/watches');
+const webhooks = require('./lib/webhooks');
+const flightSearch = require('./lib/flightSearch');
+const flightPhases = require('./lib/flightPhases');
 
 const app = express();
 const PORT = parseInt(process.env.PORT, 10) || 3001;
 
-const OPENSKY_BASE = openskyApi.OPENSKY_API_BASE;
+// Optional SBS-1 / BaseStation TCP feed (SBS_HOST[:SBS_PORT]) — Express only.
+const SBS_HOST = (process.env.SBS_HOST || '').trim();
+const sbsStore = SBS_HOST ? sbsFeed.createSbsStore() : null;
+const sbsConnection = SBS_HOST
+    ? sbsFeed.connectSbsFeed({
+        host: SBS_HOST,
+        port: parseInt(process.env.SBS_PORT, 10) || sbsFeed.SBS_DEFAULT_PORT,
+        store: sbsStore,
+    })
+    : null;
+
+// Optional raw Mode-S feed (MODES_HOST[:MODES_PORT], MODES_FORMAT=beast|avr) — Express only.
+// MODES_REF_LAT / MODES_REF_LON (receiver location) allow local CPR decoding of single frames.
+const MODES_HOST = (process.env.MODES_HOST || '').trim();
+const modesRefLat = parseFloat(process.env.MODES_REF_LAT);
+const modesRefLon = parseFloat(process.env.MODES_REF_LON);
+const modesTracker = MODES_HOST
+    ? modeS.createModeSTracker({
+        reference: flightUtils.isValidCoord(modesRefLon, modesRefLat) ? { lat: modesRefLat, lon: modesRefLon } : null,
+    })
+    : null;
+const modesConnection = MODES_HOST
+    ? modeS.connectModeSFeed({
+        host: MODES_HOST,
+        port: parseInt(process.env.MODES_PORT, 10) || undefined,
+        format: (process.env.MODES_FORMAT || 'beast').trim().toLowerCase() === 'avr' ? 'avr' : 'beast',
+        tracker: modesTracker,
+    })
+    : null;
+
+// Flight sources — order, enable flags and timeouts come from FLIGHT_SOURCE* env vars.
+const providers = flightSources.createProviders(process.env);
+if (sbsStore) providers.push(sbsFeed.createSbsProvider(sbsStore));
+if (modesTracker) providers.push(modeS.createModeSProvider(modesTracker));
+
+const localFeedIds = [modesTracker && 'modes', sbsStore && 'sbs'].filter(Boolean);
+
+const sourceRegistry = flightSources.createSourceRegistry(
+    providers,
+    flightSources.loadSourceConfig(process.env, {
+        order: localFeedIds.length > 0 ? [...localFeedIds, ...flightSources.DEFAULT_SOURCE_ORDER] : undefined,
+        timeouts: { opensky: 15_000 },
+    })
+);
+
+// Optional snapshot recording for /api/flights?at= and /api/replay
+// (RECORD_DIR, RECORD_RETENTION_HOURS, RECORD_MAX_MB, RECORD_MIN_INTERVAL_MS)
+const RECORD_DIR = (process.env.RECORD_DIR || '').trim();
+const recorder = RECORD_DIR
+    ? flightRecorder.createFlightRecorder({
+        dir: RECORD_DIR,
+        retentionMs: (parseFloat(process.env.RECORD_RETENTION_HOURS) || flightRecorder.RECORD_DEFAULT_RETENTION_HOURS) * 3_600_000,
+        maxBytes: (parseFloat(process.env.RECORD_MAX_MB) || flightRecorder.RECORD_DEFAULT_MAX_MB) * 1024 * 1024,
+        minIntervalMs: parseInt(process.env.RECORD_MIN_INTERVAL_MS, 10) || flightRecorder.RECORD_DEFAULT_MIN_INTERVAL_MS,
+    })
+    : null;
+
+// Per-aircraft position history from every served payload, merged into /api/flight-track
+// (TRACK_HISTORY_MINUTES, TRACK_HISTORY_MAX_POINTS)
+const trackHistoryStore = trackHistory.createTrackHistory({
+    ttlS: (parseFloat(process.env.TRACK_HISTORY_MINUTES) || trackHistory.TRACK_HISTORY_DEFAULT_MINUTES) * 60,
+    maxPoints: parseInt(process.env.TRACK_HISTORY_MAX_POINTS, 10) || trackHistory.TRACK_HISTORY_DEFAULT_MAX_POINTS,
+});
+
+// Emergency / SPI alerts from every served payload, for /api/alerts (ALERT_RETENTION_MINUTES)
+const alertTracker = alerts.createAlertTracker({
+    retentionS: (parseFloat(process.env.ALERT_RETENTION_MINUTES) || alerts.ALERTS_DEFAULT_RETENTION_MINUTES) * 60,
+});
+
+// Geofences with enter/exit event logs (Express only); GEOFENCES_FILE keeps them across restarts
+const GEOFENCES_FILE = (process.env.GEOFENCES_FILE || '').trim();
+const geofenceMonitor = geofences.createGeofenceMonitor();
+
+// Optional local aircraft database for /api/aircraft/:icao24 (AIRCRAFT_DB_PATH);
+// AIRCRAFT_DB_ENRICH=false stops adding registration/typecode to /api/flights
+const AIRCRAFT_DB_PATH = (process.env.AIRCRAFT_DB_PATH || '').trim();
+const aircraftDatabase = AIRCRAFT_DB_PATH ? aircraftDb.createAircraftDatabase(AIRCRAFT_DB_PATH) : null;
+const enrichWithAircraftDb = (process.env.AIRCRAFT_DB_ENRICH || 'true').trim().toLowerCase() !== 'false';
+
+// Watch rules (Express only): matching aircraft appearing, disappearing, taking off or
+// landing are posted to the rule's webhooks. WATCHES_FILE keeps the rules across restarts.
+// Adding, replacing and deleting rules needs WATCHES_TOKEN; webhooks may only go to
+// public hosts, or to the hosts in WEBHOOK_ALLOWED_HOSTS when it is set.
+const WATCHES_FILE = (process.env.WATCHES_FILE || '').trim();
+const WATCHES_TOKEN = (process.env.WATCHES_TOKEN || '').trim();
+const WEBHOOK_ALLOWED_HOSTS = webhooks.parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const webhookDispatcher = webhooks.createWebhookDispatcher({
+    // Checked again at delivery, against the addresses the host resolves to now;
+    // lookup errors are left to the delivery itself, which retries them
+    checkUrl: async (url) => {
+        const addresses = await dns.promises.lookup(new URL(url).hostname, { all: true }).catch(() => []);
+        return webhooks.webhookHostError(url, WEBHOOK_ALLOWED_HOSTS, addresses.map(({ address }) => address));
+    },
+    send: async (url, body, headers) => {
+        const response = await axios.post(url, body, {
+            headers,
+            timeout: WEBHOOK_TIMEOUT_MS,
+            maxRedirects: 0,
+            validateStatus: () => true,
+        });
+        return response.status;
+    },
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || webhooks.WEBHOOK_DEFAULT_MAX_ATTEMPTS,
+    dedupS: (parseFloat(process.env.WATCH_DEDUP_MINUTES) || webhooks.WEBHOOK_DEFAULT_DEDUP_S / 60) * 60,
+});
+const watchMonitor = watches.createWatchMonitor({
+    lookupTypecode: (icao24) => (aircraftDatabase?.isReady() ? aircraftDatabase.lookup(icao24)?.typecode : null),
+    onEvent: (event, rule) => {
+        const { aircraft } = event;
+        webhookDispatcher.dispatch(rule.webhooks, {
+            id: `${rule.id}-${aircraft.icao24}-${event.type}-${event.time}`,
+            event: event.type,
+            reason: event.reason,
+            inferred: event.inferred,
+            time: event.time,
+            watch: { id: rule.id, name: rule.name },
+            aircraft,
+        }, { dedupKey: `${rule.id}:${aircraft.icao24}:${event.type}` });
+    },
+});
+
+// Flight phase of every served aircraft, from its recent altitude, vertical rate and track
+const phaseTracker = flightPhases.createPhaseTracker();
+
+// Latest position of every aircraft seen, for /api/search
+const searchIndex = flightSearch.createSearchIndex({
+    lookupAircraft: (icao24) => (aircraftDatabase?.isReady() ? aircraftDatabase.lookup(icao24) : null),
+});
+
+// Optional background snapshot poller (SNAPSHOT_REGIONS, SNAPSHOT_INTERVAL_MS):
+// one upstream fetch per region per interval, shared by every client.
+const snapshotRegions = snapshotPoller.parseSnapshotRegions(process.env.SNAPSHOT_REGIONS);
+const poller = snapshotRegions.length > 0
+    ? snapshotPoller.createSnapshotPoller({
+        regions: snapshotRegions,
+        intervalMs: parseInt(process.env.SNAPSHOT_INTERVAL_MS, 10) || snapshotPoller.SNAPSHOT_DEFAULT_INTERVAL_MS,
+        fetchRegion: async ({ minLat, maxLat, minLon, maxLon }) => {
+            const bbox = { minLat, maxLat, minLon, maxLon };
+            const value = await flightSources.fetchStatesFromSources(sourceRegistry, bbox, openSkyClient, { fallback: false });
+            const data = phaseTracker.annotate(flightSources.buildSourcesResponse(value, bbox));
+            trackHistoryStore.recordPayload(data);
+            alertTracker.recordPayload(data);
+            geofenceMonitor.recordPayload(data);
+            watchMonitor.recordPayload(data);
+            searchIndex.recordPayload(data);
+            recorder?.record(data);
+            return value;
+        },
+    })
+    : null;
+
+// Bboxes wider than MAX_BBOX_DEGREES are fetched as cached grid tiles (FLIGHT_TILE_DEGREES)
+const tileDegrees = parseFloat(process.env.FLIGHT_TILE_DEGREES) || flightTiles.TILE_DEFAULT_DEGREES;
+const tileCache = flightTiles.createTileCache();
+
+// Recently served flight sets, so /api/flights?since=<version> can answer with a delta
+const deltaStore = flightDelta.createDeltaStore();
+
+// Server-Sent Events push for GET /api/stream (STREAM_INTERVAL_MS)
+const streamHub = flightStream.createStreamHub({
+    getFlights: (bbox, options) => getFlightsForBbox(bbox, { ...options, mode: 'aircraft' }),
+    intervalMs: parseInt(process.env.STREAM_INTERVAL_MS, 10) || flightStream.STREAM_DEFAULT_INTERVAL_MS,
+});
 
 // ---------------------------------------------------------------------------
 // Middleware
 // ---------------------------------------------------------------------------
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // uploaded geofence polygons can be large
 
 // ---------------------------------------------------------------------------
 // OAuth2 token management
@@ -65,14 +248,8 @@ const getOpenSkyToken = async () => {
 };
 
 // ---------------------------------------------------------------------------
-// Shared helper — build axios request config with optional Bearer token
+// Shared HTTP client — used by openskyApi helpers and flight-source providers
 // ---------------------------------------------------------------------------
-const openSkyRequest = async (url, timeoutMs = 4000) => {
-    const token = await getOpenSkyToken();
-    const headers = token ? { Authorization: `Bearer ${token}` } : {};
-    return axios.get(url, { headers, timeout: timeoutMs });
-};
-
 const getAuthHeaders = async () => {
     const token = await getOpenSkyToken();
     return token ? { Authorization: `Bearer ${token}` } : {};
@@ -89,18 +266,15 @@ const fetchOpenSkyJson = async (url, headers, timeoutMs) => {
     }
 };
 
-const openSkyClient = { getAuthHeaders, fetchJson: fetchOpenSkyJson };
-
-// ---------------------------------------------------------------------------
-// Helpers delegated to flightUtils
-// ---------------------------------------------------------------------------
-
-const getFallbackFlightData = (res, minLat, maxLat, minLon, maxLon, errorMsg) => {
-    console.log(`[Fallback] OpenSky fetch failed (${errorMsg}), generating sample flight data...`);
-    const fallbackData = flightUtils.generateFallbackFlights(minLat, maxLat, minLon, maxLon);
-    return res.json(fallbackData);
+const invalidateAuth = () => {
+    accessToken = null;
+    tokenExpiry = 0;
 };
 
+// Local receiver aircraft.json given as a file path (see LOCAL_RECEIVER_URL)
+const readJsonFile = async (filePath) => JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+const openSkyClient = { getAuthHeaders, fetchJson: fetchOpenSkyJson, invalidateAuth, readJsonFile };
 
 // ---------------------------------------------------------------------------
 // Health check — GET /
@@ -110,24 +284,50 @@ app.get('/', (_req, res) => {
         status:  'ok',
         service: 'Global Real-Time Flight Tracker API',
         endpoints: {
-            'GET /api/flights':                      'Real-time flight states (bbox required)',
-            'GET /api/flight-track?icao24=<hex>':    'Flight trajectory from OpenSky /tracks/all',
+            'GET /api/flights':                      'Real-time flight states (bbox required; since=<version> for a delta; format=json|columnar|binary; mode=auto|aircraft|density; at=<time> for a recorded snapshot; filters: alt_min, alt_max, speed_min, speed_max, category, callsign, airline, country, squawk, source, phase; thresholds: min_altitude_m, min_speed_mps, max_age_s, include_ground)',
+            'GET /api/stream':                       'Server-Sent Events: snapshot, then deltas (bbox required)',
+            'PUT /api/stream/:id':                   'Change the bbox, filters and thresholds of an open stream',
+            'GET /api/replay':                       'Recorded snapshots as NDJSON (bbox, from, to, step; needs RECORD_DIR)',
+            'GET /api/flight-track?icao24=<hex>':    'Flight trajectory: OpenSky /tracks/all merged with recorded positions',
             'GET /api/flight-info?icao24=<hex>':     'Recent flight record from OpenSky /flights/aircraft',
+            'GET /api/search':                       'Find aircraft by callsign, icao24, registration, flight number or airline (q, limit, suggest=true for index-only suggestions)',
+            'GET /api/airports':                     'Airports from the bundled dataset (optional bbox, q=<code, name or city>, limit)',
+            'GET /api/aircraft/:icao24':             'Registration, type, operator and year from the local aircraft database (needs AIRCRAFT_DB_PATH)',
+            'GET /api/geofences':                    'Geofences with the number of aircraft inside (POST GeoJSON to add, DELETE /api/geofences/:id to remove)',
+            'GET /api/geofences/:id/events':         'Enter/exit events of a geofence (since=<event id>, limit)',
+            'GET /api/watches':                      'Watch rules posting appear/disappear/takeoff/land events to webhooks (POST to add, PUT/DELETE /api/watches/:id; all three need WATCHES_TOKEN)',
+            'GET /api/alerts':                       'Active and recently ended emergency squawk / SPI alerts (severity=emergency|info, active=true)',
         },
         auth: !!accessToken,
+        flightSources: sourceRegistry.describe(),
+        sbsFeed: sbsConnection ? sbsConnection.status() : null,
+        modesFeed: modesConnection ? modesConnection.status() : null,
+        snapshotPoller: poller ? poller.status() : null,
+        stream: streamHub.status(),
+        recorder: recorder ? recorder.status() : null,
+        trackHistory: trackHistoryStore.status(),
+        alerts: alertTracker.status(),
+        geofences: { ...geofenceMonitor.status(), file: GEOFENCES_FILE || null },
+        watches: { ...watchMonitor.status(), file: WATCHES_FILE || null, managed: !!WATCHES_TOKEN, webhooks: webhookDispatcher.status() },
+        aircraftDb: aircraftDatabase ? aircraftDatabase.status() : null,
+        search: searchIndex.status(),
+        phases: phaseTracker.status(),
+        flightThresholds: { defaults: flightUtils.DEFAULT_FLIGHT_THRESHOLDS, limits: flightUtils.FLIGHT_THRESHOLD_LIMITS },
     });
 });
 
 // ---------------------------------------------------------------------------
-// GET /api/flights  — real-time state vectors for the given bounding box
+// Bounding-box parsing and flight lookup shared by /api/flights and /api/stream
 // ---------------------------------------------------------------------------
-app.get('/api/flights', async (req, res) => {
-    const { lat_min, lon_min, lat_max, lon_max } = req.query;
 
-    if (!lat_min || !lon_min || !lat_max || !lon_max) {
-        return res.status(400).json({
-            message: 'Bounding box required. Pass lat_min, lon_min, lat_max, lon_max.',
-        });
+/** Returns `{ bbox }`, or `{ status, body }` describing the error response. */
+const parseBboxQuery = ({ lat_min, lon_min, lat_max, lon_max } = {}) => {
+    if (lat_min == null || lon_min == null || lat_max == null || lon_max == null ||
+        lat_min === '' || lon_min === '' || lat_max === '' || lon_max === '') {
+        return {
+            status: 400,
+            body: { message: 'Bounding box required. Pass lat_min, lon_min, lat_max, lon_max.' },
+        };
     }
 
     const minLat = parseFloat(lat_min);
@@ -137,54 +337,206 @@ app.get('/api/flights', async (req, res) => {
 
     if (!Number.isFinite(minLat) || !Number.isFinite(minLon) ||
         !Number.isFinite(maxLat) || !Number.isFinite(maxLon)) {
-        return res.status(400).json({ message: 'Invalid bbox parameters — must be finite numbers.' });
+        return { status: 400, body: { message: 'Invalid bbox parameters — must be finite numbers.' } };
     }
 
-    const bboxWidth  = Math.abs(maxLon - minLon);
-    const bboxHeight = Math.abs(maxLat - minLat);
+    // Clamp latitudes and wrap longitudes; west > east means the view crosses ±180°.
+    // Wide bboxes are tiled rather than rejected.
+    return { bbox: flightUtils.normalizeBbox({ minLat, maxLat, minLon, maxLon }) };
+};
 
-    if (bboxWidth > MAX_BBOX_DEGREES || bboxHeight > MAX_BBOX_DEGREES) {
-        return res.status(413).json({
-            message: `Bounding box too large (${bboxWidth.toFixed(1)}°×${bboxHeight.toFixed(1)}°). Maximum is ${MAX_BBOX_DEGREES}°×${MAX_BBOX_DEGREES}°. Please zoom in.`,
-            maxAllowed: MAX_BBOX_DEGREES,
+/** Add registration/typecode from the aircraft database when enrichment is on. */
+const enrichFlights = (data) =>
+    (aircraftDatabase && enrichWithAircraftDb ? aircraftDatabase.enrichFlights(data) : data);
+
+/** enrichFlights plus each flight's phase, for every payload served from the flight sources. */
+const annotateFlights = (data) => phaseTracker.annotate(enrichFlights(data));
+
+/**
+ * Individual aircraft for a bbox — from the snapshot poller when it covers the bbox,
+ * otherwise from the flight sources (as cached tiles above MAX_BBOX_DEGREES).
+ * `thresholds` (flightUtils.parseFlightThresholds) are applied to the same raw
+ * states after the default payload has been recorded, so observers never see
+ * per-request thresholds.
+ */
+const getAircraftForBbox = async (bbox, thresholds = null) => {
+    const snapshot = poller?.query(bbox);
+    if (snapshot) {
+        const data = flightUtils.buildFlightsResponse(snapshot.states, bbox, {
+            source: snapshot.source,
+            fallback: snapshot.fallback,
+            message: snapshot.message,
+            authUsed: snapshot.authUsed,
+            sourceTimestamp: snapshot.sourceTimestamp,
+            thresholds,
         });
+        data._meta.snapshotAge = snapshot.snapshotAge;
+        if (snapshot.coverage < 1) data._meta.coverage = snapshot.coverage;
+        return annotateFlights(data);
+    }
+
+    const tiled = flightTiles.needsTiling(bbox);
+    const fetched = tiled
+        ? await flightTiles.fetchTiledStates(sourceRegistry, bbox, openSkyClient, { cache: tileCache, tileDegrees })
+        : await flightSources.fetchStatesFromSources(sourceRegistry, bbox, openSkyClient);
+    const build = (options) => annotateFlights(tiled
+        ? flightTiles.buildTiledResponse(fetched, bbox, options)
+        : flightSources.buildSourcesResponse(fetched, bbox, options));
+
+    const data = build();
+    // Snapshot-served payloads are not recorded again: the poller records each region refresh
+    trackHistoryStore.recordPayload(data);
+    alertTracker.recordPayload(data);
+    geofenceMonitor.recordPayload(data);
+    watchMonitor.recordPayload(data);
+    searchIndex.recordPayload(data);
+    recorder?.record(data);
+    return thresholds ? build({ thresholds }) : data;
+};
+
+/**
+ * /api/flights payload for a bbox. `thresholds` replace the default aircraft
+ * thresholds and `filters` (flightUtils.parseFlightFilters) narrow the aircraft,
+ * before density cells are counted; `mode` (auto|aircraft|density) turns wide views
+ * into density cells; `at` (epoch ms) answers from the recorder instead, resolving
+ * null when nothing was recorded then. Rejects when every source failed.
+ */
+const getFlightsForBbox = async (bbox, { mode, at = null, filters = null, thresholds = null } = {}) => {
+    const aircraft = at != null ? await recorder.at(bbox, at) : await getAircraftForBbox(bbox, thresholds);
+    if (!aircraft) return null;
+    const data = flightUtils.applyFlightFilters(aircraft, filters);
+    return flightTiles.resolveViewMode(mode, bbox) === 'density' ? flightTiles.toDensityResponse(data, bbox) : data;
+};
+
+/**
+ * Query filters and thresholds of /api/flights and /api/stream. Returns
+ * `{ options: { filters, thresholds } }`, or `{ status, body }` describing the error response.
+ */
+const parseViewOptions = (query) => {
+    const filtered = flightUtils.parseFlightFilters(query);
+    if (filtered.status) return filtered;
+    const limited = flightUtils.parseFlightThresholds(query);
+    if (limited.status) return limited;
+    return { options: { filters: filtered.filters, thresholds: limited.thresholds } };
+};
+
+/** Returns `{ at }` (epoch ms or null), or `{ status, body }` describing the error response. */
+const parseTimeQuery = (value) => {
+    if (value == null || value === '') return { at: null };
+    if (!recorder) {
+        return { status: 501, body: { message: 'Snapshot recording is not enabled. Set RECORD_DIR to record and replay.' } };
+    }
+    const at = flightRecorder.parseTimestamp(value);
+    if (at == null) {
+        return { status: 400, body: { message: 'Invalid timestamp — use unix seconds, epoch milliseconds or ISO 8601.' } };
+    }
+    return { at };
+};
+
+// ---------------------------------------------------------------------------
+// GET /api/flights  — real-time state vectors for the given bounding box
+// ---------------------------------------------------------------------------
+app.get('/api/flights', async (req, res) => {
+    const { bbox, status, body } = parseBboxQuery(req.query);
+    if (!bbox) return res.status(status).json(body);
+    const time = parseTimeQuery(req.query.at);
+    if (time.status) return res.status(time.status).json(time.body);
+    const view = parseViewOptions(req.query);
+    if (view.status) return res.status(view.status).json(view.body);
+    // Recorded snapshots hold only the aircraft that passed the default thresholds
+    if (time.at != null && view.options.thresholds) {
+        return res.status(400).json({ message: 'Threshold overrides are not available for recorded snapshots (at=).' });
     }
 
-    let rawData;
     try {
-        const url = `${OPENSKY_BASE}/states/all?lamin=${minLat}&lomin=${minLon}&lamax=${maxLat}&lomax=${maxLon}&extended=1`;
-        const response = await openSkyRequest(url, 15_000);
-        rawData = response.data;
+        const flights = await getFlightsForBbox(bbox, { ...view.options, mode: req.query.mode, at: time.at });
+        if (!flights) {
+            return res.status(404).json({
+                message: 'No snapshot was recorded for this bbox at that time.',
+                _meta: { bbox, at: new Date(time.at).toISOString() },
+            });
+        }
+        const data = deltaStore.respond(flights, req.query.since);
+        const format = flightFormats.negotiateFlightsFormat(req.query.format, req.get('Accept'));
+        const { contentType, body: encoded } = flightFormats.encodeFlightsResponse(data, format);
+        res.set('Vary', 'Accept');
+        return res.type(contentType).send(typeof encoded === 'string' ? encoded : Buffer.from(encoded));
     } catch (error) {
-        console.warn('[/api/flights] OpenSky API failed, falling back to simulated data. Error:', error.message);
-        if (error.response && error.response.status === 401) {
-            // Clear token cache if unauthorized
-            accessToken = null;
-            tokenExpiry = 0;
+        if (time.at != null) {
+            console.error('[/api/flights] Reading recorded snapshots failed:', error.message);
+            return res.status(500).json({ message: 'Reading recorded snapshots failed.', _meta: { bbox } });
+        }
+        // Only reachable when every source, including the simulated one, is disabled or failed.
+        console.error('[/api/flights] All flight sources failed:', error.message);
+        return res.status(502).json({ message: 'All flight sources failed.', _meta: { bbox } });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/replay  — recorded snapshots for a bbox and time window, as NDJSON
+// ---------------------------------------------------------------------------
+const REPLAY_MAX_WINDOW_MS = 24 * 3_600_000;
+
+app.get('/api/replay', async (req, res) => {
+    const { bbox, status, body } = parseBboxQuery(req.query);
+    if (!bbox) return res.status(status).json(body);
+
+    const from = parseTimeQuery(req.query.from);
+    const to = parseTimeQuery(req.query.to ?? String(Date.now()));
+    const invalid = [from, to].find((time) => time.status);
+    if (invalid) return res.status(invalid.status).json(invalid.body);
+    if (from.at == null || from.at >= to.at) {
+        return res.status(400).json({ message: 'from is required and must be before to.' });
+    }
+    if (to.at - from.at > REPLAY_MAX_WINDOW_MS) {
+        return res.status(400).json({ message: 'Replay window is limited to 24 hours.' });
+    }
+    const stepMs = Math.max(0, parseFloat(req.query.step) || 0) * 1000;
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    res.type('application/x-ndjson');
+    try {
+        for await (const snapshot of recorder.replay(bbox, from.at, to.at, { stepMs })) {
+            if (closed) break;
+            if (!res.write(`${JSON.stringify(snapshot)}\n`)) {
+                await new Promise((resolve) => res.once('drain', resolve).once('close', resolve));
+            }
         }
-        return getFallbackFlightData(res, minLat, maxLat, minLon, maxLon, error.message);
+    } catch (error) {
+        console.error('[/api/replay] Reading recorded snapshots failed:', error.message);
     }
+    res.end();
+});
 
-    const rawStates = rawData?.states ?? [];
-    const now = Math.floor(Date.now() / 1000);
-    const { flights, stats } = flightUtils.processFlightStates(rawStates, now);
+// ---------------------------------------------------------------------------
+// GET /api/stream  — Server-Sent Events push of the same payload as /api/flights
+// PUT /api/stream/:id  — move an open stream to a new bbox (JSON body, with filters and thresholds)
+// ---------------------------------------------------------------------------
+app.get('/api/stream', (req, res) => {
+    const { bbox, status, body } = parseBboxQuery(req.query);
+    if (!bbox) return res.status(status).json(body);
+    const view = parseViewOptions(req.query);
+    if (view.status) return res.status(view.status).json(view.body);
 
-    res.json({
-        flights,
-        _meta: {
-            rawStateCount: rawStates.length,
-            validCoordinateCount: rawStates.length - stats.invalidCoord,
-            filteredCount: flights.length,
-            rejections: stats,
-            bbox: { minLat, minLon, maxLat, maxLon },
-            authUsed: !!accessToken,
-            sourceTimestamp: rawData?.time ?? null,
-            serverTimestamp: Date.now(),
-        },
-    });
+    streamHub.subscribe(req, res, bbox, view.options);
+});
+
+// The body's filter and threshold params replace the stream's (none given: unfiltered, defaults)
+app.put('/api/stream/:id', (req, res) => {
+    const { bbox, status, body } = parseBboxQuery(req.body);
+    if (!bbox) return res.status(status).json(body);
+    const view = parseViewOptions(req.body);
+    if (view.status) return res.status(view.status).json(view.body);
+
+    if (!streamHub.updateBbox(req.params.id, bbox, view.options)) {
+        return res.status(404).json({ message: 'Unknown stream id.' });
+    }
+    return res.status(204).end();
 });
 
 // GET /api/flight-track — OpenSky /tracks/all (time=0, then firstSeen fallback)
+// merged with the server's own position history; `segments` name the source of each run
 app.get('/api/flight-track', async (req, res) => {
     const { icao24 } = req.query;
 
@@ -192,11 +544,15 @@ app.get('/api/flight-track', async (req, res) => {
         return res.status(400).json({ message: 'Valid icao24 hex address required.' });
     }
 
-    const { track } = await openskyApi.fetchOpenSkyTrack(icao24, openSkyClient);
-    return res.json(track);
+    // Skip the OpenSky round trip when OpenSky is not an enabled source (e.g. offline demos)
+    const { track, source } = sourceRegistry.isEnabled('opensky')
+        ? await openskyApi.fetchOpenSkyTrack(icao24, openSkyClient)
+        : { track: openskyApi.emptyTrackResponse(icao24), source: null };
+    return res.json(trackHistory.mergeTrackWithHistory(track, source, trackHistoryStore.get(icao24)));
 });
 
-// GET /api/flight-info — OpenSky /flights/aircraft (most recent record)
+// GET /api/flight-info — OpenSky /flights/aircraft (most recent record),
+// with departureAirport/arrivalAirport resolved from the bundled airport dataset
 app.get('/api/flight-info', async (req, res) => {
     const { icao24 } = req.query;
 
@@ -205,7 +561,239 @@ app.get('/api/flight-info', async (req, res) => {
     }
 
     const info = await openskyApi.fetchOpenSkyFlightInfo(icao24, openSkyClient);
-    return res.json(info);
+    return res.json(airports.withFlightInfoAirports(info));
+});
+
+// GET /api/search — aircraft by callsign, icao24, registration, flight number or airline,
+// from the search index with live lookups when nothing matches exactly
+const aircraftSearch = flightSearch.createFlightSearch({
+    registry: sourceRegistry,
+    client: openSkyClient,
+    index: searchIndex,
+    findRegistration: (registration) => aircraftDatabase?.findByRegistration(registration) || [],
+    enrich: enrichFlights,
+});
+
+app.get('/api/search', async (req, res) => {
+    const { q, limit, suggest } = req.query;
+    const result = await aircraftSearch.search(q, { limit, suggest: suggest === 'true' });
+    if (result.status) return res.status(result.status).json(result.body);
+    res.set('Cache-Control', 'no-cache');
+    return res.json(result.body);
+});
+
+// GET /api/airports — bundled airport dataset, filtered by bbox and/or text search
+app.get('/api/airports', (req, res) => {
+    const parsed = airports.parseAirportsQuery(req.query);
+    if (!parsed.query) return res.status(parsed.status).json(parsed.body);
+    res.set('Cache-Control', 'public, max-age=86400');
+    return res.json(airports.buildAirportsResponse(parsed.query));
+});
+
+// GET /api/aircraft/:icao24 — registration, type and operator from the local aircraft database
+app.get('/api/aircraft/:icao24', (req, res) => {
+    const { icao24 } = req.params;
+
+    if (!openskyApi.isValidIcao24(icao24)) {
+        return res.status(400).json({ message: 'Valid icao24 hex address required.' });
+    }
+    if (!aircraftDatabase) {
+        return res.status(501).json({ message: 'No aircraft database configured. Set AIRCRAFT_DB_PATH.' });
+    }
+    if (!aircraftDatabase.isReady()) {
+        const { state, error } = aircraftDatabase.status();
+        return res.status(503).json({ message: state === 'failed' ? `Aircraft database failed to load: ${error}` : 'Aircraft database is still loading.' });
+    }
+
+    const aircraft = aircraftDatabase.lookup(icao24);
+    if (!aircraft) {
+        return res.status(404).json({ message: `Aircraft ${openskyApi.normalizeIcao24(icao24)} not found in the aircraft database.` });
+    }
+    return res.json(aircraft);
+});
+
+// GET /api/alerts — emergency squawks (7500/7600/7700, feed-reported emergencies) and SPI
+app.get('/api/alerts', (req, res) => {
+    const parsed = alerts.parseAlertsQuery(req.query);
+    if (!parsed.query) return res.status(parsed.status).json(parsed.body);
+    res.set('Cache-Control', 'no-cache');
+    return res.json(alerts.buildAlertsResponse(alertTracker, parsed.query));
+});
+
+// ---------------------------------------------------------------------------
+// Saved lists — geofences (GEOFENCES_FILE) and watch rules (WATCHES_FILE)
+// ---------------------------------------------------------------------------
+
+/**
+ * A list kept in a JSON file as `{ version: 1, [key]: [...] }`. `loaded` settles
+ * once `restore(entry)` has seen every saved entry (true when it was restored);
+ * `save()` writes `exportEntries()`. Writes wait for the restore and are chained so
+ * they never interleave; a temp file + rename keeps the file whole.
+ */
+const createSavedList = ({ filePath, key, label, restore, exportEntries }) => {
+    const load = async () => {
+        if (!filePath) return;
+        try {
+            const saved = await readJsonFile(filePath);
+            const restored = (saved?.[key] || []).filter(restore).length;
+            console.log(`[Server] Restored ${restored} ${label}(s) from ${filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`[Server] Could not read ${filePath}:`, error.message);
+        }
+    };
+
+    const loaded = load();
+    let saving = loaded;
+    const save = () => {
+        if (!filePath) return saving;
+        const body = JSON.stringify({ version: 1, [key]: exportEntries() });
+        saving = saving
+            .then(async () => {
+                await fs.promises.writeFile(`${filePath}.tmp`, body);
+                await fs.promises.rename(`${filePath}.tmp`, filePath);
+            })
+            .catch((error) => console.error(`[Server] Could not save ${filePath}:`, error.message));
+        return saving;
+    };
+
+    return { loaded, save };
+};
+
+// ---------------------------------------------------------------------------
+// Geofences
+// ---------------------------------------------------------------------------
+
+// Saved fences are validated like uploads
+const savedGeofences = createSavedList({
+    filePath: GEOFENCES_FILE,
+    key: 'geofences',
+    label: 'geofence',
+    restore: (fence) => {
+        const parsed = geofences.parseGeofenceInput(fence);
+        return !!(parsed.fences && geofenceMonitor.add({ ...parsed.fences[0], id: fence.id, createdAt: fence.createdAt }));
+    },
+    exportEntries: () => geofenceMonitor.exportFences(),
+});
+
+// GET /api/geofences — every fence with the number of aircraft inside
+app.get('/api/geofences', (_req, res) => {
+    const list = geofenceMonitor.list();
+    return res.json({ count: list.length, geofences: list });
+});
+
+// POST /api/geofences — add fences from a GeoJSON Feature, FeatureCollection or geometry
+app.post('/api/geofences', async (req, res) => {
+    const parsed = geofences.parseGeofenceInput(req.body);
+    if (!parsed.fences) return res.status(parsed.status).json(parsed.body);
+    await savedGeofences.loaded;
+    if (geofenceMonitor.list().length + parsed.fences.length > geofences.GEOFENCES_MAX) {
+        return res.status(400).json({ message: `At most ${geofences.GEOFENCES_MAX} geofences can be monitored.` });
+    }
+    const created = parsed.fences.map((fence) => geofenceMonitor.add(fence));
+    await savedGeofences.save();
+    return res.status(201).json({ count: created.length, geofences: created });
+});
+
+// GET /api/geofences/:id — a fence and the aircraft currently inside it
+app.get('/api/geofences/:id', (req, res) => {
+    const fence = geofenceMonitor.get(req.params.id);
+    if (!fence) return res.status(404).json({ message: 'Unknown geofence id.' });
+    return res.json(fence);
+});
+
+// DELETE /api/geofences/:id
+app.delete('/api/geofences/:id', async (req, res) => {
+    await savedGeofences.loaded;
+    if (!geofenceMonitor.remove(req.params.id)) return res.status(404).json({ message: 'Unknown geofence id.' });
+    await savedGeofences.save();
+    return res.status(204).end();
+});
+
+// GET /api/geofences/:id/events — enter/exit log, oldest first; poll with since=<lastEventId>
+app.get('/api/geofences/:id/events', (req, res) => {
+    const parsed = geofences.parseGeofenceEventsQuery(req.query);
+    if (!parsed.query) return res.status(parsed.status).json(parsed.body);
+    const events = geofenceMonitor.events(req.params.id, parsed.query);
+    if (!events) return res.status(404).json({ message: 'Unknown geofence id.' });
+    return res.json({
+        geofenceId: req.params.id,
+        count: events.length,
+        events,
+        lastEventId: events.length > 0 ? events[events.length - 1].id : parsed.query.since,
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Watch rules
+// ---------------------------------------------------------------------------
+
+// Saved rules are validated like new ones
+const savedWatches = createSavedList({
+    filePath: WATCHES_FILE,
+    key: 'watches',
+    label: 'watch rule',
+    restore: (rule) => {
+        const parsed = watches.parseWatchInput(rule, { allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+        return !!(parsed.rule && watchMonitor.add({ ...parsed.rule, id: rule.id, createdAt: rule.createdAt }));
+    },
+    exportEntries: () => watchMonitor.exportWatches(),
+});
+
+/**
+ * Rules make the server POST to URLs of the caller's choosing, so changing them needs
+ * `Authorization: Bearer <WATCHES_TOKEN>`; without a configured token they are read-only.
+ */
+const requireWatchesToken = (req, res, next) => {
+    if (!WATCHES_TOKEN) return res.status(403).json({ message: 'Watch rules are read-only: set WATCHES_TOKEN to manage them.' });
+    const given = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(given), digest(WATCHES_TOKEN))) {
+        return res.status(401).json({ message: 'Missing or wrong watches token.' });
+    }
+    return next();
+};
+
+// GET /api/watches — every rule (webhook URLs redacted) with the number of aircraft it currently tracks
+app.get('/api/watches', (_req, res) => {
+    const list = watchMonitor.list();
+    return res.json({ count: list.length, watches: list });
+});
+
+// POST /api/watches — add a rule
+app.post('/api/watches', requireWatchesToken, async (req, res) => {
+    const parsed = watches.parseWatchInput(req.body, { allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+    if (!parsed.rule) return res.status(parsed.status).json(parsed.body);
+    await savedWatches.loaded;
+    const rule = watchMonitor.add(parsed.rule);
+    if (!rule) return res.status(400).json({ message: `At most ${watches.WATCHES_MAX} watch rules can be defined.` });
+    await savedWatches.save();
+    return res.status(201).json(rule);
+});
+
+// GET /api/watches/:id — a rule, the aircraft it tracks and its recent events
+app.get('/api/watches/:id', (req, res) => {
+    const rule = watchMonitor.get(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Unknown watch id.' });
+    return res.json(rule);
+});
+
+// PUT /api/watches/:id — replace a rule (tracking starts over)
+app.put('/api/watches/:id', requireWatchesToken, async (req, res) => {
+    const parsed = watches.parseWatchInput(req.body, { allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+    if (!parsed.rule) return res.status(parsed.status).json(parsed.body);
+    await savedWatches.loaded;
+    const rule = watchMonitor.replace(req.params.id, parsed.rule);
+    if (!rule) return res.status(404).json({ message: 'Unknown watch id.' });
+    await savedWatches.save();
+    return res.json(rule);
+});
+
+// DELETE /api/watches/:id
+app.delete('/api/watches/:id', requireWatchesToken, async (req, res) => {
+    await savedWatches.loaded;
+    if (!watchMonitor.remove(req.params.id)) return res.status(404).json({ message: 'Unknown watch id.' });
+    await savedWatches.save();
+    return res.status(204).end();
 });
 
 // ---------------------------------------------------------------------------
@@ -215,8 +803,28 @@ app.listen(PORT, async () => {
     console.log(`[Server] Flight Tracker backend running on http://localhost:${PORT}`);
     console.log(`[Server] Health:        http://localhost:${PORT}/`);
     console.log(`[Server] Flights API:   http://localhost:${PORT}/api/flights?lat_min=45&lon_min=5&lat_max=55&lon_max=15`);
+    console.log(`[Server] Stream API:    http://localhost:${PORT}/api/stream?lat_min=45&lon_min=5&lat_max=55&lon_max=15`);
+    console.log(`[Server] Replay API:    http://localhost:${PORT}/api/replay?lat_min=45&lon_min=5&lat_max=55&lon_max=15&from=<time>&to=<time>`);
     console.log(`[Server] Track API:     http://localhost:${PORT}/api/flight-track?icao24=<hex>`);
     console.log(`[Server] Info API:      http://localhost:${PORT}/api/flight-info?icao24=<hex>`);
+    console.log(`[Server] Airports API:  http://localhost:${PORT}/api/airports?q=frankfurt`);
+    console.log(`[Server] Aircraft API:  http://localhost:${PORT}/api/aircraft/<hex>`);
+
+    // Loads in the background; /api/aircraft answers 503 until it is ready
+    aircraftDatabase?.load();
+
+    if (recorder) {
+        try {
+            await recorder.init();
+            console.log(`[Server] Recording snapshots to ${RECORD_DIR}`);
+        } catch (error) {
+            console.error('[Server] Snapshot recorder failed to start:', error.message);
+        }
+    }
 
     await getOpenSkyToken();
+    if (poller) {
+        console.log(`[Server] Snapshot poller: ${snapshotRegions.map((r) => r.name).join(', ')}`);
+        poller.start();
+    }
 });
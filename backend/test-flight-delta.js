@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+// Checks that /api/flights deltas (and the stream built on them) only carry
+// what actually changed between two payloads built from the same states.
+// Run with: node test-flight-delta.js
+
+const flightDelta = require('./lib/flightDelta');
+const flightUtils = require('./lib/flightUtils');
+
+let failures = 0;
+
+const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${name}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+};
+
+console.log('🧪 Flight deltas\n');
+
+const now = Math.floor(Date.now() / 1000);
+const state = ['3c6444', 'DLH9U   ', 'Germany', now, now, 8.5, 50.1, 10_000, false, 230, 90, 0, null, 10_200, '1000', false, 0, 0];
+const build = (s) => flightUtils.transformState(s);
+
+// Every payload builds new `sensors` arrays; unchanged flights must not show up
+check('Unchanged flight has no changed fields', flightDelta.diffFlightFields(build(state), build(state)), null);
+
+const moved = [...state];
+moved[6] = 50.2;
+const fields = flightDelta.diffFlightFields(build(state), build(moved));
+check('Moved flight reports latitude', fields?.latitude, 50.2);
+check('Moved flight leaves sensors out', fields && 'sensors' in fields, false);
+
+const withSensors = [...state];
+withSensors[12] = [42];
+check('Changed sensors are reported', flightDelta.diffFlightFields(build(state), build(withSensors))?.sensors?.[0], 42);
+
+const previousById = new Map([[state[0], build(state)]]);
+const { added, changed, removed } = flightDelta.diffFlightLists(previousById, [build(state)]);
+check('Unchanged list: added', added.length, 0);
+check('Unchanged list: changed', changed.length, 0);
+check('Unchanged list: removed', removed.length, 0);
+
+const store = flightDelta.createDeltaStore();
+const first = store.respond({ flights: [build(state)] });
+const delta = store.respond({ flights: [build(state)] }, first.version);
+check('Delta response is a delta', delta.delta, true);
+check('Delta response has no changed flights', delta.changed.length, 0);
+
+console.log(failures === 0 ? '\n🎯 All delta checks passed!' : `\n❌ ${failures} delta check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+// Checks that fallback (simulated) states are never served next to live ones
+// when a bbox is fetched in parts (antimeridian halves, tiles and poller regions),
+// and that simulated payloads never fire watch or geofence events.
+// Run with: node test-flight-sources.js
+
+const flightSources = require('./lib/flightSources');
+const flightTiles = require('./lib/flightTiles');
+const snapshotPoller = require('./lib/snapshotPoller');
+const watches = require('./lib/watches');
+const geofences = require('./lib/geofences');
+
+let failures = 0;
+
+const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${name}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+};
+
+const now = Math.floor(Date.now() / 1000);
+const state = (icao24, lat, lon) => [icao24, 'TEST1   ', 'Germany', now, now, lon, lat, 10_000, false, 230, 90, 0, null, 10_200, '1000', false, 0, 0];
+
+/** Live provider answering with one aircraft per bbox, failing where `fails(bbox)`. */
+const liveProvider = (fails) => ({
+    id: 'live',
+    label: 'Live test source',
+    fallback: false,
+    fetchStates: async (bbox) => {
+        if (fails(bbox)) throw new Error('live source down');
+        const lat = (bbox.minLat + bbox.maxLat) / 2;
+        const lon = (bbox.minLon + bbox.maxLon) / 2;
+        return { states: [state(`a${String(Math.round(Math.abs(lon) * 10)).padStart(5, '0')}`, lat, lon)] };
+    },
+});
+
+const fakeProvider = {
+    id: 'fake',
+    source: 'enhanced_sample',
+    label: 'Fallback test source',
+    fallback: true,
+    fetchStates: async (bbox) => ({
+        states: [state('f00001', (bbox.minLat + bbox.maxLat) / 2, (bbox.minLon + bbox.maxLon) / 2)],
+        message: 'demo',
+    }),
+};
+
+const registryFor = (fails) =>
+    flightSources.createSourceRegistry([liveProvider(fails), fakeProvider], { order: ['live', 'fake'] });
+
+const isFake = (states) => states.some((s) => s[0] === 'f00001');
+
+(async () => {
+    console.log('🧪 Fallback isolation\n');
+
+    // Antimeridian: the eastern half (170…180) fails live, the western half answers
+    const crossing = { minLat: -10, maxLat: 10, minLon: 170, maxLon: -170 };
+    const eastDown = registryFor((bbox) => bbox.minLon >= 0);
+    const partial = await flightSources.fetchStatesFromSources(eastDown, crossing, {});
+    check('Half down: no fallback states', isFake(partial.result.states), false);
+    check('Half down: live provider reported', partial.provider.id, 'live');
+    check('Half down: live states kept', partial.result.states.length, 1);
+    check('Half down: coverage', partial.result.coverage, 0.5);
+    check('Half down: error listed', partial.errors.some((e) => e.source === 'antimeridian_half'), true);
+
+    const allDown = registryFor(() => true);
+    const fallback = await flightSources.fetchStatesFromSources(allDown, crossing, {});
+    check('Both halves down: fallback used', fallback.provider.fallback, true);
+    check('Both halves down: only fallback states', fallback.result.states.every((s) => s[0] === 'f00001'), true);
+
+    // Tiles: the tile west of 0° fails live, the other answers
+    const wide = { minLat: 0, maxLat: 40, minLon: -45, maxLon: 45 };
+    const westDown = registryFor((bbox) => bbox.minLon < 0);
+    const cache = flightTiles.createTileCache();
+    const tiled = await flightTiles.fetchTiledStates(westDown, wide, {}, { cache });
+    check('Tile down: no fallback states', isFake(tiled.states), false);
+    check('Tile down: payload is live', tiled.fallback, false);
+    check('Tile down: live states kept', tiled.states.length, 1);
+    check('Tile down: listed as partial', tiled.tiles.partial.length, 1);
+    check('Tile down: partial coverage', tiled.tiles.partial[0]?.coverage, 0);
+    check('Tile down: only the live tile cached', cache.size(), 1);
+
+    const allTilesDown = registryFor(() => true);
+    const emptyCache = flightTiles.createTileCache();
+    const tiledFallback = await flightTiles.fetchTiledStates(allTilesDown, wide, {}, { cache: emptyCache });
+    check('All tiles down: fallback used', tiledFallback.fallback, true);
+    check('All tiles down: fallback not cached', emptyCache.size(), 0);
+
+    // Poller: the western region only gets fallback states, the eastern one is live
+    const west = { name: 'west', minLat: 0, maxLat: 40, minLon: -40, maxLon: -1 };
+    const east = { name: 'east', minLat: 0, maxLat: 40, minLon: 1, maxLon: 40 };
+    const poller = snapshotPoller.createSnapshotPoller({
+        regions: [west, east],
+        fetchRegion: (bbox) => flightSources.fetchStatesFromSources(westDown, bbox, {}),
+    });
+    await poller.poll();
+    check('Fallback region: not served from the snapshot', poller.query({ minLat: 10, maxLat: 20, minLon: -30, maxLon: -10 }), null);
+    const eastSnapshot = poller.query(east);
+    check('Live region: served from the snapshot', eastSnapshot?.fallback, false);
+    check('Live region: no fallback states', isFake(eastSnapshot?.states || []), false);
+    check('Snapshot: only live aircraft indexed', poller.status().aircraft, 1);
+
+    // Watches: a simulated payload must not fire events (or webhooks)
+    const watchEvents = [];
+    const watchMonitor = watches.createWatchMonitor({ onEvent: (event) => watchEvents.push(event) });
+    watchMonitor.add(watches.parseWatchInput({ icao24: 'f00001', webhooks: ['https://example.com/hook'] }).rule);
+    const fakeFlight = { icao24: 'f00001', callsign: 'TEST1', latitude: 10, longitude: 10, altitude_ft: 33_000, on_ground: false };
+    watchMonitor.recordPayload({ flights: [fakeFlight], _fallback: true, timestamp: Date.now() });
+    check('Fallback payload: no watch events', watchEvents.length, 0);
+    watchMonitor.recordPayload({ flights: [fakeFlight], _fallback: false, timestamp: Date.now() });
+    check('Live payload: watch event fired', watchEvents.length, 1);
+
+    // Geofences: a simulated aircraft inside a fence logs no enter event
+    const fenceEvents = [];
+    const geofenceMonitor = geofences.createGeofenceMonitor({ onEvent: (event) => fenceEvents.push(event) });
+    geofenceMonitor.add(geofences.parseGeofenceInput({
+        name: 'Test fence',
+        geometry: { type: 'Polygon', coordinates: [[[5, 5], [15, 5], [15, 15], [5, 15], [5, 5]]] },
+    }).fences[0]);
+    geofenceMonitor.recordPayload({ flights: [fakeFlight], _fallback: true, timestamp: Date.now() });
+    check('Fallback payload: no geofence events', fenceEvents.length, 0);
+    geofenceMonitor.recordPayload({ flights: [fakeFlight], _fallback: false, timestamp: Date.now() });
+    check('Live payload: geofence event fired', fenceEvents.length, 1);
+
+    console.log(failures === 0 ? '\n🎯 All fallback checks passed!' : `\n❌ ${failures} fallback check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
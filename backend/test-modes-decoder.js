@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+// Checks the Mode-S decoder against recorded frames with known answers
+// (worked examples from "The 1090 Megahertz Riddle").
+// Run with: node test-modes-decoder.js
+
+const modeS = require('./lib/modeS');
+const flightUtils = require('./lib/flightUtils');
+
+let failures = 0;
+
+const check = (name, actual, expected, tolerance = 0) => {
+    const ok = typeof expected === 'number'
+        ? Number.isFinite(actual) && Math.abs(actual - expected) <= tolerance
+        : actual === expected;
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${name}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+};
+
+const decodeHex = (hex) => modeS.decodeModeS(modeS.hexToBytes(hex));
+
+console.log('🧪 Mode-S decoder\n');
+
+// CRC
+check('CRC clean DF17', modeS.modesSyndrome(modeS.hexToBytes('8D4840D6202CC371C32CE0576098')), 0);
+check('CRC rejects corrupted frame', decodeHex('8D4840D6202CC371C32CE0576099'), null);
+
+// Identification
+const ident = decodeHex('8D4840D6202CC371C32CE0576098');
+check('Identification icao24', ident.icao24, '4840d6');
+check('Identification callsign', ident.callsign, 'KLM1023');
+
+// Airborne position — global and local CPR
+const even = decodeHex('8D40621D58C382D690C8AC2863A7');
+const odd = decodeHex('8D40621D58C386435CC412692AD6');
+check('Barometric altitude (ft)', even.altitudeFt, 38000);
+const global = modeS.cprGlobalDecode(even.cpr, odd.cpr, false);
+check('CPR global latitude', global.lat, 52.25720, 1e-4);
+check('CPR global longitude', global.lon, 3.91937, 1e-4);
+const local = modeS.cprLocalDecode(even.cpr, { lat: 52.258, lon: 3.918 });
+check('CPR local latitude', local.lat, 52.25720, 1e-4);
+check('CPR local longitude', local.lon, 3.91937, 1e-4);
+
+// Velocity — ground speed and airspeed subtypes
+const gs = decodeHex('8D485020994409940838175B284F');
+check('Ground speed (kts)', gs.groundSpeedKts, 159.20, 0.01);
+check('Track (deg)', gs.track, 182.88, 0.01);
+check('Vertical rate (ft/min)', gs.verticalRateFpm, -832);
+const tas = decodeHex('8DA05F219B06B6AF189400CBC33F');
+check('Heading (deg)', tas.heading, 243.98, 0.01);
+check('True airspeed (kts)', tas.airspeedKts, 375);
+check('Vertical rate (ft/min)', tas.verticalRateFpm, -2304);
+
+// AVR framing
+check('AVR line', modeS.parseAvrLine('*8D4840D6202CC371C32CE0576098;')?.length, 14);
+check('AVR MLAT line', modeS.parseAvrLine('@0000A1B2C3D48D4840D6202CC371C32CE0576098;')?.length, 14);
+
+// Beast framing, with an escaped 0x1a in the timestamp and split across chunks
+const escape = (buf) => Buffer.from([].concat(...[...buf].map((b) => (b === 0x1a ? [0x1a, 0x1a] : [b]))));
+const beastFrame = Buffer.concat([
+    Buffer.from([0x1a, 0x33]),
+    escape(Buffer.from([0x00, 0x00, 0x1a, 0x00, 0x00, 0x01, 0x80])),
+    escape(Buffer.from('8D4840D6202CC371C32CE0576098', 'hex')),
+]);
+const beast = modeS.createBeastParser();
+const frames = [...beast.push(beastFrame.subarray(0, 9)), ...beast.push(beastFrame.subarray(9))];
+check('Beast frames', frames.length, 1);
+check('Beast payload', Buffer.from(frames[0].bytes).toString('hex'), '8d4840d6202cc371c32ce0576098');
+
+// Tracker → state vector → transformState
+const tracker = modeS.createModeSTracker();
+const now = Math.floor(Date.now() / 1000);
+['8D40621D58C382D690C8AC2863A7', '8D40621D58C386435CC412692AD6', '8D40621D58C382D690C8AC2863A7']
+    .forEach((hex) => tracker.handleFrame(modeS.hexToBytes(hex), now));
+const [state] = tracker.statesInBbox({ minLat: 50, maxLat: 55, minLon: 0, maxLon: 10 }, now);
+const flight = flightUtils.transformState(state);
+check('Tracked flight icao24', flight.icao24, '40621d');
+check('Tracked flight altitude_ft', flight.altitude_ft, 38000);
+check('Tracked flight latitude', flight.latitude, 52.25720, 1e-4);
+
+console.log(failures === 0 ? '\n🎯 All decoder checks passed!' : `\n❌ ${failures} decoder check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
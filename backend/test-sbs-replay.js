@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+// Replays a captured SBS-1 / BaseStation file on a local TCP port so the
+// Express server can ingest it as if it were a real receiver.
+// Run with: node test-sbs-replay.js <capture.sbs> [port] [linesPerSecond]
+// Then start the backend with SBS_HOST=localhost SBS_PORT=<port> npm start
+
+const fs = require('fs');
+const net = require('net');
+const { parseSbsLine } = require('./lib/sbsFeed');
+
+const [file, portArg, rateArg] = process.argv.slice(2);
+if (!file) {
+    console.log('Usage: node test-sbs-replay.js <capture.sbs> [port=30003] [linesPerSecond=200]');
+    process.exit(1);
+}
+
+const port = parseInt(portArg, 10) || 30003;
+const linesPerSecond = parseInt(rateArg, 10) || 200;
+const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean);
+const parsed = lines.filter((line) => parseSbsLine(line)).length;
+
+console.log(`📼 Loaded ${lines.length} lines (${parsed} usable MSG records) from ${file}`);
+
+const server = net.createServer((socket) => {
+    console.log(`🔌 Client connected from ${socket.remoteAddress}`);
+    let index = 0;
+    const interval = setInterval(() => {
+        for (let i = 0; i < Math.max(1, Math.round(linesPerSecond / 10)); i++) {
+            socket.write(`${lines[index]}\r\n`);
+            index = (index + 1) % lines.length;
+        }
+    }, 100);
+
+    socket.on('close', () => {
+        clearInterval(interval);
+        console.log('🔌 Client disconnected');
+    });
+    socket.on('error', () => clearInterval(interval));
+});
+
+server.listen(port, () => {
+    console.log(`📡 Replaying on tcp://localhost:${port} at ~${linesPerSecond} lines/s (Ctrl+C to stop)`);
+});
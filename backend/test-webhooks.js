@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+// Checks that watch webhooks only go to allowed hosts and that rules are
+// listed with their webhook URLs redacted.
+// Run with: node test-webhooks.js
+
+const webhooks = require('./lib/webhooks');
+const watches = require('./lib/watches');
+
+let failures = 0;
+
+const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failures++;
+    console.log(`${ok ? '✅' : '❌'} ${name}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+};
+
+const refused = (url, allowedHosts, addresses) => webhooks.webhookHostError(url, allowedHosts, addresses) !== null;
+
+(async () => {
+    console.log('🧪 Webhook destinations\n');
+
+    check('Public host accepted', refused('https://example.com/hook'), false);
+    check('localhost refused', refused('http://localhost:8080/hook'), true);
+    check('Loopback refused', refused('http://127.0.0.1/hook'), true);
+    check('Decimal loopback refused', refused('http://2130706433/hook'), true);
+    check('Metadata address refused', refused('http://169.254.169.254/latest'), true);
+    check('Private range refused', refused('http://10.1.2.3/hook'), true);
+    check('IPv6 loopback refused', refused('http://[::1]/hook'), true);
+    check('IPv4-mapped loopback refused', refused('http://[::ffff:127.0.0.1]/hook'), true);
+    check('Name resolving to a private address refused', refused('https://hooks.example.com/', undefined, ['192.168.1.5']), true);
+
+    const allowed = webhooks.parseAllowedHosts('hooks.internal, LOCALHOST');
+    check('Allow-listed private host accepted', refused('http://localhost:8080/hook', allowed), false);
+    check('Host outside the allow-list refused', refused('https://example.com/hook', allowed), true);
+
+    const parsed = watches.parseWatchInput({ icao24: '3c6444', webhooks: ['http://127.0.0.1/hook'] });
+    check('Watch with a loopback webhook is rejected', parsed.status, 400);
+
+    check('Path and query redacted', webhooks.redactWebhookUrl('https://example.com/hooks/abc?key=secret'), 'https://example.com/…');
+    check('Bare origin kept', webhooks.redactWebhookUrl('https://example.com/'), 'https://example.com');
+
+    const monitor = watches.createWatchMonitor();
+    const rule = monitor.add(watches.parseWatchInput({ icao24: '3c6444', webhooks: ['https://example.com/hooks/abc?key=secret'] }).rule);
+    check('List redacts webhook URLs', monitor.list()[0].webhooks[0], 'https://example.com/…');
+    check('Get redacts webhook URLs', monitor.get(rule.id).webhooks[0], 'https://example.com/…');
+    check('Saved rules keep full URLs', monitor.exportWatches()[0].webhooks[0], 'https://example.com/hooks/abc?key=secret');
+
+    let sent = 0;
+    const dispatcher = webhooks.createWebhookDispatcher({
+        send: async () => { sent++; return 200; },
+        checkUrl: (url) => webhooks.webhookHostError(url, new Set(), ['10.0.0.1']),
+    });
+    dispatcher.dispatch(['https://hooks.example.com/abc'], { id: 'test-1' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    check('Refused delivery is not sent', sent, 0);
+    check('Refused delivery counts as failed', dispatcher.status().failed, 1);
+    check('Status redacts the refused URL', dispatcher.status().lastError?.url, 'https://hooks.example.com/…');
+
+    console.log(failures === 0 ? '\n🎯 All webhook checks passed!' : `\n❌ ${failures} webhook check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
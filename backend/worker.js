@@ -13,13 +13,57 @@ const flightTrackCache = new Map();
 // ---------------------------------------------------------------------------
 const flightUtils = require('./lib/flightUtils');
 const openskyApi = require('./lib/openskyApi');
-const { MAX_BBOX_DEGREES } = flightUtils;
+const flightSources = require('./lib/flightSources');
+const flightDelta = require('./lib/flightDelta');
+const flightFormats = require('./lib/flightFormats');
+const flightTiles = require('./lib/flightTiles');
+const trackHistory = require('./lib/trackHistory');
+const airports = require('./lib/airports');
+const alerts = require('./lib/alerts');
+const flightSearch = require('./lib/flightSearch');
+const flightPhases = require('./lib/flightPhases');
 
 // OpenSky is unreachable from many Cloudflare edge POPs; fail fast then use adsb.lol.
 const OPENSKY_FETCH_TIMEOUT_MS = 8_000;
-const OPENSKY_MAX_RETRIES = 0;
 const ADSB_LOL_FETCH_TIMEOUT_MS = 10_000;
 
+// Flight sources — FLIGHT_SOURCE* vars (wrangler.toml [vars]) are exposed as globals.
+const sourceRegistry = flightSources.createSourceRegistry(
+    flightSources.createProviders(globalThis),
+    flightSources.loadSourceConfig(globalThis, {
+        timeouts: { opensky: OPENSKY_FETCH_TIMEOUT_MS, adsb_lol: ADSB_LOL_FETCH_TIMEOUT_MS },
+    })
+);
+
+// Wide bboxes are tiled; the tile cache is isolate-local like the caches above.
+// Larger tiles than the Express default keep subrequests within Worker limits.
+const FLIGHT_TILE_DEGREES = Number(globalThis.FLIGHT_TILE_DEGREES) || 90;
+const tileCache = flightTiles.createTileCache();
+
+// Versions are isolate-local; a `since` from another isolate just gets a full response.
+const deltaStore = flightDelta.createDeltaStore();
+
+// Positions seen by this isolate, merged into /api/flight-track (kept smaller than on Express)
+const trackHistoryStore = trackHistory.createTrackHistory({
+    ttlS: (Number(globalThis.TRACK_HISTORY_MINUTES) || trackHistory.TRACK_HISTORY_DEFAULT_MINUTES) * 60,
+    maxPoints: Number(globalThis.TRACK_HISTORY_MAX_POINTS) || 100_000,
+});
+
+// Emergency / SPI alerts seen by this isolate, for /api/alerts
+const alertTracker = alerts.createAlertTracker({
+    retentionS: (Number(globalThis.ALERT_RETENTION_MINUTES) || alerts.ALERTS_DEFAULT_RETENTION_MINUTES) * 60,
+});
+
+// Flight phases of the aircraft this isolate served
+const phaseTracker = flightPhases.createPhaseTracker({
+    maxAircraft: Number(globalThis.PHASE_TRACKER_MAX_AIRCRAFT) || 20_000,
+});
+
+// Latest positions seen by this isolate, for /api/search (kept smaller than on Express)
+const searchIndex = flightSearch.createSearchIndex({
+    maxAircraft: Number(globalThis.SEARCH_INDEX_MAX_AIRCRAFT) || 20_000,
+});
+
 const jsonCorsHeaders = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
@@ -27,45 +71,6 @@ const jsonCorsHeaders = {
     'Access-Control-Allow-Headers': 'Content-Type, Cache-Control, Authorization',
 };
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-async function fetchOpenSkyWithRetry(url, headers = {}, maxRetries = OPENSKY_MAX_RETRIES) {
-    let lastError;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort('timeout'), OPENSKY_FETCH_TIMEOUT_MS);
-
-        try {
-            const response = await fetch(url, {
-                headers: {
-                    Accept: 'application/json',
-                    'User-Agent': 'global-flight-tracker-api/1.0',
-                    ...headers,
-                },
-                signal: controller.signal,
-            });
-            clearTimeout(timeoutId);
-
-            if (response.status === 429 && attempt < maxRetries) {
-                const retryAfter = parseInt(response.headers.get('Retry-After') || '2', 10);
-                await sleep(Math.max(retryAfter, 1) * 1000);
-                continue;
-            }
-
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            lastError = error;
-            if (attempt < maxRetries) {
-                await sleep(Math.pow(2, attempt) * 1000);
-            }
-        }
-    }
-
-    throw lastError || new Error('OpenSky fetch failed after retries');
-}
-
 // Function to get OAuth2 token from OpenSky Network
 const getOpenSkyToken = async () => {
     // Check if we have a valid token
@@ -177,153 +182,59 @@ const fetchFlightData = async (request) => {
         );
     }
 
-    // Clamp coordinates to valid ranges
-    const minLat = Math.max(-90, Math.min(90, minLatParsed));
-    const maxLat = Math.max(-90, Math.min(90, maxLatParsed));
-    const minLon = Math.max(-180, Math.min(180, minLonParsed));
-    const maxLon = Math.max(-180, Math.min(180, maxLonParsed));
-
-    const bboxWidth  = Math.abs(maxLon - minLon);
-    const bboxHeight = Math.abs(maxLat - minLat);
-
-    // Reject huge boxes
-    if (bboxWidth > MAX_BBOX_DEGREES || bboxHeight > MAX_BBOX_DEGREES) {
-        return new Response(
-            JSON.stringify({ 
-                message: `Bounding box too large (${bboxWidth.toFixed(1)}°×${bboxHeight.toFixed(1)}°). Maximum is ${MAX_BBOX_DEGREES}°×${MAX_BBOX_DEGREES}°. Please zoom in.`,
-                maxAllowed: MAX_BBOX_DEGREES
-            }),
-            {
-                status: 413,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Cache-Control, Authorization'
-                }
-            }
-        );
-    }
-
-    try {
-        const apiUrl = `https://opensky-network.org/api/states/all?lamin=${minLat}&lomin=${minLon}&lamax=${maxLat}&lomax=${maxLon}&extended=1`;
-
-        // Use a cached token when available; refresh in the background without blocking.
-        const headers = {};
-        if (accessToken && Date.now() < tokenExpiry) {
-            headers['Authorization'] = `Bearer ${accessToken}`;
-        } else if (OPENSKY_CLIENT_ID && OPENSKY_CLIENT_SECRET) {
-            getOpenSkyToken().catch(() => null);
-        }
-
-        // Query OpenSky and adsb.lol in parallel — adsb.lol is reachable from Cloudflare edge.
-        return await Promise.any([
-            fetchFromOpenSky(apiUrl, headers),
-            fetchFromAdsbLol(minLat, maxLat, minLon, maxLon),
-        ]);
-    } catch (error) {
-        console.error('All live flight sources failed, using demo data:', error.message || error);
-        return await getFallbackFlightData(minLat, maxLat, minLon, maxLon);
-    }
-};
-
-const fetchFromOpenSky = async (apiUrl, headers) => {
-    let response = await fetchOpenSkyWithRetry(apiUrl, headers);
-
-    if (!response.ok) {
-        if (response.status === 401) {
-            accessToken = null;
-            tokenExpiry = 0;
-            const newToken = await getOpenSkyToken();
-            if (newToken) {
-                response = await fetchOpenSkyWithRetry(apiUrl, {
-                    Authorization: `Bearer ${newToken}`,
-                }, 0);
-            }
-        }
-        if (!response.ok) {
-            throw new Error(`OpenSky upstream status: ${response.status}`);
-        }
-    }
-
-    const data = await response.json();
-    return processFlightData(data);
-};
-
-const fetchFromAdsbLol = async (minLat, maxLat, minLon, maxLon) => {
-    const { centerLat, centerLon, radiusNm } = flightUtils.bboxCenterAndRadiusNm(
-        minLat, maxLat, minLon, maxLon
-    );
-    const url = `https://api.adsb.lol/v2/lat/${centerLat.toFixed(4)}/lon/${centerLon.toFixed(4)}/dist/${radiusNm}`;
+    // Clamp latitudes and wrap longitudes; west > east means the view crosses ±180°
+    const bbox = flightUtils.normalizeBbox({
+        minLat: minLatParsed,
+        maxLat: maxLatParsed,
+        minLon: minLonParsed,
+        maxLon: maxLonParsed,
+    });
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort('timeout'), ADSB_LOL_FETCH_TIMEOUT_MS);
+    const query = Object.fromEntries(url.searchParams);
+    const { filters, status, body: errorBody } = flightUtils.parseFlightFilters(query);
+    if (status) return new Response(JSON.stringify(errorBody), { status, headers: jsonCorsHeaders });
+    const limited = flightUtils.parseFlightThresholds(query);
+    if (limited.status) return new Response(JSON.stringify(limited.body), { status: limited.status, headers: jsonCorsHeaders });
 
-    let response;
     try {
-        response = await fetch(url, {
-            headers: {
-                Accept: 'application/json',
-                'User-Agent': 'global-flight-tracker-api/1.0',
-            },
-            signal: controller.signal,
+        // Bboxes over MAX_BBOX_DEGREES are fetched as cached tiles and, by default, returned as density cells
+        const tiled = flightTiles.needsTiling(bbox);
+        const fetched = tiled
+            ? await flightTiles.fetchTiledStates(sourceRegistry, bbox, flightSourceClient, {
+                cache: tileCache,
+                tileDegrees: FLIGHT_TILE_DEGREES,
+                concurrency: 2,
+            })
+            : await flightSources.fetchStatesFromSources(sourceRegistry, bbox, flightSourceClient);
+        const build = (options) => phaseTracker.annotate(tiled
+            ? flightTiles.buildTiledResponse(fetched, bbox, options)
+            : flightSources.buildSourcesResponse(fetched, bbox, options));
+        // History, alerts and search always see the default thresholds
+        const aircraft = build();
+        trackHistoryStore.recordPayload(aircraft);
+        alertTracker.recordPayload(aircraft);
+        searchIndex.recordPayload(aircraft);
+        const filtered = flightUtils.applyFlightFilters(limited.thresholds ? build({ thresholds: limited.thresholds }) : aircraft, filters);
+        const data = flightTiles.resolveViewMode(url.searchParams.get('mode'), bbox) === 'density'
+            ? flightTiles.toDensityResponse(filtered, bbox)
+            : filtered;
+        const format = flightFormats.negotiateFlightsFormat(url.searchParams.get('format'), request.headers.get('Accept'));
+        const { contentType, body } = flightFormats.encodeFlightsResponse(
+            deltaStore.respond(data, url.searchParams.get('since')),
+            format
+        );
+        return new Response(body, {
+            status: 200,
+            headers: { ...jsonCorsHeaders, 'Content-Type': contentType, Vary: 'Accept' },
         });
-        clearTimeout(timeoutId);
-    } catch (fetchError) {
-        clearTimeout(timeoutId);
-        throw fetchError;
-    }
-
-    if (!response.ok) {
-        throw new Error(`adsb.lol upstream status: ${response.status}`);
+    } catch (error) {
+        // Only reachable when every source, including the simulated one, is disabled or failed.
+        console.error('All flight sources failed:', error.message || error);
+        return new Response(
+            JSON.stringify({ message: 'All flight sources failed.', _meta: { bbox } }),
+            { status: 502, headers: jsonCorsHeaders }
+        );
     }
-
-    const payload = await response.json();
-    const data = flightUtils.buildAdsbLolResponse(payload.ac || [], minLat, maxLat, minLon, maxLon);
-    data._meta.authUsed = !!accessToken;
-
-    console.log(`adsb.lol returned ${data.flights.length} flights for bbox.`);
-
-    return new Response(JSON.stringify(data), { status: 200, headers: jsonCorsHeaders });
-};
-
-// Function to generate fallback flight data when all live sources fail
-const getFallbackFlightData = async (minLat, maxLat, minLon, maxLon) => {
-    console.log('All live sources failed, using enhanced sample data fallback...');
-    const fallbackData = flightUtils.generateFallbackFlights(minLat, maxLat, minLon, maxLon);
-    return new Response(
-        JSON.stringify(fallbackData),
-        { status: 200, headers: jsonCorsHeaders }
-    );
-};
-
-// Function to process and structure flight data
-const processFlightData = (data) => {
-    const rawStates = data.states ?? [];
-    const now = Math.floor(Date.now() / 1000);
-    const { flights, stats } = flightUtils.processFlightStates(rawStates, now);
-
-    return new Response(
-        JSON.stringify({
-            flights,
-            _fallback: data._fallback || false,
-            _source:   data._source   || null,
-            _message:  data._message  || null,
-            _meta: {
-                rawStateCount: rawStates.length,
-                validCoordinateCount: rawStates.length - stats.invalidCoord,
-                filteredCount: flights.length,
-                rejections: stats,
-                authUsed: !!accessToken,
-                serverTimestamp: Date.now(),
-            },
-            timestamp: Date.now(),
-        }),
-        {
-            status: 200,
-            headers: jsonCorsHeaders,
-        }
-    );
 };
 
 // Handle CORS preflight requests
@@ -374,6 +285,32 @@ const fetchOpenSkyJson = async (url, headers, timeoutMs) => {
 
 const openSkyClient = { getAuthHeaders, fetchJson: fetchOpenSkyJson };
 
+// /api/flights must not block on auth.opensky-network.org: use a cached token when
+// available and refresh it in the background; only a 401 waits for a new token.
+const flightSourceClient = {
+    fetchJson: fetchOpenSkyJson,
+    getAuthHeaders: async () => {
+        if (accessToken && Date.now() < tokenExpiry) {
+            return { Authorization: `Bearer ${accessToken}` };
+        }
+        if (OPENSKY_CLIENT_ID && OPENSKY_CLIENT_SECRET) {
+            getOpenSkyToken().catch(() => null);
+        }
+        return {};
+    },
+    invalidateAuth: async () => {
+        accessToken = null;
+        tokenExpiry = 0;
+        await getOpenSkyToken();
+    },
+};
+
+const aircraftSearch = flightSearch.createFlightSearch({
+    registry: sourceRegistry,
+    client: flightSourceClient,
+    index: searchIndex,
+});
+
 // Function to fetch flight info (departure/arrival airports)
 const fetchFlightInfo = async (icao24) => {
     const icao = openskyApi.normalizeIcao24(icao24);
@@ -395,25 +332,25 @@ const fetchFlightInfo = async (icao24) => {
     return info;
 };
 
-// Function to fetch flight track/trajectory
+// Function to fetch flight track/trajectory: the cached OpenSky track merged with this isolate's history
 const fetchFlightTrack = async (icao24) => {
     const icao = openskyApi.normalizeIcao24(icao24);
     if (!icao) return openskyApi.emptyTrackResponse(icao24);
 
     const cacheKey = `track_${icao}`;
-    const cached = flightTrackCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < 3600000) {
-        return cached.data;
-    }
-
-    const { track } = await openskyApi.fetchOpenSkyTrack(icao, openSkyClient);
-
-    flightTrackCache.set(cacheKey, { data: track, timestamp: Date.now() });
-    if (flightTrackCache.size > 500) {
-        flightTrackCache.delete(flightTrackCache.keys().next().value);
+    let cached = flightTrackCache.get(cacheKey);
+    if (!cached || Date.now() - cached.timestamp >= 3600000) {
+        const { track, source } = sourceRegistry.isEnabled('opensky')
+            ? await openskyApi.fetchOpenSkyTrack(icao, openSkyClient)
+            : { track: openskyApi.emptyTrackResponse(icao), source: null };
+        cached = { data: { track, source }, timestamp: Date.now() };
+        flightTrackCache.set(cacheKey, cached);
+        if (flightTrackCache.size > 500) {
+            flightTrackCache.delete(flightTrackCache.keys().next().value);
+        }
     }
 
-    return track;
+    return trackHistory.mergeTrackWithHistory(cached.data.track, cached.data.source, trackHistoryStore.get(icao));
 };
 
 // Main event listener for Cloudflare Workers
@@ -488,7 +425,7 @@ async function handleRequest(request) {
         
         const flightInfo = await fetchFlightInfo(icao24);
         return new Response(
-            JSON.stringify(flightInfo),
+            JSON.stringify(airports.withFlightInfoAirports(flightInfo)),
             {
                 status: 200,
                 headers: {
@@ -502,6 +439,42 @@ async function handleRequest(request) {
         );
     }
     
+    // Handle airports endpoint (bundled dataset; optional bbox, q, limit)
+    if (url.pathname === '/api/airports' && request.method === 'GET') {
+        const parsed = airports.parseAirportsQuery(Object.fromEntries(url.searchParams));
+        if (!parsed.query) {
+            return new Response(JSON.stringify(parsed.body), { status: parsed.status, headers: jsonCorsHeaders });
+        }
+        return new Response(JSON.stringify(airports.buildAirportsResponse(parsed.query)), {
+            status: 200,
+            headers: { ...jsonCorsHeaders, 'Cache-Control': 'public, max-age=86400' },
+        });
+    }
+
+    // Handle alerts endpoint (emergency squawks and SPI seen by this isolate)
+    if (url.pathname === '/api/alerts' && request.method === 'GET') {
+        const parsed = alerts.parseAlertsQuery(Object.fromEntries(url.searchParams));
+        if (!parsed.query) {
+            return new Response(JSON.stringify(parsed.body), { status: parsed.status, headers: jsonCorsHeaders });
+        }
+        return new Response(JSON.stringify(alerts.buildAlertsResponse(alertTracker, parsed.query)), {
+            status: 200,
+            headers: { ...jsonCorsHeaders, 'Cache-Control': 'no-cache' },
+        });
+    }
+
+    // Handle search endpoint (this isolate's index, live lookups when nothing matches exactly)
+    if (url.pathname === '/api/search' && request.method === 'GET') {
+        const result = await aircraftSearch.search(url.searchParams.get('q'), {
+            limit: url.searchParams.get('limit'),
+            suggest: url.searchParams.get('suggest') === 'true',
+        });
+        return new Response(JSON.stringify(result.body), {
+            status: result.status || 200,
+            headers: { ...jsonCorsHeaders, 'Cache-Control': 'no-cache' },
+        });
+    }
+
     // Handle flight track endpoint
     if (url.pathname === '/api/flight-track' && request.method === 'GET') {
         const icao24 = url.searchParams.get('icao24');
@@ -530,7 +503,7 @@ async function handleRequest(request) {
                     'Access-Control-Allow-Origin': '*',
                     'Access-Control-Allow-Methods': 'GET, OPTIONS',
                     'Access-Control-Allow-Headers': 'Content-Type, Cache-Control, Authorization',
-                    'Cache-Control': 'public, max-age=600' // Cache 10 minutes
+                    'Cache-Control': 'public, max-age=30' // Recorded history keeps growing
                 }
             }
         );
@@ -543,10 +516,17 @@ async function handleRequest(request) {
                 message: 'Global Real-Time Flight Tracker API',
                 status: 'ok',
                 authConfigured: !!(OPENSKY_CLIENT_ID && OPENSKY_CLIENT_SECRET),
+                flightSources: sourceRegistry.describe(),
+                flightThresholds: { defaults: flightUtils.DEFAULT_FLIGHT_THRESHOLDS, limits: flightUtils.FLIGHT_THRESHOLD_LIMITS },
+                search: searchIndex.status(),
+                phases: phaseTracker.status(),
                 endpoints: {
-                    '/api/flights': 'GET - Fetch real-time flight data',
-                    '/api/flight-info': 'GET - Fetch flight info (departure/arrival)',
-                    '/api/flight-track': 'GET - Fetch flight trajectory'
+                    '/api/flights': 'GET - Fetch real-time flight data (since=<version> for a delta; format=json|columnar|binary; mode=auto|aircraft|density; filters: alt_min, alt_max, speed_min, speed_max, category, callsign, airline, country, squawk, source, phase; thresholds: min_altitude_m, min_speed_mps, max_age_s, include_ground)',
+                    '/api/flight-info': 'GET - Fetch flight info (departure/arrival, with airport details)',
+                    '/api/airports': 'GET - Airports from the bundled dataset (optional bbox, q, limit)',
+                    '/api/search': 'GET - Find aircraft by callsign, icao24, registration, flight number or airline (q, limit, suggest=true)',
+                    '/api/alerts': 'GET - Active and recently ended emergency squawk / SPI alerts (severity, active)',
+                    '/api/flight-track': 'GET - Fetch flight trajectory (OpenSky merged with recorded positions)'
                 }
             }),
             {
@@ -1,15 +1,33 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import axios from 'axios';
 import FlightMap from './components/FlightMap';
+import EmergencyBanner from './components/EmergencyBanner';
+import GeofencePanel from './components/GeofencePanel';
+import SettingsPanel from './components/SettingsPanel';
+import SearchInput from './components/SearchInput';
 import {
     API_URL,
     MAPBOX_TOKEN,
     MAX_BBOX_DEGREES,
-    MIN_ALTITUDE_M,
-    MIN_SPEED_MPS,
-    MAX_POSITION_AGE_SECONDS,
+    DEFAULT_FLIGHT_THRESHOLDS,
     FETCH_INTERVAL_MS,
+    STREAM_ENABLED,
+    FLIGHTS_FORMAT,
 } from './config/appConfig';
+import { openFlightStream } from './utils/flightStream';
+import { applyFlightDelta, indexFlights } from './utils/flightDelta';
+import { acceptHeaderFor, decodeFlightsResponse } from './utils/flightFormats';
+import { boundsWidthDegrees } from './utils/bboxUtils';
+import { findFlightByQuery, matchesAirline } from './utils/flightSearch';
+import { collectEmergencies } from './utils/alertUtils';
+import {
+    FALLBACK_THRESHOLD_CONFIG,
+    isDefaultThresholds,
+    parseThresholdConfig,
+    passesThresholds,
+    thresholdParams,
+} from './utils/flightThresholds';
+import { FLIGHT_PHASES, phaseParams } from './utils/flightPhases';
 import './App.css';
 
 // ---------------------------------------------------------------------------
@@ -26,6 +44,28 @@ const STATUS = {
     MISSING_BACKEND:'missing_backend',
 };
 
+// ---------------------------------------------------------------------------
+// Front-end filter — the thresholds the backend applied (_meta.thresholds), so
+// aircraft patched in by deltas age out the same way
+// ---------------------------------------------------------------------------
+const filterValidFlights = (rawFlights, thresholds = DEFAULT_FLIGHT_THRESHOLDS) => {
+    const now = Math.floor(Date.now() / 1000);
+
+    return rawFlights
+        .filter(flight => {
+            if (!flight?.icao24) return false;
+
+            // Coordinate validity — 0 is valid, use Number.isFinite
+            if (!Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude)) return false;
+
+            return passesThresholds(flight, thresholds, now);
+        })
+        .map(flight => ({
+            ...flight,
+            heading: typeof flight.true_track === 'number' ? flight.true_track : 0,
+        }));
+};
+
 const App = () => {
     const [flights, setFlights]               = useState([]);
     const [status, setStatus]                 = useState(STATUS.IDLE);
@@ -34,13 +74,33 @@ const App = () => {
     const [validFlightCount, setValidFlightCount] = useState(0);
     const [searchQuery, setSearchQuery]       = useState('');
     const [selectedAircraft, setSelectedAircraft] = useState(null);
+    const [airlineFilter, setAirlineFilter]   = useState(null);
     const [retryCount, setRetryCount]         = useState(0);
     const [isRetrying, setIsRetrying]         = useState(false);
     // Diagnostic metadata from the last API response
     const [lastMeta, setLastMeta]             = useState(null);
+    // Density overview ({ cells, cellDegrees, totalAircraft }) for zoomed-out views
+    const [density, setDensity]               = useState(null);
+    // Active emergency alerts from /api/alerts
+    const [alerts, setAlerts]                 = useState([]);
+    // Geofences from /api/geofences (null when the backend has none) and the one being drawn
+    const [geofences, setGeofences]           = useState(null);
+    const [geofenceDraft, setGeofenceDraft]   = useState(null);
+    // Aircraft thresholds from the settings panel, sent as query params when not the defaults
+    const [thresholds, setThresholds]         = useState(DEFAULT_FLIGHT_THRESHOLDS);
+    // Threshold defaults and limits from the backend's GET /
+    const [thresholdConfig, setThresholdConfig] = useState(FALLBACK_THRESHOLD_CONFIG);
+    // Flight phases to show (empty for all), sent as the `phase` filter
+    const [phaseFilter, setPhaseFilter]       = useState([]);
 
     const abortControllerRef = useRef(null);
     const lastBoundsRef      = useRef(null); // Use ref to avoid stale closure in fetchFlights
+    const streamRef          = useRef(null); // Open /api/stream connection, if any
+    const streamFailedRef    = useRef(!STREAM_ENABLED); // Stream unavailable → poll instead
+    const rawFlightsRef      = useRef(new Map()); // Unfiltered flights by icao24, patched by deltas
+    const versionRef         = useRef(null); // /api/flights version the raw flights correspond to
+    const viewParamsRef      = useRef({}); // Threshold and phase query params, read by fetchFlights
+    const viewSettingsRef    = useRef({ thresholds: DEFAULT_FLIGHT_THRESHOLDS, phases: [], thresholdConfig: FALLBACK_THRESHOLD_CONFIG }); // What viewParamsRef encodes
 
     // -------------------------------------------------------------------------
     // Missing Mapbox token — detected immediately on load
@@ -66,31 +126,195 @@ const App = () => {
         lastBoundsRef.current = bounds;
     }, []);
 
+    // -------------------------------------------------------------------------
+    // Focus — select an aircraft (emergency, search result); when it is not loaded
+    // yet, fly to its last reported position first so the next fetch brings it in
+    // -------------------------------------------------------------------------
+    const focusAircraft = useCallback((aircraft) => {
+        setAirlineFilter(null);
+        setSelectedAircraft(aircraft.icao24);
+        const loaded = flights.some((f) => f.icao24 === aircraft.icao24);
+        if (!loaded && Number.isFinite(aircraft.latitude) && Number.isFinite(aircraft.longitude)) {
+            window.dispatchEvent(new CustomEvent('map-focus', {
+                detail: { lng: aircraft.longitude, lat: aircraft.latitude },
+            }));
+        }
+    }, [flights]);
+
     // -------------------------------------------------------------------------
     // Search
     // -------------------------------------------------------------------------
-    const handleSearch = useCallback((e) => {
+    // A callsign, ICAO24 or flight number selects that aircraft; otherwise an
+    // airline name (e.g. "Lufthansa") filters the map to that airline's flights.
+    // Anything not in the loaded flights is looked up with /api/search, which also
+    // resolves registrations and aircraft outside the current view.
+    const handleSearch = useCallback(async (e) => {
         e.preventDefault();
         const query = searchQuery.trim().toUpperCase();
         if (!query) {
             setSelectedAircraft(null);
+            setAirlineFilter(null);
             return;
         }
-        const matching = flights.find(f =>
-            f.icao24?.toUpperCase() === query ||
-            f.callsign?.trim().toUpperCase() === query
-        );
+        const matching = findFlightByQuery(flights, query);
         if (matching) {
+            setAirlineFilter(null);
             setSelectedAircraft(matching.icao24);
+            return;
+        }
+        if (flights.some((f) => matchesAirline(f, query))) {
+            setSelectedAircraft(null);
+            setAirlineFilter(searchQuery.trim());
+            return;
+        }
+        try {
+            const response = await axios.get(`${API_URL}/api/search`, { params: { q: query }, timeout: 20_000 });
+            const [best] = Array.isArray(response.data?.results) ? response.data.results : [];
+            if (best) {
+                focusAircraft(best);
+                return;
+            }
+        } catch (_) {
+            // older backends have no /api/search
+        }
+        setErrorMessage(`No flight or airline found for "${query}"`);
+        setStatus(STATUS.API_ERROR);
+        setTimeout(() => {
+            setErrorMessage(null);
+            setStatus(prev => prev === STATUS.API_ERROR ? STATUS.SUCCESS : prev);
+        }, 3000);
+    }, [searchQuery, flights, focusAircraft]);
+
+    const handleSuggestionSelect = useCallback((result) => {
+        setSearchQuery(result.callsign || result.icao24.toUpperCase());
+        focusAircraft(result);
+    }, [focusAircraft]);
+
+    const displayedFlights = useMemo(
+        () => (airlineFilter ? flights.filter((f) => matchesAirline(f, airlineFilter)) : flights),
+        [flights, airlineFilter]
+    );
+
+    // -------------------------------------------------------------------------
+    // Emergency alerts — polled from /api/alerts; loaded flights fill the gaps
+    // -------------------------------------------------------------------------
+    useEffect(() => {
+        const controller = new AbortController();
+        const fetchAlerts = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/alerts?severity=emergency&active=true`, {
+                    signal: controller.signal,
+                    timeout: 10_000,
+                });
+                setAlerts(Array.isArray(response.data?.active) ? response.data.active : []);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                setAlerts([]); // older backends have no /api/alerts
+            }
+        };
+        fetchAlerts();
+        const interval = setInterval(fetchAlerts, FETCH_INTERVAL_MS);
+        return () => {
+            clearInterval(interval);
+            controller.abort();
+        };
+    }, []);
+
+    const emergencies = useMemo(() => collectEmergencies(alerts, flights), [alerts, flights]);
+
+    // -------------------------------------------------------------------------
+    // Geofences — polled from /api/geofences for inside counts (Express backend only)
+    // -------------------------------------------------------------------------
+    const fetchGeofences = useCallback(async (signal) => {
+        try {
+            const response = await axios.get(`${API_URL}/api/geofences`, { signal, timeout: 10_000 });
+            setGeofences(Array.isArray(response.data?.geofences) ? response.data.geofences : []);
+        } catch (err) {
+            if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+            setGeofences(null); // the Worker and older backends have no /api/geofences
+        }
+    }, []);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        fetchGeofences(controller.signal);
+        const interval = setInterval(() => fetchGeofences(controller.signal), FETCH_INTERVAL_MS);
+        return () => {
+            clearInterval(interval);
+            controller.abort();
+        };
+    }, [fetchGeofences]);
+
+    const reloadGeofences = useCallback(() => fetchGeofences(), [fetchGeofences]);
+
+    // -------------------------------------------------------------------------
+    // Apply a flights payload (poll response, stream snapshot or patched delta)
+    // -------------------------------------------------------------------------
+    const applyFlightsPayload = useCallback((data, rawFlights) => {
+        const validFlights = filterValidFlights(rawFlights, data._meta?.thresholds);
+
+        setFlights(validFlights);
+        setRetryCount(0);
+        setLastFetch(new Date().toLocaleTimeString());
+        setLastMeta(data._meta || null);
+
+        if (validFlights.length === 0) {
+            // Log diagnostics to console to help debugging
+            if (data._meta) {
+                console.info('[Flight Filter] No flights after filtering:', data._meta);
+            }
+            setStatus(STATUS.EMPTY);
         } else {
-            setErrorMessage(`No flight found for "${query}"`);
-            setStatus(STATUS.API_ERROR);
-            setTimeout(() => {
-                setErrorMessage(null);
-                setStatus(prev => prev === STATUS.API_ERROR ? STATUS.SUCCESS : prev);
-            }, 3000);
+            setStatus(STATUS.SUCCESS);
+            setErrorMessage(null);
         }
-    }, [searchQuery, flights]);
+
+        // Surface fallback notice — but never mix fake data with real
+        if (data._fallback) {
+            const src = data._source || 'unknown';
+            if (src === 'enhanced_sample') {
+                setErrorMessage('⚠️ Demo data — OpenSky API unavailable. Showing simulated flights only.');
+            } else {
+                setErrorMessage(data._message || 'Showing fallback data.');
+            }
+        }
+    }, []);
+
+    // -------------------------------------------------------------------------
+    // Live stream — snapshot, then deltas; falls back to polling on failure
+    // -------------------------------------------------------------------------
+    const startStream = useCallback((bounds, onUnavailable) => {
+        setStatus(STATUS.LOADING);
+        setErrorMessage(null);
+
+        streamRef.current = openFlightStream({
+            apiUrl: API_URL,
+            bounds,
+            params: viewParamsRef.current,
+            onSnapshot: (data) => {
+                setDensity(null);
+                rawFlightsRef.current = indexFlights(data.flights);
+                versionRef.current = null;
+                applyFlightsPayload(data, data.flights || []);
+            },
+            onDelta: (delta) => {
+                applyFlightDelta(rawFlightsRef.current, delta);
+                versionRef.current = null;
+                applyFlightsPayload(delta, [...rawFlightsRef.current.values()]);
+            },
+            onFailure: (message) => {
+                setErrorMessage(message);
+                setStatus(STATUS.API_ERROR);
+            },
+            onError: (fatal) => {
+                if (!fatal) return; // EventSource reconnects by itself
+                console.info('[Stream] Unavailable — falling back to polling /api/flights');
+                streamRef.current = null;
+                streamFailedRef.current = true;
+                onUnavailable();
+            },
+        });
+    }, [applyFlightsPayload]);
 
     // -------------------------------------------------------------------------
     // Fetch flights
@@ -99,12 +323,25 @@ const App = () => {
         const bounds = lastBoundsRef.current;
         if (!bounds) return;
 
-        const width  = Math.abs(bounds.lon_max - bounds.lon_min);
+        const width  = boundsWidthDegrees(bounds); // lon_min > lon_max across the antimeridian
         const height = Math.abs(bounds.lat_max - bounds.lat_min);
 
-        if (width > MAX_BBOX_DEGREES || height > MAX_BBOX_DEGREES) {
-            setStatus(STATUS.TOO_WIDE);
-            setErrorMessage(null);
+        // Wide views are tiled by the backend and come back as density cells,
+        // so poll for them instead of streaming individual aircraft
+        const isWide = width > MAX_BBOX_DEGREES || height > MAX_BBOX_DEGREES;
+        if (isWide) {
+            streamRef.current?.close();
+            streamRef.current = null;
+        }
+
+        // While streaming, a fetch just moves the stream to the current bounds and thresholds
+        if (streamRef.current) {
+            streamRef.current.updateBounds(bounds);
+            streamRef.current.updateParams(viewParamsRef.current);
+            return;
+        }
+        if (!streamFailedRef.current && !isWide) {
+            startStream(bounds, () => fetchFlights());
             return;
         }
 
@@ -119,74 +356,37 @@ const App = () => {
 
         try {
             const { lat_min, lon_min, lat_max, lon_max } = bounds;
-            const params = `?lat_min=${lat_min}&lon_min=${lon_min}&lat_max=${lat_max}&lon_max=${lon_max}`;
+            // Send the last version so the backend answers with only what changed
+            const since  = versionRef.current ? `&since=${encodeURIComponent(versionRef.current)}` : '';
+            const params = `?lat_min=${lat_min}&lon_min=${lon_min}&lat_max=${lat_max}&lon_max=${lon_max}${since}`;
             const url    = `${API_URL}/api/flights${params}`;
 
             const response = await axios.get(url, {
+                params:  viewParamsRef.current,
                 signal:  abortControllerRef.current.signal,
-                timeout: 15_000,
+                timeout: isWide ? 45_000 : 15_000, // tiled requests fan out to many upstream fetches
+                headers: { Accept: acceptHeaderFor(FLIGHTS_FORMAT) },
+                responseType: FLIGHTS_FORMAT === 'binary' ? 'arraybuffer' : 'json',
             });
 
-            const data = response.data;
-
-            if (data?.flights != null) {
-                // -----------------------------------------------------------
-                // Front-end filter — relaxed, matches server-side constants
-                // -----------------------------------------------------------
-                const now = Math.floor(Date.now() / 1000);
-
-                const validFlights = data.flights
-                    .filter(flight => {
-                        if (!flight?.icao24) return false;
-
-                        // Coordinate validity — 0 is valid, use Number.isFinite
-                        if (!Number.isFinite(flight.latitude) || !Number.isFinite(flight.longitude)) return false;
-
-                        // Airborne only
-                        if (flight.on_ground === true) return false;
-
-                        // Minimum altitude
-                        const alt = flight.baro_altitude ?? flight.geo_altitude ?? 0;
-                        if (alt < MIN_ALTITUDE_M) return false;
-
-                        // Position freshness — only filter when time_position is populated
-                        if (flight.time_position != null && (now - flight.time_position) > MAX_POSITION_AGE_SECONDS) return false;
-
-                        // Minimum speed — only when velocity is explicitly known
-                        if (flight.velocity !== null && flight.velocity < MIN_SPEED_MPS) return false;
-
-                        return true;
-                    })
-                    .map(flight => ({
-                        ...flight,
-                        heading: typeof flight.true_track === 'number' ? flight.true_track : 0,
-                    }));
-
-                setFlights(validFlights);
-                setRetryCount(0);
-                setLastFetch(new Date().toLocaleTimeString());
-                setLastMeta(data._meta || null);
-
-                if (validFlights.length === 0) {
-                    // Log diagnostics to console to help debugging
-                    if (data._meta) {
-                        console.info('[Flight Filter] No flights after filtering:', data._meta);
-                    }
-                    setStatus(STATUS.EMPTY);
-                } else {
-                    setStatus(STATUS.SUCCESS);
-                    setErrorMessage(null);
-                }
-
-                // Surface fallback notice — but never mix fake data with real
-                if (data._fallback) {
-                    const src = data._source || 'unknown';
-                    if (src === 'enhanced_sample') {
-                        setErrorMessage('⚠️ Demo data — OpenSky API unavailable. Showing simulated flights only.');
-                    } else {
-                        setErrorMessage(data._message || 'Showing fallback data.');
-                    }
-                }
+            const data = decodeFlightsResponse(response.data, response.headers['content-type']);
+
+            if (data?.mode === 'density') {
+                rawFlightsRef.current = new Map();
+                versionRef.current = null;
+                setDensity(data);
+                applyFlightsPayload(data, []);
+                if (data.totalAircraft > 0) setStatus(STATUS.SUCCESS);
+            } else if (data?.delta) {
+                setDensity(null);
+                applyFlightDelta(rawFlightsRef.current, data);
+                versionRef.current = data.version;
+                applyFlightsPayload(data, [...rawFlightsRef.current.values()]);
+            } else if (data?.flights != null) {
+                setDensity(null);
+                rawFlightsRef.current = indexFlights(data.flights);
+                versionRef.current = data.version ?? null;
+                applyFlightsPayload(data, data.flights);
             }
         } catch (err) {
             if (err.name === 'CanceledError' || err.name === 'AbortError') return;
@@ -255,6 +455,11 @@ const App = () => {
         };
     }, [fetchFlights]);
 
+    useEffect(() => () => {
+        streamRef.current?.close();
+        streamRef.current = null;
+    }, []);
+
     // When bounds change, trigger an immediate fetch (debounced in FlightMap)
     const triggerFetch = useCallback(() => {
         setRetryCount(0);
@@ -268,10 +473,51 @@ const App = () => {
         return () => window.removeEventListener('map-bounds-changed', handler);
     }, [triggerFetch]);
 
+    // -------------------------------------------------------------------------
+    // Thresholds and phase filter — new settings refetch (or re-point the stream) right away
+    // -------------------------------------------------------------------------
+    const applyViewSettings = useCallback((changes) => {
+        const next = { ...viewSettingsRef.current, ...changes };
+        const params = { ...thresholdParams(next.thresholds, next.thresholdConfig), ...phaseParams(next.phases) };
+        const changed = JSON.stringify(params) !== JSON.stringify(viewParamsRef.current);
+        viewSettingsRef.current = next;
+        viewParamsRef.current = params;
+        if (changed) triggerFetch();
+    }, [triggerFetch]);
+
+    // The backend's own threshold defaults and limits; untouched thresholds follow its defaults
+    useEffect(() => {
+        const controller = new AbortController();
+        axios.get(`${API_URL}/`, { signal: controller.signal, timeout: 10_000, headers: { Accept: 'application/json' } })
+            .then((response) => {
+                const config = parseThresholdConfig(response.data);
+                if (!config) return;
+                const { thresholds: current, thresholdConfig: previous } = viewSettingsRef.current;
+                const next = isDefaultThresholds(current, previous.defaults) ? config.defaults : current;
+                setThresholdConfig(config);
+                setThresholds(next);
+                applyViewSettings({ thresholdConfig: config, thresholds: next });
+            })
+            .catch(() => {}); // older backends (or none yet): keep the appConfig fallback
+        return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const handleThresholdsChange = useCallback((next) => {
+        setThresholds(next);
+        applyViewSettings({ thresholds: next });
+    }, [applyViewSettings]);
+
+    const handlePhaseFilterChange = useCallback((next) => {
+        setPhaseFilter(next);
+        applyViewSettings({ phases: next });
+    }, [applyViewSettings]);
+
     // -------------------------------------------------------------------------
     // Manual retry
     // -------------------------------------------------------------------------
     const handleRetry = useCallback(() => {
+        streamFailedRef.current = !STREAM_ENABLED;
         setRetryCount(0);
         setErrorMessage(null);
         fetchFlights();
@@ -314,19 +560,19 @@ const App = () => {
                         Global Real-Time Flight Tracker
                     </h1>
                     <form onSubmit={handleSearch} className="search-form">
-                        <input
-                            type="text"
-                            placeholder="Search flight (e.g., UAL123 or abc123)"
+                        <SearchInput
+                            placeholder="Search flight, registration or airline (e.g., UAL123, LH400, D-AIMA)"
                             value={searchQuery}
                             onChange={(e) => setSearchQuery(e.target.value)}
+                            onSelect={handleSuggestionSelect}
                             className="search-input"
-                            aria-label="Search by callsign or ICAO24"
+                            aria-label="Search by callsign, ICAO24, registration, flight number or airline"
                         />
                         <button type="submit" className="search-button" aria-label="Search">🔍</button>
-                        {selectedAircraft && (
+                        {(selectedAircraft || airlineFilter) && (
                             <button
                                 type="button"
-                                onClick={() => { setSelectedAircraft(null); setSearchQuery(''); }}
+                                onClick={() => { setSelectedAircraft(null); setAirlineFilter(null); setSearchQuery(''); }}
                                 className="clear-button"
                                 title="Clear search"
                                 aria-label="Clear search"
@@ -338,8 +584,14 @@ const App = () => {
                 </div>
                 {lastFetch && (
                     <small style={{ opacity: 0.8, fontSize: '12px' }}>
-                        Last updated: {lastFetch} | Flights: {validFlightCount}
+                        Last updated: {lastFetch} | {density
+                            ? `Aircraft: ${density.complete === false ? 'at least ' : ''}${density.totalAircraft} (density view — zoom in for details)`
+                            : `Flights: ${validFlightCount}`}
+                        {lastMeta?.coverage < 1 && ` | Sources cover ~${Math.round(lastMeta.coverage * 100)}% of this view`}
                         {selectedAircraft && ` | Following: ${selectedAircraft.toUpperCase()}`}
+                        {airlineFilter && ` | Airline: ${airlineFilter} (${displayedFlights.length})`}
+                        {thresholds.includeGround && ' | Including ground traffic'}
+                        {phaseFilter.length > 0 && ` | Phases: ${FLIGHT_PHASES.filter(({ id }) => phaseFilter.includes(id)).map(({ label }) => label).join(', ')}`}
                     </small>
                 )}
             </header>
@@ -421,10 +673,33 @@ const App = () => {
                     </div>
                 )}
 
+                <EmergencyBanner emergencies={emergencies} onFocus={focusAircraft} />
+
+                {geofences && (
+                    <GeofencePanel
+                        geofences={geofences}
+                        onChanged={reloadGeofences}
+                        draft={geofenceDraft}
+                        onDraftChange={setGeofenceDraft}
+                    />
+                )}
+
+                <SettingsPanel
+                    thresholds={thresholds}
+                    onChange={handleThresholdsChange}
+                    phases={phaseFilter}
+                    onPhasesChange={handlePhaseFilterChange}
+                    config={thresholdConfig}
+                />
+
                 <FlightMap
-                    flights={flights}
+                    flights={displayedFlights}
+                    densityCells={density?.cells ?? null}
                     onValidFlightCountChange={handleValidFlightCountChange}
                     selectedAircraft={selectedAircraft}
+                    geofences={geofences}
+                    geofenceDraft={geofenceDraft}
+                    onGeofenceDraftChange={setGeofenceDraft}
                 />
             </main>
         </div>
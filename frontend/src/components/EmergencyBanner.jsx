@@ -0,0 +1,62 @@
+import React, { useMemo, useState } from 'react';
+import './EmergencyBanner.css';
+
+/** "12 min" since an alert started (epoch seconds), or '' when unknown. */
+const formatSince = (startedAt) => {
+    if (!startedAt) return '';
+    const minutes = Math.max(0, Math.round((Date.now() / 1000 - startedAt) / 60));
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/**
+ * Banner listing aircraft in an emergency (see utils/alertUtils.collectEmergencies).
+ * Clicking an entry calls `onFocus(emergency)`; dismissing hides the banner until
+ * a new emergency appears.
+ */
+const EmergencyBanner = ({ emergencies, onFocus }) => {
+    const [dismissedIds, setDismissedIds] = useState(() => new Set());
+
+    const hasNew = useMemo(
+        () => emergencies.some((emergency) => !dismissedIds.has(emergency.id)),
+        [emergencies, dismissedIds]
+    );
+
+    if (emergencies.length === 0 || !hasNew) return null;
+
+    return (
+        <div className="emergency-banner" role="alert" aria-live="assertive">
+            <div className="emergency-header">
+                <span>🚨 {emergencies.length === 1 ? '1 aircraft' : `${emergencies.length} aircraft`} declaring an emergency</span>
+                <button
+                    type="button"
+                    className="emergency-dismiss"
+                    onClick={() => setDismissedIds(new Set(emergencies.map((emergency) => emergency.id)))}
+                    aria-label="Dismiss emergency alerts"
+                    title="Dismiss"
+                >
+                    ×
+                </button>
+            </div>
+            <ul className="emergency-list">
+                {emergencies.map((emergency) => (
+                    <li key={emergency.id}>
+                        <button
+                            type="button"
+                            className="emergency-item"
+                            onClick={() => onFocus(emergency)}
+                            title="Show on map"
+                        >
+                            <strong>{emergency.callsign || emergency.icao24.toUpperCase()}</strong>
+                            {' '}{emergency.label}
+                            {emergency.squawk && <span className="emergency-squawk">{emergency.squawk}</span>}
+                            {emergency.origin_country && <span className="emergency-meta">{emergency.origin_country}</span>}
+                            {emergency.startedAt && <span className="emergency-meta">{formatSince(emergency.startedAt)}</span>}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default EmergencyBanner;
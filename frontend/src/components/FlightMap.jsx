@@ -6,6 +6,8 @@ import {
     DEFAULT_CENTER,
     DEFAULT_ZOOM,
     BOUNDS_DEBOUNCE_MS,
+    SHOW_AIRPORTS_DEFAULT,
+    AIRPORTS_LAYER_LIMIT,
 } from '../config/appConfig';
 import {
     trackPathToCoordinates,
@@ -22,12 +24,129 @@ import {
     formatHeading,
     formatSpeedKmh,
 } from '../utils/trackUtils';
+import { normalizeBounds, normalizeLon, shortestLonDelta, unwrapLongitudes } from '../utils/bboxUtils';
+import { airportsToGeoJSON, countryFlag, countryName, formatAirportLabel } from '../utils/airportUtils';
+import { emergencyLabel } from '../utils/alertUtils';
+import { draftToGeoJSON, flightsInGeofences, geofencesToGeoJSON, isFlightInFence } from '../utils/geofenceUtils';
+import { FILTER_REASON_LABELS } from '../utils/flightThresholds';
+import { FLIGHT_PHASES, phaseColorExpression, phaseLabel } from '../utils/flightPhases';
 import './FlightMap.css';
 
 // Set the Mapbox access token from centralised config
 mapboxgl.accessToken = MAPBOX_TOKEN;
 
-const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+const HTML_ESCAPES = { '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '&': '&amp;' };
+
+/** Escape text (e.g. callsigns, database fields) for popup HTML. */
+const escapeHtml = (value) => String(value).replace(/[<>"'&]/g, (c) => HTML_ESCAPES[c]);
+
+/**
+ * Popup rows for an /api/aircraft record, falling back to the registration and
+ * type code the flights payload may already carry. Empty when nothing is known.
+ */
+const aircraftDetailsHtml = (aircraft, flight) => {
+    const registration = aircraft?.registration || flight.registration;
+    const typecode = aircraft?.typecode || flight.typecode;
+    const model = [aircraft?.manufacturer, aircraft?.model].filter(Boolean).join(' ');
+    const type = [typecode, model].filter(Boolean).join(' — ');
+    return [
+        registration ? `<p><strong>Registration:</strong> ${escapeHtml(registration)}</p>` : '',
+        type ? `<p><strong>Type:</strong> ${escapeHtml(type)}</p>` : '',
+        aircraft?.operator ? `<p><strong>Operator:</strong> ${escapeHtml(aircraft.operator)}</p>` : '',
+        aircraft?.year ? `<p><strong>Built:</strong> ${escapeHtml(aircraft.year)}</p>` : '',
+    ].join('');
+};
+
+/** Popup line for an aircraft in an emergency; '' otherwise. */
+const emergencyHtml = (flight) => {
+    if (!flight.emergency) return '';
+    const squawk = flight.squawk ? ` (squawk ${escapeHtml(flight.squawk)})` : '';
+    return `<p class="emergency-info">🚨 <strong>${escapeHtml(emergencyLabel(flight.emergency))}</strong>${squawk}</p>`;
+};
+
+/** Popup rows for the airline and IATA flight number decoded from the callsign. */
+const airlineHtml = (flight) => [
+    flight.airline ? `<p><strong>Airline:</strong> ${escapeHtml(flight.airline)}</p>` : '',
+    flight.flight_number ? `<p><strong>Flight:</strong> ${escapeHtml(flight.flight_number)}</p>` : '',
+].join('');
+
+const ADDRESS_TYPE_LABELS = { military: 'Military', anonymous: 'Anonymized address' };
+
+/**
+ * Popup origin line: flag and registration country (filled from the ICAO address
+ * block when the feed has none), plus a note for military or anonymized addresses.
+ */
+const originHtml = (flight, label) => {
+    const flag = countryFlag(flight.country_code);
+    const country = `${flag ? `${flag} ` : ''}${escapeHtml(flight.origin_country || 'Unknown')}`;
+    const note = ADDRESS_TYPE_LABELS[flight.address_type];
+    return `<p><strong>${label}:</strong> ${country}${note ? ` <span class="address-type">(${note})</span>` : ''}</p>`;
+};
+
+/** Popup line naming the geofences the aircraft is inside; '' when none. */
+const geofenceHtml = (flight, geofences) => {
+    const names = (geofences || []).filter((fence) => isFlightInFence(flight, fence)).map((fence) => fence.name || fence.id);
+    return names.length ? `<p class="geofence-info">⬡ Inside ${escapeHtml(names.join(', '))}</p>` : '';
+};
+
+/** Popup line for ground or slow traffic kept by the include-ground setting; '' otherwise. */
+const phaseHtml = (flight) => {
+    const label = phaseLabel(flight.phase);
+    return label ? `<p><strong>Phase:</strong> ${label}</p>` : '';
+};
+
+/**
+ * Marker colour expression. The selected aircraft and emergencies always stand
+ * out; below them come geofence and include-ground highlights, or the phase
+ * colours when markers are coloured by phase.
+ */
+const markerColorExpression = (selectedAircraft, colorByPhase) => ['case',
+    ['==', ['get', 'icao24'], selectedAircraft || ''],
+    '#FFD700', // Gold for selected
+    ['!=', ['get', 'emergency'], ''],
+    '#EF4444', // Red for emergencies
+    ...(colorByPhase ? [phaseColorExpression()] : [
+        ['==', ['get', 'in_geofence'], true],
+        '#C084FC', // Purple inside a geofence
+        ['!=', ['get', 'filter_reason'], ''],
+        '#94A3B8', // Grey for ground / slow traffic (include-ground setting)
+        '#4A90E2', // Blue for others
+    ]),
+];
+
+const filterReasonHtml = (flight) =>
+    (flight.filter_reason ? `<p class="filter-reason-info">${escapeHtml(FILTER_REASON_LABELS[flight.filter_reason] || flight.filter_reason)}</p>` : '');
+
+/** Route line for the popup: "Frankfurt (FRA) → New York (JFK)", with full names on hover. */
+const routeHtml = (flightInfo) => {
+    const from = flightInfo.departureAirport;
+    const to = flightInfo.arrivalAirport;
+    const title = [from?.name, to?.name].filter(Boolean).join(' → ');
+    const label = `${formatAirportLabel(from, flightInfo.estDepartureAirport)} → ${formatAirportLabel(to, flightInfo.estArrivalAirport)}`;
+    return `<span${title ? ` title="${escapeHtml(title)}"` : ''}>${escapeHtml(label)}</span>`;
+};
+
+/** GeoJSON for density cells from a wide-view /api/flights response. */
+const densityCellsToGeoJSON = (cells) => ({
+    type: 'FeatureCollection',
+    features: (cells || []).map((cell) => ({
+        type: 'Feature',
+        properties: { count: cell.count, avgAltitudeM: cell.avgAltitudeM, partial: cell.partial === true },
+        geometry: { type: 'Point', coordinates: [cell.lon, cell.lat] },
+    })),
+});
+
+const FlightMap = ({
+    flights,
+    densityCells = null,
+    onValidFlightCountChange,
+    selectedAircraft,
+    geofences = null,
+    geofenceDraft = null,
+    onGeofenceDraftChange,
+}) => {
     const mapContainer = useRef(null);
     const map = useRef(null);
     const [lng, setLng] = useState(DEFAULT_CENTER.lng);
@@ -49,6 +168,11 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
     const flightPositionHistory = useRef(new Map());
     const validFlightsRef = useRef([]);
     const showEnhancedPopupRef = useRef(null);
+    const [showAirports, setShowAirports] = useState(SHOW_AIRPORTS_DEFAULT);
+    const [colorByPhase, setColorByPhase] = useState(false);
+    const insideGeofenceRef = useRef(new Set()); // icao24s inside a geofence, for marker highlighting
+    const geofenceDraftRef = useRef(geofenceDraft);
+    const geofencesRef = useRef(geofences);
 
     // Memoize valid flights to avoid recalculating
     const validFlights = useMemo(() => {
@@ -66,6 +190,11 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
     }, [flights]);
 
     validFlightsRef.current = validFlights;
+    geofenceDraftRef.current = geofenceDraft;
+    geofencesRef.current = geofences;
+
+    const insideGeofence = useMemo(() => flightsInGeofences(validFlights, geofences), [validFlights, geofences]);
+    insideGeofenceRef.current = insideGeofence;
 
     // Notify parent of valid flight count via useEffect (NOT inside useMemo —
     // calling a state-setter during render is a React rule violation).
@@ -90,7 +219,7 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
             zoom: DEFAULT_ZOOM,   // zoom 5 → bbox ~35°×25°, within the 80° limit
             antialias: false,
             preserveDrawingBuffer: false,
-            renderWorldCopies: false,
+            renderWorldCopies: true, // lets Pacific views and trails cross ±180°
             maxZoom: 12,
             minZoom: 1,
         });
@@ -99,12 +228,7 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
             // Dispatch initial bounds so the backend can be queried with a bounding box
             try {
                 const b = map.current.getBounds();
-                const detail = {
-                    lat_min: b.getSouth(),
-                    lon_min: b.getWest(),
-                    lat_max: b.getNorth(),
-                    lon_max: b.getEast()
-                };
+                const detail = normalizeBounds(b.getWest(), b.getSouth(), b.getEast(), b.getNorth());
                 window.dispatchEvent(new CustomEvent('map-bounds-changed', { detail }));
             } catch (_) {}
 
@@ -130,6 +254,105 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
                 }
             });
 
+            // Density cells for zoomed-out views (backend aggregates when the bbox is tiled)
+            map.current.addSource('flight-density', { type: 'geojson', data: EMPTY_COLLECTION });
+            map.current.addLayer({
+                id: 'flight-density',
+                type: 'circle',
+                source: 'flight-density',
+                paint: {
+                    'circle-radius': ['interpolate', ['linear'], ['sqrt', ['get', 'count']], 1, 3, 10, 14, 40, 32],
+                    'circle-color': ['interpolate', ['linear'], ['get', 'count'], 1, '#4A90E2', 50, '#FBBF24', 300, '#EF4444'],
+                    'circle-opacity': 0.55,
+                    // Cells from partially covered tiles only count part of their traffic
+                    'circle-stroke-width': ['case', ['get', 'partial'], 2, 1],
+                    'circle-stroke-color': ['case', ['get', 'partial'], '#94A3B8', '#0f172a'],
+                }
+            });
+
+            // Airports from /api/airports (toggled with the map button; hidden until enabled)
+            map.current.addSource('airports', { type: 'geojson', data: EMPTY_COLLECTION });
+            map.current.addLayer({
+                id: 'airport-markers',
+                type: 'circle',
+                source: 'airports',
+                layout: { visibility: 'none' },
+                paint: {
+                    'circle-radius': ['interpolate', ['linear'], ['zoom'], 2, 2.5, 8, 6],
+                    'circle-color': '#F59E0B',
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#0f172a',
+                }
+            });
+            map.current.addLayer({
+                id: 'airport-labels',
+                type: 'symbol',
+                source: 'airports',
+                minzoom: 4,
+                layout: {
+                    visibility: 'none',
+                    'text-field': ['get', 'label'],
+                    'text-size': 11,
+                    'text-offset': [0, 1.1],
+                    'text-font': ['Open Sans Regular', 'Arial Unicode MS Regular']
+                },
+                paint: {
+                    'text-color': '#FCD34D',
+                    'text-halo-color': '#0f172a',
+                    'text-halo-width': 1
+                }
+            });
+
+            // Geofences from /api/geofences, and the one being drawn
+            map.current.addSource('geofences', { type: 'geojson', data: EMPTY_COLLECTION });
+            map.current.addLayer({
+                id: 'geofence-fill',
+                type: 'fill',
+                source: 'geofences',
+                paint: { 'fill-color': '#A855F7', 'fill-opacity': 0.12 }
+            });
+            map.current.addLayer({
+                id: 'geofence-outline',
+                type: 'line',
+                source: 'geofences',
+                paint: { 'line-color': '#C084FC', 'line-width': 2 }
+            });
+            map.current.addLayer({
+                id: 'geofence-labels',
+                type: 'symbol',
+                source: 'geofences',
+                layout: {
+                    'text-field': ['get', 'name'],
+                    'text-size': 12,
+                    'text-font': ['Open Sans Regular', 'Arial Unicode MS Regular']
+                },
+                paint: {
+                    'text-color': '#E9D5FF',
+                    'text-halo-color': '#0f172a',
+                    'text-halo-width': 1
+                }
+            });
+            map.current.addSource('geofence-draft', { type: 'geojson', data: EMPTY_COLLECTION });
+            map.current.addLayer({
+                id: 'geofence-draft-line',
+                type: 'line',
+                source: 'geofence-draft',
+                filter: ['==', ['geometry-type'], 'LineString'],
+                paint: { 'line-color': '#F0ABFC', 'line-width': 2, 'line-dasharray': [2, 2] }
+            });
+            map.current.addLayer({
+                id: 'geofence-draft-vertices',
+                type: 'circle',
+                source: 'geofence-draft',
+                filter: ['==', ['geometry-type'], 'Point'],
+                paint: {
+                    'circle-radius': 4,
+                    'circle-color': '#F0ABFC',
+                    'circle-stroke-width': 1,
+                    'circle-stroke-color': '#0f172a',
+                }
+            });
+
             // Add layer for flight trails (behind markers)
             map.current.addLayer({
                 id: 'flight-trails',
@@ -142,6 +365,35 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
                 }
             });
 
+            // Red halo under aircraft in an emergency (7500/7600/7700 or feed-reported)
+            map.current.addLayer({
+                id: 'emergency-halo',
+                type: 'circle',
+                source: 'flights',
+                filter: ['!=', ['get', 'emergency'], ''],
+                paint: {
+                    'circle-radius': 18,
+                    'circle-color': '#EF4444',
+                    'circle-opacity': 0.35,
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#EF4444',
+                }
+            });
+
+            // Purple ring around aircraft inside a geofence
+            map.current.addLayer({
+                id: 'geofence-halo',
+                type: 'circle',
+                source: 'flights',
+                filter: ['==', ['get', 'in_geofence'], true],
+                paint: {
+                    'circle-radius': 16,
+                    'circle-opacity': 0,
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#C084FC',
+                }
+            });
+
             // Add layer for airplane symbols with rotation
             map.current.addLayer({
                 id: 'flight-markers',
@@ -158,11 +410,7 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
                     'text-font': ['Open Sans Regular', 'Arial Unicode MS Regular']
                 },
                 paint: {
-                    'text-color': ['case',
-                        ['==', ['get', 'icao24'], selectedAircraft || ''], 
-                        '#FFD700', // Gold for selected
-                        '#4A90E2'  // Blue for others
-                    ],
+                    'text-color': markerColorExpression(selectedAircraft, false),
                     'text-halo-width': 0, // No halo
                     'text-opacity': 1
                 }
@@ -189,12 +437,8 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
                 if (!map.current) return;
                 try {
                     const b = map.current.getBounds();
-                    const detail = {
-                        lat_min: b.getSouth(),
-                        lon_min: b.getWest(),
-                        lat_max: b.getNorth(),
-                        lon_max: b.getEast(),
-                    };
+                    // West > east once the view crosses the antimeridian
+                    const detail = normalizeBounds(b.getWest(), b.getSouth(), b.getEast(), b.getNorth());
                     window.dispatchEvent(new CustomEvent('map-bounds-changed', { detail }));
                     setLng(map.current.getCenter().lng.toFixed(4));
                     setLat(map.current.getCenter().lat.toFixed(4));
@@ -244,7 +488,7 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
             type: 'FeatureCollection',
             features: [{
                 type: 'Feature',
-                geometry: { type: 'LineString', coordinates },
+                geometry: { type: 'LineString', coordinates: unwrapLongitudes(coordinates) },
             }],
         });
     }, []);
@@ -263,14 +507,18 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
         }
 
         // Initial popup with basic info
-        const callsignSafe = (flight.callsign || 'Unknown Flight').replace(/[<>"'&]/g, c => ({'<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;','&':'&amp;'}[c]));
-        const countrySafe  = (flight.origin_country || 'Unknown').replace(/[<>"'&]/g, c => ({'<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;','&':'&amp;'}[c]));
+        const callsignSafe = escapeHtml(flight.callsign || 'Unknown Flight');
 
         let popupContent = `
             <div class="flight-popup">
                 <h3>${callsignSafe}</h3>
+                ${emergencyHtml(flight)}
+                ${geofenceHtml(flight, geofencesRef.current)}
+                ${filterReasonHtml(flight)}
+                ${airlineHtml(flight)}
                 <p><strong>ICAO24:</strong> ${flight.icao24}</p>
-                <p><strong>Origin:</strong> ${countrySafe}</p>
+                ${originHtml(flight, 'Origin')}
+                ${aircraftDetailsHtml(null, flight)}
                 <p><strong>Altitude:</strong> ${flight.altitude_ft ? `${flight.altitude_ft} ft` : (flight.baro_altitude ? `${Math.round(flight.baro_altitude)}m` : 'N/A')}</p>
                 <p><strong>Speed:</strong> ${flight.speed_kts ? `${flight.speed_kts} kts` : 'N/A'}</p>
                 <p><strong>True Course:</strong> ${typeof flight.true_track === 'number' ? `${Math.round(flight.true_track)}°` : 'N/A'}</p>
@@ -304,15 +552,18 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
             }
         });
 
-        // Fetch flight info and track in parallel — failures are non-fatal
+        // Fetch flight info, track and aircraft details in parallel — failures are non-fatal
+        // (/api/aircraft answers 501 when the backend has no aircraft database)
         try {
-            const [flightInfoRes, trackRes] = await Promise.all([
+            const [flightInfoRes, trackRes, aircraftRes] = await Promise.all([
                 fetch(`${API_URL}/api/flight-info?icao24=${flight.icao24}`).catch(() => null),
                 fetch(`${API_URL}/api/flight-track?icao24=${flight.icao24}`).catch(() => null),
+                fetch(`${API_URL}/api/aircraft/${icao}`).catch(() => null),
             ]);
 
             const flightInfo = flightInfoRes?.ok ? await flightInfoRes.json().catch(() => null) : null;
             const track      = trackRes?.ok      ? await trackRes.json().catch(() => null)      : null;
+            const aircraft   = aircraftRes?.ok   ? await aircraftRes.json().catch(() => null)   : null;
             const trackPath  = Array.isArray(track?.path) ? track.path : [];
             const apiCoordinates = trackPathToCoordinates(trackPath);
             const polledTrail = getRecordedTrail(flightPositionHistory.current, icao);
@@ -341,21 +592,27 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
             if (currentPopup.current && currentPopup.current.isOpen()) {
                 const enhancedContent = `
                     <div class="flight-popup">
-                        <h3>${flight.callsign || 'Unknown Flight'}</h3>
+                        <h3>${callsignSafe}</h3>
+                        ${emergencyHtml(flight)}
+                        ${geofenceHtml(flight, geofencesRef.current)}
+                        ${filterReasonHtml(flight)}
+                        ${airlineHtml(flight)}
                         <p><strong>ICAO24:</strong> ${flight.icao24}</p>
                         ${flightInfo && flightInfo.estDepartureAirport ? `
-                            <p class="route-info"><strong>Route:</strong> ${flightInfo.estDepartureAirport} → ${flightInfo.estArrivalAirport || '?'}</p>
+                            <p class="route-info"><strong>Route:</strong> ${routeHtml(flightInfo)}</p>
                             <p><strong>Departure:</strong> ${new Date(flightInfo.firstSeen * 1000).toLocaleTimeString()}</p>
                             ${flightInfo.lastSeen ? `<p><strong>Duration:</strong> ${Math.round((flightInfo.lastSeen - flightInfo.firstSeen) / 60)} min</p>` : ''}
                         ` : '<p class="info-note">📍 Real-time position tracking</p>'}
                         <hr style="border-color: rgba(0,0,0,0.1); margin: 8px 0">
-                        <p><strong>Origin Country:</strong> ${flight.origin_country || 'Unknown'}</p>
+                        ${originHtml(flight, 'Origin Country')}
+                        ${aircraftDetailsHtml(aircraft, flight)}
                         ${flight.aircraft_type && flight.aircraft_type !== 'Unknown' && flight.aircraft_type !== 'No information at all' ? 
                             `<p><strong>Category:</strong> ${flight.aircraft_type}</p>` : ''}
                         <p><strong>Altitude:</strong> ${formatAltitude(flight)}</p>
                         <p><strong>Speed:</strong> ${formatSpeed(flight)}${formatSpeedKmh(flight) != null ? ` (${formatSpeedKmh(flight)} km/h)` : ''}</p>
                         <p><strong>Heading:</strong> ${heading != null ? `${Math.round(heading)}° ${getCompassDirection(heading)}` : 'N/A'}</p>
-                        <p><strong>Vertical Rate:</strong> ${flight.vertical_rate ? `${Math.round(flight.vertical_rate)} m/s ${flight.vertical_rate > 0 ? '⬆️ Climbing' : flight.vertical_rate < 0 ? '⬇️ Descending' : '➡️ Level'}` : 'N/A'}</p>
+                        <p><strong>Vertical Rate:</strong> ${Number.isFinite(flight.vertical_rate) ? `${Math.round(flight.vertical_rate)} m/s` : 'N/A'}</p>
+                        ${phaseHtml(flight)}
                         <p><strong>Position Source:</strong> ${getPositionSource(flight.position_source)}</p>
                         <p class="${trailStatusClass(trailStatus)}" data-trail-status>${getTrailStatusMessage(trailStatus)}</p>
                     </div>
@@ -376,6 +633,7 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
         if (!isMapLoaded || !map.current) return;
 
         const onMarkerClick = async (e) => {
+            if (geofenceDraftRef.current) return; // clicks add geofence vertices while drawing
             const icao = normalizeIcao24(e.features?.[0]?.properties?.icao24);
             if (!icao) return;
 
@@ -393,6 +651,104 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
         };
     }, [isMapLoaded]);
 
+    // Marker colours: the selected aircraft, and phase colours while colouring by phase
+    useEffect(() => {
+        if (!isMapLoaded || !map.current?.getLayer('flight-markers')) return;
+        map.current.setPaintProperty('flight-markers', 'text-color', markerColorExpression(selectedAircraft, colorByPhase));
+    }, [selectedAircraft, colorByPhase, isMapLoaded]);
+
+    // Airport layer: show/hide it and load the airports of the current view while it is on
+    useEffect(() => {
+        if (!isMapLoaded || !map.current?.getSource('airports')) return;
+
+        const visibility = showAirports ? 'visible' : 'none';
+        map.current.setLayoutProperty('airport-markers', 'visibility', visibility);
+        map.current.setLayoutProperty('airport-labels', 'visibility', visibility);
+        if (!showAirports) return;
+
+        let controller = null;
+        const loadAirports = async ({ lat_min, lon_min, lat_max, lon_max }) => {
+            controller?.abort();
+            controller = new AbortController();
+            const params = new URLSearchParams({ lat_min, lon_min, lat_max, lon_max, limit: AIRPORTS_LAYER_LIMIT });
+            try {
+                const response = await fetch(`${API_URL}/api/airports?${params}`, { signal: controller.signal });
+                if (!response.ok) return;
+                const { airports } = await response.json();
+                map.current?.getSource('airports')?.setData(airportsToGeoJSON(airports));
+            } catch (error) {
+                if (error.name !== 'AbortError') console.warn('Error loading airports:', error.message);
+            }
+        };
+
+        const b = map.current.getBounds();
+        loadAirports(normalizeBounds(b.getWest(), b.getSouth(), b.getEast(), b.getNorth()));
+        const onBoundsChanged = (e) => loadAirports(e.detail);
+        window.addEventListener('map-bounds-changed', onBoundsChanged);
+        return () => {
+            window.removeEventListener('map-bounds-changed', onBoundsChanged);
+            controller?.abort();
+        };
+    }, [showAirports, isMapLoaded]);
+
+    // Airport popup on click
+    useEffect(() => {
+        if (!isMapLoaded || !map.current) return;
+
+        const onAirportClick = (e) => {
+            const airport = e.features?.[0]?.properties;
+            if (!airport) return;
+            const codes = [airport.label !== airport.icao ? airport.label : null, airport.icao].filter(Boolean).join(' / ');
+            const place = [airport.city, countryName(airport.country)].filter(Boolean).join(', ');
+            new mapboxgl.Popup({ offset: 10, closeButton: true, maxWidth: '300px' })
+                .setLngLat(e.features[0].geometry.coordinates)
+                .setHTML(`
+                    <div class="flight-popup">
+                        <h3>${escapeHtml(airport.name)}</h3>
+                        <p><strong>Codes:</strong> ${escapeHtml(codes)}</p>
+                        <p><strong>Location:</strong> ${escapeHtml(place)}</p>
+                        ${Number.isFinite(airport.elevation_ft) ? `<p><strong>Elevation:</strong> ${airport.elevation_ft} ft</p>` : ''}
+                    </div>
+                `)
+                .addTo(map.current);
+        };
+        const setPointer = () => { map.current.getCanvas().style.cursor = 'pointer'; };
+        const clearPointer = () => { map.current.getCanvas().style.cursor = ''; };
+
+        map.current.on('click', 'airport-markers', onAirportClick);
+        map.current.on('mouseenter', 'airport-markers', setPointer);
+        map.current.on('mouseleave', 'airport-markers', clearPointer);
+        return () => {
+            map.current?.off('click', 'airport-markers', onAirportClick);
+            map.current?.off('mouseenter', 'airport-markers', setPointer);
+            map.current?.off('mouseleave', 'airport-markers', clearPointer);
+        };
+    }, [isMapLoaded]);
+
+    // Geofence layers follow the fences loaded by App
+    useEffect(() => {
+        if (!isMapLoaded) return;
+        map.current?.getSource('geofences')?.setData(geofencesToGeoJSON(geofences));
+    }, [geofences, isMapLoaded]);
+
+    // Drawing a geofence: each map click adds a vertex
+    useEffect(() => {
+        if (!isMapLoaded || !map.current?.getSource('geofence-draft')) return;
+
+        map.current.getSource('geofence-draft').setData(draftToGeoJSON(geofenceDraft));
+        if (!geofenceDraft || !onGeofenceDraftChange) return;
+
+        const onMapClick = (e) => {
+            onGeofenceDraftChange([...geofenceDraftRef.current, [e.lngLat.wrap().lng, e.lngLat.lat]]);
+        };
+        map.current.getCanvas().style.cursor = 'crosshair';
+        map.current.on('click', onMapClick);
+        return () => {
+            map.current?.off('click', onMapClick);
+            if (map.current) map.current.getCanvas().style.cursor = '';
+        };
+    }, [geofenceDraft, onGeofenceDraftChange, isMapLoaded]);
+
     // Helper function to get position source description
     const getPositionSource = (source) => {
         const sources = {
@@ -434,8 +790,8 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
                 return;
             }
 
-            // Linear interpolation between previous and target positions
-            const lng = previous.longitude + (target.longitude - previous.longitude) * progress;
+            // Linear interpolation between previous and target positions (shortest way across ±180°)
+            const lng = normalizeLon(previous.longitude + shortestLonDelta(previous.longitude, target.longitude) * progress);
             const lat = previous.latitude + (target.latitude - previous.latitude) * progress;
             
             // Smooth heading interpolation (handle 360° wraparound)
@@ -488,6 +844,10 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
                         position_source: flight.position_source,
                         true_track: flight.true_track,
                         aircraft_type: flight.aircraft_type,
+                        emergency: flight.emergency || '',
+                        in_geofence: insideGeofenceRef.current.has(flight.icao24),
+                        filter_reason: flight.filter_reason || '',
+                        phase: flight.phase || '',
                         heading: adjustedHeading,
                         timestamp: Date.now(),
                     },
@@ -531,6 +891,30 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
         }
     }, [selectedAircraft, isMapLoaded, validFlights, showEnhancedPopup]);
 
+    // Fly to a position requested elsewhere (an emergency outside the loaded area)
+    useEffect(() => {
+        if (!isMapLoaded) return;
+        const onFocus = (e) => {
+            const { lng, lat } = e.detail || {};
+            if (!map.current || !Number.isFinite(lng) || !Number.isFinite(lat)) return;
+            map.current.flyTo({ center: [lng, lat], zoom: Math.max(map.current.getZoom(), 8), duration: 2000 });
+        };
+        window.addEventListener('map-focus', onFocus);
+        return () => window.removeEventListener('map-focus', onFocus);
+    }, [isMapLoaded]);
+
+    // Density overview: draw cells and clear individual markers while it is shown
+    useEffect(() => {
+        if (!isMapLoaded || !map.current?.getSource('flight-density')) return;
+
+        map.current.getSource('flight-density').setData(densityCellsToGeoJSON(densityCells));
+        if (densityCells) {
+            previousPositions.current = new Map();
+            targetPositions.current = new Map();
+            map.current.getSource('flights')?.setData(EMPTY_COLLECTION);
+        }
+    }, [densityCells, isMapLoaded]);
+
     // Update flight data with smooth interpolation
     useEffect(() => {
         if (!isMapLoaded || !map.current || validFlights.length === 0) return;
@@ -557,7 +941,7 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
                 
                 if (currentTarget && previousPos && currentProgress < 1.0) {
                     // Calculate current interpolated position (where flight is RIGHT NOW)
-                    const currentLng = previousPos.longitude + (currentTarget.longitude - previousPos.longitude) * currentProgress;
+                    const currentLng = normalizeLon(previousPos.longitude + shortestLonDelta(previousPos.longitude, currentTarget.longitude) * currentProgress);
                     const currentLat = previousPos.latitude + (currentTarget.latitude - previousPos.latitude) * currentProgress;
                     
                     // Heading interpolation
@@ -634,6 +1018,36 @@ const FlightMap = ({ flights, onValidFlightCountChange, selectedAircraft }) => {
     return (
         <div className="flight-map-wrapper">
             <div ref={mapContainer} className="map-container" />
+            <div className="map-layer-toggles">
+                <button
+                    type="button"
+                    className={`map-layer-toggle${showAirports ? ' active' : ''}`}
+                    onClick={() => setShowAirports((shown) => !shown)}
+                    aria-pressed={showAirports}
+                    title={showAirports ? 'Hide airports' : 'Show airports'}
+                >
+                    🛫 Airports
+                </button>
+                <button
+                    type="button"
+                    className={`map-layer-toggle${colorByPhase ? ' active' : ''}`}
+                    onClick={() => setColorByPhase((shown) => !shown)}
+                    aria-pressed={colorByPhase}
+                    title={colorByPhase ? 'Colour aircraft normally' : 'Colour aircraft by flight phase'}
+                >
+                    🎨 Phases
+                </button>
+            </div>
+            {colorByPhase && (
+                <ul className="phase-legend" aria-label="Flight phase colours">
+                    {FLIGHT_PHASES.map(({ id, label, color }) => (
+                        <li key={id}>
+                            <span className="phase-swatch" style={{ backgroundColor: color }} />
+                            {label}
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
     );
 };
@@ -0,0 +1,220 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { API_URL, FETCH_INTERVAL_MS, GEOFENCE_EVENTS_LIMIT } from '../config/appConfig';
+import { formatAltitudeBand } from '../utils/geofenceUtils';
+import './GeofencePanel.css';
+
+const EXIT_REASONS = { left: 'left', lost: 'signal lost' };
+
+/** The backend's `message` for a failed request, or the request error itself. */
+const requestErrorMessage = (err) => err.response?.data?.message || err.message;
+
+/** Event log of one fence, newest first, polled while it is shown. */
+const GeofenceEvents = ({ fenceId }) => {
+    const [events, setEvents] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const fetchEvents = async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/geofences/${encodeURIComponent(fenceId)}/events`, {
+                    params: { limit: GEOFENCE_EVENTS_LIMIT },
+                    signal: controller.signal,
+                    timeout: 10_000,
+                });
+                setEvents([...(response.data.events || [])].reverse()); // newest first
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                setEvents([]);
+            }
+        };
+        fetchEvents();
+        const interval = setInterval(fetchEvents, FETCH_INTERVAL_MS);
+        return () => {
+            clearInterval(interval);
+            controller.abort();
+        };
+    }, [fenceId]);
+
+    if (!events) return <p className="geofence-note">Loading events…</p>;
+    if (events.length === 0) return <p className="geofence-note">No aircraft have entered or left yet.</p>;
+
+    return (
+        <ul className="geofence-events">
+            {events.map((event) => (
+                <li key={event.id} className={`geofence-event ${event.type}`}>
+                    <span className="geofence-event-time">{new Date(event.time * 1000).toLocaleTimeString()}</span>
+                    <strong>{event.callsign || event.icao24.toUpperCase()}</strong>
+                    {' '}{event.type === 'enter' ? 'entered' : `exited${event.reason ? ` (${EXIT_REASONS[event.reason] || event.reason})` : ''}`}
+                    {event.altitude_ft != null && <span className="geofence-note"> at {event.altitude_ft} ft</span>}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+/**
+ * Geofence list, upload, drawing and event logs (Express backend only; App hides
+ * the panel when /api/geofences is unavailable). Drawing is done on the map:
+ * `draft` holds the vertices clicked so far, or null when not drawing.
+ */
+const GeofencePanel = ({ geofences, onChanged, draft, onDraftChange }) => {
+    const [open, setOpen] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [form, setForm] = useState({ name: '', floor_ft: '', ceiling_ft: '' });
+    const fileInputRef = useRef(null);
+
+    const createGeofences = useCallback(async (body) => {
+        setSaving(true);
+        setError(null);
+        try {
+            await axios.post(`${API_URL}/api/geofences`, body, { timeout: 30_000 });
+            onChanged();
+            return true;
+        } catch (err) {
+            setError(requestErrorMessage(err));
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    }, [onChanged]);
+
+    const handleUpload = async (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (!file) return;
+        let body;
+        try {
+            body = JSON.parse(await file.text());
+        } catch (_) {
+            setError(`${file.name} is not valid JSON.`);
+            return;
+        }
+        await createGeofences(body);
+    };
+
+    const handleDelete = async (fence) => {
+        if (!window.confirm(`Delete geofence "${fence.name || fence.id}"?`)) return;
+        setError(null);
+        try {
+            await axios.delete(`${API_URL}/api/geofences/${encodeURIComponent(fence.id)}`, { timeout: 10_000 });
+            if (expandedId === fence.id) setExpandedId(null);
+            onChanged();
+        } catch (err) {
+            setError(requestErrorMessage(err));
+        }
+    };
+
+    const startDrawing = () => {
+        setError(null);
+        setForm({ name: '', floor_ft: '', ceiling_ft: '' });
+        onDraftChange([]);
+    };
+
+    const saveDrawing = async (e) => {
+        e.preventDefault();
+        const created = await createGeofences({
+            name: form.name.trim() || `Geofence ${geofences.length + 1}`,
+            floor_ft: form.floor_ft,
+            ceiling_ft: form.ceiling_ft,
+            geometry: { type: 'Polygon', coordinates: [draft] },
+        });
+        if (created) onDraftChange(null);
+    };
+
+    // Closing the panel also abandons a fence being drawn
+    const togglePanel = () => {
+        if (open && draft) onDraftChange(null);
+        setOpen((shown) => !shown);
+    };
+
+    const updateForm = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+    return (
+        <div className="geofence-panel-anchor">
+            <button
+                type="button"
+                className={`geofence-toggle${open ? ' active' : ''}`}
+                onClick={togglePanel}
+                aria-expanded={open}
+                title={open ? 'Hide geofences' : 'Show geofences'}
+            >
+                ⬡ Geofences{geofences.length > 0 && ` (${geofences.length})`}
+            </button>
+
+            {open && (
+                <div className="geofence-panel">
+                    {error && <p className="geofence-error" role="alert">{error}</p>}
+
+                    {draft ? (
+                        <form className="geofence-draw-form" onSubmit={saveDrawing}>
+                            <p className="geofence-note">
+                                Click the map to add vertices ({draft.length} so far, at least 3).
+                            </p>
+                            <input type="text" placeholder="Name" value={form.name} onChange={updateForm('name')} maxLength={100} />
+                            <div className="geofence-altitudes">
+                                <input type="number" placeholder="Floor (ft)" value={form.floor_ft} onChange={updateForm('floor_ft')} />
+                                <input type="number" placeholder="Ceiling (ft)" value={form.ceiling_ft} onChange={updateForm('ceiling_ft')} />
+                            </div>
+                            <div className="geofence-actions">
+                                <button type="submit" disabled={draft.length < 3 || saving}>Save</button>
+                                <button type="button" onClick={() => onDraftChange(draft.slice(0, -1))} disabled={draft.length === 0}>Undo</button>
+                                <button type="button" onClick={() => onDraftChange(null)}>Cancel</button>
+                            </div>
+                        </form>
+                    ) : (
+                        <div className="geofence-actions">
+                            <button type="button" onClick={startDrawing}>Draw</button>
+                            <button type="button" onClick={() => fileInputRef.current?.click()} disabled={saving}>Upload GeoJSON</button>
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept=".geojson,.json,application/geo+json,application/json"
+                                onChange={handleUpload}
+                                hidden
+                            />
+                        </div>
+                    )}
+
+                    {geofences.length === 0 ? (
+                        <p className="geofence-note">No geofences yet — draw one or upload a GeoJSON polygon.</p>
+                    ) : (
+                        <ul className="geofence-list">
+                            {geofences.map((fence) => (
+                                <li key={fence.id}>
+                                    <div className="geofence-item">
+                                        <button
+                                            type="button"
+                                            className="geofence-name"
+                                            onClick={() => setExpandedId((id) => (id === fence.id ? null : fence.id))}
+                                            aria-expanded={expandedId === fence.id}
+                                            title="Show events"
+                                        >
+                                            <strong>{fence.name || fence.id}</strong>
+                                            {formatAltitudeBand(fence) && <span className="geofence-note"> {formatAltitudeBand(fence)}</span>}
+                                            <span className="geofence-count">{fence.insideCount ?? 0} inside</span>
+                                        </button>
+                                        <button
+                                            type="button"
+                                            className="geofence-delete"
+                                            onClick={() => handleDelete(fence)}
+                                            aria-label={`Delete geofence ${fence.name || fence.id}`}
+                                            title="Delete"
+                                        >
+                                            ×
+                                        </button>
+                                    </div>
+                                    {expandedId === fence.id && <GeofenceEvents fenceId={fence.id} />}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GeofencePanel;
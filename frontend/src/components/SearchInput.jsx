@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_URL, SEARCH_SUGGEST_DEBOUNCE_MS, SEARCH_SUGGEST_LIMIT } from '../config/appConfig';
+import { describeSearchResult } from '../utils/flightSearch';
+import './SearchInput.css';
+
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Header search box with search-as-you-type suggestions from /api/search
+ * (suggest=true only reads the backend's index of recently seen aircraft).
+ * Picking a suggestion calls `onSelect(result)`; Enter without one submits the form.
+ */
+const SearchInput = ({ value, onChange, onSelect, ...inputProps }) => {
+    const [suggestions, setSuggestions] = useState([]);
+    const [open, setOpen] = useState(false);
+    const [active, setActive] = useState(-1);
+
+    useEffect(() => {
+        const query = value.trim();
+        if (query.length < MIN_QUERY_LENGTH) {
+            setSuggestions([]);
+            return undefined;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            try {
+                const response = await axios.get(`${API_URL}/api/search`, {
+                    params: { q: query, suggest: true, limit: SEARCH_SUGGEST_LIMIT },
+                    signal: controller.signal,
+                    timeout: 10_000,
+                });
+                setSuggestions(Array.isArray(response.data?.results) ? response.data.results : []);
+                setActive(-1);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                setSuggestions([]); // older backends have no /api/search
+            }
+        }, SEARCH_SUGGEST_DEBOUNCE_MS);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [value]);
+
+    const select = (result) => {
+        setOpen(false);
+        setActive(-1);
+        onSelect(result);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!open || suggestions.length === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            // Cycles through the suggestions and back to the typed text (-1)
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const count = suggestions.length + 1;
+            setActive((index) => ((index + 1 + step + count) % count) - 1);
+        } else if (e.key === 'Enter' && active >= 0) {
+            e.preventDefault();
+            select(suggestions[active]);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    const shown = open && suggestions.length > 0 && value.trim().length >= MIN_QUERY_LENGTH;
+
+    return (
+        <div className="search-field">
+            <input
+                {...inputProps}
+                type="text"
+                value={value}
+                onChange={(e) => {
+                    setOpen(true);
+                    onChange(e);
+                }}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setOpen(false)}
+                onKeyDown={handleKeyDown}
+                role="combobox"
+                aria-expanded={shown}
+                aria-controls="search-suggestions"
+                aria-autocomplete="list"
+                aria-activedescendant={shown && active >= 0 ? `search-suggestion-${active}` : undefined}
+                autoComplete="off"
+            />
+            {shown && (
+                <ul id="search-suggestions" className="search-suggestions" role="listbox">
+                    {suggestions.map((result, index) => {
+                        const { title, detail } = describeSearchResult(result);
+                        return (
+                            <li
+                                key={result.icao24}
+                                id={`search-suggestion-${index}`}
+                                role="option"
+                                aria-selected={index === active}
+                                className={index === active ? 'active' : undefined}
+                                // mousedown, so the input's blur does not close the list first
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    select(result);
+                                }}
+                                onMouseEnter={() => setActive(index)}
+                            >
+                                <span className="search-suggestion-title">{title}</span>
+                                {detail && <span className="search-suggestion-detail">{detail}</span>}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SearchInput;
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import { FALLBACK_THRESHOLD_CONFIG, isDefaultThresholds } from '../utils/flightThresholds';
+import { FLIGHT_PHASES } from '../utils/flightPhases';
+import './SettingsPanel.css';
+
+const FIELDS = [
+    { key: 'minAltitudeM', label: 'Minimum altitude', unit: 'm' },
+    { key: 'minSpeedMps', label: 'Minimum speed', unit: 'm/s' },
+    { key: 'maxPositionAgeS', label: 'Maximum position age', unit: 's' },
+];
+
+/** One-click settings for traffic the defaults hide, as changes to the defaults. */
+const PRESETS = [
+    {
+        label: 'Airport surface',
+        title: 'Include aircraft on the ground, taxiing and parked',
+        changes: { includeGround: true },
+    },
+    {
+        label: 'Rotorcraft & gliders',
+        title: 'Keep slow and low aircraft such as helicopters and gliders',
+        changes: { minAltitudeM: 0, minSpeedMps: 0 },
+    },
+];
+
+const toForm = (thresholds) => ({
+    minAltitudeM: String(thresholds.minAltitudeM),
+    minSpeedMps: String(thresholds.minSpeedMps),
+    maxPositionAgeS: String(thresholds.maxPositionAgeS),
+    includeGround: thresholds.includeGround,
+});
+
+/** `{ thresholds }` from the form, or `{ error }` when a value is outside its limits. */
+const parseForm = (form, limits) => {
+    const thresholds = { includeGround: form.includeGround };
+    for (const { key, label, unit } of FIELDS) {
+        const { min, max } = limits[key];
+        const value = Number(form[key]);
+        if (form[key] === '' || !Number.isFinite(value) || value < min || value > max) {
+            return { error: `${label} must be from ${min} to ${max} ${unit}.` };
+        }
+        thresholds[key] = value;
+    }
+    return { thresholds };
+};
+
+/**
+ * Aircraft thresholds (minimum altitude and speed, position age), the
+ * include-ground mode and the flight phases to show, sent with every
+ * /api/flights request and stream. `phases` is empty when every phase is shown;
+ * `config` holds the backend's threshold `{ defaults, limits }`.
+ */
+const SettingsPanel = ({ thresholds, onChange, phases, onPhasesChange, config = FALLBACK_THRESHOLD_CONFIG }) => {
+    const { defaults, limits } = config;
+    const [open, setOpen] = useState(false);
+    const [form, setForm] = useState(() => toForm(thresholds));
+    const [error, setError] = useState(null);
+
+    // Presets and resets replace the form with the applied thresholds
+    useEffect(() => {
+        setForm(toForm(thresholds));
+    }, [thresholds]);
+
+    const apply = (e) => {
+        e.preventDefault();
+        const parsed = parseForm(form, limits);
+        setError(parsed.error || null);
+        if (parsed.thresholds) onChange(parsed.thresholds);
+    };
+
+    const choose = (next) => {
+        setError(null);
+        onChange(next);
+    };
+
+    const updateForm = (field) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    // Phases apply at once, like the presets; an empty selection shows every phase
+    const shownPhases = phases.length > 0 ? phases : FLIGHT_PHASES.map(({ id }) => id);
+    const togglePhase = (id) => {
+        const next = FLIGHT_PHASES
+            .map((phase) => phase.id)
+            .filter((phase) => (phase === id ? !shownPhases.includes(phase) : shownPhases.includes(phase)));
+        onPhasesChange(next.length === FLIGHT_PHASES.length ? [] : next);
+    };
+
+    const customized = !isDefaultThresholds(thresholds, defaults) || phases.length > 0;
+
+    const reset = () => {
+        setError(null);
+        setForm(toForm(defaults));
+        if (!isDefaultThresholds(thresholds, defaults)) onChange(defaults);
+        if (phases.length > 0) onPhasesChange([]);
+    };
+
+    return (
+        <div className="settings-panel-anchor">
+            <button
+                type="button"
+                className={`settings-toggle${open ? ' active' : ''}${customized ? ' customized' : ''}`}
+                onClick={() => setOpen((shown) => !shown)}
+                aria-expanded={open}
+                title={open ? 'Hide traffic settings' : 'Show traffic settings'}
+            >
+                ⚙ Traffic{customized && ' •'}
+            </button>
+
+            {open && (
+                <form className="settings-panel" onSubmit={apply}>
+                    {error && <p className="settings-error" role="alert">{error}</p>}
+
+                    <div className="settings-presets">
+                        {PRESETS.map((preset) => (
+                            <button key={preset.label} type="button" onClick={() => choose({ ...defaults, ...preset.changes })} title={preset.title}>
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {FIELDS.map(({ key, label, unit }) => {
+                        const { min, max } = limits[key];
+                        return (
+                            <label key={key} className="settings-field">
+                                <span>{label} ({unit})</span>
+                                <input type="number" min={min} max={max} value={form[key]} onChange={updateForm(key)} />
+                            </label>
+                        );
+                    })}
+
+                    <label className="settings-check">
+                        <input type="checkbox" checked={form.includeGround} onChange={updateForm('includeGround')} />
+                        Include ground, low and slow traffic (shown in grey)
+                    </label>
+
+                    <fieldset className="settings-phases">
+                        <legend>Flight phases</legend>
+                        {FLIGHT_PHASES.map(({ id, label }) => {
+                            const shown = shownPhases.includes(id);
+                            return (
+                                <label key={id} className="settings-check">
+                                    <input
+                                        type="checkbox"
+                                        checked={shown}
+                                        // The last shown phase stays: showing none would hide every aircraft
+                                        disabled={shown && shownPhases.length === 1}
+                                        onChange={() => togglePhase(id)}
+                                    />
+                                    {label}
+                                </label>
+                            );
+                        })}
+                    </fieldset>
+
+                    <div className="settings-actions">
+                        <button type="submit">Apply</button>
+                        <button type="button" onClick={reset} disabled={!customized}>Reset</button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default SettingsPanel;
@@ -37,27 +37,33 @@ export const DEFAULT_ZOOM = 5;
 export const MAX_BBOX_DEGREES = 80;
 
 // ---------------------------------------------------------------------------
-// Flight filtering constants
-// These values must match (or be more permissive than) the backend equivalents
-// so we don't double-filter aggressively.
+// Flight thresholds
+// Offline fallback for the defaults and allowed ranges of the thresholds
+// deciding which aircraft the backend returns. The backend reports its own
+// (backend/lib/flightUtils.js) in GET / `flightThresholds`, and the settings
+// panel switches to those once it has answered. Only values that differ from
+// the defaults are sent; responses report the applied ones in _meta.thresholds.
 // ---------------------------------------------------------------------------
 
-/** Minimum barometric/geometric altitude in metres to include an aircraft. */
-export const MIN_ALTITUDE_M = 100;
-
 /**
- * Minimum ground-speed in m/s to include an aircraft.
- * 20 m/s ≈ 39 knots — catches helicopters, turboprops, slow climb phases.
- * We only apply this when velocity is explicitly known (non-null).
+ * minAltitudeM: barometric/geometric altitude in metres.
+ * minSpeedMps: ground speed in m/s, only applied when known (20 m/s ≈ 39 knots).
+ * maxPositionAgeS: OpenSky data can lag 60–120 s; 300 s keeps real flights visible.
+ * includeGround: keep grounded, low and slow aircraft, tagged with a filter_reason.
  */
-export const MIN_SPEED_MPS = 20;
+export const DEFAULT_FLIGHT_THRESHOLDS = {
+    minAltitudeM: 100,
+    minSpeedMps: 20,
+    maxPositionAgeS: 300,
+    includeGround: false,
+};
 
-/**
- * Maximum age of the last known position in seconds.
- * OpenSky data can lag 60–120 s, and some feeds are updated every 5 min.
- * 300 s (5 min) is generous enough to keep real flights visible.
- */
-export const MAX_POSITION_AGE_SECONDS = 300;
+/** Query parameter and allowed range of each numeric threshold. */
+export const FLIGHT_THRESHOLD_LIMITS = {
+    minAltitudeM:    { param: 'min_altitude_m', min: 0, max: 1000 },
+    minSpeedMps:     { param: 'min_speed_mps', min: 0, max: 100 },
+    maxPositionAgeS: { param: 'max_age_s', min: 10, max: 600 },
+};
 
 // ---------------------------------------------------------------------------
 // Fetch / polling
@@ -66,5 +72,47 @@ export const MAX_POSITION_AGE_SECONDS = 300;
 /** Milliseconds between automatic refresh cycles. */
 export const FETCH_INTERVAL_MS = 15_000;
 
+/**
+ * Response format requested from /api/flights (sent as the Accept header):
+ * 'json', 'columnar' (arrays per field) or 'binary' (typed-array layout).
+ * Older backends ignore the header and answer plain JSON, which is still decoded.
+ */
+export const FLIGHTS_FORMAT = ['json', 'columnar', 'binary'].includes(import.meta.env.VITE_FLIGHTS_FORMAT)
+    ? import.meta.env.VITE_FLIGHTS_FORMAT
+    : 'columnar';
+
 /** Minimum milliseconds between bound-change triggered fetches (debounce). */
 export const BOUNDS_DEBOUNCE_MS = 600;
+
+/**
+ * Use the Server-Sent Events push endpoint (/api/stream) when the backend has one.
+ * Set VITE_STREAM_ENABLED=false to always poll /api/flights instead.
+ */
+export const STREAM_ENABLED = import.meta.env.VITE_STREAM_ENABLED !== 'false';
+
+// ---------------------------------------------------------------------------
+// Airport layer
+// ---------------------------------------------------------------------------
+
+/** Show the airport layer when the map opens (VITE_SHOW_AIRPORTS=true); it can be toggled on the map. */
+export const SHOW_AIRPORTS_DEFAULT = import.meta.env.VITE_SHOW_AIRPORTS === 'true';
+
+/** Most airports requested from /api/airports per view. */
+export const AIRPORTS_LAYER_LIMIT = 500;
+
+// ---------------------------------------------------------------------------
+// Geofences
+// ---------------------------------------------------------------------------
+
+/** Most recent events shown per geofence in the panel (the backend keeps up to 1000). */
+export const GEOFENCE_EVENTS_LIMIT = 50;
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+/** Pause in typing before suggestions are requested from /api/search. */
+export const SEARCH_SUGGEST_DEBOUNCE_MS = 250;
+
+/** Most suggestions shown under the search box. */
+export const SEARCH_SUGGEST_LIMIT = 8;
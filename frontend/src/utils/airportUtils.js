@@ -0,0 +1,55 @@
+/**
+ * Helpers for airport objects from /api/airports and /api/flight-info
+ * ({ icao, iata, name, city, country, latitude, longitude, elevation_ft }; see backend/lib/airports.js).
+ */
+
+const regionNames = typeof Intl.DisplayNames === 'function'
+    ? new Intl.DisplayNames(['en'], { type: 'region' })
+    : null;
+
+/** Country name for an ISO 3166-1 alpha-2 code, falling back to the code itself. */
+export function countryName(code) {
+    if (!code) return '';
+    try {
+        return regionNames?.of(code) || code;
+    } catch (_) {
+        return code;
+    }
+}
+
+/** Flag emoji for an ISO 3166-1 alpha-2 code (regional indicator pair), or '' for anything else. */
+export function countryFlag(code) {
+    if (!/^[A-Za-z]{2}$/.test(code || '')) return '';
+    return String.fromCodePoint(...code.toUpperCase().split('').map((c) => 0x1f1e6 + c.charCodeAt(0) - 65));
+}
+
+/**
+ * Short route label for an airport: "Frankfurt (FRA)", or the raw ICAO code
+ * when the airport is not in the dataset, or '?' when there is no code at all.
+ */
+export function formatAirportLabel(airport, code) {
+    if (!airport) return code || '?';
+    const place = airport.city || airport.name;
+    return `${place} (${airport.iata || airport.icao})`;
+}
+
+/** Airports as GeoJSON points for the map's airport layer. */
+export function airportsToGeoJSON(airports) {
+    return {
+        type: 'FeatureCollection',
+        features: (airports || [])
+            .filter((airport) => Number.isFinite(airport?.latitude) && Number.isFinite(airport?.longitude))
+            .map((airport) => ({
+                type: 'Feature',
+                properties: {
+                    icao: airport.icao,
+                    label: airport.iata || airport.icao,
+                    name: airport.name,
+                    city: airport.city,
+                    country: airport.country,
+                    elevation_ft: airport.elevation_ft,
+                },
+                geometry: { type: 'Point', coordinates: [airport.longitude, airport.latitude] },
+            })),
+    };
+}
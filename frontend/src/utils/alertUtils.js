@@ -0,0 +1,52 @@
+/**
+ * Helpers for emergency alerts: /api/alerts entries (see backend/lib/alerts.js)
+ * and flights whose `emergency` field is set.
+ */
+
+/** Labels for emergency types, used when /api/alerts is unavailable. */
+export const EMERGENCY_LABELS = {
+    general: 'General emergency',
+    lifeguard: 'Lifeguard / medical',
+    minfuel: 'Minimum fuel',
+    nordo: 'Radio failure',
+    unlawful: 'Unlawful interference',
+    downed: 'Downed aircraft',
+};
+
+/** Label for an emergency type, falling back to the type itself. */
+export function emergencyLabel(type) {
+    return EMERGENCY_LABELS[type] || type || '';
+}
+
+/**
+ * Emergencies to list in the banner: active emergency alerts from /api/alerts,
+ * plus loaded flights in an emergency the backend has not reported (another
+ * Worker isolate, or an older backend). Positions of loaded flights win, as they
+ * are fresher. Most recently started first.
+ */
+export function collectEmergencies(alerts, flights) {
+    const byIcao = new Map();
+    (alerts || [])
+        .filter((alert) => alert.severity === 'emergency')
+        .forEach((alert) => byIcao.set(alert.icao24, { ...alert }));
+
+    (flights || []).forEach((flight) => {
+        if (!flight.emergency) return;
+        const icao24 = flight.icao24?.toLowerCase();
+        const known = byIcao.get(icao24)?.type === flight.emergency ? byIcao.get(icao24) : null;
+        byIcao.set(icao24, {
+            id: known?.id ?? `${icao24}-${flight.emergency}`,
+            icao24,
+            type: flight.emergency,
+            label: known?.label ?? emergencyLabel(flight.emergency),
+            startedAt: known?.startedAt ?? null,
+            callsign: flight.callsign || known?.callsign || null,
+            squawk: flight.squawk ?? null,
+            origin_country: flight.origin_country ?? null,
+            latitude: flight.latitude,
+            longitude: flight.longitude,
+        });
+    });
+
+    return [...byIcao.values()].sort((a, b) => (b.startedAt ?? Infinity) - (a.startedAt ?? Infinity));
+}
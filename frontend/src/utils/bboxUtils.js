@@ -0,0 +1,52 @@
+/**
+ * Longitude helpers for views that wrap ±180°.
+ * Bounds follow the backend convention (backend/lib/flightUtils.js normalizeBbox):
+ * longitudes in [-180, 180], and lon_min > lon_max means the view crosses the antimeridian.
+ */
+
+/** Wrap a longitude into [-180, 180). */
+export function normalizeLon(lon) {
+    return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Map bounds (which may extend past ±180 with world copies) as API bounds.
+ * @returns {{ lat_min: number, lon_min: number, lat_max: number, lon_max: number }}
+ */
+export function normalizeBounds(west, south, east, north) {
+    const wholeWorld = east - west >= 360;
+    return {
+        lat_min: Math.max(-90, south),
+        lon_min: wholeWorld ? -180 : normalizeLon(west),
+        lat_max: Math.min(90, north),
+        lon_max: wholeWorld ? 180 : normalizeLon(east),
+    };
+}
+
+/** East-west span of API bounds in degrees, counting across the antimeridian. */
+export function boundsWidthDegrees({ lon_min, lon_max }) {
+    return lon_min > lon_max ? 360 - lon_min + lon_max : lon_max - lon_min;
+}
+
+/** Signed shortest longitude difference from `from` to `to`, in (-180, 180]. */
+export function shortestLonDelta(from, to) {
+    let delta = (to - from) % 360;
+    if (delta > 180) delta -= 360;
+    if (delta <= -180) delta += 360;
+    return delta;
+}
+
+/**
+ * Make a line's longitudes continuous (e.g. 179 → 181 instead of 179 → -179)
+ * so Mapbox draws it across the antimeridian rather than around the globe.
+ * @param {number[][]} coordinates [lon, lat] pairs
+ */
+export function unwrapLongitudes(coordinates) {
+    if (!Array.isArray(coordinates)) return [];
+    const unwrapped = [];
+    coordinates.forEach(([lon, lat], i) => {
+        const prevLon = i === 0 ? null : unwrapped[i - 1][0];
+        unwrapped.push([prevLon == null ? lon : prevLon + shortestLonDelta(prevLon, lon), lat]);
+    });
+    return unwrapped;
+}
@@ -0,0 +1,28 @@
+/**
+ * Helpers for incremental flight updates.
+ * Both the polling path (/api/flights?since=<version>) and the stream
+ * (/api/stream delta events) send added / changed / removed aircraft,
+ * applied here to a Map of unfiltered flights keyed by icao24.
+ */
+
+/**
+ * Apply a delta to `flightsById` (mutates the map).
+ * `added` holds whole flights; `changed` holds only the fields that differ
+ * (plus icao24) and is merged into the existing flight.
+ * @param {Map<string, object>} flightsById
+ * @param {{ added?: object[], changed?: object[], removed?: string[] }} delta
+ */
+export function applyFlightDelta(flightsById, delta) {
+    (delta.removed || []).forEach((icao24) => flightsById.delete(icao24));
+    (delta.added || []).forEach((flight) => flightsById.set(flight.icao24, flight));
+    (delta.changed || []).forEach((fields) => {
+        const previous = flightsById.get(fields.icao24);
+        flightsById.set(fields.icao24, previous ? { ...previous, ...fields } : fields);
+    });
+    return flightsById;
+}
+
+/** Index a full flights list by icao24. */
+export function indexFlights(flights) {
+    return new Map((flights || []).map((flight) => [flight.icao24, flight]));
+}
@@ -0,0 +1,116 @@
+/**
+ * Decoders for the compact /api/flights formats.
+ * Layouts are documented in backend/lib/flightFormats.js; both decoders return
+ * the regular `{ flights, _meta, ... }` payload with derived fields filled in.
+ */
+
+export const COLUMNAR_MEDIA_TYPE = 'application/vnd.flight-tracker.columnar+json';
+export const BINARY_MEDIA_TYPE = 'application/vnd.flight-tracker.binary';
+
+const BINARY_MAGIC = 'FLTS';
+const NULL_STRING_INDEX = 0xffffffff;
+const BINARY_FLOAT_FIELDS = ['longitude', 'latitude', 'baro_altitude', 'velocity', 'true_track', 'vertical_rate', 'geo_altitude'];
+const BINARY_TIME_FIELDS = ['time_position', 'last_contact'];
+const BINARY_STRING_FIELDS = ['icao24', 'callsign', 'origin_country', 'squawk'];
+
+/** Accept header value for a configured format ('json' | 'columnar' | 'binary'). */
+export function acceptHeaderFor(format) {
+    if (format === 'binary') return `${BINARY_MEDIA_TYPE}, application/json;q=0.5`;
+    if (format === 'columnar') return `${COLUMNAR_MEDIA_TYPE}, application/json;q=0.5`;
+    return 'application/json';
+}
+
+/** Recompute the fields the compact formats leave out (mirrors the backend transformState). */
+function withDerivedFields(flight, aircraftTypes) {
+    const baro = flight.baro_altitude;
+    const speed = flight.velocity;
+    return {
+        ...flight,
+        sensors: [],
+        heading: flight.true_track ?? 0,
+        altitude_ft: baro != null ? Math.round(baro * 3.28084) : null,
+        speed_kts: speed != null ? Math.round(speed * 1.94384) : null,
+        speed_mph: speed != null ? Math.round(speed * 2.23694) : null,
+        aircraft_type: aircraftTypes?.[flight.category] || 'Unknown',
+    };
+}
+
+/** Decode a columnar JSON response into the regular payload shape. */
+export function decodeColumnar(data) {
+    const { columns, count, dictionaries, ...meta } = data;
+    delete meta.format;
+    delete meta.formatVersion;
+    const fields = Object.keys(columns);
+    const flights = new Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const flight = {};
+        fields.forEach((field) => { flight[field] = columns[field][i]; });
+        flights[i] = withDerivedFields(flight, dictionaries?.aircraft_type);
+    }
+    return { ...meta, flights };
+}
+
+/** Decode a binary (layout version 1) response into the regular payload shape. */
+export function decodeBinary(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    const layoutVersion = view.getUint8(4);
+    if (magic !== BINARY_MAGIC || layoutVersion !== 1) {
+        throw new Error(`Unsupported binary flights layout (${magic} v${layoutVersion})`);
+    }
+
+    const count = view.getUint32(8, true);
+    const headerLength = view.getUint32(12, true);
+    const { strings, dictionaries, optionalColumns, ...meta } = JSON.parse(new TextDecoder().decode(bytes.subarray(16, 16 + headerLength)));
+
+    let offset = Math.ceil((16 + headerLength) / 4) * 4;
+    const flights = Array.from({ length: count }, () => ({}));
+
+    BINARY_FLOAT_FIELDS.forEach((field) => {
+        flights.forEach((flight) => {
+            const value = view.getFloat32(offset, true);
+            flight[field] = Number.isNaN(value) ? null : value;
+            offset += 4;
+        });
+    });
+    BINARY_TIME_FIELDS.forEach((field) => {
+        flights.forEach((flight) => {
+            const value = view.getUint32(offset, true);
+            flight[field] = value === 0 ? null : value;
+            offset += 4;
+        });
+    });
+    BINARY_STRING_FIELDS.forEach((field) => {
+        flights.forEach((flight) => {
+            const index = view.getUint32(offset, true);
+            flight[field] = index === NULL_STRING_INDEX ? null : strings[index];
+            offset += 4;
+        });
+    });
+    flights.forEach((flight) => {
+        const flags = bytes[offset++];
+        flight.on_ground = (flags & 1) !== 0;
+        flight.spi = (flags & 2) !== 0;
+    });
+    flights.forEach((flight) => { flight.position_source = bytes[offset++]; });
+    flights.forEach((flight) => { flight.category = bytes[offset++]; });
+    Object.entries(optionalColumns || {}).forEach(([field, indexes]) => {
+        flights.forEach((flight, i) => { flight[field] = indexes[i] == null ? null : strings[indexes[i]]; });
+    });
+
+    return { ...meta, flights: flights.map((flight) => withDerivedFields(flight, dictionaries?.aircraft_type)) };
+}
+
+/**
+ * Turn an /api/flights response body into a payload, based on its Content-Type.
+ * `body` is an ArrayBuffer when the request used responseType 'arraybuffer'.
+ */
+export function decodeFlightsResponse(body, contentType = '') {
+    if (contentType.includes(BINARY_MEDIA_TYPE)) return decodeBinary(body);
+    const data = body instanceof ArrayBuffer ? JSON.parse(new TextDecoder().decode(body)) : body;
+    if (contentType.includes(COLUMNAR_MEDIA_TYPE) || data?.format === 'columnar') return decodeColumnar(data);
+    return data;
+}
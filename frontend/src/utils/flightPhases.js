@@ -0,0 +1,38 @@
+/**
+ * Flight phases set by the backend's phase tracker (backend/lib/flightPhases.js):
+ * labels and colours for the popup and the "colour by phase" map mode, and the
+ * `phase` filter sent with /api/flights and /api/stream.
+ */
+
+/** Every phase, in flight order. */
+export const FLIGHT_PHASES = [
+    { id: 'taxi', label: 'Taxi', icon: '🛞', color: '#94A3B8' },
+    { id: 'takeoff', label: 'Takeoff', icon: '🛫', color: '#F97316' },
+    { id: 'climb', label: 'Climb', icon: '⬆️', color: '#22C55E' },
+    { id: 'cruise', label: 'Cruise', icon: '➡️', color: '#4A90E2' },
+    { id: 'descent', label: 'Descent', icon: '⬇️', color: '#06B6D4' },
+    { id: 'approach', label: 'Approach', icon: '🛬', color: '#A855F7' },
+    { id: 'landing', label: 'Landing', icon: '🛬', color: '#EC4899' },
+    { id: 'holding', label: 'Holding', icon: '🔄', color: '#EAB308' },
+];
+
+/** Marker colour for aircraft without a phase (older backends, no altitude yet). */
+export const UNKNOWN_PHASE_COLOR = '#64748B';
+
+const PHASES_BY_ID = new Map(FLIGHT_PHASES.map((phase) => [phase.id, phase]));
+
+/** "⬆️ Climb" for a flight's `phase`, or null when it has none. */
+export function phaseLabel(phase) {
+    const known = PHASES_BY_ID.get(phase);
+    return known ? `${known.icon} ${known.label}` : null;
+}
+
+/** Mapbox `match` expression colouring markers by their `phase` property. */
+export function phaseColorExpression() {
+    return ['match', ['get', 'phase'], ...FLIGHT_PHASES.flatMap(({ id, color }) => [id, color]), UNKNOWN_PHASE_COLOR];
+}
+
+/** Query params for a phase filter ({} when every phase is shown). */
+export function phaseParams(phases) {
+    return phases.length > 0 && phases.length < FLIGHT_PHASES.length ? { phase: phases.join(',') } : {};
+}
@@ -0,0 +1,48 @@
+/**
+ * Search helpers for the header search box (App.handleSearch, SearchInput).
+ * Flights carry `airline` and `flight_number` decoded by the backend from the callsign;
+ * results from /api/search carry the same fields plus `registration` and `age_s`.
+ */
+
+const normalizeQuery = (query) => String(query || '').trim().toUpperCase();
+
+/** The flight whose icao24, callsign or IATA flight number equals `query` (case-insensitive). */
+export function findFlightByQuery(flights, query) {
+    const q = normalizeQuery(query);
+    if (!q) return null;
+    return flights.find((f) =>
+        f.icao24?.toUpperCase() === q ||
+        f.callsign?.trim().toUpperCase() === q ||
+        f.flight_number?.toUpperCase() === q
+    ) || null;
+}
+
+/** True when the flight's airline name contains `query` (case-insensitive). */
+export function matchesAirline(flight, query) {
+    const q = normalizeQuery(query);
+    return !!q && !!flight.airline && flight.airline.toUpperCase().includes(q);
+}
+
+/** "12 min ago" for a result's `age_s`, or '' when it is current. */
+const formatAge = (ageS) => {
+    if (!(ageS >= 60)) return '';
+    const minutes = Math.round(ageS / 60);
+    return minutes < 60 ? `${minutes} min ago` : `${Math.floor(minutes / 60)} h ago`;
+};
+
+/** `{ title, detail }` lines describing an /api/search result. */
+export function describeSearchResult(result) {
+    const title = result.callsign || result.registration || result.icao24.toUpperCase();
+    const altitude = result.on_ground
+        ? 'on ground'
+        : Number.isFinite(result.altitude_ft) ? `${Math.round(result.altitude_ft).toLocaleString()} ft` : null;
+    const detail = [
+        result.flight_number,
+        result.airline,
+        result.registration !== title ? result.registration : null,
+        result.typecode,
+        altitude,
+        formatAge(result.age_s),
+    ].filter(Boolean).join(' · ');
+    return { title, detail };
+}
@@ -0,0 +1,96 @@
+/**
+ * Client for the backend's Server-Sent Events endpoint (GET /api/stream).
+ * The stream sends a full `snapshot` and then `delta` events; the bbox and
+ * the extra query params (filters, thresholds) are changed with
+ * PUT /api/stream/:id instead of reopening the connection.
+ * Backends without the endpoint (e.g. the Cloudflare Worker) fail to open,
+ * and the caller falls back to polling /api/flights.
+ */
+
+const viewParams = ({ lat_min, lon_min, lat_max, lon_max }, params) => ({ lat_min, lon_min, lat_max, lon_max, ...params });
+
+const sameBounds = (a, b) =>
+    !!a && !!b &&
+    a.lat_min === b.lat_min && a.lon_min === b.lon_min &&
+    a.lat_max === b.lat_max && a.lon_max === b.lon_max;
+
+/**
+ * Open a flight stream for `bounds`, with extra query `params` such as thresholds.
+ * `onError(fatal)` is called with fatal=true when the stream cannot be used
+ * (endpoint missing or connection closed) — the caller should poll instead.
+ * `onFailure(message)` reports a tick where every flight source failed.
+ * @returns {{ updateBounds(bounds): void, updateParams(params): void, close(): void }}
+ */
+export function openFlightStream({ apiUrl = '', bounds, params = {}, onSnapshot, onDelta, onFailure, onError }) {
+    let currentBounds = bounds;
+    let openedBounds = null;
+    let currentParams = params;
+    let openedParams = null;
+    let streamId = null;
+    let source = null;
+    let opened = false;
+    let closed = false;
+
+    const putView = () => {
+        openedBounds = currentBounds;
+        openedParams = currentParams;
+        fetch(`${apiUrl}/api/stream/${streamId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(viewParams(currentBounds, currentParams)),
+        })
+            .then((res) => {
+                // The server forgot the subscription (restart) — start a fresh one.
+                if (res.status === 404) connect();
+            })
+            .catch(() => connect());
+    };
+
+    function connect() {
+        if (closed) return;
+        source?.close();
+        streamId = null;
+        openedBounds = currentBounds;
+        openedParams = currentParams;
+        source = new EventSource(`${apiUrl}/api/stream?${new URLSearchParams(viewParams(currentBounds, currentParams))}`);
+
+        source.addEventListener('open', () => { opened = true; });
+        source.addEventListener('hello', (e) => {
+            streamId = JSON.parse(e.data).id;
+            // The browser reconnected with the original URL, or the view changed while connecting.
+            if (!sameBounds(openedBounds, currentBounds) || openedParams !== currentParams) putView();
+        });
+        source.addEventListener('snapshot', (e) => onSnapshot?.(JSON.parse(e.data)));
+        source.addEventListener('delta', (e) => onDelta?.(JSON.parse(e.data)));
+        source.addEventListener('failure', (e) => onFailure?.(JSON.parse(e.data).message));
+        source.addEventListener('error', () => {
+            // EventSource retries on its own unless the connection is CLOSED
+            // (non-200 response, wrong content type) or never opened at all.
+            const fatal = source.readyState === EventSource.CLOSED || !opened;
+            if (fatal) {
+                closed = true;
+                source.close();
+            }
+            onError?.(fatal);
+        });
+    }
+
+    connect();
+
+    return {
+        updateBounds(nextBounds) {
+            if (closed || sameBounds(nextBounds, currentBounds)) return;
+            currentBounds = nextBounds;
+            if (streamId) putView();
+        },
+        updateParams(nextParams) {
+            if (closed || nextParams === currentParams) return;
+            currentParams = nextParams;
+            if (streamId) putView();
+        },
+        close() {
+            closed = true;
+            source?.close();
+        },
+    };
+}
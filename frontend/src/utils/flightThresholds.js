@@ -0,0 +1,70 @@
+/**
+ * Helpers for the aircraft thresholds sent with /api/flights and /api/stream
+ * (min_altitude_m, min_speed_mps, max_age_s, include_ground — see
+ * backend/lib/flightUtils.js parseFlightThresholds). Defaults and limits come
+ * from the backend's GET / (`flightThresholds`); the appConfig copies are only
+ * used until it answers, or when it cannot.
+ */
+import { DEFAULT_FLIGHT_THRESHOLDS, FLIGHT_THRESHOLD_LIMITS } from '../config/appConfig';
+
+/** Labels for the `filter_reason` of aircraft kept by include_ground. */
+export const FILTER_REASON_LABELS = {
+    on_ground: 'On the ground',
+    low_altitude: 'Below the minimum altitude',
+    low_speed: 'Below the minimum speed',
+};
+
+/** `{ defaults, limits }` to use while the backend's own are unknown. */
+export const FALLBACK_THRESHOLD_CONFIG = { defaults: DEFAULT_FLIGHT_THRESHOLDS, limits: FLIGHT_THRESHOLD_LIMITS };
+
+const isLimit = (limit) => typeof limit?.param === 'string' && Number.isFinite(limit.min) && Number.isFinite(limit.max);
+
+/**
+ * `{ defaults, limits }` from the backend's GET / response, or null when it has
+ * no usable `flightThresholds` (older backends, or not the backend answering).
+ */
+export function parseThresholdConfig(info) {
+    const { defaults, limits } = info?.flightThresholds || {};
+    const numericKeys = Object.keys(FLIGHT_THRESHOLD_LIMITS);
+    const valid = typeof defaults?.includeGround === 'boolean'
+        && numericKeys.every((key) => Number.isFinite(defaults[key]) && isLimit(limits?.[key]));
+    if (!valid) return null;
+    return {
+        defaults: { ...Object.fromEntries(numericKeys.map((key) => [key, defaults[key]])), includeGround: defaults.includeGround },
+        limits: Object.fromEntries(numericKeys.map((key) => [key, limits[key]])),
+    };
+}
+
+/** Query params for the thresholds that differ from the defaults ({} for the defaults). */
+export function thresholdParams(thresholds, { defaults, limits } = FALLBACK_THRESHOLD_CONFIG) {
+    const params = {};
+    Object.entries(limits).forEach(([key, { param }]) => {
+        if (thresholds[key] !== defaults[key]) params[param] = thresholds[key];
+    });
+    if (thresholds.includeGround !== defaults.includeGround) params.include_ground = String(thresholds.includeGround);
+    return params;
+}
+
+/** True when every threshold is the default. */
+export function isDefaultThresholds(thresholds, defaults = DEFAULT_FLIGHT_THRESHOLDS) {
+    return Object.keys(defaults).every((key) => thresholds[key] === defaults[key]);
+}
+
+/**
+ * True when the flight passes `thresholds` — the same rules as the backend's
+ * processFlightStates. Aircraft the backend tagged with a filter_reason pass
+ * whenever ground traffic is included.
+ */
+export function passesThresholds(flight, thresholds, now) {
+    const tagged = thresholds.includeGround && !!flight.filter_reason;
+    if (!tagged) {
+        if (flight.on_ground === true) return false;
+        const alt = flight.baro_altitude ?? flight.geo_altitude ?? 0;
+        if (alt < thresholds.minAltitudeM) return false;
+    }
+    // Position freshness — only filter when time_position is populated
+    if (flight.time_position != null && (now - flight.time_position) > thresholds.maxPositionAgeS) return false;
+    // Minimum speed — only when velocity is explicitly known
+    if (!tagged && flight.velocity != null && flight.velocity < thresholds.minSpeedMps) return false;
+    return true;
+}
@@ -0,0 +1,91 @@
+/**
+ * Helpers for geofences from /api/geofences (see backend/lib/geofences.js):
+ * map GeoJSON, the inside-fence test used to highlight aircraft, and drawing.
+ */
+
+const FEET_PER_METER = 3.28084;
+
+/** Ray casting: true when [lon, lat] lies inside the closed ring. */
+const pointInRing = (lon, lat, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+const pointInPolygon = (lon, lat, rings) =>
+    pointInRing(lon, lat, rings[0]) && !rings.slice(1).some((hole) => pointInRing(lon, lat, hole));
+
+/** Point-in-geometry test for a Polygon or MultiPolygon. */
+export function pointInGeometry(lon, lat, geometry) {
+    if (geometry?.type === 'Polygon') return pointInPolygon(lon, lat, geometry.coordinates);
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates.some((polygon) => pointInPolygon(lon, lat, polygon));
+    return false;
+}
+
+/**
+ * True when the flight is inside the fence, altitude limits included — the same
+ * rule the backend uses for enter/exit events.
+ */
+export function isFlightInFence(flight, fence) {
+    const { latitude: lat, longitude: lon } = flight;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+    if (fence.floor_ft != null || fence.ceiling_ft != null) {
+        const altitudeFt = flight.altitude_ft ?? (Number.isFinite(flight.geo_altitude) ? flight.geo_altitude * FEET_PER_METER : null);
+        if (altitudeFt == null) return false;
+        if (fence.floor_ft != null && altitudeFt < fence.floor_ft) return false;
+        if (fence.ceiling_ft != null && altitudeFt > fence.ceiling_ft) return false;
+    }
+    return pointInGeometry(lon, lat, fence.geometry);
+}
+
+/** icao24s of the flights inside at least one fence. */
+export function flightsInGeofences(flights, geofences) {
+    const inside = new Set();
+    if (!geofences?.length) return inside;
+    (flights || []).forEach((flight) => {
+        if (geofences.some((fence) => isFlightInFence(flight, fence))) inside.add(flight.icao24);
+    });
+    return inside;
+}
+
+/** Altitude band label: "1000–5000 ft", "above 1000 ft", "below 5000 ft", or ''. */
+export function formatAltitudeBand(fence) {
+    const { floor_ft: floor, ceiling_ft: ceiling } = fence;
+    if (floor != null && ceiling != null) return `${floor}–${ceiling} ft`;
+    if (floor != null) return `above ${floor} ft`;
+    if (ceiling != null) return `below ${ceiling} ft`;
+    return '';
+}
+
+/** GeoJSON for the fence layers; `name` labels each fence. */
+export function geofencesToGeoJSON(geofences) {
+    return {
+        type: 'FeatureCollection',
+        features: (geofences || []).map((fence) => ({
+            type: 'Feature',
+            properties: { id: fence.id, name: fence.name || fence.id },
+            geometry: fence.geometry,
+        })),
+    };
+}
+
+/** GeoJSON for a fence being drawn: its vertices, plus the outline once there are two. */
+export function draftToGeoJSON(vertices) {
+    const features = (vertices || []).map((vertex) => ({
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'Point', coordinates: vertex },
+    }));
+    if (vertices?.length >= 2) {
+        features.push({
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'LineString', coordinates: vertices.length >= 3 ? [...vertices, vertices[0]] : vertices },
+        });
+    }
+    return { type: 'FeatureCollection', features };
+}
@@ -28,6 +28,13 @@ export default defineConfig(({ mode }) => {
           target: 'http://localhost:3001',
           changeOrigin: true,
         },
+        // GET / asking for JSON is the backend's index (threshold defaults and
+        // limits for the settings panel); the page itself is still served by Vite.
+        '^/$': {
+          target: 'http://localhost:3001',
+          changeOrigin: true,
+          bypass: (req) => (req.headers.accept?.includes('application/json') ? undefined : req.url),
+        },
       },
     },
   }